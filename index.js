@@ -1,16 +1,56 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { ProwlarrApi } = require('./lib/prowlarr-api');
+const { QBittorrentClient } = require('./lib/download-clients/qbittorrent');
+const { TransmissionClient } = require('./lib/download-clients/transmission');
+const { SabnzbdClient } = require('./lib/download-clients/sabnzbd');
+const { NzbgetClient } = require('./lib/download-clients/nzbget');
+const { fetchTorrentFile } = require('./lib/download-clients/torrent-file');
+const { TorrentDownloader, formatProgress } = require('./lib/torrent-downloader');
+const { startStreamServer, isVideoFile } = require('./lib/torrent-streamer');
+const { SearchHistory } = require('./lib/search-history');
+const { ResultCache } = require('./lib/result-cache');
+const { buildCategoryTree, describeCategories } = require('./lib/categories');
+const { getIndexerHealth, getSearchableIndexers, resolveGroup } = require('./lib/indexers');
+const { paginate, mightHaveMore, mergeResults } = require('./lib/paging');
+const { FilterSyntaxError, parseFilter, applyFilters, FILTER_HELP } = require('./lib/filters');
+const { getRelease, formatEpisode, formatReleaseTags, qualityRank } = require('./lib/release-parser');
+const { groupResults } = require('./lib/dedupe');
+const { SEARCH_MODES, detectSearchInput, prepareSearch, describeSearch } = require('./lib/search-modes');
+const { WatchState, resultKey, findNewMatches } = require('./lib/watchlist');
+const { NOTIFICATION_EVENTS, WEBHOOK_TEMPLATES, DEFAULT_NOTIFICATIONS, Notifier } = require('./lib/notifications');
+const { EXPORT_FORMATS, exportResults, defaultExportName } = require('./lib/export');
+const { runBulk, summarizeBulk, saveReleaseFile } = require('./lib/bulk');
+const keyboard = require('./lib/keyboard');
+const { THEME_ROLES, THEME_PRESETS, DEFAULT_THEME, NAMED_COLORS, checkStyle, createPalette, detectColorLevel, exportTheme, importTheme, findPreset, spinnerFrames } = require('./lib/theme');
+const qualityProfiles = require('./lib/quality-profiles');
+const { DownloadClientAuthError } = require('./lib/download-clients/errors');
+const { formatSize, formatAge } = require('./lib/format');
+const { RESULT_COLUMNS, DEFAULT_RESULT_COLUMNS, renderResultTable, pickLayout } = require('./lib/result-table');
+const { runCli } = require('./lib/cli');
+
+// Absolute path for a file or directory typed at a prompt, with a leading ~ for the home directory
+const toPath = (input) => path.resolve(input.trim().replace(/^~(?=$|[\\/])/, os.homedir()));
 
 class ProwlingClient {
     constructor() {
         this.baseUrl = '';
+        this.apiKey = '';
+        this.api = new ProwlarrApi();
         this.indexers = [];
+        this.indexerStatuses = [];
+        this.indexerGroups = {}; // Saved indexer groups: name -> indexer ids
+        this.filterPresets = {}; // Saved result filters: name -> filter expression
+        this.qualityProfiles = {}; // Quality profiles for scoring results: name -> profile
+        this.watchlist = {}; // Saved watches: name -> { query, mode, params, categories, indexerIds, filter, profile, minScore, autoGrab, enabled }
+        this.scorer = null;
         this.configPath = path.join(__dirname, 'config.json');
         this.currentMenuLevel = 'main'; // Track current menu level
         this.protocols = {
@@ -18,23 +58,63 @@ class ProwlingClient {
             usenet: 'usenet'
         };
         this.qbittorrentUrl = '';
+        this.qbittorrent = null; // Lazily created qBittorrent session, see getQBittorrent()
+        this.transmission = null; // Lazily created Transmission RPC session, see getTransmission()
+        this.usenetClients = {}; // SABnzbd / NZBGet clients by key, see getUsenetClient()
+        this.downloader = new TorrentDownloader(path.join(__dirname, 'downloads.json'));
+        this.history = new SearchHistory(path.join(__dirname, 'history.json'));
+        this.watchState = new WatchState(path.join(__dirname, 'watch-state.json'));
+        // Notification sinks and their events, on/off and the bell itself are enableNotifications and notificationSound
+        this.notifications = JSON.parse(JSON.stringify(DEFAULT_NOTIFICATIONS));
+        this.notifier = new Notifier(() => ({
+            enabled: this.settings.enableNotifications,
+            sound: this.settings.notificationSound,
+            ...this.notifications
+        }));
+        this.resultCache = new ResultCache(path.join(__dirname, '.cache', 'results'));
+        this.shortcuts = { ...keyboard.DEFAULT_SHORTCUTS }; // Key bound to each shortcut action, on/off is enableKeyboardShortcuts
         
-        // Default theme settings
-        this.theme = {
-            primary: 'cyan',
-            secondary: 'yellow',
-            success: 'green',
-            error: 'red',
-            warning: 'yellow',
-            info: 'blue',
-            highlight: 'magenta'
+        // Credentials and last used options for the direct download clients
+        this.downloadClients = {
+            qbittorrent: {
+                username: '',
+                password: '',
+                category: '',
+                tags: '',
+                paused: false,
+                sequentialDownload: false
+            },
+            transmission: {
+                url: '',
+                username: '',
+                password: '',
+                paused: false
+            },
+            sabnzbd: {
+                url: '',
+                apiKey: '',
+                category: '',
+                priority: -100
+            },
+            nzbget: {
+                url: '',
+                username: '',
+                password: '',
+                category: '',
+                priority: 0
+            }
         };
         
+        // Style for each theme role (see lib/theme.js), and the functions that paint text with them
+        this.theme = { ...DEFAULT_THEME };
+        this.colors = createPalette(this.theme);
+        
         // Default UI settings
         this.settings = {
             pageSize: 15,
             defaultSortOrder: 'seeders_desc',
             defaultDownloadDir: '',
+            streamPlayer: '', // e.g. "mpv" or "vlc --fullscreen", empty to only print the stream URL
             showAdultContent: true,
             showExtendedInfo: false,
             confirmDownloads: true,
@@ -47,18 +127,30 @@ class ProwlingClient {
             autoSaveSearchHistory: true,
             maxSearchHistory: 20,
             enableAnimations: true,
-            displayMode: 'auto',
+            displayMode: 'auto', // "table", "list" (one line per result) or "auto" for a table when the terminal is wide enough
+            resultColumns: [...DEFAULT_RESULT_COLUMNS], // Columns of the results table, the title is always shown
+            lastSearchCategories: [], // Empty means all categories
+            lastSearchMode: 'search', // General, TV, movie, music or book search, offered first next time
+            askForIndexers: true, // Offer the indexer/group step before each search
+            groupDuplicates: true, // One row per release when several indexers carry it
+            activeQualityProfile: '', // Name of the quality profile used for scores and "Best match", empty for none
             cacheResults: true,
-            cacheDuration: 30 // minutes
+            cacheDuration: 30, // minutes
+            searchBatchSize: 100, // Results per indexer fetched per request, "load more" fetches the next batch
+            watchInterval: 30, // Minutes between watchlist checks in `node index.js watch`
+            defaultDownloadClientId: null // Prowlarr download client used by "Download with client"
         };
-        
-        // Handle Ctrl+C to navigate back one level instead of exiting immediately
+    }
+
+    // Handle Ctrl+C to navigate back one level instead of exiting immediately
+    // (only used by the interactive menus, the CLI keeps the default behaviour)
+    registerInterruptHandler() {
         process.on('SIGINT', () => {
             if (this.currentMenuLevel === 'main') {
-                console.log(chalk.yellow('\nGoodbye! ;(\n'));
+                console.log(this.colors.warning('\nGoodbye! ;(\n'));
                 process.exit(0);
             } else {
-                console.log(chalk.cyan('\nGoing back to previous menu...\n'));
+                console.log(this.colors.primary('\nGoing back to previous menu...\n'));
                 this.currentMenuLevel = 'main';
                 // The SIGINT will interrupt the current prompt, and the loop will continue
             }
@@ -72,7 +164,7 @@ class ProwlingClient {
                 
                 // Apply saved theme settings if they exist
                 if (config.theme) {
-                    this.theme = { ...this.theme, ...config.theme };
+                    this.applyTheme({ ...this.theme, ...config.theme });
                 }
                 
                 // Apply saved UI settings if they exist
@@ -80,14 +172,56 @@ class ProwlingClient {
                     this.settings = { ...this.settings, ...config.settings };
                 }
                 
+                if (config.indexerGroups) {
+                    this.indexerGroups = config.indexerGroups;
+                }
+                
+                if (config.filterPresets) {
+                    this.filterPresets = config.filterPresets;
+                }
+                
+                if (config.qualityProfiles) {
+                    this.qualityProfiles = config.qualityProfiles;
+                }
+                
+                if (config.watchlist) {
+                    this.watchlist = config.watchlist;
+                }
+                
+                if (config.notifications) {
+                    this.notifications = { ...this.notifications, ...config.notifications };
+                }
+                
+                if (config.shortcuts) {
+                    this.shortcuts = { ...this.shortcuts, ...config.shortcuts };
+                }
+                
+                // Apply saved download client settings per client
+                if (config.downloadClients) {
+                    Object.keys(this.downloadClients).forEach(client => {
+                        this.downloadClients[client] = { ...this.downloadClients[client], ...config.downloadClients[client] };
+                    });
+                }
+                
                 return config;
             }
         } catch (error) {
-            console.log(chalk.yellow('Could not load config file. Using default settings.'));
+            console.log(this.colors.warning('Could not load config file. Using default settings.'));
         }
         return { serverUrl: '', apiKey: '', qbittorrentUrl: '', theme: this.theme, settings: this.settings };
     }
 
+    // Use a theme from here on, every screen paints through this.colors
+    applyTheme(theme) {
+        this.theme = theme;
+        this.colors = createPalette(theme);
+    }
+
+    // An ora spinner in a theme color
+    createSpinner(text, role = 'primary') {
+        return ora({ text, color: false, spinner: spinnerFrames(this.colors[role]) });
+    }
+
     saveConfig(serverUrl, apiKey, qbittorrentUrl, theme = this.theme, settings = this.settings) {
         try {
             fs.writeFileSync(this.configPath, JSON.stringify({ 
@@ -95,15 +229,24 @@ class ProwlingClient {
                 apiKey, 
                 qbittorrentUrl,
                 theme,
-                settings
+                settings,
+                downloadClients: this.downloadClients,
+                indexerGroups: this.indexerGroups,
+                filterPresets: this.filterPresets,
+                qualityProfiles: this.qualityProfiles,
+                watchlist: this.watchlist,
+                notifications: this.notifications,
+                shortcuts: this.shortcuts
             }, null, 4));
-            console.log(chalk.green('✓ Configuration Loaded'));
+            console.log(this.colors.success('✓ Configuration Loaded'));
         } catch (error) {
-            console.log(chalk.red(`Failed to save configuration: ${error.message}`));
+            console.log(this.colors.error(`Failed to save configuration: ${error.message}`));
         }
     }
 
     async initialize() {
+        this.registerInterruptHandler();
+
         // Load existing config
         const savedConfig = this.loadConfig();
         
@@ -122,7 +265,7 @@ class ProwlingClient {
                     name: 'serverUrl',
                     message: 'Enter Prowlarr server URL (e.g. http://localhost:9696):',
                     validate: (input) => input.startsWith('http') || 'URL must start with http:// or https://',
-                    prefix: chalk.cyan('⊡'),
+                    prefix: this.colors.primary('⊡'),
                 }
             ]);
             serverUrl = response.serverUrl;
@@ -135,7 +278,7 @@ class ProwlingClient {
                     name: 'apiKey',
                     message: 'Enter your Prowlarr API key:',
                     validate: (input) => input.length > 0 || 'API key cannot be empty',
-                    prefix: chalk.cyan('⚿'),
+                    prefix: this.colors.primary('⚿'),
                 }
             ]);
             apiKey = response.apiKey;
@@ -144,54 +287,56 @@ class ProwlingClient {
         // Save the config for future use (without asking for qBittorrent URL)
         this.saveConfig(serverUrl, apiKey, savedConfig.qbittorrentUrl || '');
 
-        this.baseUrl = serverUrl;
+        this.setConnection(serverUrl, apiKey);
         this.qbittorrentUrl = savedConfig.qbittorrentUrl || '';
-        // Configure axios with the API key
-        axios.defaults.headers.common['X-Api-Key'] = apiKey;
         
-        const spinner = ora({
-            text: 'Connecting to Prowlarr...',
-            color: 'cyan',
-            spinner: 'dots'
-        }).start();
+        const spinner = this.createSpinner('Connecting to Prowlarr...').start();
 
         try {
             // Test connection
-            await axios.get(`${this.baseUrl}/api/v1/system/status`);
-            spinner.succeed(chalk.green('Connected to Prowlarr'));
+            await this.api.getSystemStatus();
+            spinner.succeed(this.colors.success('Connected to Prowlarr'));
 
             // Fetch indexers
             spinner.start('Fetching indexers...');
-            const { data: indexers } = await axios.get(`${this.baseUrl}/api/v1/indexer`);
-            this.indexers = indexers;
-            spinner.succeed(chalk.green(`Loaded ${indexers.length} indexers`));
+            const indexers = await this.refreshIndexers();
+            spinner.succeed(this.colors.success(`Loaded ${indexers.length} indexers`));
+            
+            const unhealthy = indexers.filter(indexer => {
+                const health = getIndexerHealth(indexer, this.indexerStatuses);
+                return health.disabled || health.failing;
+            });
+            if (unhealthy.length > 0) {
+                console.log(this.colors.warning(`⚠ ${unhealthy.length} disabled or failing: ${unhealthy.map(indexer => indexer.name).join(', ')}`));
+            }
 
             await this.startSearchLoop();
         } catch (error) {
-            spinner.fail(chalk.red(`Failed to connect: ${error.message}`));
+            spinner.fail(this.colors.error(`Failed to connect: ${error.message}`));
             process.exit(1);
         }
     }
 
     async startSearchLoop() {
-        console.log(chalk[this.theme.primary]('\n┌─────────────────────────────────────────┐'));
-        console.log(chalk[this.theme.primary]('│') + chalk.bold.white(' ⚲ Prowling - Prowlarr Search Client     ') + chalk[this.theme.primary]('│'));
-        console.log(chalk[this.theme.primary]('└─────────────────────────────────────────┘\n'));
-        
-        // Navigation stack to keep track of where we are
-        const navigationStack = [];
+        console.log(this.colors.primary('\n┌─────────────────────────────────────────┐'));
+        console.log(this.colors.primary('│') + chalk.bold(this.colors.text(' ⚲ Prowling - Prowlarr Search Client     ')) + this.colors.primary('│'));
+        console.log(this.colors.primary('└─────────────────────────────────────────┘\n'));
         
         while (true) {
             this.currentMenuLevel = 'main';
+            const unfinishedDownloads = this.downloader.getUnfinished();
             
             const { action } = await inquirer.prompt([
                 {
                     type: 'list',
                     name: 'action',
                     message: 'Main Menu:',
-                    prefix: chalk[this.theme.highlight]('⚇'),
+                    prefix: this.colors.highlight('⚇'),
                     choices: [
                         { name: '🔍 Search', value: 'search' },
+                        { name: '🕘 Recent searches', value: 'history' },
+                        { name: '👁 Watchlist', value: 'watchlist' },
+                        ...(unfinishedDownloads.length > 0 ? [{ name: `⇩ Resume downloads (${unfinishedDownloads.length})`, value: 'resume_downloads' }] : []),
                         { name: '⚙️ Settings', value: 'settings' },
                         { name: '✕ Exit', value: 'exit' }
                     ],
@@ -201,499 +346,2465 @@ class ProwlingClient {
             ]);
             
             if (action === 'exit') {
-                console.log(chalk[this.theme.warning]('\nGoodbye! ⚐\n'));
+                console.log(this.colors.warning('\nGoodbye! ⚐\n'));
                 process.exit(0);
             } else if (action === 'settings') {
                 await this.showSettingsMenu();
                 continue;
+            } else if (action === 'resume_downloads') {
+                await this.resumeDownloads();
+                continue;
+            } else if (action === 'history') {
+                await this.showSearchHistory();
+                continue;
+            } else if (action === 'watchlist') {
+                await this.manageWatchlist();
+                continue;
             }
             
             // If we're here, user selected search
-            const { category } = await inquirer.prompt([
+            const search = await this.promptSearch();
+            if (search) {
+                await this.runSearch(search);
+            }
+        }
+    }
+
+    // Ask for the search mode, categories and query, defaults prefill them when editing a past search
+    async promptSearch(defaults = {}) {
+        const { mode } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'mode',
+                message: 'Search type:',
+                prefix: this.colors.highlight('⚇'),
+                choices: [
+                    { name: 'General (free text, IDs like tt0111161 and S02E05 are recognized)', value: 'search', short: 'General' },
+                    { name: 'TV (show, season, episode)', value: 'tvsearch', short: 'TV' },
+                    { name: 'Movie (title or IMDb/TMDb ID)', value: 'movie', short: 'Movie' },
+                    { name: 'Music (artist, album)', value: 'music', short: 'Music' },
+                    { name: 'Book (author, title)', value: 'book', short: 'Book' },
+                    new inquirer.Separator(),
+                    { name: '← Back', value: 'back' }
+                ],
+                default: defaults.mode || this.settings.lastSearchMode
+            }
+        ]);
+
+        if (mode === 'back') {
+            return null;
+        }
+
+        if (mode !== this.settings.lastSearchMode) {
+            this.settings.lastSearchMode = mode;
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        }
+
+        // Only offer categories that at least one enabled indexer supports
+        const tree = buildCategoryTree(this.indexers, { includeAdult: this.settings.showAdultContent });
+        let categories = [];
+        
+        if (tree.length > 0) {
+            const checked = defaults.categories || this.settings.lastSearchCategories;
+            const { selectedCategories } = await inquirer.prompt([
                 {
-                    type: 'list',
-                    name: 'category',
-                    message: 'Select a category to search:',
-                    prefix: chalk[this.theme.highlight]('⚇'),
-                    choices: [
-                        { name: '⚓ Movies', value: 2000 },
-                        { name: '⚔ TV Shows', value: 5000 },
-                        ...(this.settings.showAdultContent ? [{ name: '⚠ Adult Content', value: [6000, 100051, 126537, 100007, 6060, 100015, 6050, 6070, 6080, 6090, 100017, 100018, 100019, 100020] }] : []),
-                        { name: '⊡ All Categories', value: 'all' },
-                        { name: '← Back', value: 'back' }
-                    ],
-                    loop: true,
+                    type: 'checkbox',
+                    name: 'selectedCategories',
+                    message: 'Select categories to search (space to toggle, none for all):',
+                    prefix: this.colors.highlight('⚇'),
+                    choices: tree.flatMap(parent => [
+                        { name: chalk.bold(parent.name), value: parent.id, checked: checked.includes(parent.id) },
+                        ...parent.subCategories.map(sub => ({
+                            name: `  ${sub.name}`,
+                            value: sub.id,
+                            checked: checked.includes(sub.id)
+                        }))
+                    ]),
+                    loop: false,
                     pageSize: this.settings.pageSize
                 }
             ]);
             
-            if (category === 'back') {
-                continue;
+            // A parent category already covers its subcategories
+            categories = selectedCategories.filter(id =>
+                id % 1000 === 0 || !selectedCategories.includes(Math.floor(id / 1000) * 1000)
+            );
+            
+            // Remember the selection for the next search
+            if (String(categories) !== String(this.settings.lastSearchCategories)) {
+                this.settings.lastSearchCategories = categories;
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
             }
+        }
+        
+        const indexerIds = this.settings.askForIndexers ? await this.promptIndexers(defaults.indexerIds || []) : (defaults.indexerIds || []);
+        
+        const terms = await this.promptSearchTerms(mode, defaults.mode === mode ? defaults : {});
+        if (!terms) {
+            return null;
+        }
 
-            if (category === 'exit') {
-                console.log(chalk.yellow('\nGoodbye! ⚐\n'));
+        return {
+            query: terms.query,
+            categories,
+            indexerIds,
+            mode: terms.mode,
+            params: terms.params
+        };
+    }
+
+    // Mode specific prompts, returns { mode, query, params } or null to go back.
+    // General searches switch to TV or movie mode when the query holds an IMDb ID or S02E05.
+    async promptSearchTerms(mode, defaults = {}) {
+        const params = defaults.params || {};
+        const isCommand = (text, command) => text.trim().toLowerCase() === command;
+        const checkExit = (text) => {
+            if (isCommand(text, 'exit')) {
+                console.log(this.colors.warning('\nGoodbye! ⚐\n'));
                 process.exit(0);
             }
-            
+        };
+        const optionalNumber = (input) => input.trim() === '' || /^\d+$/.test(input.trim()) || 'Enter a number or leave empty';
+        const toNumber = (text) => text.trim() === '' ? undefined : parseInt(text);
+        // Keep only the parameters this mode can send
+        const pick = (values) => Object.fromEntries(
+            Object.entries(values).filter(([key, value]) => SEARCH_MODES[mode].params.includes(key) && value !== undefined && value !== '')
+        );
+        // Title plus IDs in one field, e.g. "Severance tvdb:371980"
+        const titleWithIds = [
+            defaults.query,
+            params.imdbId,
+            params.tvdbId !== undefined ? `tvdb:${params.tvdbId}` : null,
+            params.tmdbId !== undefined ? `tmdb:${params.tmdbId}` : null
+        ].filter(Boolean).join(' ');
+
+        if (mode === 'search') {
             const { query } = await inquirer.prompt([{
                 type: 'input',
                 name: 'query',
                 message: `Enter search query (or "back" to return):`,
-                prefix: chalk.yellow('⚲'),
+                prefix: this.colors.secondary('⚲'),
+                default: defaults.query
             }]);
 
-            if (query.toLowerCase() === 'back') {
-                continue;
+            if (isCommand(query, 'back')) {
+                return null;
             }
+            checkExit(query);
 
-            if (query.toLowerCase() === 'exit') {
-                console.log(chalk.yellow('\nGoodbye! ⚐\n'));
-                process.exit(0);
+            // Quotes ask for a literal search
+            const detected = query.includes('"') ? { mode: null } : detectSearchInput(query);
+            if (!detected.mode) {
+                return { mode, query, params: {} };
             }
+            const search = { mode: detected.mode, query: detected.query, params: detected.params };
+            console.log(this.colors.info(`Searching as ${describeSearch(search)} (put the query in quotes to search it literally)`));
+            return search;
+        }
 
-            // Use the main search API endpoint instead of individual indexer searches
-            const spinner = ora({
-                text: 'Searching across indexers...',
-                color: 'yellow',
-                spinner: 'dots'
-            }).start();
-            
-            // Prepare search parameters
-            const searchParams = {
-                query: query,
-                type: 'search'
+        if (mode === 'tvsearch' || mode === 'movie') {
+            const kind = mode === 'tvsearch' ? 'Show' : 'Movie';
+            const example = mode === 'tvsearch' ? 'Severance, tt11280740 or tvdb:371980' : 'The Matrix, tt0133093 or tmdb:603';
+            const answers = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'title',
+                    message: `${kind} title and/or ID, e.g. ${example} (or "back" to return):`,
+                    prefix: this.colors.secondary('⚲'),
+                    default: titleWithIds || undefined,
+                    validate: (input) => input.trim() !== '' || `Enter a ${kind.toLowerCase()} title or ID`
+                },
+                {
+                    type: 'input',
+                    name: 'season',
+                    message: 'Season (optional):',
+                    // "Show S02E05" in the title prefills season and episode
+                    default: (answers) => detectSearchInput(answers.title).params.season ?? params.season,
+                    when: (answers) => mode === 'tvsearch' && !isCommand(answers.title, 'back') && !isCommand(answers.title, 'exit'),
+                    validate: optionalNumber,
+                    filter: (input) => String(input ?? '')
+                },
+                {
+                    type: 'input',
+                    name: 'ep',
+                    message: 'Episode (optional):',
+                    default: (answers) => detectSearchInput(answers.title).params.ep ?? params.ep,
+                    when: (answers) => mode === 'tvsearch' && answers.season !== '',
+                    validate: optionalNumber,
+                    filter: (input) => String(input ?? '')
+                }
+            ]);
+
+            if (isCommand(answers.title, 'back')) {
+                return null;
+            }
+            checkExit(answers.title);
+
+            const detected = detectSearchInput(answers.title);
+            return {
+                mode,
+                query: detected.query,
+                params: pick({
+                    ...detected.params,
+                    season: answers.season === undefined ? undefined : toNumber(answers.season),
+                    ep: answers.ep === undefined ? undefined : toNumber(answers.ep)
+                })
             };
+        }
+
+        // Music and book searches ask for their two fields, at least one of them has to be given
+        const [first, second] = SEARCH_MODES[mode].params;
+        const labels = { artist: 'Artist', album: 'Album', author: 'Author', title: 'Title' };
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: first,
+                message: `${labels[first]} (or "back" to return):`,
+                prefix: this.colors.secondary('⚲'),
+                default: params[first]
+            },
+            {
+                type: 'input',
+                name: second,
+                message: `${labels[second]}${mode === 'music' ? ' (optional)' : ''}:`,
+                prefix: this.colors.secondary('⚲'),
+                default: params[second],
+                when: (answers) => !isCommand(answers[first], 'back') && !isCommand(answers[first], 'exit'),
+                validate: (input, answers) => input.trim() !== '' || answers[first].trim() !== '' || `Enter an ${labels[first].toLowerCase()} or a ${labels[second].toLowerCase()}`
+            }
+        ]);
+
+        if (isCommand(answers[first], 'back')) {
+            return null;
+        }
+        checkExit(answers[first]);
+
+        return {
+            mode,
+            query: '',
+            params: pick({ [first]: answers[first].trim(), [second]: answers[second].trim() })
+        };
+    }
+
+    // Run a search and let the user browse the results, options.forceRefresh skips the result cache
+    async runSearch(search, options = {}) {
+        const mode = search.mode || 'search';
+        
+        // Prepare search parameters, TV/movie/music/book parameters travel as {Key:value} tokens in the query.
+        // Without a pick all enabled indexers are searched, minus those that can't do this kind of search.
+        const { searchParams, skipped } = prepareSearch(search, this.indexers);
+        searchParams.limit = this.settings.searchBatchSize;
+        if (skipped.length > 0) {
+            console.log(this.colors.warning(
+                `Skipping ${skipped.length} indexer${skipped.length === 1 ? '' : 's'} without ${SEARCH_MODES[mode].label.toLowerCase()} search support: ${skipped.map(indexer => indexer.name).join(', ')}`
+            ));
+            if (searchParams.indexerIds.length === 0) {
+                console.log(this.colors.error(`\nNone of the selected indexers support this ${SEARCH_MODES[mode].label.toLowerCase()} search\n`));
+                return;
+            }
+        }
+        
+        // Use the main search API endpoint instead of individual indexer searches
+        const spinner = this.createSpinner(`Searching across indexers${mode === 'search' ? '' : ` (${describeSearch(search)})`}...`, 'secondary').start();
+        
+        try {
+            // Serve recent identical searches from the cache unless a refresh was asked for
+            const cached = this.settings.cacheResults && !options.forceRefresh
+                ? this.resultCache.get(searchParams, this.settings.cacheDuration)
+                : null;
             
-            // Add categories if not searching all
-            if (category !== 'all') {
-                // Handle both single category and array of categories
-                searchParams.categories = Array.isArray(category) ? category : [category];
+            let results;
+            let cachedAt = null;
+            // Where the next "load more" batch starts and whether there is likely anything left to fetch
+            let nextOffset = searchParams.limit;
+            let hasMore = false;
+            if (cached) {
+                results = cached.results;
+                cachedAt = cached.storedAt;
+                nextOffset = cached.nextOffset ?? searchParams.limit;
+                hasMore = cached.hasMore ?? false;
+                spinner.succeed(this.colors.success(`Loaded ${results.length} cached results (${formatAge(cachedAt)} old)`));
+            } else {
+                // Use the main search endpoint
+                results = await this.api.search(searchParams);
+                hasMore = mightHaveMore(results, searchParams.limit);
+                if (this.settings.cacheResults) {
+                    this.resultCache.set(searchParams, results, { nextOffset, hasMore });
+                }
+                spinner.succeed(this.colors.success(`Search completed - Found ${results.length} results`));
+                this.notify('search_complete', 'Search complete', `${describeSearch(search)}: ${results.length} results`, { search, resultCount: results.length });
             }
             
-            // Get all indexer IDs
-            const indexerIds = this.indexers.map(indexer => indexer.id);
-            if (indexerIds.length > 0) {
-                searchParams.indexerIds = indexerIds;
+            if (this.settings.autoSaveSearchHistory) {
+                this.history.record(search, results.length, this.settings.maxSearchHistory);
             }
             
-            try {
-                // Use the main search endpoint
-                const { data: results } = await axios.get(`${this.baseUrl}/api/v1/search`, {
-                    params: searchParams,
-                    paramsSerializer: params => {
-                        // Handle arrays in params properly
-                        const parts = [];
-                        Object.keys(params).forEach(key => {
-                            const value = params[key];
-                            if (Array.isArray(value)) {
-                                value.forEach(v => parts.push(`${key}=${v}`));
-                            } else {
-                                parts.push(`${key}=${encodeURIComponent(value)}`);
-                            }
-                        });
-                        return parts.join('&');
-                    }
-                });
+            if (results.length === 0) {
+                console.log(this.colors.warning('\nNo results found 😕\n'));
+                return;
+            }
+            
+            // The list shown is results narrowed by the stacked filters and ordered by the chosen sort
+            let sortBy = this.settings.defaultSortOrder;
+            if (sortBy === 'best_match' && !this.getScorer()) {
+                console.log(this.colors.warning('No active quality profile, sorting by seeders'));
+            }
+            let filters = [];
+            const applyView = () => {
+                const view = filters.length ? applyFilters(results, filters) : results;
+                return sortBy ? this.sortResults(view, sortBy) : view;
+            };
+            
+            // Stack another filter on the current view, unless nothing would be left
+            const addFilter = async (filter) => {
+                const filteredResults = applyFilters(currentResults, [filter]);
+                if (filteredResults.length === 0) {
+                    console.log(this.colors.warning('\nNo matches found in current results 😕\n'));
+                    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to go back...' }]);
+                    return;
+                }
+                filters = [...filters, filter];
+                currentResults = applyView();
+                page = 0;
+                console.log(this.colors.success(`\nFound ${currentResults.length} matching results\n`));
+            };
+
+            // One row per release, or per result when grouping is off
+            const getRows = () => this.settings.groupDuplicates
+                ? groupResults(currentResults, result => this.getIndexerPriority(result.indexer))
+                : currentResults.map(result => ({ key: `${result.indexerId}:${result.guid}`, results: [result], best: result }));
+
+            let currentResults = applyView();
+            let page = 0;
+            let lastKey = null;
+            // Menu entry a shortcut key in Item Details asked for, run on the way back to the results
+            let pendingAction = null;
+            const shortcutActions = { quickSearch: 'quick_search', refresh: 'force_refresh', history: 'show_history', filter: 'search_results' };
+
+            while (true) {
+                const perPage = this.settings.resultsPerPage;
+                const rows = getRows();
+                const paged = paginate(rows, page, perPage);
+                page = paged.page;
                 
-                spinner.succeed(chalk.green(`Search completed - Found ${results.length} results`));
+                const isFiltered = filters.length > 0;
+                const cacheLabel = cachedAt ? this.colors.muted(` (cached, ${formatAge(cachedAt)} old)`) : '';
+                const filterLabel = isFiltered ? this.colors.highlight(` [${filters.map(filter => filter.expression).join(' · ')}]`) : '';
+                const countLabel = rows.length !== currentResults.length
+                    ? `${rows.length} releases (${currentResults.length}${hasMore ? '+' : ''} results)`
+                    : `${currentResults.length}${hasMore ? '+' : ''} results`;
+                const pageLabel = this.colors.muted(` page ${page + 1}/${paged.pageCount} · ${countLabel}`);
+                const choices = [
+                    ...this.resultChoices(paged.items),
+                    new inquirer.Separator(),
+                    page < paged.pageCount - 1 ? { name: '→ Next page', value: 'next_page' } : null,
+                    page > 0 ? { name: '← Previous page', value: 'previous_page' } : null,
+                    paged.pageCount > 2 ? { name: '⇢ Jump to page...', value: 'jump_page' } : null,
+                    hasMore ? { name: '⇩ Load more results from indexers', value: 'load_more' } : null,
+                    { name: '🔍 Search within results', value: 'search_results' },
+                    Object.keys(this.filterPresets).length ? { name: '☆ Apply filter preset', value: 'apply_preset' } : null,
+                    isFiltered ? { name: '★ Save filters as preset', value: 'save_preset' } : null,
+                    { name: '⚡ Sort results', value: 'sort_results' },
+                    { name: '⇪ Export results', value: 'export_results' },
+                    { name: '☑ Select multiple', value: 'bulk_select' },
+                    filters.length > 1 ? { name: '↶ Remove last filter', value: 'remove_filter' } : null,
+                    isFiltered ? { name: '↺ Show all results', value: 'show_all' } : null,
+                    cachedAt ? { name: '↻ Force refresh', value: 'force_refresh' } : null,
+                    { name: '👁 Watch for new releases', value: 'watch_search' },
+                    { name: '← Back to search', value: null }
+                ].filter(Boolean);
                 
-                if (results.length === 0) {
-                    console.log(chalk.yellow('\nNo results found 😕\n'));
-                    continue;
+                let selected = pendingAction;
+                pendingAction = null;
+                if (!selected) {
+                    ({ selected } = await this.promptWithShortcuts({
+                        type: 'list',
+                        name: 'selected',
+                        message: (isFiltered ? 'Select an item from filtered results:' : 'Select an item to view details:') + pageLabel + filterLabel + cacheLabel,
+                        prefix: this.colors.primary('⚟'),
+                        choices,
+                        default: paged.items.find(row => row.key === lastKey),
+                        // Show the whole page at once when the terminal is tall enough, comfortable rows take two lines
+                        pageSize: Math.max(5, Math.min(choices.reduce((lines, choice) => lines + String(choice.name ?? '').split('\n').length, 0), (process.stdout.rows || 24) - 4)),
+                        loop: true,
+                        highlight: true
+                    }, { redrawOnResize: true }));
                 }
                 
-                // Format file sizes nicely
-                const formatSize = (bytes) => {
-                    if (!bytes) return 'Unknown';
-                    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-                    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-                    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-                };
-                
-                // Helper to determine protocol icon
-                const getProtocolIcon = (result) => {
-                    if (result.protocol === this.protocols.usenet) {
-                        return chalk.blue('⚡NZB');
-                    } else {
-                        return result.seeders && result.seeders > 0 ? 
-                            chalk.green(`⚡${result.seeders}`) : 
-                            chalk.yellow('Unkn');
+                // Shortcut keys stand in for their menu entries, grab acts on the highlighted release
+                if (selected?.shortcut) {
+                    const { shortcut, highlighted } = selected;
+                    // The columns were laid out for the old width, draw them again keeping the cursor where it was
+                    if (shortcut === 'resize') {
+                        lastKey = highlighted && typeof highlighted === 'object' ? highlighted.key : lastKey;
+                        continue;
+                    }
+                    if (shortcut === 'help') {
+                        this.showShortcutHelp();
+                        continue;
+                    }
+                    if (shortcut === 'grab') {
+                        if (highlighted && typeof highlighted === 'object') {
+                            lastKey = highlighted.key;
+                            await this.downloadToClient(highlighted.best);
+                        } else {
+                            console.log(this.colors.warning('\nMove to a release to grab it\n'));
+                        }
+                        continue;
                     }
-                };
+                    selected = shortcutActions[shortcut];
+                }
                 
-                const choices = results.map(result => ({
-                    name: `${chalk.green(result.title)} ${chalk.dim('|')} ${chalk.blue(result.indexer)} ${chalk.dim('|')} ${chalk.yellow(formatSize(result.size))} ${chalk.dim('|')} ${getProtocolIcon(result)}`,
-                    value: result,
-                    short: result.title
-                }));
-
-                let currentResults = results;
-                let filteredResults = null;
-                let isFiltered = false;
-
-                while (true) {
-                    const { selected } = await inquirer.prompt([
+                // A release carried by several indexers expands to its sources, best one first
+                if (selected && typeof selected === 'object') {
+                    lastKey = selected.key;
+                    selected = selected.results.length > 1 ? await this.pickReleaseSource(selected) : selected.best;
+                    if (!selected) {
+                        continue;
+                    }
+                }
+
+                if (selected === 'next_page') {
+                    page++;
+                    continue;
+                } else if (selected === 'previous_page') {
+                    page--;
+                    continue;
+                } else if (selected === 'jump_page') {
+                    const { targetPage } = await inquirer.prompt([
+                        {
+                            type: 'number',
+                            name: 'targetPage',
+                            message: `Go to page (1-${paged.pageCount}):`,
+                            prefix: this.colors.primary('⇢'),
+                            default: page + 1,
+                            validate: (input) => (input >= 1 && input <= paged.pageCount) || `Enter a page between 1 and ${paged.pageCount}`
+                        }
+                    ]);
+                    page = targetPage - 1;
+                    continue;
+                } else if (selected === 'load_more') {
+                    const moreSpinner = this.createSpinner('Fetching more results...', 'secondary').start();
+                    try {
+                        const batch = await this.api.search({ ...searchParams, offset: nextOffset });
+                        const merged = mergeResults(results, batch);
+                        const wasOnLastPage = page === paged.pageCount - 1;
+                        
+                        results = merged.results;
+                        nextOffset += searchParams.limit;
+                        hasMore = merged.added > 0 && mightHaveMore(batch, searchParams.limit);
+                        if (this.settings.cacheResults) {
+                            this.resultCache.set(searchParams, results, { nextOffset, hasMore });
+                        }
+                        currentResults = applyView();
+                        // Move on to the new results when they start on the next page
+                        if (wasOnLastPage && merged.added > 0 && paged.items.length === perPage) {
+                            page++;
+                        }
+                        moreSpinner.succeed(this.colors.success(`Loaded ${merged.added} more results`));
+                    } catch (error) {
+                        moreSpinner.fail(this.colors.error(`Could not load more results: ${error.message}`));
+                    }
+                    continue;
+                } else if (selected === 'force_refresh') {
+                    return this.runSearch(search, { forceRefresh: true });
+                } else if (selected === 'quick_search') {
+                    // A new query with the same categories and indexers
+                    const terms = await this.promptSearchTerms('search');
+                    if (terms) {
+                        return this.runSearch({ ...search, ...terms });
+                    }
+                    continue;
+                } else if (selected === 'show_history') {
+                    await this.showSearchHistory();
+                    continue;
+                } else if (selected === 'sort_results') {
+                    const { sortBy: chosenSort } = await inquirer.prompt([
                         {
                             type: 'list',
-                            name: 'selected',
-                            message: isFiltered ? 'Select an item from filtered results:' : 'Select an item to view details:',
-                            prefix: chalk.cyan('⚟'),
+                            name: 'sortBy',
+                            message: 'Sort results by:',
+                            prefix: this.colors.secondary('⚡'),
                             choices: [
-                                ...currentResults.map(result => ({
-                                    name: `${chalk.green(result.title)} ${chalk.dim('|')} ${chalk.blue(`${result.indexer} (${this.indexers.find(i => i.name === result.indexer)?.priority || 0})`)} ${chalk.dim('|')} ${chalk.yellow(formatSize(result.size))} ${chalk.dim('|')} ${getProtocolIcon(result)}`,
-                                    value: result,
-                                    short: result.title
-                                })),
-                                new inquirer.Separator(),
-                                { name: '🔍 Search within results', value: 'search_results' },
-                                { name: '⚡ Sort results', value: 'sort_results' },
-                                isFiltered ? { name: '↺ Show all results', value: 'show_all' } : null,
-                                { name: '← Back to search', value: null }
-                            ].filter(Boolean),
-                            pageSize: 15,
-                            loop: true,
-                            highlight: true
+                                { name: 'Title (A-Z)', value: 'title_asc' },
+                                { name: 'Title (Z-A)', value: 'title_desc' },
+                                { name: 'Seeders (High to Low)', value: 'seeders_desc' },
+                                { name: 'Seeders (Low to High)', value: 'seeders_asc' },
+                                { name: 'Size (Large to Small)', value: 'size_desc' },
+                                { name: 'Size (Small to Large)', value: 'size_asc' },
+                                { name: 'Date (Newest First)', value: 'date_desc' },
+                                { name: 'Date (Oldest First)', value: 'date_asc' },
+                                { name: 'Protocol (Usenet/Torrent)', value: 'protocol' },
+                                { name: 'Indexer Priority (High to Low)', value: 'indexer_priority_desc' },
+                                { name: 'Indexer Priority (Low to High)', value: 'indexer_priority_asc' },
+                                { name: 'Quality (Best First)', value: 'quality_desc' },
+                                { name: 'Quality (Worst First)', value: 'quality_asc' },
+                                { name: 'Best Match (Quality Profile)', value: 'best_match', disabled: this.getScorer() ? false : 'no active quality profile' }
+                            ]
                         }
                     ]);
 
-                    if (selected === 'sort_results') {
-                        const { sortBy } = await inquirer.prompt([
-                            {
-                                type: 'list',
-                                name: 'sortBy',
-                                message: 'Sort results by:',
-                                prefix: chalk.yellow('⚡'),
-                                choices: [
-                                    { name: 'Title (A-Z)', value: 'title_asc' },
-                                    { name: 'Title (Z-A)', value: 'title_desc' },
-                                    { name: 'Seeders (High to Low)', value: 'seeders_desc' },
-                                    { name: 'Seeders (Low to High)', value: 'seeders_asc' },
-                                    { name: 'Size (Large to Small)', value: 'size_desc' },
-                                    { name: 'Size (Small to Large)', value: 'size_asc' },
-                                    { name: 'Date (Newest First)', value: 'date_desc' },
-                                    { name: 'Date (Oldest First)', value: 'date_asc' },
-                                    { name: 'Protocol (Usenet/Torrent)', value: 'protocol' },
-                                    { name: 'Indexer Priority (High to Low)', value: 'indexer_priority_desc' },
-                                    { name: 'Indexer Priority (Low to High)', value: 'indexer_priority_asc' }
-                                ]
-                            }
-                        ]);
-
-                        currentResults = [...currentResults].sort((a, b) => {
-                            switch (sortBy) {
-                                case 'title_asc':
-                                    return a.title.localeCompare(b.title);
-                                case 'title_desc':
-                                    return b.title.localeCompare(a.title);
-                                case 'seeders_desc':
-                                    return (b.seeders || 0) - (a.seeders || 0);
-                                case 'seeders_asc':
-                                    return (a.seeders || 0) - (b.seeders || 0);
-                                case 'size_desc':
-                                    return (b.size || 0) - (a.size || 0);
-                                case 'size_asc':
-                                    return (a.size || 0) - (b.size || 0);
-                                case 'date_desc':
-                                    return new Date(b.publishDate || 0) - new Date(a.publishDate || 0);
-                                case 'date_asc':
-                                    return new Date(a.publishDate || 0) - new Date(b.publishDate || 0);
-                                case 'protocol':
-                                    // Sort by protocol (usenet first, then torrent)
-                                    if (a.protocol === this.protocols.usenet && b.protocol !== this.protocols.usenet) return -1;
-                                    if (a.protocol !== this.protocols.usenet && b.protocol === this.protocols.usenet) return 1;
-                                    return 0;
-                                case 'indexer_priority_desc':
-                                    // Get indexer priority from this.indexers
-                                    const priorityA1 = this.indexers.find(i => i.name === a.indexer)?.priority || 0;
-                                    const priorityB1 = this.indexers.find(i => i.name === b.indexer)?.priority || 0;
-                                    return priorityB1 - priorityA1; // Higher priority first
-                                case 'indexer_priority_asc':
-                                    // Get indexer priority from this.indexers
-                                    const priorityA2 = this.indexers.find(i => i.name === a.indexer)?.priority || 0;
-                                    const priorityB2 = this.indexers.find(i => i.name === b.indexer)?.priority || 0;
-                                    return priorityA2 - priorityB2; // Lower priority first
-                                default:
-                                    return 0;
-                            }
-                        });
-                        continue;
-                    } else if (selected === 'search_results') {
-                        const { searchQuery } = await inquirer.prompt([
-                            {
-                                type: 'input',
-                                name: 'searchQuery',
-                                message: 'Enter search term:',
-                                prefix: chalk.yellow('🔍')
-                            }
-                        ]);
-
-                        if (searchQuery.trim()) {
-                            const searchTerm = searchQuery.toLowerCase();
-                            filteredResults = results.filter(result =>
-                                result.title.toLowerCase().includes(searchTerm)
-                            );
-
-                            if (filteredResults.length === 0) {
-                                console.log(chalk.yellow('\nNo matches found in current results 😕\n'));
-                                await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to go back...' }]);
-                                continue;
+                    sortBy = chosenSort;
+                    currentResults = applyView();
+                    page = 0;
+                    continue;
+                } else if (selected === 'search_results') {
+                    console.log(this.colors.muted(`  Words match titles, or filter by fields: ${FILTER_HELP}`));
+                    const { searchQuery } = await inquirer.prompt([
+                        {
+                            type: 'input',
+                            name: 'searchQuery',
+                            message: 'Enter search term or filter:',
+                            prefix: this.colors.secondary('🔍'),
+                            validate: (input) => {
+                                if (!input.trim()) return true;
+                                try {
+                                    parseFilter(input);
+                                    return true;
+                                } catch (error) {
+                                    return error.message;
+                                }
                             }
+                        }
+                    ]);
 
-                            currentResults = filteredResults;
-                            isFiltered = true;
-                            console.log(chalk.green(`\nFound ${filteredResults.length} matching results\n`));
-                            continue;
+                    if (searchQuery.trim()) {
+                        await addFilter(parseFilter(searchQuery));
+                    }
+                    continue;
+                } else if (selected === 'apply_preset') {
+                    // Presets edited by hand in config.json may not parse, they're listed but can't be picked
+                    const presetProblem = (name) => {
+                        try {
+                            parseFilter(this.filterPresets[name]);
+                            return null;
+                        } catch (error) {
+                            return error instanceof FilterSyntaxError ? `invalid: ${error.message}` : error.message;
                         }
-                    } else if (selected === 'show_all') {
-                        currentResults = results;
-                        filteredResults = null;
-                        isFiltered = false;
-                        continue;
-                    } else if (!selected) {
-                        break;
-                    } else {
-                        // Store current results for back navigation
-                        navigationStack.push({ type: 'results', data: results });
-                    
-                        let viewingDetails = true;
-                        while (viewingDetails) {
-                            this.currentMenuLevel = 'details'; // Set menu level to details
-                            console.log('\n' + chalk.cyan('┌─────────────────────────────────────────┐'));
-                            console.log(chalk.cyan('│') + chalk.bold.white(' ⚏ Item Details          ') + chalk.cyan('│'));
-                            console.log(chalk.cyan('└─────────────────────────────────────────┘'));
-                            console.log(chalk.bold('Title: ') + chalk.white(selected.title));
-                            console.log(chalk.bold('Size: ') + chalk.yellow(formatSize(selected.size)));
-                            console.log(chalk.bold('Indexer: ') + chalk.blue(selected.indexer));
-                            console.log(chalk.bold('Protocol: ') + chalk.magenta(selected.protocol || 'Unknown'));
-                            console.log(chalk.bold('Category: ') + chalk.magenta(selected.categories?.join(', ') || 'Unknown'));
-                            if (selected.protocol === this.protocols.torrent) {
-                                console.log(chalk.bold('Seeders: ') + chalk.green(selected.seeders || 'Unknown'));
-                                console.log(chalk.bold('Leechers: ') + chalk.red(selected.leechers || 'Unknown'));
+                    };
+                    const { presetName } = await inquirer.prompt([
+                        {
+                            type: 'list',
+                            name: 'presetName',
+                            message: 'Apply filter preset:',
+                            prefix: this.colors.secondary('☆'),
+                            choices: [
+                                ...Object.keys(this.filterPresets).sort().map(name => ({
+                                    name: `${name} ${this.colors.muted(this.filterPresets[name])}`,
+                                    value: name,
+                                    short: name,
+                                    disabled: presetProblem(name) || false
+                                })),
+                                { name: '← Back', value: null }
+                            ]
+                        }
+                    ]);
+                    if (presetName) {
+                        try {
+                            await addFilter(parseFilter(this.filterPresets[presetName]));
+                        } catch (error) {
+                            if (!(error instanceof FilterSyntaxError)) {
+                                throw error;
                             }
-                            console.log(chalk.bold('Published: ') + chalk.white(new Date(selected.publishDate).toLocaleString() || 'Unknown'));
+                            console.log(this.colors.error(`\nFilter preset "${presetName}" is invalid: ${error.message}\n`));
+                        }
+                    }
+                    continue;
+                } else if (selected === 'save_preset') {
+                    const { presetName } = await inquirer.prompt([
+                        {
+                            type: 'input',
+                            name: 'presetName',
+                            message: 'Preset name:',
+                            prefix: this.colors.secondary('★'),
+                            validate: (input) => input.trim() ? true : 'Enter a name'
+                        }
+                    ]);
+                    this.filterPresets[presetName.trim()] = filters.map(filter => filter.expression).join(' ');
+                    this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                    console.log(this.colors.success(`✓ Saved filter preset "${presetName.trim()}"`));
+                    continue;
+                } else if (selected === 'export_results') {
+                    await this.exportResultList(currentResults, search);
+                    continue;
+                } else if (selected === 'bulk_select') {
+                    await this.runBulkMode(rows, isFiltered);
+                    continue;
+                } else if (selected === 'watch_search') {
+                    await this.addWatch(search, filters.map(filter => filter.expression).join(' '));
+                    continue;
+                } else if (selected === 'remove_filter') {
+                    filters = filters.slice(0, -1);
+                    currentResults = applyView();
+                    page = 0;
+                    continue;
+                } else if (selected === 'show_all') {
+                    filters = [];
+                    currentResults = applyView();
+                    page = 0;
+                    continue;
+                } else if (!selected) {
+                    break;
+                } else {
+                    let viewingDetails = true;
+                    while (viewingDetails) {
+                        this.currentMenuLevel = 'details'; // Set menu level to details
+                        console.log('\n' + this.colors.primary('┌─────────────────────────────────────────┐'));
+                        console.log(this.colors.primary('│') + chalk.bold(this.colors.text(' ⚏ Item Details          ')) + this.colors.primary('│'));
+                        console.log(this.colors.primary('└─────────────────────────────────────────┘'));
+                        console.log(chalk.bold('Title: ') + this.colors.text(selected.title));
+                        const release = getRelease(selected);
+                        const tags = formatReleaseTags(release);
+                        if (tags.length > 0) {
+                            console.log(chalk.bold('Quality: ') + this.colors.highlight(tags.join(' · ')));
+                        }
+                        if (formatEpisode(release)) {
+                            console.log(chalk.bold('Episode: ') + this.colors.text(formatEpisode(release)));
+                        }
+                        if (release.group) {
+                            console.log(chalk.bold('Group: ') + this.colors.text(release.group));
+                        }
+                        console.log(chalk.bold('Size: ') + this.colors.secondary(formatSize(selected.size)));
+                        console.log(chalk.bold('Indexer: ') + this.colors.info(selected.indexer));
+                        console.log(chalk.bold('Protocol: ') + this.colors.highlight(selected.protocol || 'Unknown'));
+                        console.log(chalk.bold('Category: ') + this.colors.highlight(selected.categories?.join(', ') || 'Unknown'));
+                        if (selected.protocol === this.protocols.torrent) {
+                            console.log(chalk.bold('Seeders: ') + this.colors.success(selected.seeders || 'Unknown'));
+                            console.log(chalk.bold('Leechers: ') + this.colors.error(selected.leechers || 'Unknown'));
+                        }
+                        console.log(chalk.bold('Published: ') + this.colors.text(new Date(selected.publishDate).toLocaleString() || 'Unknown'));
+                        this.printScoreBreakdown(selected);
+                    
+                        // Build choices array dynamically based on available URLs
+                        const actionChoices = [];
                         
-                            // Build choices array dynamically based on available URLs
-                            const actionChoices = [];
-                            
-                            if (selected.downloadUrl) {
-                                if (selected.protocol === this.protocols.usenet) {
-                                    actionChoices.push({ name: '⚡ Copy NZB URL', value: 'download_url' });
-                                } else {
-                                    actionChoices.push({ name: '⚟ Copy torrent URL', value: 'download_url' });
-                                }
+                        if (selected.guid && selected.indexerId) {
+                            actionChoices.push({ name: '⇩ Download with client (via Prowlarr)', value: 'download_client' });
+                        }
+                        
+                        if (selected.downloadUrl) {
+                            if (selected.protocol === this.protocols.usenet) {
+                                actionChoices.push({ name: '⚡ Copy NZB URL', value: 'download_url' });
+                            } else {
+                                actionChoices.push({ name: '⚟ Copy torrent URL', value: 'download_url' });
                             }
-                            
-                            if (selected.magnetUrl) {
-                                actionChoices.push({ name: '⚲ Copy magnet URL', value: 'magnet_url' });
-                                if (this.qbittorrentUrl) {
-                                    actionChoices.push({ name: '⚓ Open in qBittorrent', value: 'open_qbittorrent' });
-                                }
-                            } else if (selected.downloadUrl && selected.protocol === this.protocols.torrent && this.qbittorrentUrl) {
+                        }
+                        
+                        if (selected.magnetUrl) {
+                            actionChoices.push({ name: '⚲ Copy magnet URL', value: 'magnet_url' });
+                            if (this.qbittorrentUrl) {
                                 actionChoices.push({ name: '⚓ Open in qBittorrent', value: 'open_qbittorrent' });
                             }
-                            
-                            actionChoices.push(
-                                { name: '⚲ View more details', value: 'more_info' },
-                                { name: '← Back to results', value: 'back' },
-                                { name: '⌂ Back to main menu', value: 'main_menu' }
-                            );
-                            
-                            const { action } = await inquirer.prompt([
-                                {
-                                    type: 'list',
-                                    name: 'action',
-                                    message: 'What would you like to do?',
-                                    prefix: chalk.green('⚡'),
-                                    choices: actionChoices,
-                                    loop: true
+                        } else if (selected.downloadUrl && selected.protocol === this.protocols.torrent && this.qbittorrentUrl) {
+                            actionChoices.push({ name: '⚓ Open in qBittorrent', value: 'open_qbittorrent' });
+                        }
+                        
+                        if (selected.protocol === this.protocols.torrent && (selected.magnetUrl || selected.downloadUrl)) {
+                            actionChoices.push({ name: '⇩ Download here', value: 'download_here' });
+                            actionChoices.push({ name: '▶ Stream', value: 'stream' });
+                        }
+                        
+                        if (this.downloadClients.transmission.url && selected.protocol === this.protocols.torrent && (selected.magnetUrl || selected.downloadUrl)) {
+                            actionChoices.push({ name: '⚓ Send to Transmission', value: 'send_transmission' });
+                        }
+                        
+                        const usenetClients = this.getConfiguredUsenetClients();
+                        if (selected.protocol === this.protocols.usenet && selected.downloadUrl && usenetClients.length > 0) {
+                            const target = usenetClients.length === 1 ? usenetClients[0].name : 'usenet client';
+                            actionChoices.push({ name: `⚡ Send NZB to ${target}`, value: 'send_usenet' });
+                        }
+                        
+                        actionChoices.push(
+                            { name: '⚲ View more details', value: 'more_info' },
+                            { name: '← Back to results', value: 'back' },
+                            { name: '⌂ Back to main menu', value: 'main_menu' }
+                        );
+                        
+                        const { action } = await this.promptWithShortcuts({
+                            type: 'list',
+                            name: 'action',
+                            message: 'What would you like to do?',
+                            prefix: this.colors.success('⚡'),
+                            choices: actionChoices,
+                            loop: true
+                        });
+
+                        if (action?.shortcut) {
+                            if (action.shortcut === 'help') {
+                                this.showShortcutHelp();
+                            } else if (action.shortcut === 'grab') {
+                                if (actionChoices.some(choice => choice.value === 'download_client')) {
+                                    await this.downloadToClient(selected);
+                                } else {
+                                    console.log(this.colors.warning('\nProwlarr cannot grab this release\n'));
                                 }
-                            ]);
-
-                            if (action === 'download_client') {
-                                await this.downloadToClient(selected);
-                            } else if (action === 'download_url') {
-                                const urlType = selected.protocol === this.protocols.usenet ? 'NZB URL' : 'Torrent URL';
-                                console.log(chalk.cyan(`\n${urlType}:`));
-                                console.log(chalk.white(selected.downloadUrl));
-                                console.log(chalk.gray('\nPress Enter to go back...'));
-                                await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
-                            } else if (action === 'magnet_url') {
-                                console.log(chalk.cyan('\nMagnet URL:'));
-                                console.log(chalk.white(selected.magnetUrl || 'Not available'));
-                                console.log(chalk.gray('\nPress Enter to go back...'));
-                                await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
-                            } else if (action === 'open_qbittorrent') {
-                                await this.openInQBittorrent(selected);
-                            } else if (action === 'more_info') {
-                                await this.showExtendedDetails(selected);
-                            } else if (action === 'back') {
-                                viewingDetails = false;
-                            } else if (action === 'main_menu') {
-                                // Clear navigation stack to return to main menu
-                                navigationStack.length = 0;
+                            } else {
+                                // Everything else works on the result list, so go back to it first
+                                pendingAction = shortcutActions[action.shortcut];
                                 viewingDetails = false;
-                                break; // Break out of the results viewing loop too
                             }
-                        } // Closing brace for while (viewingDetails) loop
-                    }
-                }
-                
-                // User selected 'Back to search'
-                if (navigationStack.length > 0) {
-                    // If we have navigation history
-                    const previousState = navigationStack.pop();
-                    if (previousState.type === 'results') {
-                        // Restore previous results and redisplay them
-                        currentResults = previousState.data;
-                        filteredResults = null;
-                        isFiltered = false;
-                        continue;
-                    }
-                }
-                // If no history or not results, continue to main search
-                continue;
-            } catch (error) {
-                spinner.fail(chalk.red(`Search failed: ${error.message}`));
-                if (error.response?.status === 400) {
-                    console.log(chalk.red('Invalid search parameters. Please try again with different criteria.'));
+                        } else if (action === 'download_client') {
+                            await this.downloadToClient(selected);
+                        } else if (action === 'download_url') {
+                            const urlType = selected.protocol === this.protocols.usenet ? 'NZB URL' : 'Torrent URL';
+                            console.log(this.colors.primary(`\n${urlType}:`));
+                            console.log(this.colors.text(selected.downloadUrl));
+                            console.log(this.colors.muted('\nPress Enter to go back...'));
+                            await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+                        } else if (action === 'magnet_url') {
+                            console.log(this.colors.primary('\nMagnet URL:'));
+                            console.log(this.colors.text(selected.magnetUrl || 'Not available'));
+                            console.log(this.colors.muted('\nPress Enter to go back...'));
+                            await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+                        } else if (action === 'open_qbittorrent') {
+                            await this.openInQBittorrent(selected);
+                        } else if (action === 'send_transmission') {
+                            await this.sendToTransmission(selected);
+                        } else if (action === 'download_here') {
+                            await this.downloadHere(selected);
+                        } else if (action === 'stream') {
+                            await this.streamResult(selected);
+                        } else if (action === 'send_usenet') {
+                            await this.sendToUsenetClient(selected);
+                        } else if (action === 'more_info') {
+                            await this.showExtendedDetails(selected);
+                        } else if (action === 'back') {
+                            viewingDetails = false;
+                        } else if (action === 'main_menu') {
+                            // Leave the results viewing loop too
+                            return;
+                        }
+                    } // Closing brace for while (viewingDetails) loop
                 }
-                console.log(chalk.gray('\nPress Enter to go back...'));
-                await inquirer.prompt([{ type: 'input', name: '', message: '' }]);
             }
+
+        } catch (error) {
+            spinner.fail(this.colors.error(`Search failed: ${error.message}`));
+            this.notify('error', 'Search failed', `${describeSearch(search)}: ${error.message}`);
+            if (error.status === 400) {
+                console.log(this.colors.error('Invalid search parameters. Please try again with different criteria.'));
+            }
+            console.log(this.colors.muted('\nPress Enter to go back...'));
+            await inquirer.prompt([{ type: 'input', name: '', message: '' }]);
         }
     }
-    // Helper method to show extended details for an item
-    async showExtendedDetails(item) {
-        const spinner = ora({
-            text: 'Fetching extended information...',
-            color: 'cyan',
-            spinner: 'dots'
-        }).start();
+
+    // Browse past searches: re-run, edit, pin or remove them, or clear the history
+    async showSearchHistory() {
+        this.currentMenuLevel = 'history';
         
-        try {
-            // In a real implementation, you might fetch additional details from the API
-            // For now, we'll just display what we have in a more detailed format
-            spinner.succeed(chalk.green('Extended information loaded'));
+        const categoryTree = buildCategoryTree(this.indexers);
+        
+        while (true) {
+            const entries = this.history.list();
+            if (entries.length === 0) {
+                console.log(this.colors.warning('\nNo recent searches yet\n'));
+                return;
+            }
             
-            console.log('\n' + chalk.cyan('┌─────────────────────────────────────────┐'));
-            console.log(chalk.cyan('│') + chalk.bold.white(' ⚲ Extended Details ') + chalk.cyan('│'));
-            console.log(chalk.cyan('└─────────────────────────────────────────┘'));
+            const describe = (entry) => [
+                `${entry.pinned ? this.colors.warning('★ ') : ''}${this.colors.success(describeSearch(entry))}`,
+                this.colors.info(entry.categories.length ? describeCategories(entry.categories, categoryTree).join(', ') : 'all categories'),
+                ...(entry.indexerIds.length ? [this.colors.info(`${entry.indexerIds.length} indexers`)] : []),
+                this.colors.secondary(`${entry.resultCount} results`),
+                this.colors.muted(`${formatAge(entry.timestamp)} ago`)
+            ].join(` ${this.colors.muted('|')} `);
             
-            // Display all available properties in the item object
-            console.log(chalk.bold('\nTechnical Information:'));
+            const { entry } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'entry',
+                    message: 'Recent searches:',
+                    prefix: this.colors.highlight('🕘'),
+                    choices: [
+                        ...entries.map(entry => ({ name: describe(entry), value: entry, short: describeSearch(entry) })),
+                        new inquirer.Separator(),
+                        { name: '✕ Clear history', value: 'clear' },
+                        { name: '← Back to Main Menu', value: null }
+                    ],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
             
-            // Format the JSON data for better readability
-            const detailsToShow = {
-                guid: item.guid || 'Not available',
-                infoUrl: item.infoUrl || 'Not available',
-                commentUrl: item.commentUrl || 'Not available',
-                downloadUrl: item.downloadUrl || 'Not available',
-                protocol: item.protocol === this.protocols.torrent ? (item.magnetUrl || 'Not available') : 'Not applicable for Usenet',
-                quality: item.quality || 'Not available',
-                indexerId: item.indexerId || 'Not available',
-                downloadVolumeFactor: item.downloadVolumeFactor || 'Not available',
-                uploadVolumeFactor: item.uploadVolumeFactor || 'Not available'
-            };
+            if (!entry) {
+                return;
+            }
+            
+            if (entry === 'clear') {
+                const { scope } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'scope',
+                        message: 'Clear search history:',
+                        choices: [
+                            { name: 'Keep pinned searches', value: 'unpinned' },
+                            { name: 'Everything, including pinned searches', value: 'all' },
+                            { name: '← Cancel', value: null }
+                        ]
+                    }
+                ]);
+                if (scope) {
+                    this.history.clear(scope === 'all');
+                    console.log(this.colors.success('✓ Search history cleared'));
+                }
+                continue;
+            }
+            
+            const { historyAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'historyAction',
+                    message: `"${describeSearch(entry)}":`,
+                    prefix: this.colors.highlight('⚇'),
+                    choices: [
+                        { name: '↻ Run again', value: 'run' },
+                        { name: '✎ Edit and run', value: 'edit' },
+                        { name: entry.pinned ? '☆ Unpin' : '★ Pin to top', value: 'pin' },
+                        { name: '✕ Remove', value: 'remove' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (historyAction === 'run') {
+                await this.runSearch(entry);
+            } else if (historyAction === 'edit') {
+                const search = await this.promptSearch(entry);
+                if (search) {
+                    await this.runSearch(search);
+                }
+            } else if (historyAction === 'pin') {
+                this.history.setPinned(entry, !entry.pinned);
+            } else if (historyAction === 'remove') {
+                this.history.remove(entry);
+            }
+            this.currentMenuLevel = 'history';
+        }
+    }
+
+    // Write the filtered and sorted result list to a file
+    async exportResultList(results, search) {
+        const { format } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'format',
+                message: `Export ${results.length} results as:`,
+                prefix: this.colors.highlight('⇪'),
+                choices: [
+                    ...Object.entries(EXPORT_FORMATS).map(([value, format]) => ({ name: format.label, value })),
+                    { name: '← Back', value: null }
+                ]
+            }
+        ]);
+        
+        if (!format) {
+            return;
+        }
+        
+        const { filePath, overwrite } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'filePath',
+                message: 'Save to:',
+                default: path.join(process.cwd(), defaultExportName(describeSearch(search), format)),
+                validate: (input) => input.trim() ? true : 'Enter a file path',
+                filter: toPath
+            },
+            {
+                type: 'confirm',
+                name: 'overwrite',
+                message: (answers) => `${answers.filePath} exists, overwrite it?`,
+                default: false,
+                when: (answers) => fs.existsSync(answers.filePath)
+            }
+        ]);
+        
+        if (overwrite === false) {
+            return;
+        }
+        
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, exportResults(results, format, { title: `Prowling: ${describeSearch(search)}` }));
+            console.log(this.colors.success(`✓ Exported ${results.length} results to ${filePath}`));
+        } catch (error) {
+            console.log(this.colors.error(`Export failed: ${error.message}`));
+        }
+    }
+
+    // Mark several releases, or everything the current filter matches, and act on all of them at once
+    async runBulkMode(rows, isFiltered) {
+        const { scope } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'scope',
+                message: 'Select releases:',
+                prefix: this.colors.highlight('☑'),
+                choices: [
+                    { name: 'Pick releases...', value: 'pick' },
+                    { name: `All ${rows.length} releases${isFiltered ? ' matching the current filter' : ''}`, value: 'all' },
+                    { name: '← Back to results', value: null }
+                ]
+            }
+        ]);
+
+        if (!scope) {
+            return;
+        }
+
+        let marked = rows;
+        if (scope === 'pick') {
+            ({ marked } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'marked',
+                    message: `Mark releases ${this.colors.muted('(space to toggle, a for all, i to invert)')}:`,
+                    prefix: this.colors.highlight('☑'),
+                    choices: this.resultChoices(rows, { prompt: 'checkbox' }),
+                    pageSize: Math.max(5, (process.stdout.rows || 24) - 4),
+                    loop: false
+                }
+            ]));
+            if (marked.length === 0) {
+                console.log(this.colors.warning('\nNo releases marked\n'));
+                return;
+            }
+        }
+
+        // Grouped rows act on their best source, the same one Item Details opens first
+        const items = marked.map(row => row.best);
+        const torrents = items.filter(item => item.protocol === this.protocols.torrent);
+        const nzbs = items.filter(item => item.protocol === this.protocols.usenet);
+        const magnets = items.filter(item => item.magnetUrl);
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: `${items.length} marked (${torrents.length} torrent, ${nzbs.length} usenet). What would you like to do?`,
+                prefix: this.colors.success('⚡'),
+                choices: [
+                    items.some(item => item.guid && item.indexerId) ? { name: '⇩ Send all to download client (via Prowlarr)', value: 'prowlarr' } : null,
+                    this.qbittorrentUrl && torrents.length ? { name: '⚓ Send torrents to qBittorrent', value: 'qbittorrent' } : null,
+                    this.downloadClients.transmission.url && torrents.length ? { name: '⚓ Send torrents to Transmission', value: 'transmission' } : null,
+                    ...(nzbs.length ? this.getConfiguredUsenetClients().map(client => ({ name: `⚡ Send NZBs to ${client.name}`, value: `usenet:${client.key}` })) : []),
+                    magnets.length ? { name: `⚲ Copy magnet URLs (${magnets.length})`, value: 'magnets' } : null,
+                    items.some(item => item.downloadUrl) ? { name: '⊡ Save .torrent/.nzb files', value: 'save_files' } : null,
+                    { name: '← Back to results', value: null }
+                ].filter(Boolean),
+                loop: true
+            }
+        ]);
+
+        if (!action) {
+            return;
+        }
+
+        let bulk;
+        try {
+            bulk = await this.prepareBulkAction(action, items);
+        } catch (error) {
+            console.log(this.colors.error(`\n${error.message}`));
+            if (error instanceof DownloadClientAuthError) {
+                console.log(this.colors.warning('Tip: Check the credentials in Connection Settings.'));
+            }
+        }
+
+        if (bulk) {
+            const spinner = this.createSpinner(`${bulk.label}...`).start();
+            const outcomes = await runBulk(items, bulk.run, {
+                onItem: (item, index) => { spinner.text = `${bulk.label} [${index + 1}/${items.length}] ${item.title}`; }
+            });
+            spinner.stop();
+            bulk.done?.(outcomes);
+            this.printBulkSummary(outcomes, bulk.verb);
+
+            const { succeeded, failed, total } = summarizeBulk(outcomes);
+            if (bulk.target && succeeded > 0) {
+                this.notify('grab_sent', `Sent ${succeeded} release${succeeded === 1 ? '' : 's'} to ${bulk.target}`,
+                    outcomes.filter(outcome => outcome.ok).map(outcome => outcome.item.title).join('\n'), { count: succeeded });
+            }
+            if (failed > 0) {
+                this.notify('error', `${failed} of ${total} bulk ${bulk.verb === 'sent' ? 'sends' : 'actions'} failed`,
+                    outcomes.filter(outcome => !outcome.ok).map(outcome => `${outcome.item.title}: ${outcome.error}`).join('\n'));
+            }
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    // Ask whatever the action needs once, then return { label, verb, target, run(item), done(outcomes) }
+    // where run handles a single release. Resolves to null when the user backs out.
+    async prepareBulkAction(action, items) {
+        const confirmSend = async (target) => {
+            if (!this.settings.confirmDownloads) {
+                return true;
+            }
+            const { confirmed } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmed',
+                    message: `Send ${items.length} release${items.length === 1 ? '' : 's'} to ${target}?`,
+                    default: true
+                }
+            ]);
+            return confirmed;
+        };
+        const requireTorrent = (item) => {
+            if (item.protocol !== this.protocols.torrent) {
+                throw new Error('Not a torrent');
+            }
+        };
+
+        if (action === 'prowlarr') {
+            // One Prowlarr download client per protocol among the marked releases
+            const clients = {};
+            try {
+                for (const protocol of new Set(items.map(item => item.protocol))) {
+                    clients[protocol] = await this.pickProwlarrDownloadClient(protocol);
+                }
+            } catch (error) {
+                throw new Error(`Failed to load download clients from Prowlarr: ${error.message}`);
+            }
+            const names = [...new Set(Object.values(clients).filter(Boolean).map(client => client.name))];
+            if (names.length === 0) {
+                throw new Error('No enabled download client for these releases in Prowlarr, add one under Settings > Download Clients');
+            }
+            const target = names.join(' and ');
+            if (!await confirmSend(target)) {
+                return null;
+            }
+            return {
+                label: `Sending to ${target}`,
+                verb: 'sent',
+                target,
+                run: async (item) => {
+                    const client = clients[item.protocol];
+                    if (!client) {
+                        throw new Error(`No enabled ${item.protocol} download client in Prowlarr`);
+                    }
+                    if (!item.guid || !item.indexerId) {
+                        throw new Error('Prowlarr cannot grab this release');
+                    }
+                    await this.api.grab(item.guid, item.indexerId, client.id);
+                    return client.name;
+                }
+            };
+        }
+
+        if (action === 'qbittorrent') {
+            const categories = Object.keys(await this.getQBittorrent().getCategories()).sort();
+            const options = await this.promptQBittorrentOptions(categories);
+            if (!await confirmSend('qBittorrent')) {
+                return null;
+            }
+            return {
+                label: 'Sending to qBittorrent',
+                verb: 'sent',
+                target: 'qBittorrent',
+                run: async (item) => {
+                    requireTorrent(item);
+                    const url = item.magnetUrl || item.downloadUrl;
+                    if (!url) {
+                        throw new Error('No magnet or download URL');
+                    }
+                    await this.addToQBittorrent(url, options);
+                },
+                done: () => this.rememberQBittorrentOptions(options)
+            };
+        }
+
+        if (action === 'transmission') {
+            const session = await this.getTransmission().getSession();
+            const options = await this.promptTransmissionOptions(session);
+            if (!await confirmSend('Transmission')) {
+                return null;
+            }
+            return {
+                label: 'Sending to Transmission',
+                verb: 'sent',
+                target: 'Transmission',
+                run: async (item) => {
+                    requireTorrent(item);
+                    if (!item.magnetUrl && !item.downloadUrl) {
+                        throw new Error('No magnet or download URL');
+                    }
+                    const torrent = await this.addToTransmission(item, options);
+                    return torrent.duplicate ? 'already in Transmission' : null;
+                },
+                done: () => this.rememberTransmissionOptions(options)
+            };
+        }
+
+        if (action.startsWith('usenet:')) {
+            const target = this.getConfiguredUsenetClients().find(client => `usenet:${client.key}` === action);
+            const client = this.getUsenetClient(target.key);
+            const [categories, priorities] = await Promise.all([client.getCategories(), client.getPriorities()]);
+            const options = await this.promptUsenetOptions(target.key, categories, priorities);
+            if (!await confirmSend(target.name)) {
+                return null;
+            }
+            return {
+                label: `Sending to ${target.name}`,
+                verb: 'sent',
+                target: target.name,
+                run: async (item) => {
+                    if (item.protocol !== this.protocols.usenet) {
+                        throw new Error('Not an NZB');
+                    }
+                    if (!item.downloadUrl) {
+                        throw new Error('No NZB URL');
+                    }
+                    await this.addToUsenetClient(target.key, item, options);
+                },
+                done: () => this.rememberUsenetOptions(target.key, options)
+            };
+        }
+
+        if (action === 'magnets') {
+            return {
+                label: 'Collecting magnet URLs',
+                verb: 'copied',
+                run: async (item) => {
+                    if (!item.magnetUrl) {
+                        throw new Error('No magnet link');
+                    }
+                },
+                // One per line with nothing around them, ready to select and paste into a client
+                done: (outcomes) => {
+                    console.log(this.colors.primary('\nMagnet URLs:'));
+                    outcomes.filter(outcome => outcome.ok).forEach(outcome => console.log(outcome.item.magnetUrl));
+                }
+            };
+        }
+
+        if (action === 'save_files') {
+            const { downloadDir } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'downloadDir',
+                    message: 'Save files to:',
+                    default: this.settings.defaultDownloadDir || path.join(os.homedir(), 'Downloads'),
+                    prefix: this.colors.primary('⊡'),
+                    validate: (input) => input.trim() ? true : 'Enter a directory',
+                    filter: toPath
+                }
+            ]);
+            fs.mkdirSync(downloadDir, { recursive: true });
+            const taken = new Set();
+            return {
+                label: `Saving to ${downloadDir}`,
+                verb: 'saved',
+                run: async (item) => path.basename(await saveReleaseFile(item, downloadDir, taken))
+            };
+        }
+
+        return null;
+    }
+
+    // ✓/✕ per release with the reason for each failure, then the totals
+    printBulkSummary(outcomes, verb) {
+        const { succeeded, failed } = summarizeBulk(outcomes);
+        console.log(chalk.bold('\nSummary:'));
+        outcomes.forEach(outcome => {
+            if (outcome.ok) {
+                console.log(`  ${this.colors.success('✓')} ${outcome.item.title}${outcome.detail ? this.colors.muted(` (${outcome.detail})`) : ''}`);
+            } else {
+                console.log(`  ${this.colors.error('✕')} ${outcome.item.title} ${this.colors.error(`- ${outcome.error}`)}`);
+            }
+        });
+        console.log(`\n${this.colors.success(`${succeeded} ${verb}`)}${failed ? this.colors.muted(' · ') + this.colors.error(`${failed} failed`) : ''}`);
+    }
+
+    // Saved searches that `node index.js watch` re-runs in the background, reporting only new releases
+    async manageWatchlist() {
+        while (true) {
+            this.currentMenuLevel = 'watchlist';
+            const names = Object.keys(this.watchlist).sort();
+            const describe = (name) => {
+                const watch = this.watchlist[name];
+                const state = this.watchState.get(name);
+                let status = this.colors.muted('not checked yet');
+                if (state?.lastError) {
+                    status = this.colors.error(`⚠ ${state.lastError}`);
+                } else if (state) {
+                    status = this.colors.muted(`checked ${formatAge(state.lastCheck)} ago`) + (state.lastNew ? ' ' + this.colors.success(`${state.lastNew} new`) : '');
+                }
+                return [
+                    `${watch.enabled === false ? this.colors.muted('⏸ ') : ''}${this.colors.success(name)}${describeSearch(watch) !== name ? ' ' + this.colors.muted(describeSearch(watch)) : ''}`,
+                    ...(watch.filter ? [this.colors.highlight(watch.filter)] : []),
+                    ...(watch.profile ? [this.colors.primary(`${watch.profile}${watch.minScore !== null && watch.minScore !== undefined ? ` ≥ ${watch.minScore}` : ''}`)] : []),
+                    ...(watch.autoGrab ? [this.colors.warning('auto-grab')] : []),
+                    status
+                ].join(` ${this.colors.muted('|')} `);
+            };
+            
+            const { watchName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'watchName',
+                    message: 'Watchlist:',
+                    prefix: this.colors.highlight('👁'),
+                    choices: [
+                        ...names.map(name => ({ name: describe(name), value: name, short: name })),
+                        new inquirer.Separator(),
+                        { name: '+ New watch', value: { create: true } },
+                        names.length ? { name: '↻ Check all now', value: { checkAll: true } } : null,
+                        { name: '← Back to Main Menu', value: null }
+                    ].filter(Boolean),
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
+            
+            if (!watchName) {
+                return;
+            }
+            
+            if (watchName.create) {
+                const search = await this.promptSearch();
+                if (search) {
+                    await this.addWatch(search);
+                }
+                continue;
+            }
+            
+            if (watchName.checkAll) {
+                for (const name of names.filter(name => this.watchlist[name].enabled !== false)) {
+                    await this.runWatchCheck(name);
+                }
+                console.log(this.colors.muted('\nPress Enter to continue...'));
+                await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+                continue;
+            }
+            
+            const watch = this.watchlist[watchName];
+            const { watchAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'watchAction',
+                    message: `"${watchName}":`,
+                    prefix: this.colors.highlight('⚇'),
+                    choices: [
+                        { name: '↻ Check now', value: 'check' },
+                        { name: '✎ Edit search', value: 'edit_search' },
+                        { name: '✎ Edit name, filter and auto-grab', value: 'edit_options' },
+                        { name: watch.enabled === false ? '▶ Enable' : '⏸ Disable', value: 'toggle' },
+                        { name: '↺ Forget seen releases', value: 'reset' },
+                        { name: '✕ Delete', value: 'delete' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (watchAction === 'check') {
+                await this.runWatchCheck(watchName);
+                console.log(this.colors.muted('\nPress Enter to continue...'));
+                await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+            } else if (watchAction === 'edit_search') {
+                const search = await this.promptSearch(watch);
+                if (search) {
+                    this.watchlist[watchName] = { ...watch, ...search };
+                    this.watchState.remove(watchName);
+                    this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                    console.log(this.colors.success(`✓ Watch "${watchName}" updated, the next check starts from what is out now`));
+                }
+            } else if (watchAction === 'edit_options') {
+                const options = await this.promptWatchOptions(watch, watchName);
+                const { name, ...rest } = options;
+                if (name !== watchName) {
+                    delete this.watchlist[watchName];
+                    this.watchState.rename(watchName, name);
+                }
+                if (rest.filter !== watch.filter || rest.profile !== watch.profile || rest.minScore !== watch.minScore) {
+                    this.watchState.remove(name);
+                }
+                this.watchlist[name] = { ...watch, ...rest };
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Watch "${name}" updated`));
+            } else if (watchAction === 'toggle') {
+                this.watchlist[watchName] = { ...watch, enabled: watch.enabled === false };
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+            } else if (watchAction === 'reset') {
+                this.watchState.remove(watchName);
+                console.log(this.colors.success('✓ Seen releases forgotten, the next check starts from what is out now'));
+            } else if (watchAction === 'delete') {
+                delete this.watchlist[watchName];
+                this.watchState.remove(watchName);
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Watch "${watchName}" deleted`));
+            }
+        }
+    }
+
+    // Save a search as a watch, filter prefills the filter (e.g. the filters active in the result list)
+    async addWatch(search, filter = '') {
+        const options = await this.promptWatchOptions({ filter, name: describeSearch(search) });
+        this.watchlist[options.name] = {
+            query: search.query,
+            mode: search.mode || 'search',
+            params: search.params || {},
+            categories: search.categories || [],
+            indexerIds: search.indexerIds || [],
+            ...options,
+            enabled: true
+        };
+        delete this.watchlist[options.name].name;
+        this.watchState.remove(options.name);
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ Watching "${options.name}"`));
+        console.log(this.colors.muted('  The first check only notes what is already out. Run `node index.js watch` to keep checking in the background.'));
+    }
+
+    // Name, filter, quality threshold and auto-grab of a watch
+    async promptWatchOptions(defaults = {}, currentName = null) {
+        const profileNames = Object.keys(this.qualityProfiles).sort();
+        const parseFilterInput = (input) => /^none$/i.test(input.trim()) || !input.trim() ? '' : parseFilter(input).expression;
+        const parseScoreInput = (input) => /^none$/i.test(input.trim()) || !input.trim() ? null : parseInt(input);
+        
+        console.log(this.colors.muted(`  Filter: ${FILTER_HELP} ("none" for no filter)`));
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Watch name:',
+                prefix: this.colors.highlight('👁'),
+                default: currentName || defaults.name,
+                validate: (input) => {
+                    if (!input.trim()) return 'Enter a name';
+                    if (input.trim() !== currentName && this.watchlist[input.trim()]) return 'A watch with this name already exists';
+                    return true;
+                },
+                filter: (input) => input.trim()
+            },
+            {
+                type: 'input',
+                name: 'filter',
+                message: 'Only report results matching (optional):',
+                default: defaults.filter || undefined,
+                validate: (input) => {
+                    try {
+                        parseFilterInput(input);
+                        return true;
+                    } catch (error) {
+                        return error.message;
+                    }
+                }
+            },
+            {
+                type: 'list',
+                name: 'profile',
+                message: 'Quality profile for scoring and rejecting results:',
+                choices: [
+                    { name: 'None', value: null },
+                    ...profileNames.map(name => ({ name, value: name }))
+                ],
+                default: defaults.profile !== undefined ? defaults.profile : (this.settings.activeQualityProfile || null),
+                when: () => profileNames.length > 0
+            },
+            {
+                type: 'input',
+                name: 'minScore',
+                message: 'Minimum score (optional, "none" for any):',
+                default: defaults.minScore !== null && defaults.minScore !== undefined ? String(defaults.minScore) : undefined,
+                when: (answers) => Boolean(answers.profile),
+                validate: (input) => /^(none)?$/i.test(input.trim()) || /^-?\d+$/.test(input.trim()) || 'Enter a whole number'
+            },
+            {
+                type: 'confirm',
+                name: 'autoGrab',
+                message: 'Grab the best new match automatically?',
+                default: Boolean(defaults.autoGrab)
+            }
+        ]);
+        
+        return {
+            name: answers.name,
+            filter: parseFilterInput(answers.filter),
+            profile: answers.profile || null,
+            minScore: answers.profile && answers.minScore !== undefined ? parseScoreInput(answers.minScore) : null,
+            autoGrab: answers.autoGrab
+        };
+    }
+
+    // Run one watch with a spinner and list what is new
+    async runWatchCheck(name) {
+        const spinner = this.createSpinner(`Checking "${name}"...`, 'secondary').start();
+        try {
+            const outcome = await this.checkWatch(name);
+            if (outcome.baseline) {
+                spinner.succeed(this.colors.success(`"${name}": first check, ${outcome.matches.length} current matches noted as seen`));
+                return;
+            }
+            spinner.succeed(this.colors.success(`"${name}": ${outcome.fresh.length} new ${outcome.fresh.length === 1 ? 'match' : 'matches'}`));
+            outcome.fresh.forEach(row => {
+                const result = row.best;
+                const score = outcome.scorer ? this.colors.primary(`${outcome.scorer(result).score} `) : '';
+                console.log(`  ${this.colors.success('+')} ${score}${this.colors.success(result.title)} ${this.colors.muted('|')} ${this.colors.info(row.indexerCount > 1 ? `${row.indexerCount} indexers` : result.indexer)} ${this.colors.muted('|')} ${this.colors.secondary(formatSize(result.size))}`);
+            });
+            if (outcome.grabbed) {
+                console.log(this.colors.success(`  ⇩ Grabbed ${outcome.grabbed.title}`));
+            } else if (outcome.grabError) {
+                console.log(this.colors.error(`  Auto-grab failed: ${outcome.grabError}`));
+            }
+        } catch (error) {
+            spinner.fail(this.colors.error(`"${name}": ${error.message}`));
+        }
+    }
+
+    // Run a watch once and remember what was seen. Returns { baseline, matches, fresh, skipped, grabbed, grabError, scorer }
+    // where fresh are the new releases, best first. The first check of a watch only notes what is already out,
+    // so nothing old gets reported or grabbed.
+    async checkWatch(name) {
+        const watch = this.watchlist[name];
+        const previous = this.watchState.get(name);
+        const fail = async (error) => {
+            this.watchState.update(name, { newCount: previous?.lastNew || 0, error: error.message });
+            await this.notify('error', `Watch "${name}" failed`, error.message, { watch: name });
+            throw error;
+        };
+        
+        let filters;
+        let scorer = null;
+        try {
+            filters = watch.filter ? [parseFilter(watch.filter)] : [];
+            if (watch.profile) {
+                if (!this.qualityProfiles[watch.profile]) {
+                    throw new Error(`Quality profile "${watch.profile}" no longer exists`);
+                }
+                scorer = qualityProfiles.createScorer(this.qualityProfiles[watch.profile]);
+            }
+        } catch (error) {
+            await fail(error);
+        }
+        
+        const { searchParams, skipped } = prepareSearch(watch, this.indexers);
+        if (searchParams.indexerIds?.length === 0) {
+            await fail(new Error(`None of the indexers support this ${SEARCH_MODES[watch.mode || 'search'].label.toLowerCase()} search`));
+        }
+        searchParams.limit = this.settings.searchBatchSize;
+        
+        let results;
+        try {
+            results = await this.api.search(searchParams);
+        } catch (error) {
+            await fail(error);
+        }
+        
+        const { matches, fresh } = findNewMatches(results, { filters, scorer, minScore: watch.minScore, seen: previous?.seen || [] });
+        const baseline = !previous;
+        
+        let grabbed = null;
+        let grabError = null;
+        if (!baseline && watch.autoGrab && fresh.length > 0) {
+            const best = fresh[0].best;
+            try {
+                // The default download client only applies when it handles this protocol
+                const clients = await this.api.getDownloadClients();
+                const client = (Array.isArray(clients) ? clients : []).find(c =>
+                    c.id === this.settings.defaultDownloadClientId && c.protocol === best.protocol
+                );
+                await this.api.grab(best.guid, best.indexerId, client?.id);
+                grabbed = best;
+            } catch (error) {
+                grabError = error.message;
+            }
+        }
+        
+        if (!baseline && fresh.length > 0) {
+            const titles = fresh.slice(0, 5).map(row => row.best.title);
+            if (fresh.length > titles.length) {
+                titles.push(`and ${fresh.length - titles.length} more`);
+            }
+            await this.notify('watch_match', `${fresh.length} new for "${name}"`, titles.join('\n'), { watch: name, results: fresh.map(row => row.best) });
+        }
+        if (grabbed) {
+            await this.notify('grab_sent', `Grabbed for "${name}"`, grabbed.title, { watch: name, guid: grabbed.guid, indexerId: grabbed.indexerId });
+        } else if (grabError) {
+            await this.notify('error', `Auto-grab for "${name}" failed`, `${fresh[0].best.title}: ${grabError}`, { watch: name });
+        }
+        
+        // A failed grab is retried on the next check
+        const retry = grabError ? new Set(fresh[0].results.map(resultKey)) : new Set();
+        this.watchState.update(name, {
+            seen: matches.map(resultKey).filter(key => !retry.has(key)),
+            newCount: baseline ? 0 : fresh.length,
+            error: grabError ? `auto-grab failed: ${grabError}` : null
+        });
+        return { baseline, matches, fresh: baseline ? [] : fresh, skipped, grabbed, grabError, scorer };
+    }
+
+    // A list prompt with the keyboard shortcuts active (when enabled), a shortcut key answers it with
+    // { shortcut, highlighted }, see lib/keyboard.js
+    promptWithShortcuts(question, { redrawOnResize = false } = {}) {
+        const keys = this.settings.enableKeyboardShortcuts && process.stdin.isTTY;
+        const output = redrawOnResize && process.stdout.isTTY ? process.stdout : null;
+        if (!keys && !output) {
+            return inquirer.prompt([question]);
+        }
+        return keyboard.promptWithShortcuts(inquirer.prompt, question, keys ? this.shortcuts : null, { output });
+    }
+
+    // Result rows as list or checkbox choices laid out as a table for the terminal width, with a header
+    // row in table layout. Uses the result columns, display density and display mode settings.
+    resultChoices(rows, { prompt = 'list' } = {}) {
+        // List prompts put "❯ " before a choice and a space after it, checkboxes "❯◯ ", separators less
+        const indent = prompt === 'checkbox' ? 3 : 2;
+        const separatorIndent = prompt === 'checkbox' ? 1 : 2;
+        const width = (process.stdout.columns || 80) - indent - 1;
+        const scorer = this.getScorer();
+        const cells = rows.map(row => {
+            const result = row.best;
+            const score = scorer ? scorer(result) : null;
+            const seeders = row.results.length > 1 ? row.maxSeeders : result.seeders;
+            return {
+                score: score ? (score.rejected ? '✕' : String(score.score)) : '',
+                title: result.title,
+                quality: formatReleaseTags(getRelease(result)).join(' '),
+                indexer: row.results.length > 1 ? `${row.indexerCount} indexers` : `${result.indexer} (${this.getIndexerPriority(result.indexer)})`,
+                size: formatSize(result.size),
+                seeders: result.protocol === this.protocols.usenet ? 'NZB' : (seeders > 0 ? String(seeders) : '?'),
+                age: result.publishDate ? formatAge(result.publishDate) : ''
+            };
+        });
+        const painters = {
+            score: (text) => text === '✕' ? this.colors.error(text) : this.colors.primary(text),
+            title: this.colors.success,
+            quality: this.colors.highlight,
+            indexer: this.colors.info,
+            size: this.colors.secondary,
+            seeders: (text) => text === 'NZB' ? this.colors.info(text) : text === '?' ? this.colors.warning(text) : this.colors.success(text),
+            age: this.colors.muted,
+            separator: this.colors.muted
+        };
+        const { header, lines, blankLine } = renderResultTable(cells, {
+            columns: this.settings.resultColumns,
+            width,
+            density: this.settings.displayDensity,
+            layout: pickLayout(this.settings.displayMode, width),
+            paint: (column, text) => painters[column](text)
+        });
+        return [
+            header ? new inquirer.Separator(' '.repeat(indent - separatorIndent) + header) : null,
+            // Multi-line choices would throw off the checkbox prompt's paging, so only lists get the blank lines
+            ...rows.map((row, index) => ({ name: lines[index] + (blankLine && prompt === 'list' ? '\n' : ''), value: row, short: row.best.title }))
+        ].filter(Boolean);
+    }
+
+    // The ? overlay: every shortcut and its key
+    showShortcutHelp() {
+        const rows = [
+            ...Object.entries(keyboard.SHORTCUT_ACTIONS).map(([action, label]) => [keyboard.formatKey(this.shortcuts[action]), label]),
+            [keyboard.HELP_KEY, 'This help'],
+            ['↑ ↓ / j k', 'Move'],
+            ['Enter', 'Choose'],
+            ['Ctrl+C', 'Go back']
+        ];
+        const width = Math.max(...rows.map(([key]) => key.length));
+        console.log('\n' + this.colors.primary('┌─ Keyboard shortcuts ───────────────────┐'));
+        rows.forEach(([key, label]) => {
+            console.log(this.colors.primary('│ ') + chalk.bold(key.padEnd(width)) + `  ${label}`.padEnd(38 - width) + this.colors.primary(' │'));
+        });
+        console.log(this.colors.primary('└────────────────────────────────────────┘'));
+        keyboard.findConflicts(this.shortcuts).forEach(conflict => {
+            console.log(this.colors.warning(`⚠ ${keyboard.formatKey(conflict.key)} is ignored: ${conflict.problem}`));
+        });
+        console.log('');
+    }
+
+    // Send an event to the notification sinks that want it, see lib/notifications.js.
+    // Never rejects, so callers that don't need to wait for delivery don't have to await it.
+    notify(type, title, message, data = {}) {
+        return this.notifier.notify(type, title, message, data);
+    }
+
+    // Reload the indexers and their failure status, a missing status only means nothing gets flagged
+    async refreshIndexers() {
+        this.indexers = await this.api.getIndexers();
+        try {
+            this.indexerStatuses = await this.api.getIndexerStatuses();
+        } catch (error) {
+            this.indexerStatuses = [];
+        }
+        return this.indexers;
+    }
+
+    // Indexer name with its protocol and a warning when Prowlarr is backing off from it
+    formatIndexerLabel(indexer) {
+        const health = getIndexerHealth(indexer, this.indexerStatuses);
+        let label = `${indexer.name} ${this.colors.muted(indexer.protocol)}`;
+        if (health.failing) {
+            label += ' ' + this.colors.warning(`⚠ failing until ${health.disabledTill.toLocaleTimeString()}`);
+        }
+        return label;
+    }
+
+    // Ask which indexers to search: all enabled ones, a saved group or a hand-picked set.
+    // Returns the chosen ids, an empty list means all enabled indexers.
+    async promptIndexers(defaultIds = []) {
+        const searchable = getSearchableIndexers(this.indexers);
+        const groupNames = Object.keys(this.indexerGroups).sort();
+        const sameIds = (a, b) => String([...a].sort()) === String([...b].sort());
+        
+        const defaultGroup = defaultIds.length ? groupNames.find(name => sameIds(resolveGroup(this.indexerGroups[name], this.indexers), defaultIds)) : null;
+        const choices = [
+            { name: `⊡ All enabled indexers (${searchable.length})`, value: { all: true } },
+            ...groupNames.map(name => ({
+                name: `⚑ ${name} (${resolveGroup(this.indexerGroups[name], this.indexers).length})`,
+                value: { group: name }
+            })),
+            { name: '☰ Pick indexers...', value: { pick: true } }
+        ];
+        const defaultIndex = defaultGroup ? 1 + groupNames.indexOf(defaultGroup) : (defaultIds.length ? choices.length - 1 : 0);
+        
+        const { choice } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'choice',
+                message: 'Search which indexers?',
+                prefix: this.colors.highlight('⚇'),
+                choices,
+                default: defaultIndex,
+                loop: true,
+                pageSize: this.settings.pageSize
+            }
+        ]);
+        
+        if (choice.all) {
+            return [];
+        }
+        if (choice.group) {
+            const indexerIds = resolveGroup(this.indexerGroups[choice.group], this.indexers);
+            if (indexerIds.length === 0) {
+                console.log(this.colors.warning(`⚠ None of the indexers in "${choice.group}" are enabled, searching all of them instead`));
+            }
+            return indexerIds;
+        }
+        
+        const indexerIds = await this.pickIndexers(defaultIds);
+        const { groupName } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'groupName',
+                message: 'Save this selection as a group? (enter a name, or leave empty to skip)',
+                prefix: this.colors.highlight('⚑'),
+                validate: (input) => !this.indexerGroups[input.trim()] || 'A group with this name already exists'
+            }
+        ]);
+        if (groupName.trim()) {
+            this.indexerGroups[groupName.trim()] = indexerIds;
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        }
+        return indexerIds;
+    }
+
+    // Checkbox of the enabled indexers, disabled ones are hidden and failing ones flagged
+    async pickIndexers(checkedIds = []) {
+        const { indexerIds } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'indexerIds',
+                message: 'Select indexers (space to toggle):',
+                prefix: this.colors.highlight('☰'),
+                choices: getSearchableIndexers(this.indexers).map(indexer => ({
+                    name: this.formatIndexerLabel(indexer),
+                    value: indexer.id,
+                    checked: checkedIds.includes(indexer.id)
+                })),
+                validate: (input) => input.length > 0 || 'Select at least one indexer',
+                loop: false,
+                pageSize: this.settings.pageSize
+            }
+        ]);
+        return indexerIds;
+    }
+
+    // Point the shared API client at a (possibly new) server URL and API key
+    setConnection(serverUrl, apiKey) {
+        this.baseUrl = serverUrl;
+        this.apiKey = apiKey;
+        this.api = new ProwlarrApi({ baseUrl: serverUrl, apiKey });
+    }
+
+    // Return a sorted copy of the results for one of the sort keys offered in the menus
+    sortResults(results, sortBy) {
+        return [...results].sort((a, b) => {
+            switch (sortBy) {
+                case 'title_asc':
+                    return a.title.localeCompare(b.title);
+                case 'title_desc':
+                    return b.title.localeCompare(a.title);
+                case 'seeders_desc':
+                    return (b.seeders || 0) - (a.seeders || 0);
+                case 'seeders_asc':
+                    return (a.seeders || 0) - (b.seeders || 0);
+                case 'size_desc':
+                    return (b.size || 0) - (a.size || 0);
+                case 'size_asc':
+                    return (a.size || 0) - (b.size || 0);
+                case 'date_desc':
+                    return new Date(b.publishDate || 0) - new Date(a.publishDate || 0);
+                case 'date_asc':
+                    return new Date(a.publishDate || 0) - new Date(b.publishDate || 0);
+                case 'protocol':
+                    // Sort by protocol (usenet first, then torrent)
+                    if (a.protocol === this.protocols.usenet && b.protocol !== this.protocols.usenet) return -1;
+                    if (a.protocol !== this.protocols.usenet && b.protocol === this.protocols.usenet) return 1;
+                    return 0;
+                case 'indexer_priority_desc':
+                    // Higher priority first
+                    return this.getIndexerPriority(b.indexer) - this.getIndexerPriority(a.indexer);
+                case 'indexer_priority_asc':
+                    // Lower priority first
+                    return this.getIndexerPriority(a.indexer) - this.getIndexerPriority(b.indexer);
+                case 'quality_desc':
+                    // Resolution, then source, parsed from the release title
+                    return qualityRank(getRelease(b)) - qualityRank(getRelease(a));
+                case 'quality_asc':
+                    return qualityRank(getRelease(a)) - qualityRank(getRelease(b));
+                case 'best_match': {
+                    // Score from the active quality profile, seeders break ties
+                    const scorer = this.getScorer();
+                    return (scorer ? qualityProfiles.compareScores(scorer(a), scorer(b)) : 0) || (b.seeders || 0) - (a.seeders || 0);
+                }
+                default:
+                    return 0;
+            }
+        });
+    }
+
+    // Choose which indexer to use for a release found on several, defaults to the best source
+    async pickReleaseSource(row) {
+        const { source } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'source',
+                message: `${row.best.title} is on ${row.indexerCount} indexers:`,
+                prefix: this.colors.primary('⚟'),
+                choices: [
+                    ...row.results.map((result, i) => ({
+                        name: [
+                            `${i === 0 ? this.colors.warning('★ ') : '  '}${this.colors.info(`${result.indexer} (${this.getIndexerPriority(result.indexer)})`)}`,
+                            result.protocol === this.protocols.usenet ? this.colors.info('NZB') : this.colors.success(`${result.seeders ?? '?'} seeders`),
+                            this.colors.secondary(formatSize(result.size)),
+                            this.colors.muted(`${formatAge(result.publishDate)} old`)
+                        ].join(` ${this.colors.muted('|')} `),
+                        value: result,
+                        short: result.indexer
+                    })),
+                    new inquirer.Separator(),
+                    { name: '← Back to results', value: null }
+                ],
+                pageSize: this.settings.pageSize
+            }
+        ]);
+        return source;
+    }
+
+    // How the active quality profile scored a result, as on the Item Details screen
+    printScoreBreakdown(result) {
+        const scorer = this.getScorer();
+        if (!scorer) {
+            return;
+        }
+        const { score, rejected, breakdown, rejections } = scorer(result);
+        console.log(chalk.bold('Score: ') + (rejected ? this.colors.error('rejected') : this.colors.primary(score)) + this.colors.muted(` (${this.settings.activeQualityProfile})`));
+        breakdown.forEach(({ label, points }) => {
+            console.log(`  ${points >= 0 ? this.colors.success(`+${points}`) : this.colors.error(points)} ${label}`);
+        });
+        rejections.forEach(reason => {
+            console.log(`  ${this.colors.error('✕')} ${reason}`);
+        });
+    }
+
+    // Scores results with the active quality profile, null when none is active
+    getScorer() {
+        const profile = this.qualityProfiles[this.settings.activeQualityProfile];
+        if (!profile) {
+            return null;
+        }
+        if (!this.scorer || this.scorer.profile !== profile) {
+            try {
+                this.scorer = { profile, score: qualityProfiles.createScorer(profile) };
+            } catch (error) {
+                console.log(this.colors.error(`Quality profile "${this.settings.activeQualityProfile}" is invalid: ${error.message}`));
+                this.settings.activeQualityProfile = '';
+                return null;
+            }
+        }
+        return this.scorer.score;
+    }
+
+    getIndexerPriority(indexerName) {
+        return this.indexers.find(i => i.name === indexerName)?.priority || 0;
+    }
+
+    // Helper method to show extended details for an item
+    async showExtendedDetails(item) {
+        const spinner = this.createSpinner('Fetching extended information...').start();
+        
+        try {
+            // In a real implementation, you might fetch additional details from the API
+            // For now, we'll just display what we have in a more detailed format
+            spinner.succeed(this.colors.success('Extended information loaded'));
+            
+            console.log('\n' + this.colors.primary('┌─────────────────────────────────────────┐'));
+            console.log(this.colors.primary('│') + chalk.bold(this.colors.text(' ⚲ Extended Details ')) + this.colors.primary('│'));
+            console.log(this.colors.primary('└─────────────────────────────────────────┘'));
+            
+            // Display all available properties in the item object
+            console.log(chalk.bold('\nTechnical Information:'));
+            
+            // Format the JSON data for better readability
+            const detailsToShow = {
+                guid: item.guid || 'Not available',
+                infoUrl: item.infoUrl || 'Not available',
+                commentUrl: item.commentUrl || 'Not available',
+                downloadUrl: item.downloadUrl || 'Not available',
+                protocol: item.protocol === this.protocols.torrent ? (item.magnetUrl || 'Not available') : 'Not applicable for Usenet',
+                quality: item.quality || 'Not available',
+                indexerId: item.indexerId || 'Not available',
+                downloadVolumeFactor: item.downloadVolumeFactor || 'Not available',
+                uploadVolumeFactor: item.uploadVolumeFactor || 'Not available'
+            };
             
             // Display each property
             Object.entries(detailsToShow).forEach(([key, value]) => {
                 console.log(chalk.bold(`${key.charAt(0).toUpperCase() + key.slice(1)}: `) + 
-                    chalk.white(value));
+                    this.colors.text(value));
             });
             
             // Display description if available
             if (item.description) {
                 console.log('\n' + chalk.bold('Description:'));
-                console.log(chalk.white(item.description));
+                console.log(this.colors.text(item.description));
             }
             
-            console.log(chalk.gray('\nPress Enter to go back...'));
+            console.log(this.colors.muted('\nPress Enter to go back...'));
             await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
             
         } catch (error) {
-            spinner.fail(chalk.red(`Failed to fetch extended information: ${error.message}`));
-            console.log(chalk.gray('\nPress Enter to go back...'));
+            spinner.fail(this.colors.error(`Failed to fetch extended information: ${error.message}`));
+            console.log(this.colors.muted('\nPress Enter to go back...'));
             await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
         }
     }
-    async downloadToClient(selected) {
-        const spinner = ora({
-            text: 'Sending to download client...',
-            color: 'cyan',
-            spinner: 'dots'
-        }).start();
+    // Let the user pick one of Prowlarr's download clients for the protocol, or use the saved default
+    async pickProwlarrDownloadClient(protocol) {
+        const clients = (await this.api.getDownloadClients())
+            .filter(client => client.enable && client.protocol === protocol)
+            .sort((a, b) => (a.priority || 0) - (b.priority || 0));
 
-        try {
-            if (!this.downloadClient) {
-                spinner.fail(chalk.red('No download client configured'));
-                return;
+        if (clients.length === 0) {
+            return null;
+        }
+
+        const savedDefault = clients.find(client => client.id === this.settings.defaultDownloadClientId);
+        if (savedDefault) {
+            return savedDefault;
+        }
+
+        const { clientId, remember } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'clientId',
+                message: 'Select a download client:',
+                prefix: this.colors.primary('⇩'),
+                choices: clients.map(client => ({ name: `${client.name} (${client.implementationName || client.implementation})`, value: client.id })),
+                loop: true
+            },
+            {
+                type: 'confirm',
+                name: 'remember',
+                message: 'Use this client by default?',
+                default: false
             }
+        ]);
 
-            const downloadData = {
-                title: selected.title,
-                downloadUrl: selected.downloadUrl,
-                magnetUrl: selected.magnetUrl,
-                protocol: selected.protocol
-            };
+        if (remember) {
+            this.settings.defaultDownloadClientId = clientId;
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        }
+        return clients.find(client => client.id === clientId);
+    }
+
+    async downloadToClient(selected) {
+        try {
+            const client = await this.pickProwlarrDownloadClient(selected.protocol);
+            if (!client) {
+                console.log(this.colors.error(`\nNo enabled ${selected.protocol} download client configured in Prowlarr`));
+                console.log(this.colors.warning('Add one under Settings > Download Clients in Prowlarr.'));
+            } else {
+                let confirmed = true;
+                if (this.settings.confirmDownloads) {
+                    ({ confirmed } = await inquirer.prompt([
+                        {
+                            type: 'confirm',
+                            name: 'confirmed',
+                            message: `Send "${selected.title}" to ${client.name}?`,
+                            default: true
+                        }
+                    ]));
+                }
 
-            await axios.post(`${this.baseUrl}/api/v1/release`, downloadData);
-            spinner.succeed(chalk.green('✓ Sent to download client'));
+                if (confirmed) {
+                    const spinner = this.createSpinner(`Sending to ${client.name}...`).start();
+
+                    try {
+                        await this.api.grab(selected.guid, selected.indexerId, client.id);
+                        spinner.succeed(this.colors.success(`✓ Sent to ${client.name}`));
+                        this.notify('grab_sent', `Sent to ${client.name}`, selected.title, { guid: selected.guid, indexerId: selected.indexerId });
+                    } catch (error) {
+                        spinner.fail(this.colors.error(`Failed to send to ${client.name}: ${error.message}`));
+                        this.notify('error', `Failed to send to ${client.name}`, `${selected.title}: ${error.message}`);
+                    }
+                }
+            }
         } catch (error) {
-            spinner.fail(chalk.red(`Failed to send to download client: ${error.message}`));
+            console.log(this.colors.error(`\nFailed to load download clients from Prowlarr: ${error.message}`));
         }
 
-        console.log(chalk.gray('\nPress Enter to go back...'));
+        console.log(this.colors.muted('\nPress Enter to go back...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
 
+    // Reuse one qBittorrent session so the login cookie survives between grabs
+    getQBittorrent() {
+        if (!this.qbittorrent) {
+            const { username, password } = this.downloadClients.qbittorrent;
+            this.qbittorrent = new QBittorrentClient({ url: this.qbittorrentUrl, username, password });
+        }
+        return this.qbittorrent;
+    }
+
     async openInQBittorrent(selected) {
-        const spinner = ora({
-            text: 'Sending to qBittorrent...',
-            color: 'cyan',
-            spinner: 'dots'
-        }).start();
+        const spinner = this.createSpinner('Connecting to qBittorrent...').start();
 
         try {
             if (!this.qbittorrentUrl) {
-                spinner.fail(chalk.red('qBittorrent URL not configured'));
+                spinner.fail(this.colors.error('qBittorrent URL not configured'));
+                return;
+            }
+
+            // Determine which URL to use (magnet preferred over torrent file)
+            const url = selected.magnetUrl || selected.downloadUrl;
+            if (!url) {
+                spinner.fail(this.colors.error('No valid URL available for this item'));
                 return;
             }
 
-            // Determine which URL to use (magnet preferred over torrent file)
-            const url = selected.magnetUrl || selected.downloadUrl;
-            if (!url) {
-                spinner.fail(chalk.red('No valid URL available for this item'));
-                return;
-            }
+            // Fetching the categories also logs in, so credential problems show up before the prompts
+            const qbittorrent = this.getQBittorrent();
+            const categories = Object.keys(await qbittorrent.getCategories()).sort();
+            spinner.succeed(this.colors.success('Connected to qBittorrent'));
+
+            const options = await this.promptQBittorrentOptions(categories);
+
+            spinner.start('Sending to qBittorrent...');
+            await this.addToQBittorrent(url, options);
+            spinner.succeed(this.colors.success('✓ Sent to qBittorrent'));
+            this.notify('grab_sent', 'Sent to qBittorrent', selected.title, { guid: selected.guid, indexerId: selected.indexerId });
+            this.rememberQBittorrentOptions(options);
+        } catch (error) {
+            spinner.fail(this.colors.error(`Failed to send to qBittorrent: ${error.message}`));
+            this.notify('error', 'Failed to send to qBittorrent', `${selected.title}: ${error.message}`);
+            if (error instanceof DownloadClientAuthError) {
+                console.log(this.colors.warning('\nTip: Check the qBittorrent username and password in Connection Settings.'));
+            } else {
+                console.log(this.colors.warning('\nTip: Make sure qBittorrent WebUI is enabled and the URL is correct.'));
+            }
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    // Save path, category, tags and flags for torrents sent to qBittorrent, defaults are the last used
+    async promptQBittorrentOptions(categories) {
+        const lastUsed = this.downloadClients.qbittorrent;
+        return inquirer.prompt([
+            {
+                type: 'input',
+                name: 'savePath',
+                message: 'Save path (leave empty for the qBittorrent default):',
+                default: this.settings.defaultDownloadDir || undefined,
+                prefix: this.colors.primary('⊡')
+            },
+            {
+                type: 'list',
+                name: 'category',
+                message: 'Category:',
+                prefix: this.colors.primary('⚇'),
+                choices: [
+                    { name: 'None', value: '' },
+                    ...categories.map(category => ({ name: category, value: category }))
+                ],
+                default: categories.includes(lastUsed.category) ? lastUsed.category : '',
+                loop: true,
+                pageSize: this.settings.pageSize
+            },
+            {
+                type: 'input',
+                name: 'tags',
+                message: 'Tags (comma separated, optional):',
+                default: lastUsed.tags || undefined,
+                prefix: this.colors.primary('⚑')
+            },
+            {
+                type: 'confirm',
+                name: 'paused',
+                message: 'Add paused?',
+                default: lastUsed.paused
+            },
+            {
+                type: 'confirm',
+                name: 'sequentialDownload',
+                message: 'Download in sequential order?',
+                default: lastUsed.sequentialDownload
+            }
+        ]);
+    }
+
+    addToQBittorrent(url, options) {
+        return this.getQBittorrent().addTorrent(url, {
+            savePath: options.savePath.trim(),
+            category: options.category,
+            tags: options.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+            paused: options.paused,
+            sequentialDownload: options.sequentialDownload
+        });
+    }
+
+    // Remember the options for next time
+    rememberQBittorrentOptions(options) {
+        this.downloadClients.qbittorrent = {
+            ...this.downloadClients.qbittorrent,
+            category: options.category,
+            tags: options.tags.trim(),
+            paused: options.paused,
+            sequentialDownload: options.sequentialDownload
+        };
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+    }
+
+    getTransmission() {
+        if (!this.transmission) {
+            this.transmission = new TransmissionClient(this.downloadClients.transmission);
+        }
+        return this.transmission;
+    }
+
+    async sendToTransmission(selected) {
+        const spinner = this.createSpinner('Connecting to Transmission...').start();
+
+        try {
+            const transmission = this.getTransmission();
+            const session = await transmission.getSession();
+            spinner.succeed(this.colors.success(`Connected to Transmission ${session.version || ''}`.trim()));
+
+            const options = await this.promptTransmissionOptions(session);
+
+            spinner.start('Sending to Transmission...');
+            const torrent = await this.addToTransmission(selected, options);
+            if (torrent.duplicate) {
+                spinner.warn(this.colors.warning(`Already in Transmission: ${torrent.name || selected.title}`));
+            } else {
+                spinner.succeed(this.colors.success('✓ Sent to Transmission'));
+                this.notify('grab_sent', 'Sent to Transmission', selected.title, { guid: selected.guid, indexerId: selected.indexerId });
+            }
+
+            this.rememberTransmissionOptions(options);
+        } catch (error) {
+            spinner.fail(this.colors.error(`Failed to send to Transmission: ${error.message}`));
+            this.notify('error', 'Failed to send to Transmission', `${selected.title}: ${error.message}`);
+            if (error instanceof DownloadClientAuthError) {
+                console.log(this.colors.warning('\nTip: Check the Transmission username and password in Connection Settings.'));
+            } else {
+                console.log(this.colors.warning('\nTip: Make sure remote access is enabled in Transmission and the RPC URL is correct.'));
+            }
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    async promptTransmissionOptions(session) {
+        return inquirer.prompt([
+            {
+                type: 'input',
+                name: 'downloadDir',
+                message: 'Download directory:',
+                default: this.settings.defaultDownloadDir || session['download-dir'],
+                prefix: this.colors.primary('⊡')
+            },
+            {
+                type: 'confirm',
+                name: 'paused',
+                message: 'Add paused?',
+                default: this.downloadClients.transmission.paused
+            }
+        ]);
+    }
+
+    // Magnets go straight through, .torrent files are fetched here since Transmission may not reach Prowlarr
+    async addToTransmission(selected, options) {
+        const source = selected.magnetUrl ? { magnet: selected.magnetUrl } : await fetchTorrentFile(selected.downloadUrl);
+        return this.getTransmission().addTorrent(source, {
+            downloadDir: options.downloadDir.trim(),
+            paused: options.paused
+        });
+    }
+
+    rememberTransmissionOptions(options) {
+        this.downloadClients.transmission.paused = options.paused;
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+    }
+
+    // Usenet download clients that have a URL configured
+    getConfiguredUsenetClients() {
+        return [
+            { key: 'sabnzbd', name: 'SABnzbd' },
+            { key: 'nzbget', name: 'NZBGet' }
+        ].filter(client => this.downloadClients[client.key].url);
+    }
+
+    getUsenetClient(key) {
+        if (!this.usenetClients[key]) {
+            const Client = key === 'sabnzbd' ? SabnzbdClient : NzbgetClient;
+            this.usenetClients[key] = new Client(this.downloadClients[key]);
+        }
+        return this.usenetClients[key];
+    }
+
+    async sendToUsenetClient(selected) {
+        if (selected.protocol !== this.protocols.usenet) {
+            return;
+        }
+
+        const configured = this.getConfiguredUsenetClients();
+        let target = configured[0];
+        if (configured.length > 1) {
+            const { clientKey } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'clientKey',
+                    message: 'Send NZB to:',
+                    prefix: this.colors.primary('⚡'),
+                    choices: configured.map(client => ({ name: client.name, value: client.key }))
+                }
+            ]);
+            target = configured.find(client => client.key === clientKey);
+        }
+
+        const spinner = this.createSpinner(`Connecting to ${target.name}...`).start();
+
+        try {
+            const client = this.getUsenetClient(target.key);
+            const [categories, priorities] = await Promise.all([client.getCategories(), client.getPriorities()]);
+            spinner.succeed(this.colors.success(`Connected to ${target.name}`));
+
+            const options = await this.promptUsenetOptions(target.key, categories, priorities);
+
+            spinner.start(`Sending to ${target.name}...`);
+            await this.addToUsenetClient(target.key, selected, options);
+            spinner.succeed(this.colors.success(`✓ Sent to ${target.name}`));
+            this.notify('grab_sent', `Sent to ${target.name}`, selected.title, { guid: selected.guid, indexerId: selected.indexerId });
+            this.rememberUsenetOptions(target.key, options);
+        } catch (error) {
+            spinner.fail(this.colors.error(`Failed to send to ${target.name}: ${error.message}`));
+            this.notify('error', `Failed to send to ${target.name}`, `${selected.title}: ${error.message}`);
+            if (error instanceof DownloadClientAuthError) {
+                console.log(this.colors.warning(`\nTip: Check the ${target.name} credentials in Connection Settings.`));
+            } else {
+                console.log(this.colors.warning(`\nTip: Make sure ${target.name} is running and the URL is correct.`));
+            }
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    async promptUsenetOptions(key, categories, priorities) {
+        const lastUsed = this.downloadClients[key];
+        return inquirer.prompt([
+            {
+                type: 'list',
+                name: 'category',
+                message: 'Category:',
+                prefix: this.colors.primary('⚇'),
+                choices: [
+                    { name: 'None', value: '' },
+                    ...categories.map(category => ({ name: category, value: category }))
+                ],
+                default: categories.includes(lastUsed.category) ? lastUsed.category : '',
+                loop: true,
+                pageSize: this.settings.pageSize
+            },
+            {
+                type: 'list',
+                name: 'priority',
+                message: 'Priority:',
+                prefix: this.colors.primary('⚡'),
+                choices: priorities,
+                default: priorities.some(priority => priority.value === lastUsed.priority) ? lastUsed.priority : undefined
+            }
+        ]);
+    }
+
+    addToUsenetClient(key, selected, options) {
+        return this.getUsenetClient(key).addUrl(selected.downloadUrl, {
+            name: selected.title,
+            category: options.category,
+            priority: options.priority
+        });
+    }
+
+    rememberUsenetOptions(key, options) {
+        this.downloadClients[key] = { ...this.downloadClients[key], category: options.category, priority: options.priority };
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+    }
+
+    // Download a torrent result with the built-in webtorrent client into the default download directory
+    async downloadHere(selected) {
+        let downloadDir = this.settings.defaultDownloadDir;
+        if (!downloadDir) {
+            ({ downloadDir } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'downloadDir',
+                    message: 'Download directory (set a default in Download Settings):',
+                    default: path.join(os.homedir(), 'Downloads'),
+                    prefix: this.colors.primary('⊡'),
+                    filter: toPath
+                }
+            ]));
+        }
+
+        const spinner = this.createSpinner('Fetching torrent metadata...').start();
+
+        try {
+            // .torrent URLs may redirect to a magnet link, webtorrent takes either
+            let torrentId = selected.magnetUrl;
+            if (!torrentId) {
+                const source = await fetchTorrentFile(selected.downloadUrl);
+                torrentId = source.magnet || source.metainfo;
+            }
+
+            const torrent = await this.downloader.add(torrentId, downloadDir);
+            spinner.succeed(this.colors.success(`Got metadata for ${torrent.name} (${torrent.files.length} files, ${formatSize(torrent.length)})`));
+
+            let fileIndexes = torrent.files.map((file, i) => i);
+            if (torrent.files.length > 1) {
+                ({ fileIndexes } = await inquirer.prompt([
+                    {
+                        type: 'checkbox',
+                        name: 'fileIndexes',
+                        message: 'Select files to download:',
+                        prefix: this.colors.primary('⊡'),
+                        choices: torrent.files.map((file, i) => ({
+                            name: `${file.path} ${this.colors.muted(`(${formatSize(file.length)})`)}`,
+                            value: i,
+                            checked: true
+                        })),
+                        pageSize: this.settings.pageSize,
+                        validate: (input) => input.length > 0 || 'Select at least one file'
+                    }
+                ]));
+            }
+
+            this.downloader.selectFiles(torrent, fileIndexes);
+            this.downloader.remember(torrent, downloadDir, fileIndexes);
+            await this.runTorrentDownload(torrent, fileIndexes, downloadDir);
+        } catch (error) {
+            spinner.fail(this.colors.error(`Download failed: ${error.message}`));
+            this.notify('error', 'Download failed', error.message);
+        } finally {
+            await this.downloader.destroy();
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    // Stream a video file from a torrent result over a local HTTP server, optionally opening the configured player
+    async streamResult(selected) {
+        const spinner = this.createSpinner('Fetching torrent metadata...').start();
+
+        let stream = null;
+        let player = null;
+
+        try {
+            let torrentId = selected.magnetUrl;
+            if (!torrentId) {
+                const source = await fetchTorrentFile(selected.downloadUrl);
+                torrentId = source.magnet || source.metainfo;
+            }
+
+            // Streams go to a scratch directory, use "Download here" to keep the files
+            const torrent = await this.downloader.add(torrentId, path.join(os.tmpdir(), 'prowling-stream'), { sequential: true });
+            spinner.succeed(this.colors.success(`Got metadata for ${torrent.name}`));
+
+            const videos = torrent.files
+                .map((file, index) => ({ file, index }))
+                .filter(({ file }) => isVideoFile(file))
+                .sort((a, b) => b.file.length - a.file.length);
+
+            if (videos.length === 0) {
+                console.log(this.colors.warning('\nNo video files found in this torrent'));
+            } else {
+                let { index } = videos[0];
+                if (videos.length > 1) {
+                    ({ index } = await inquirer.prompt([
+                        {
+                            type: 'list',
+                            name: 'index',
+                            message: 'Select a file to stream:',
+                            prefix: this.colors.primary('▶'),
+                            choices: videos.map(({ file, index }) => ({
+                                name: `${file.path} ${this.colors.muted(`(${formatSize(file.length)})`)}`,
+                                value: index
+                            })),
+                            pageSize: this.settings.pageSize
+                        }
+                    ]));
+                }
+
+                const file = torrent.files[index];
+                this.downloader.selectFiles(torrent, [index]);
+                stream = await startStreamServer(file);
+
+                console.log(this.colors.primary('\nStreaming at:'));
+                console.log(this.colors.text(stream.url));
+
+                if (this.settings.streamPlayer) {
+                    const [command, ...args] = this.settings.streamPlayer.split(/\s+/).filter(Boolean);
+                    player = spawn(command, [...args, stream.url], { stdio: 'ignore' });
+                    player.on('error', (error) => {
+                        console.log(this.colors.error(`\nCould not start ${command}: ${error.message}`));
+                    });
+                    console.log(this.colors.success(`Opened in ${command}`));
+                } else {
+                    console.log(this.colors.muted('Open the URL in a media player, or set a player command in Download Settings.'));
+                }
+
+                await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to stop streaming and go back...' }]);
+                const progress = file.length ? Math.min(file.downloaded / file.length, 1) : 1;
+                console.log(this.colors.muted(`Stopped streaming (${(progress * 100).toFixed(1)}% of the file was downloaded)`));
+            }
+        } catch (error) {
+            spinner.fail(this.colors.error(`Streaming failed: ${error.message}`));
+        } finally {
+            if (player && player.exitCode === null) {
+                player.kill();
+            }
+            if (stream) {
+                await stream.close();
+            }
+            await this.downloader.destroy();
+        }
+    }
+
+    // Pick up a download that was stopped or interrupted by a restart
+    async resumeDownloads() {
+        this.currentMenuLevel = 'downloads';
+        const downloads = this.downloader.getUnfinished();
+
+        const { infoHash } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'infoHash',
+                message: 'Select a download to resume:',
+                prefix: this.colors.primary('⇩'),
+                choices: [
+                    ...downloads.map(download => ({
+                        name: `${download.name} ${this.colors.muted('|')} ${this.colors.secondary(formatSize(download.length))} ${this.colors.muted('|')} ${this.colors.info(download.path)}`,
+                        value: download.infoHash
+                    })),
+                    new inquirer.Separator(),
+                    { name: '✕ Forget a download', value: 'forget' },
+                    { name: '← Back', value: null }
+                ],
+                loop: true,
+                pageSize: this.settings.pageSize
+            }
+        ]);
+
+        if (!infoHash) {
+            return;
+        }
+
+        if (infoHash === 'forget') {
+            const { forget } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'forget',
+                    message: 'Forget which download? (files already on disk are kept)',
+                    choices: [
+                        ...downloads.map(download => ({ name: download.name, value: download.infoHash })),
+                        { name: '← Back', value: null }
+                    ]
+                }
+            ]);
+            if (forget) {
+                this.downloader.forget(forget);
+                console.log(this.colors.success('✓ Download forgotten'));
+            }
+            return;
+        }
+
+        const download = downloads.find(d => d.infoHash === infoHash);
+        const spinner = this.createSpinner('Checking existing data...').start();
+
+        try {
+            const torrent = await this.downloader.add(Buffer.from(download.torrentFile, 'base64'), download.path);
+            spinner.succeed(this.colors.success(`Resuming ${torrent.name}`));
+            this.downloader.selectFiles(torrent, download.files);
+            await this.runTorrentDownload(torrent, download.files, download.path);
+        } catch (error) {
+            spinner.fail(this.colors.error(`Resume failed: ${error.message}`));
+            this.notify('error', 'Resume failed', error.message);
+        } finally {
+            await this.downloader.destroy();
+        }
+
+        console.log(this.colors.muted('\nPress Enter to go back...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
 
-            // Send to qBittorrent Web API
-            const formData = new URLSearchParams();
-            formData.append('urls', url);
+    // Show a live progress line until the selected files are done, Ctrl+C stops and keeps it resumable
+    async runTorrentDownload(torrent, fileIndexes, downloadDir) {
+        const spinner = this.createSpinner('Connecting to peers...').start();
+        const onInterrupt = () => this.downloader.stop();
+        process.once('SIGINT', onInterrupt);
 
-            await axios.post(`${this.qbittorrentUrl}/api/v2/torrents/add`, formData, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
+        try {
+            const result = await this.downloader.waitUntilDone(torrent, fileIndexes, (progress) => {
+                spinner.text = formatProgress(progress);
             });
 
-            spinner.succeed(chalk.green('✓ Sent to qBittorrent'));
+            if (result === 'done') {
+                this.downloader.forget(torrent.infoHash);
+                spinner.succeed(this.colors.success(`✓ Downloaded ${torrent.name} to ${downloadDir}`));
+                this.notify('download_finished', 'Download finished', `${torrent.name} in ${downloadDir}`, { name: torrent.name, downloadDir });
+            } else {
+                spinner.warn(this.colors.warning('Download stopped, resume it from the main menu'));
+            }
         } catch (error) {
-            spinner.fail(chalk.red(`Failed to send to qBittorrent: ${error.message}`));
-            console.log(chalk.yellow('\nTip: Make sure qBittorrent WebUI is enabled and the URL is correct.'));
-            console.log(chalk.yellow('You may need to login to qBittorrent WebUI first in your browser.'));
+            spinner.fail(this.colors.error(`Download failed: ${error.message}`));
+            this.notify('error', 'Download failed', error.message);
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
         }
-
-        console.log(chalk.gray('\nPress Enter to go back...'));
-        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
 
     async showSettingsMenu() {
         this.currentMenuLevel = 'settings';
         
-        console.log(chalk[this.theme.primary]('\n┌─────────────────────────────────────────┐'));
-        console.log(chalk[this.theme.primary]('│') + chalk.bold.white(' ⚙️ Settings Menu                      ') + chalk[this.theme.primary]('│'));
-        console.log(chalk[this.theme.primary]('└─────────────────────────────────────────┘\n'));
+        console.log(this.colors.primary('\n┌─────────────────────────────────────────┐'));
+        console.log(this.colors.primary('│') + chalk.bold(this.colors.text(' ⚙️ Settings Menu                      ')) + this.colors.primary('│'));
+        console.log(this.colors.primary('└─────────────────────────────────────────┘\n'));
         
         while (true) {
             const { settingOption } = await inquirer.prompt([
@@ -701,7 +2812,7 @@ class ProwlingClient {
                     type: 'list',
                     name: 'settingOption',
                     message: 'Select a setting to customize:',
-                    prefix: chalk[this.theme.highlight]('⚙️'),
+                    prefix: this.colors.highlight('⚙️'),
                     choices: [
                         { name: '🔌 Connection Settings', value: 'connection' },
                         { name: '🎨 Theme Colors', value: 'theme' },
@@ -734,20 +2845,13 @@ class ProwlingClient {
                 
                 if (confirm) {
                     // Reset theme and settings to default
-                    this.theme = {
-                        primary: 'cyan',
-                        secondary: 'yellow',
-                        success: 'green',
-                        error: 'red',
-                        warning: 'yellow',
-                        info: 'blue',
-                        highlight: 'magenta'
-                    };
+                    this.applyTheme({ ...DEFAULT_THEME });
                     
                     this.settings = {
                         pageSize: 15,
                         defaultSortOrder: 'seeders_desc',
                         defaultDownloadDir: '',
+                        streamPlayer: '',
                         showAdultContent: true,
                         showExtendedInfo: false,
                         confirmDownloads: true,
@@ -761,13 +2865,23 @@ class ProwlingClient {
                         maxSearchHistory: 20,
                         enableAnimations: true,
                         displayMode: 'auto',
+                        resultColumns: [...DEFAULT_RESULT_COLUMNS],
+                        lastSearchCategories: [],
+                        lastSearchMode: 'search',
+                        askForIndexers: true,
+                        groupDuplicates: true,
+                        activeQualityProfile: '',
                         cacheResults: true,
-                        cacheDuration: 30
+                        cacheDuration: 30,
+                        searchBatchSize: 100,
+                        watchInterval: 30,
+                        defaultDownloadClientId: null
                     };
+                    this.shortcuts = { ...keyboard.DEFAULT_SHORTCUTS };
                     
                     // Save the reset configuration
-                    this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-                    console.log(chalk[this.theme.success]('✓ Settings reset to default'));
+                    this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                    console.log(this.colors.success('✓ Settings reset to default'));
                 }
                 continue;
             }
@@ -805,71 +2919,167 @@ class ProwlingClient {
     }
     
     async customizeTheme() {
-        const availableColors = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray'];
-        
-        console.log(chalk[this.theme.info]('\n📝 Customize Theme Colors'));
-        console.log(chalk[this.theme.secondary]('Select colors for different elements of the application.\n'));
+        console.log(this.colors.info('\n📝 Customize Theme Colors'));
+        console.log(this.colors.secondary('Pick a preset or set the color of each element, colors can be names, #hex values or 256-color numbers.\n'));
         
-        const { themeElement } = await inquirer.prompt([
+        const preset = findPreset(this.theme);
+        const { themeAction } = await inquirer.prompt([
             {
                 type: 'list',
-                name: 'themeElement',
-                message: 'Select an element to customize:',
+                name: 'themeAction',
+                message: `Theme: ${preset ? THEME_PRESETS[preset].label : 'Custom'}`,
                 choices: [
-                    { name: 'Primary Color (Headers, Borders)', value: 'primary' },
-                    { name: 'Secondary Color (Subtitles, Info)', value: 'secondary' },
-                    { name: 'Success Color (Confirmations)', value: 'success' },
-                    { name: 'Error Color (Error Messages)', value: 'error' },
-                    { name: 'Warning Color (Warnings, Alerts)', value: 'warning' },
-                    { name: 'Info Color (Information Messages)', value: 'info' },
-                    { name: 'Highlight Color (Selected Items)', value: 'highlight' },
+                    { name: 'Apply a Preset', value: 'preset' },
+                    { name: 'Customize a Color', value: 'color' },
+                    { name: 'Import Theme from File', value: 'import' },
+                    { name: 'Export Theme to File', value: 'export' },
+                    { name: 'Preview Theme', value: 'preview' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
             }
         ]);
         
-        if (themeElement === 'back') {
+        if (themeAction === 'back') {
             return;
         }
         
-        const { colorChoice } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'colorChoice',
-                message: `Choose a color for ${themeElement}:`,
-                choices: availableColors.map(color => ({
-                    name: `${chalk[color](color)}`,
-                    value: color
-                })),
-                loop: true
+        // A sample of every role, e.g. for the preset list
+        const swatch = (theme) => {
+            const palette = createPalette(theme);
+            return Object.keys(THEME_ROLES).map(role => palette[role]('■')).join('');
+        };
+        
+        if (themeAction === 'preset') {
+            const { presetName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'presetName',
+                    message: 'Choose a preset:',
+                    choices: Object.entries(THEME_PRESETS).map(([name, { label, colors }]) => ({ name: `${swatch(colors)} ${label}`, value: name, short: label })),
+                    default: preset || undefined,
+                    loop: true
+                }
+            ]);
+            this.applyTheme({ ...THEME_PRESETS[presetName].colors });
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+            console.log(this.colors.success(`✓ Applied the ${THEME_PRESETS[presetName].label} theme`));
+        } else if (themeAction === 'color') {
+            const { themeElement } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'themeElement',
+                    message: 'Select an element to customize:',
+                    choices: Object.entries(THEME_ROLES).map(([role, label]) => ({
+                        name: `${label}: ${this.colors[role](this.theme[role])}`,
+                        value: role,
+                        short: label
+                    })),
+                    loop: true
+                }
+            ]);
+            
+            const colorNames = NAMED_COLORS.filter(color => color !== 'grey');
+            const { colorChoice } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'colorChoice',
+                    message: `Choose a color for ${themeElement}:`,
+                    choices: [
+                        ...colorNames.map(color => ({ name: createPalette({ [themeElement]: color })[themeElement](color), value: color })),
+                        ...colorNames.filter(color => color !== 'gray').map(color => `${color}Bright`).map(color => ({ name: createPalette({ [themeElement]: color })[themeElement](color), value: color })),
+                        { name: 'Custom (#hex, 256-color number, modifiers like bold.red)...', value: null }
+                    ],
+                    default: this.theme[themeElement],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                },
+                {
+                    type: 'input',
+                    name: 'colorChoice',
+                    message: 'Color:',
+                    default: this.theme[themeElement],
+                    when: (answers) => answers.colorChoice === null,
+                    validate: (input) => checkStyle(input.trim()) || true,
+                    filter: (input) => input.trim()
+                }
+            ]);
+            
+            this.applyTheme({ ...this.theme, [themeElement]: colorChoice });
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+            console.log(this.colors.success(`✓ ${themeElement} color updated to ${colorChoice}`));
+        } else if (themeAction === 'import') {
+            const { filePath } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'filePath',
+                    message: 'Theme file to import:',
+                    validate: (input) => input.trim() ? true : 'Enter a file path',
+                    filter: toPath
+                }
+            ]);
+            
+            try {
+                const imported = importTheme(filePath);
+                this.applyTheme(imported.theme);
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Imported theme${imported.name ? ` "${imported.name}"` : ''} from ${filePath}`));
+            } catch (error) {
+                console.log(this.colors.error(`Import failed: ${error.message}`));
             }
-        ]);
+        } else if (themeAction === 'export') {
+            const { filePath, overwrite } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'filePath',
+                    message: 'Save theme to:',
+                    default: path.join(process.cwd(), `prowling-theme-${preset || 'custom'}.json`),
+                    validate: (input) => input.trim() ? true : 'Enter a file path',
+                    filter: toPath
+                },
+                {
+                    type: 'confirm',
+                    name: 'overwrite',
+                    message: (answers) => `${answers.filePath} exists, overwrite it?`,
+                    default: false,
+                    when: (answers) => fs.existsSync(answers.filePath)
+                }
+            ]);
+            
+            if (overwrite !== false) {
+                try {
+                    exportTheme(filePath, this.theme, preset || 'custom');
+                    console.log(this.colors.success(`✓ Exported theme to ${filePath}`));
+                } catch (error) {
+                    console.log(this.colors.error(`Export failed: ${error.message}`));
+                }
+            }
+        }
         
-        // Update the theme with the new color choice
-        this.theme[themeElement] = colorChoice;
+        this.printThemePreview();
         
-        // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${themeElement} color updated to ${colorChoice}`));
-        
-        // Show a preview of the updated theme
-        console.log(chalk[this.theme.info]('\nTheme Preview:'));
-        console.log(chalk[this.theme.primary]('Primary Text'));
-        console.log(chalk[this.theme.secondary]('Secondary Text'));
-        console.log(chalk[this.theme.success]('Success Message'));
-        console.log(chalk[this.theme.error]('Error Message'));
-        console.log(chalk[this.theme.warning]('Warning Message'));
-        console.log(chalk[this.theme.info]('Info Message'));
-        console.log(chalk[this.theme.highlight]('Highlighted Item'));
-        
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
     
+    printThemePreview() {
+        console.log(this.colors.info('\nTheme Preview:'));
+        if (chalk.level === 0) {
+            console.log(this.colors.warning('Colors are off (NO_COLOR or FORCE_COLOR=0 is set, or the output is not a terminal)'));
+        }
+        console.log(this.colors.primary('Primary Text'));
+        console.log(this.colors.secondary('Secondary Text'));
+        console.log(this.colors.success('Success Message'));
+        console.log(this.colors.error('Error Message'));
+        console.log(this.colors.warning('Warning Message'));
+        console.log(this.colors.info('Info Message'));
+        console.log(this.colors.highlight('Highlighted Item'));
+        console.log(this.colors.text('Regular Text') + this.colors.muted(' | muted hint'));
+    }
+    
     async customizeUI() {
-        console.log(chalk[this.theme.info]('\n📝 Customize UI Preferences'));
-        console.log(chalk[this.theme.secondary]('Adjust how the application interface behaves.\n'));
+        console.log(this.colors.info('\n📝 Customize UI Preferences'));
+        console.log(this.colors.secondary('Adjust how the application interface behaves.\n'));
         
         const { uiSetting } = await inquirer.prompt([
             {
@@ -919,16 +3129,16 @@ class ProwlingClient {
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${uiSetting} updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${uiSetting} updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
     
     async customizeDownloadSettings() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Download Settings'));
-        console.log(chalk[this.theme.secondary]('Configure how downloads are handled.\n'));
+        console.log(this.colors.info('\n📝 Customize Download Settings'));
+        console.log(this.colors.secondary('Configure how downloads are handled.\n'));
         
         const { downloadSetting } = await inquirer.prompt([
             {
@@ -938,6 +3148,8 @@ class ProwlingClient {
                 choices: [
                     { name: 'Default Download Directory', value: 'defaultDownloadDir' },
                     { name: 'Confirm Downloads', value: 'confirmDownloads' },
+                    { name: 'Default Prowlarr Download Client', value: 'defaultDownloadClientId' },
+                    { name: 'Stream Player Command', value: 'streamPlayer' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -969,84 +3181,498 @@ class ProwlingClient {
                 }
             ]);
             
-            this.settings.confirmDownloads = value;
+            this.settings.confirmDownloads = value;
+        } else if (downloadSetting === 'defaultDownloadClientId') {
+            let clients = [];
+            try {
+                clients = (await this.api.getDownloadClients()).filter(client => client.enable);
+            } catch (error) {
+                console.log(this.colors.error(`Failed to load download clients from Prowlarr: ${error.message}`));
+            }
+            
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'value',
+                    message: 'Select the default download client:',
+                    choices: [
+                        { name: 'Ask every time', value: null },
+                        ...clients.map(client => ({ name: `${client.name} (${client.protocol})`, value: client.id }))
+                    ],
+                    default: this.settings.defaultDownloadClientId
+                }
+            ]);
+            
+            this.settings.defaultDownloadClientId = value;
+        } else if (downloadSetting === 'streamPlayer') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: 'Enter the media player command, the stream URL is appended (e.g. mpv, vlc; leave empty to only print the URL):',
+                    default: this.settings.streamPlayer
+                }
+            ]);
+            
+            this.settings.streamPlayer = value.trim();
+        }
+        
+        // Save the updated configuration
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${downloadSetting} updated successfully`));
+        
+        console.log(this.colors.muted('\nPress Enter to continue...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+    
+    async customizeSearchPreferences() {
+        console.log(this.colors.info('\n📝 Customize Search Preferences'));
+        console.log(this.colors.secondary('Configure how search results are displayed and sorted.\n'));
+        
+        const { searchSetting } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'searchSetting',
+                message: 'Select a search setting to customize:',
+                choices: [
+                    { name: 'Default Sort Order', value: 'defaultSortOrder' },
+                    { name: 'Show Adult Content', value: 'showAdultContent' },
+                    { name: 'Auto-Refresh Results', value: 'autoRefreshResults' },
+                    { name: 'Ask Which Indexers to Search', value: 'askForIndexers' },
+                    { name: 'Group Duplicate Releases', value: 'groupDuplicates' },
+                    { name: 'Indexer Groups', value: 'indexerGroups' },
+                    { name: 'Filter Presets', value: 'filterPresets' },
+                    { name: 'Quality Profiles', value: 'qualityProfiles' },
+                    { name: '← Back to Settings Menu', value: 'back' }
+                ],
+                loop: true
+            }
+        ]);
+        
+        if (searchSetting === 'back') {
+            return;
+        }
+        
+        if (searchSetting === 'indexerGroups') {
+            await this.manageIndexerGroups();
+            return;
+        }
+        
+        if (searchSetting === 'filterPresets') {
+            await this.manageFilterPresets();
+            return;
+        }
+        
+        if (searchSetting === 'qualityProfiles') {
+            await this.manageQualityProfiles();
+            return;
+        }
+        
+        if (searchSetting === 'defaultSortOrder') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'value',
+                    message: 'Select default sort order:',
+                    choices: [
+                        { name: 'Title (A-Z)', value: 'title_asc' },
+                        { name: 'Title (Z-A)', value: 'title_desc' },
+                        { name: 'Seeders (High to Low)', value: 'seeders_desc' },
+                        { name: 'Seeders (Low to High)', value: 'seeders_asc' },
+                        { name: 'Size (Large to Small)', value: 'size_desc' },
+                        { name: 'Size (Small to Large)', value: 'size_asc' },
+                        { name: 'Date (Newest First)', value: 'date_desc' },
+                        { name: 'Date (Oldest First)', value: 'date_asc' },
+                        { name: 'Quality (Best First)', value: 'quality_desc' },
+                        { name: 'Quality (Worst First)', value: 'quality_asc' },
+                        { name: 'Best Match (Quality Profile)', value: 'best_match', disabled: this.getScorer() ? false : 'no active quality profile' }
+                    ],
+                    default: this.settings.defaultSortOrder
+                }
+            ]);
+            
+            this.settings.defaultSortOrder = value;
+        } else if (['showAdultContent', 'autoRefreshResults', 'askForIndexers', 'groupDuplicates'].includes(searchSetting)) {
+            const labels = {
+                showAdultContent: 'adult content',
+                autoRefreshResults: 'auto-refresh results',
+                askForIndexers: 'asking which indexers to search',
+                groupDuplicates: 'grouping releases found on several indexers'
+            };
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'value',
+                    message: `Enable ${labels[searchSetting]}?`,
+                    default: this.settings[searchSetting]
+                }
+            ]);
+            
+            this.settings[searchSetting] = value;
+        }
+        
+        // Save the updated configuration
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${searchSetting} updated successfully`));
+        
+        console.log(this.colors.muted('\nPress Enter to continue...'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+    }
+
+    // Create, edit and delete the saved indexer groups offered before each search
+    async manageIndexerGroups() {
+        while (true) {
+            const groupNames = Object.keys(this.indexerGroups).sort();
+            const { groupName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'groupName',
+                    message: 'Indexer groups:',
+                    prefix: this.colors.highlight('⚑'),
+                    choices: [
+                        ...groupNames.map(name => {
+                            const members = this.indexers.filter(indexer => this.indexerGroups[name].includes(indexer.id));
+                            return { name: `${name} ${this.colors.muted(`(${members.map(indexer => indexer.name).join(', ') || 'empty'})`)}`, value: name, short: name };
+                        }),
+                        { name: '+ New group', value: { create: true } },
+                        { name: '← Back to Settings Menu', value: null }
+                    ],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
+            
+            if (!groupName) {
+                return;
+            }
+            
+            if (groupName.create) {
+                const { name } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Group name:',
+                        validate: (input) => {
+                            if (!input.trim()) return 'Enter a name';
+                            if (this.indexerGroups[input.trim()]) return 'A group with this name already exists';
+                            return true;
+                        }
+                    }
+                ]);
+                this.indexerGroups[name.trim()] = await this.pickIndexers();
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Group "${name.trim()}" saved`));
+                continue;
+            }
+            
+            const { groupAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'groupAction',
+                    message: `"${groupName}":`,
+                    choices: [
+                        { name: '✎ Edit indexers', value: 'edit' },
+                        { name: '✕ Delete', value: 'delete' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (groupAction === 'edit') {
+                this.indexerGroups[groupName] = await this.pickIndexers(this.indexerGroups[groupName]);
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Group "${groupName}" updated`));
+            } else if (groupAction === 'delete') {
+                delete this.indexerGroups[groupName];
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Group "${groupName}" deleted`));
+            }
+        }
+    }
+
+    // Create, edit and delete the named result filters offered in the result list
+    async manageFilterPresets() {
+        const validateFilter = (input) => {
+            try {
+                parseFilter(input);
+                return true;
+            } catch (error) {
+                return error.message;
+            }
+        };
+        
+        while (true) {
+            const presetNames = Object.keys(this.filterPresets).sort();
+            const { presetName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'presetName',
+                    message: 'Filter presets:',
+                    prefix: this.colors.highlight('☆'),
+                    choices: [
+                        ...presetNames.map(name => ({ name: `${name} ${this.colors.muted(this.filterPresets[name])}`, value: name, short: name })),
+                        { name: '+ New preset', value: { create: true } },
+                        { name: '← Back to Settings Menu', value: null }
+                    ],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
+            
+            if (!presetName) {
+                return;
+            }
+            
+            if (presetName.create) {
+                console.log(this.colors.muted(`  ${FILTER_HELP}`));
+                const { name, expression } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Preset name:',
+                        validate: (input) => {
+                            if (!input.trim()) return 'Enter a name';
+                            if (this.filterPresets[input.trim()]) return 'A preset with this name already exists';
+                            return true;
+                        }
+                    },
+                    {
+                        type: 'input',
+                        name: 'expression',
+                        message: 'Filter:',
+                        validate: validateFilter
+                    }
+                ]);
+                this.filterPresets[name.trim()] = parseFilter(expression).expression;
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Preset "${name.trim()}" saved`));
+                continue;
+            }
+            
+            const { presetAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'presetAction',
+                    message: `"${presetName}":`,
+                    choices: [
+                        { name: '✎ Edit filter', value: 'edit' },
+                        { name: '✕ Delete', value: 'delete' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (presetAction === 'edit') {
+                const { expression } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'expression',
+                        message: 'Filter:',
+                        default: this.filterPresets[presetName],
+                        validate: validateFilter
+                    }
+                ]);
+                this.filterPresets[presetName] = parseFilter(expression).expression;
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Preset "${presetName}" updated`));
+            } else if (presetAction === 'delete') {
+                delete this.filterPresets[presetName];
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Preset "${presetName}" deleted`));
+            }
+        }
+    }
+
+    // Create, activate, edit and delete quality profiles
+    async manageQualityProfiles() {
+        while (true) {
+            const profileNames = Object.keys(this.qualityProfiles).sort();
+            const { profileName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'profileName',
+                    message: 'Quality profiles:',
+                    prefix: this.colors.highlight('★'),
+                    choices: [
+                        ...profileNames.map(name => ({
+                            name: name === this.settings.activeQualityProfile ? `${name} ${this.colors.success('(active)')}` : name,
+                            value: name,
+                            short: name
+                        })),
+                        { name: '+ New profile', value: { create: true } },
+                        { name: '← Back to Settings Menu', value: null }
+                    ],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
+            
+            if (!profileName) {
+                return;
+            }
+            
+            if (profileName.create) {
+                const { name } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Profile name:',
+                        validate: (input) => {
+                            if (!input.trim()) return 'Enter a name';
+                            if (this.qualityProfiles[input.trim()]) return 'A profile with this name already exists';
+                            return true;
+                        }
+                    }
+                ]);
+                this.qualityProfiles[name.trim()] = { ...qualityProfiles.EMPTY_PROFILE };
+                if (!this.settings.activeQualityProfile) {
+                    this.settings.activeQualityProfile = name.trim();
+                }
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                await this.editQualityProfile(name.trim());
+                continue;
+            }
+            
+            const isActive = profileName === this.settings.activeQualityProfile;
+            const { profileAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'profileAction',
+                    message: `"${profileName}":`,
+                    choices: [
+                        { name: isActive ? '☆ Deactivate' : '★ Use for scores and "Best match"', value: 'toggle' },
+                        { name: '✎ Edit', value: 'edit' },
+                        { name: '✕ Delete', value: 'delete' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (profileAction === 'toggle') {
+                this.settings.activeQualityProfile = isActive ? '' : profileName;
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+            } else if (profileAction === 'edit') {
+                await this.editQualityProfile(profileName);
+            } else if (profileAction === 'delete') {
+                delete this.qualityProfiles[profileName];
+                if (isActive) {
+                    this.settings.activeQualityProfile = '';
+                }
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                console.log(this.colors.success(`✓ Profile "${profileName}" deleted`));
+            }
         }
-        
-        // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${downloadSetting} updated successfully`));
-        
-        console.log(chalk.gray('\nPress Enter to continue...'));
-        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
-    
-    async customizeSearchPreferences() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Search Preferences'));
-        console.log(chalk[this.theme.secondary]('Configure how search results are displayed and sorted.\n'));
-        
-        const { searchSetting } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'searchSetting',
-                message: 'Select a search setting to customize:',
-                choices: [
-                    { name: 'Default Sort Order', value: 'defaultSortOrder' },
-                    { name: 'Show Adult Content', value: 'showAdultContent' },
-                    { name: 'Auto-Refresh Results', value: 'autoRefreshResults' },
-                    { name: '← Back to Settings Menu', value: 'back' }
-                ],
-                loop: true
+
+    async editQualityProfile(name) {
+        const parseCount = (text) => {
+            const value = text.trim() ? parseInt(text) : 0;
+            if (!(value >= 0)) {
+                throw new Error('Enter a number of 0 or more');
             }
-        ]);
+            return value;
+        };
         
-        if (searchSetting === 'back') {
-            return;
-        }
+        // How each field is shown and typed in, lists are separated with ";"
+        const fields = {
+            required: {
+                label: 'Required terms',
+                hint: 'all have to match, e.g. resolution>=1080p -source:cam',
+                format: (value) => value,
+                parse: (text) => text.trim() ? parseFilter(text).expression : ''
+            },
+            rejected: {
+                label: 'Rejected terms',
+                hint: 'any match rejects, e.g. source:cam; /\\bHC\\b/',
+                format: qualityProfiles.formatSplit,
+                parse: qualityProfiles.parseSplit
+            },
+            preferred: {
+                label: 'Preferred terms',
+                hint: 'score and filter, e.g. +10 codec:x265; +5 hdr:dv; -20 source:webrip',
+                format: (value) => qualityProfiles.formatWeightedList(value),
+                parse: (text) => qualityProfiles.parseWeightedList(text)
+            },
+            preferredIndexers: {
+                label: 'Preferred indexers',
+                hint: `score and indexer name, e.g. +20 ${this.indexers[0]?.name || 'MyIndexer'}`,
+                format: (value) => qualityProfiles.formatWeightedList(value, 'indexer'),
+                parse: (text) => qualityProfiles.parseWeightedList(text, 'indexer')
+            },
+            sizeLimits: {
+                label: 'Size limits per category',
+                hint: 'category and min-max, e.g. 2000 1GB-20GB; 5000 -5GB',
+                format: qualityProfiles.formatSizeLimits,
+                parse: qualityProfiles.parseSizeLimits
+            },
+            minSeeders: {
+                label: 'Minimum seeders',
+                hint: 'torrents with fewer are rejected',
+                format: String,
+                parse: parseCount
+            },
+            seedersWeight: {
+                label: 'Seeders weight',
+                hint: 'points per factor of ten seeders, 0 to ignore seeders',
+                format: String,
+                parse: parseCount
+            }
+        };
         
-        if (searchSetting === 'defaultSortOrder') {
-            const { value } = await inquirer.prompt([
+        while (true) {
+            const profile = { ...qualityProfiles.EMPTY_PROFILE, ...this.qualityProfiles[name] };
+            const { field } = await inquirer.prompt([
                 {
                     type: 'list',
-                    name: 'value',
-                    message: 'Select default sort order:',
+                    name: 'field',
+                    message: `Edit "${name}":`,
+                    prefix: this.colors.highlight('✎'),
                     choices: [
-                        { name: 'Title (A-Z)', value: 'title_asc' },
-                        { name: 'Title (Z-A)', value: 'title_desc' },
-                        { name: 'Seeders (High to Low)', value: 'seeders_desc' },
-                        { name: 'Seeders (Low to High)', value: 'seeders_asc' },
-                        { name: 'Size (Large to Small)', value: 'size_desc' },
-                        { name: 'Size (Small to Large)', value: 'size_asc' },
-                        { name: 'Date (Newest First)', value: 'date_desc' },
-                        { name: 'Date (Oldest First)', value: 'date_asc' }
+                        ...Object.keys(fields).map(key => ({
+                            name: `${fields[key].label}: ${this.colors.muted(fields[key].format(profile[key]) || 'none')}`,
+                            value: key,
+                            short: fields[key].label
+                        })),
+                        { name: '← Back', value: null }
                     ],
-                    default: this.settings.defaultSortOrder
+                    loop: true,
+                    pageSize: this.settings.pageSize
                 }
             ]);
             
-            this.settings.defaultSortOrder = value;
-        } else if (searchSetting === 'showAdultContent' || searchSetting === 'autoRefreshResults') {
+            if (!field) {
+                return;
+            }
+            
+            console.log(this.colors.muted(`  ${fields[field].hint} ("none" to clear)`));
+            // An empty answer keeps the default, so clearing is spelled out
+            const parseInput = (input) => fields[field].parse(/^none$/i.test(input.trim()) ? '' : input);
             const { value } = await inquirer.prompt([
                 {
-                    type: 'confirm',
+                    type: 'input',
                     name: 'value',
-                    message: `Enable ${searchSetting === 'showAdultContent' ? 'adult content' : 'auto-refresh results'}?`,
-                    default: this.settings[searchSetting]
+                    message: `${fields[field].label}:`,
+                    default: fields[field].format(profile[field]) || undefined,
+                    validate: (input) => {
+                        try {
+                            parseInput(input);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
                 }
             ]);
             
-            this.settings[searchSetting] = value;
+            // A new object, so cached scores for the old version are dropped
+            this.qualityProfiles[name] = { ...profile, [field]: parseInput(value) };
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
         }
-        
-        // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${searchSetting} updated successfully`));
-        
-        console.log(chalk.gray('\nPress Enter to continue...'));
-        await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
+
     async customizeConnectionSettings() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Connection Settings'));
-        console.log(chalk[this.theme.secondary]('Configure connection to Prowlarr and other services.\n'));
+        console.log(this.colors.info('\n📝 Customize Connection Settings'));
+        console.log(this.colors.secondary('Configure connection to Prowlarr and other services.\n'));
         
         const { connectionSetting } = await inquirer.prompt([
             {
@@ -1057,6 +3683,16 @@ class ProwlingClient {
                     { name: 'Prowlarr Server URL', value: 'serverUrl' },
                     { name: 'Prowlarr API Key', value: 'apiKey' },
                     { name: 'qBittorrent WebUI URL', value: 'qbittorrentUrl' },
+                    { name: 'qBittorrent Username', value: 'qbittorrentUsername' },
+                    { name: 'qBittorrent Password', value: 'qbittorrentPassword' },
+                    { name: 'Transmission RPC URL', value: 'transmissionUrl' },
+                    { name: 'Transmission Username', value: 'transmissionUsername' },
+                    { name: 'Transmission Password', value: 'transmissionPassword' },
+                    { name: 'SABnzbd URL', value: 'sabnzbdUrl' },
+                    { name: 'SABnzbd API Key', value: 'sabnzbdApiKey' },
+                    { name: 'NZBGet URL', value: 'nzbgetUrl' },
+                    { name: 'NZBGet Username', value: 'nzbgetUsername' },
+                    { name: 'NZBGet Password', value: 'nzbgetPassword' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -1078,27 +3714,22 @@ class ProwlingClient {
                 }
             ]);
             
-            this.baseUrl = value;
+            this.setConnection(value, this.apiKey);
             
             // Test the new connection
-            const spinner = ora({
-                text: 'Testing connection to Prowlarr...',
-                color: 'cyan',
-                spinner: 'dots'
-            }).start();
+            const spinner = this.createSpinner('Testing connection to Prowlarr...').start();
             
             try {
-                await axios.get(`${this.baseUrl}/api/v1/system/status`);
-                spinner.succeed(chalk.green('Connected to Prowlarr successfully'));
+                await this.api.getSystemStatus();
+                spinner.succeed(this.colors.success('Connected to Prowlarr successfully'));
                 
                 // Refresh indexers with new URL
                 spinner.start('Refreshing indexers...');
-                const { data: indexers } = await axios.get(`${this.baseUrl}/api/v1/indexer`);
-                this.indexers = indexers;
-                spinner.succeed(chalk.green(`Loaded ${indexers.length} indexers`));
+                const indexers = await this.refreshIndexers();
+                spinner.succeed(this.colors.success(`Loaded ${indexers.length} indexers`));
             } catch (error) {
-                spinner.fail(chalk.red(`Failed to connect: ${error.message}`));
-                console.log(chalk.yellow('Settings saved, but connection failed. Please check the URL.'));
+                spinner.fail(this.colors.error(`Failed to connect: ${error.message}`));
+                console.log(this.colors.warning('Settings saved, but connection failed. Please check the URL.'));
             }
         } else if (connectionSetting === 'apiKey') {
             const { value } = await inquirer.prompt([
@@ -1111,27 +3742,22 @@ class ProwlingClient {
             ]);
             
             // Update the API key
-            axios.defaults.headers.common['X-Api-Key'] = value;
+            this.setConnection(this.baseUrl, value);
             
             // Test the new API key
-            const spinner = ora({
-                text: 'Testing API key...',
-                color: 'cyan',
-                spinner: 'dots'
-            }).start();
+            const spinner = this.createSpinner('Testing API key...').start();
             
             try {
-                await axios.get(`${this.baseUrl}/api/v1/system/status`);
-                spinner.succeed(chalk.green('API key validated successfully'));
+                await this.api.getSystemStatus();
+                spinner.succeed(this.colors.success('API key validated successfully'));
                 
                 // Refresh indexers with new API key
                 spinner.start('Refreshing indexers...');
-                const { data: indexers } = await axios.get(`${this.baseUrl}/api/v1/indexer`);
-                this.indexers = indexers;
-                spinner.succeed(chalk.green(`Loaded ${indexers.length} indexers`));
+                const indexers = await this.refreshIndexers();
+                spinner.succeed(this.colors.success(`Loaded ${indexers.length} indexers`));
             } catch (error) {
-                spinner.fail(chalk.red(`Failed to authenticate: ${error.message}`));
-                console.log(chalk.yellow('Settings saved, but authentication failed. Please check the API key.'));
+                spinner.fail(this.colors.error(`Failed to authenticate: ${error.message}`));
+                console.log(this.colors.warning('Settings saved, but authentication failed. Please check the API key.'));
             }
         } else if (connectionSetting === 'qbittorrentUrl') {
             const { value } = await inquirer.prompt([
@@ -1145,18 +3771,146 @@ class ProwlingClient {
             ]);
             
             this.qbittorrentUrl = value;
+        } else if (connectionSetting === 'qbittorrentUsername') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: 'Enter qBittorrent username (leave empty if authentication is disabled):',
+                    default: this.downloadClients.qbittorrent.username
+                }
+            ]);
+            
+            this.downloadClients.qbittorrent.username = value;
+        } else if (connectionSetting === 'qbittorrentPassword') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'password',
+                    name: 'value',
+                    message: 'Enter qBittorrent password:'
+                }
+            ]);
+            
+            this.downloadClients.qbittorrent.password = value;
+        } else if (connectionSetting === 'transmissionUrl') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: 'Enter Transmission RPC URL, e.g. http://localhost:9091 (leave empty to disable):',
+                    default: this.downloadClients.transmission.url,
+                    validate: (input) => !input || input.startsWith('http') ? true : 'URL must start with http:// or https://'
+                }
+            ]);
+            
+            this.downloadClients.transmission.url = value;
+        } else if (connectionSetting === 'transmissionUsername') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: 'Enter Transmission username (leave empty if authentication is disabled):',
+                    default: this.downloadClients.transmission.username
+                }
+            ]);
+            
+            this.downloadClients.transmission.username = value;
+        } else if (connectionSetting === 'transmissionPassword') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'password',
+                    name: 'value',
+                    message: 'Enter Transmission password:'
+                }
+            ]);
+            
+            this.downloadClients.transmission.password = value;
+        } else if (connectionSetting === 'sabnzbdUrl' || connectionSetting === 'nzbgetUrl') {
+            const key = connectionSetting === 'sabnzbdUrl' ? 'sabnzbd' : 'nzbget';
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: `Enter ${key === 'sabnzbd' ? 'SABnzbd URL, e.g. http://localhost:8080' : 'NZBGet URL, e.g. http://localhost:6789'} (leave empty to disable):`,
+                    default: this.downloadClients[key].url,
+                    validate: (input) => !input || input.startsWith('http') ? true : 'URL must start with http:// or https://'
+                }
+            ]);
+            
+            this.downloadClients[key].url = value;
+        } else if (connectionSetting === 'sabnzbdApiKey') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'password',
+                    name: 'value',
+                    message: 'Enter SABnzbd API key:'
+                }
+            ]);
+            
+            this.downloadClients.sabnzbd.apiKey = value;
+        } else if (connectionSetting === 'nzbgetUsername') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'value',
+                    message: 'Enter NZBGet control username:',
+                    default: this.downloadClients.nzbget.username
+                }
+            ]);
+            
+            this.downloadClients.nzbget.username = value;
+        } else if (connectionSetting === 'nzbgetPassword') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'password',
+                    name: 'value',
+                    message: 'Enter NZBGet control password:'
+                }
+            ]);
+            
+            this.downloadClients.nzbget.password = value;
+        }
+        
+        // Drop the old download client session and check the new settings right away
+        if (connectionSetting.startsWith('qbittorrent')) {
+            this.qbittorrent = null;
+            if (this.qbittorrentUrl) {
+                await this.testDownloadClient('qBittorrent', async () => `qBittorrent ${await this.getQBittorrent().getVersion()}`);
+            }
+        } else if (connectionSetting.startsWith('transmission')) {
+            this.transmission = null;
+            if (this.downloadClients.transmission.url) {
+                await this.testDownloadClient('Transmission', async () => `Transmission ${(await this.getTransmission().getSession()).version}`);
+            }
+        } else if (connectionSetting.startsWith('sabnzbd') || connectionSetting.startsWith('nzbget')) {
+            const target = connectionSetting.startsWith('sabnzbd') ? { key: 'sabnzbd', name: 'SABnzbd' } : { key: 'nzbget', name: 'NZBGet' };
+            delete this.usenetClients[target.key];
+            if (this.downloadClients[target.key].url) {
+                await this.testDownloadClient(target.name, async () => `${target.name} ${await this.getUsenetClient(target.key).getVersion()}`);
+            }
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${connectionSetting} updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${connectionSetting} updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
+    // check resolves to a description of what we connected to, e.g. "qBittorrent v4.6.0"
+    async testDownloadClient(name, check) {
+        const spinner = this.createSpinner(`Testing connection to ${name}...`).start();
+        
+        try {
+            spinner.succeed(this.colors.success(`Connected to ${await check()}`));
+        } catch (error) {
+            spinner.fail(this.colors.error(`Failed to connect to ${name}: ${error.message}`));
+            console.log(this.colors.warning('Settings saved, but the connection failed. Please check the URL and credentials.'));
+        }
+    }
     async customizeAppearanceSettings() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Appearance Settings'));
-        console.log(chalk[this.theme.secondary]('Configure how the application looks and feels.\n'));
+        console.log(this.colors.info('\n📝 Customize Appearance Settings'));
+        console.log(this.colors.secondary('Configure how the application looks and feels.\n'));
         
         const { appearanceSetting } = await inquirer.prompt([
             {
@@ -1167,6 +3921,7 @@ class ProwlingClient {
                     { name: 'Display Density', value: 'displayDensity' },
                     { name: 'Enable Animations', value: 'enableAnimations' },
                     { name: 'Display Mode', value: 'displayMode' },
+                    { name: 'Result Columns', value: 'resultColumns' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -1184,9 +3939,9 @@ class ProwlingClient {
                     name: 'value',
                     message: 'Select display density:',
                     choices: [
-                        { name: 'Compact - Show more items with less spacing', value: 'compact' },
+                        { name: 'Compact - Narrow gaps between result columns', value: 'compact' },
                         { name: 'Normal - Balanced spacing', value: 'normal' },
-                        { name: 'Comfortable - More spacing between items', value: 'comfortable' }
+                        { name: 'Comfortable - Wide gaps and a blank line between results', value: 'comfortable' }
                     ],
                     default: this.settings.displayDensity
                 }
@@ -1209,29 +3964,52 @@ class ProwlingClient {
                 {
                     type: 'list',
                     name: 'value',
-                    message: 'Select display mode:',
+                    message: 'Select how results are shown:',
                     choices: [
-                        { name: 'Auto - Follow system settings', value: 'auto' },
-                        { name: 'Light Mode', value: 'light' },
-                        { name: 'Dark Mode', value: 'dark' }
+                        { name: 'Auto - A table when the terminal is wide enough, single lines otherwise', value: 'auto' },
+                        { name: 'Table - Aligned columns', value: 'table' },
+                        { name: 'List - One line per result', value: 'list' }
                     ],
-                    default: this.settings.displayMode
+                    // Older versions stored a light or dark mode here, themes cover that now
+                    default: ['table', 'list'].includes(this.settings.displayMode) ? this.settings.displayMode : 'auto'
                 }
             ]);
             
             this.settings.displayMode = value;
+        } else if (appearanceSetting === 'resultColumns') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'value',
+                    message: 'Select the columns to show in results:',
+                    choices: DEFAULT_RESULT_COLUMNS.map(column => ({
+                        name: RESULT_COLUMNS[column].label,
+                        value: column,
+                        checked: column === 'title' || this.settings.resultColumns.includes(column),
+                        disabled: column === 'title' ? 'always shown' : false
+                    }))
+                }
+            ]);
+            
+            this.settings.resultColumns = ['title', ...value];
+            console.log(this.colors.muted('Columns that don\'t fit the terminal are hidden, the score only shows with a quality profile.'));
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${appearanceSetting} updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${appearanceSetting} updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
     async customizeKeyboardShortcuts() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Keyboard Shortcuts'));
-        console.log(chalk[this.theme.secondary]('Configure keyboard shortcuts for faster navigation.\n'));
+        console.log(this.colors.info('\n📝 Customize Keyboard Shortcuts'));
+        console.log(this.colors.secondary('Shortcuts work on the results and item details screens, press ? there for help.\n'));
+        
+        // Bindings edited by hand in config.json can clash, those keys do nothing until fixed here
+        keyboard.findConflicts(this.shortcuts).forEach(conflict => {
+            console.log(this.colors.warning(`⚠ ${keyboard.SHORTCUT_ACTIONS[conflict.action] || conflict.action}: ${conflict.problem}`));
+        });
         
         const { keyboardSetting } = await inquirer.prompt([
             {
@@ -1239,9 +4017,15 @@ class ProwlingClient {
                 name: 'keyboardSetting',
                 message: 'Select a keyboard shortcut setting to customize:',
                 choices: [
-                    { name: 'Enable Keyboard Shortcuts', value: 'enableKeyboardShortcuts' },
-                    { name: 'Configure Search Shortcuts', value: 'searchShortcuts' },
-                    { name: 'Configure Navigation Shortcuts', value: 'navigationShortcuts' },
+                    { name: `Enable Keyboard Shortcuts (${this.settings.enableKeyboardShortcuts ? 'on' : 'off'})`, value: 'enableKeyboardShortcuts' },
+                    new inquirer.Separator(),
+                    ...Object.entries(keyboard.SHORTCUT_ACTIONS).map(([action, label]) => ({
+                        name: `${label}: ${keyboard.formatKey(this.shortcuts[action])}`,
+                        value: action
+                    })),
+                    new inquirer.Separator(),
+                    { name: 'Show Shortcut Help', value: 'help' },
+                    { name: 'Reset Shortcuts to Defaults', value: 'resetShortcuts' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -1252,6 +4036,13 @@ class ProwlingClient {
             return;
         }
         
+        if (keyboardSetting === 'help') {
+            this.showShortcutHelp();
+            console.log(this.colors.muted('Press Enter to continue...'));
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+            return;
+        }
+        
         if (keyboardSetting === 'enableKeyboardShortcuts') {
             const { value } = await inquirer.prompt([
                 {
@@ -1263,31 +4054,35 @@ class ProwlingClient {
             ]);
             
             this.settings.enableKeyboardShortcuts = value;
-            console.log(chalk[this.theme.info]('\nKeyboard shortcuts ' + (value ? 'enabled' : 'disabled')));
-            if (value) {
-                console.log(chalk[this.theme.secondary]('Available shortcuts:'));
-                console.log(chalk[this.theme.secondary]('- Ctrl+S: Quick search'));
-                console.log(chalk[this.theme.secondary]('- Ctrl+D: Download selected item'));
-                console.log(chalk[this.theme.secondary]('- Ctrl+R: Refresh results'));
-                console.log(chalk[this.theme.secondary]('- Ctrl+H: View search history'));
-                console.log(chalk[this.theme.secondary]('- Ctrl+F: Filter results'));
-            }
-        } else if (keyboardSetting === 'searchShortcuts' || keyboardSetting === 'navigationShortcuts') {
-            console.log(chalk[this.theme.info](`\n${keyboardSetting === 'searchShortcuts' ? 'Search' : 'Navigation'} Shortcuts`));
-            console.log(chalk[this.theme.secondary]('These shortcuts are currently not customizable.'));
-            console.log(chalk[this.theme.secondary]('This feature will be available in a future update.'));
+            console.log(this.colors.info('\nKeyboard shortcuts ' + (value ? 'enabled' : 'disabled')));
+        } else if (keyboardSetting === 'resetShortcuts') {
+            this.shortcuts = { ...keyboard.DEFAULT_SHORTCUTS };
+        } else {
+            const unbind = (input) => /^none$/i.test(input.trim());
+            const { key } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'key',
+                    message: `Key for ${keyboard.SHORTCUT_ACTIONS[keyboardSetting]} (e.g. Ctrl+S, Alt+G, F5, "none" to unbind):`,
+                    prefix: this.colors.primary('⌨'),
+                    default: this.shortcuts[keyboardSetting] ? keyboard.formatKey(this.shortcuts[keyboardSetting]) : undefined,
+                    validate: (input) => unbind(input) || keyboard.checkBinding(keyboardSetting, keyboard.normalizeKey(input), this.shortcuts) || true
+                }
+            ]);
+            
+            this.shortcuts[keyboardSetting] = unbind(key) ? '' : keyboard.normalizeKey(key);
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ Keyboard settings updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ Keyboard settings updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
     async customizeNotificationSettings() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Notification Settings'));
-        console.log(chalk[this.theme.secondary]('Configure how and when notifications appear.\n'));
+        console.log(this.colors.info('\n📝 Customize Notification Settings'));
+        console.log(this.colors.secondary('Configure how and when notifications appear.\n'));
         
         const { notificationSetting } = await inquirer.prompt([
             {
@@ -1296,8 +4091,11 @@ class ProwlingClient {
                 message: 'Select a notification setting to customize:',
                 choices: [
                     { name: 'Enable Notifications', value: 'enableNotifications' },
-                    { name: 'Notification Sound', value: 'notificationSound' },
+                    { name: 'Notification Sound (terminal bell)', value: 'notificationSound' },
+                    { name: 'Desktop Notifications (notify-send)', value: 'desktop' },
                     { name: 'Notification Types', value: 'notificationTypes' },
+                    { name: `Webhooks (${this.notifications.webhooks.length})`, value: 'webhooks' },
+                    { name: 'Send Test Notification', value: 'test' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -1308,6 +4106,18 @@ class ProwlingClient {
             return;
         }
         
+        if (notificationSetting === 'webhooks') {
+            await this.manageWebhooks();
+            return;
+        }
+        
+        if (notificationSetting === 'test') {
+            await this.printDeliveries(await this.notifier.test());
+            console.log(this.colors.muted('\nPress Enter to continue...'));
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+            return;
+        }
+        
         if (notificationSetting === 'enableNotifications') {
             const { value } = await inquirer.prompt([
                 {
@@ -1330,30 +4140,189 @@ class ProwlingClient {
             ]);
             
             this.settings.notificationSound = value;
-        } else if (notificationSetting === 'notificationTypes') {
-            console.log(chalk[this.theme.info]('\nNotification Types'));
-            console.log(chalk[this.theme.secondary]('Select which events trigger notifications:\n'));
+        } else if (notificationSetting === 'desktop') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'value',
+                    message: 'Show desktop notifications (needs notify-send)?',
+                    default: this.notifications.desktop.enabled
+                }
+            ]);
             
-            const choices = [
-                { name: 'Search Complete', checked: true },
-                { name: 'Download Started', checked: true },
-                { name: 'Download Complete', checked: true },
-                { name: 'Error Notifications', checked: true }
-            ];
+            this.notifications.desktop.enabled = value;
+        } else if (notificationSetting === 'notificationTypes') {
+            const { sink } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'sink',
+                    message: 'Choose events for:',
+                    choices: [
+                        { name: 'Terminal bell', value: this.notifications.bell },
+                        { name: 'Desktop notifications', value: this.notifications.desktop },
+                        ...this.notifications.webhooks.map(webhook => ({ name: `Webhook "${webhook.name}"`, value: webhook }))
+                    ]
+                }
+            ]);
             
-            console.log(chalk[this.theme.secondary]('This feature will be expanded in a future update.'));
+            sink.events = await this.promptNotificationEvents(sink.events);
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${notificationSetting} updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${notificationSetting} updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
+
+    // Which events a sink gets
+    async promptNotificationEvents(current) {
+        console.log(this.colors.info('\nNotification Types'));
+        console.log(this.colors.secondary('Select which events trigger notifications:\n'));
+        
+        const { events } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'events',
+                message: 'Events:',
+                choices: Object.entries(NOTIFICATION_EVENTS).map(([type, label]) => ({ name: label, value: type, checked: current.includes(type) }))
+            }
+        ]);
+        return events;
+    }
+
+    // Outcome per sink of a test or of a webhook test
+    async printDeliveries(deliveries) {
+        if (deliveries.length === 0) {
+            console.log(this.colors.warning('Nothing to send to, turn on notifications and a sink first'));
+        }
+        deliveries.forEach(delivery => {
+            if (delivery.ok) {
+                console.log(this.colors.success(`✓ ${delivery.sink}`));
+            } else {
+                console.log(this.colors.error(`✕ ${delivery.sink}: ${delivery.error}`));
+            }
+        });
+    }
+
+    // Generic JSON, Discord, ntfy and Gotify webhooks
+    async manageWebhooks() {
+        while (true) {
+            const webhooks = this.notifications.webhooks;
+            const { webhook } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'webhook',
+                    message: 'Webhooks:',
+                    prefix: this.colors.highlight('⇄'),
+                    choices: [
+                        ...webhooks.map(webhook => ({
+                            name: `${webhook.name} ${this.colors.muted(`${WEBHOOK_TEMPLATES[webhook.template]} · ${webhook.events.length} events · ${webhook.url}`)}`,
+                            value: webhook,
+                            short: webhook.name
+                        })),
+                        { name: '+ New webhook', value: { create: true } },
+                        { name: '← Back', value: null }
+                    ],
+                    loop: true,
+                    pageSize: this.settings.pageSize
+                }
+            ]);
+            
+            if (!webhook) {
+                return;
+            }
+            
+            if (webhook.create) {
+                webhooks.push(await this.promptWebhook({ events: DEFAULT_NOTIFICATIONS.desktop.events }));
+                this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+                continue;
+            }
+            
+            const { webhookAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'webhookAction',
+                    message: `"${webhook.name}":`,
+                    choices: [
+                        { name: '⇄ Send test', value: 'test' },
+                        { name: '✎ Edit', value: 'edit' },
+                        { name: '☰ Events', value: 'events' },
+                        { name: '✕ Delete', value: 'delete' },
+                        { name: '← Back', value: 'back' }
+                    ]
+                }
+            ]);
+            
+            if (webhookAction === 'test') {
+                await this.printDeliveries([await this.notifier.deliver(webhook.name, () => this.notifier.sendWebhook(webhook, this.notifier.testEvent()))]);
+            } else if (webhookAction === 'edit') {
+                webhooks[webhooks.indexOf(webhook)] = await this.promptWebhook(webhook);
+            } else if (webhookAction === 'events') {
+                webhook.events = await this.promptNotificationEvents(webhook.events);
+            } else if (webhookAction === 'delete') {
+                webhooks.splice(webhooks.indexOf(webhook), 1);
+            }
+            this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        }
+    }
+
+    async promptWebhook(defaults = {}) {
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Webhook name:',
+                default: defaults.name,
+                validate: (input) => {
+                    if (!input.trim()) return 'Enter a name';
+                    if (input.trim() !== defaults.name && this.notifications.webhooks.some(webhook => webhook.name === input.trim())) return 'A webhook with this name already exists';
+                    return true;
+                },
+                filter: (input) => input.trim()
+            },
+            {
+                type: 'list',
+                name: 'template',
+                message: 'Payload format:',
+                choices: Object.entries(WEBHOOK_TEMPLATES).map(([value, name]) => ({ name, value })),
+                default: defaults.template || 'generic'
+            },
+            {
+                type: 'input',
+                name: 'url',
+                message: (answers) => ({
+                    generic: 'URL to POST the JSON to:',
+                    discord: 'Discord webhook URL:',
+                    ntfy: 'ntfy topic URL (e.g. https://ntfy.sh/my-topic):',
+                    gotify: 'Gotify server URL:'
+                })[answers.template],
+                default: defaults.url,
+                validate: (input) => /^https?:\/\/\S+$/.test(input.trim()) || 'URL must start with http:// or https://',
+                filter: (input) => input.trim()
+            },
+            {
+                type: 'input',
+                name: 'token',
+                message: (answers) => answers.template === 'gotify' ? 'Gotify application token:' : 'Bearer token (optional, "none" for no token):',
+                default: defaults.token || undefined,
+                when: (answers) => answers.template !== 'discord',
+                validate: (input, answers) => answers.template !== 'gotify' || input.trim() !== '' || 'Gotify needs an application token'
+            }
+        ]);
+        
+        return {
+            name: answers.name,
+            template: answers.template,
+            url: answers.url,
+            token: answers.token && !/^none$/i.test(answers.token.trim()) ? answers.token.trim() : '',
+            events: defaults.events || []
+        };
+    }
     async customizePerformanceSettings() {
-        console.log(chalk[this.theme.info]('\n📝 Customize Performance Settings'));
-        console.log(chalk[this.theme.secondary]('Configure application performance and caching.\n'));
+        console.log(this.colors.info('\n📝 Customize Performance Settings'));
+        console.log(this.colors.secondary('Configure application performance and caching.\n'));
         
         const { performanceSetting } = await inquirer.prompt([
             {
@@ -1363,8 +4332,11 @@ class ProwlingClient {
                 choices: [
                     { name: 'Enable Result Caching', value: 'cacheResults' },
                     { name: 'Cache Duration (minutes)', value: 'cacheDuration' },
+                    { name: 'Results Fetched per Indexer', value: 'searchBatchSize' },
+                    { name: 'Watchlist Check Interval (minutes)', value: 'watchInterval' },
                     { name: 'Auto-Save Search History', value: 'autoSaveSearchHistory' },
                     { name: 'Max Search History Items', value: 'maxSearchHistory' },
+                    { name: 'Clear Result Cache', value: 'clearCache' },
                     { name: '← Back to Settings Menu', value: 'back' }
                 ],
                 loop: true
@@ -1375,6 +4347,14 @@ class ProwlingClient {
             return;
         }
         
+        if (performanceSetting === 'clearCache') {
+            const removed = this.resultCache.clear();
+            console.log(this.colors.success(`✓ Cleared ${removed} cached ${removed === 1 ? 'search' : 'searches'}`));
+            console.log(this.colors.muted('\nPress Enter to continue...'));
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
+            return;
+        }
+        
         if (performanceSetting === 'cacheResults' || performanceSetting === 'autoSaveSearchHistory') {
             const { value } = await inquirer.prompt([
                 {
@@ -1401,6 +4381,36 @@ class ProwlingClient {
             ]);
             
             this.settings.cacheDuration = value;
+        } else if (performanceSetting === 'searchBatchSize') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'value',
+                    message: 'Enter how many results to fetch per indexer at a time ("load more" fetches the next batch):',
+                    default: this.settings.searchBatchSize,
+                    validate: (input) => {
+                        const num = parseInt(input);
+                        return (num >= 10 && num <= 1000) ? true : 'Please enter a number between 10 and 1000';
+                    }
+                }
+            ]);
+            
+            this.settings.searchBatchSize = value;
+        } else if (performanceSetting === 'watchInterval') {
+            const { value } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'value',
+                    message: 'Enter how many minutes `node index.js watch` waits between checks:',
+                    default: this.settings.watchInterval,
+                    validate: (input) => {
+                        const num = parseInt(input);
+                        return (num >= 1 && num <= 10080) ? true : 'Please enter a number between 1 and 10080 (a week)';
+                    }
+                }
+            ]);
+            
+            this.settings.watchInterval = value;
         } else if (performanceSetting === 'maxSearchHistory') {
             const { value } = await inquirer.prompt([
                 {
@@ -1419,12 +4429,22 @@ class ProwlingClient {
         }
         
         // Save the updated configuration
-        this.saveConfig(this.baseUrl, axios.defaults.headers.common['X-Api-Key'], this.qbittorrentUrl);
-        console.log(chalk[this.theme.success](`✓ ${performanceSetting} updated successfully`));
+        this.saveConfig(this.baseUrl, this.apiKey, this.qbittorrentUrl);
+        console.log(this.colors.success(`✓ ${performanceSetting} updated successfully`));
         
-        console.log(chalk.gray('\nPress Enter to continue...'));
+        console.log(this.colors.muted('\nPress Enter to continue...'));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
 }
 
-new ProwlingClient().initialize().catch(console.error);
\ No newline at end of file
+const args = process.argv.slice(2);
+
+// NO_COLOR, FORCE_COLOR and output that isn't a terminal decide whether there is any color at all
+chalk.level = detectColorLevel();
+
+if (args.length > 0) {
+    // Subcommands run non-interactively and exit with a status code
+    runCli(new ProwlingClient(), args).then(code => process.exit(code));
+} else {
+    new ProwlingClient().initialize().catch(console.error);
+}
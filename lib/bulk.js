@@ -0,0 +1,85 @@
+// Bulk actions over several marked results: one action per item, carrying on past failures,
+// so the caller can show what worked and what didn't for each release
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { fetchTorrentFile, REQUEST_TIMEOUT } = require('./download-clients/torrent-file');
+const { wrapHttpError } = require('./download-clients/errors');
+
+// Runs action(item, index) for each item in turn and resolves to [{ item, ok, detail, error }].
+// Whatever the action returns is kept as detail (e.g. where a file went), a throw becomes error.
+const runBulk = async (items, action, { onItem = () => {} } = {}) => {
+    const outcomes = [];
+    for (const [index, item] of items.entries()) {
+        onItem(item, index);
+        try {
+            const detail = await action(item, index);
+            outcomes.push({ item, ok: true, detail: detail || null, error: null });
+        } catch (error) {
+            outcomes.push({ item, ok: false, detail: null, error: error.message });
+        }
+    }
+    return outcomes;
+};
+
+const summarizeBulk = (outcomes) => {
+    const succeeded = outcomes.filter(outcome => outcome.ok).length;
+    return { total: outcomes.length, succeeded, failed: outcomes.length - succeeded };
+};
+
+// "Show.S01E01.1080p.torrent", with " (2)", " (3)"... when taken already has the name
+const releaseFileName = (result, taken = new Set()) => {
+    const extension = result.protocol === 'usenet' ? '.nzb' : '.torrent';
+    const base = String(result.title || 'release')
+        .replace(/[<>:"/\\|?*\x00-\x1f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, 200) || 'release';
+
+    let name = `${base}${extension}`;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+        name = `${base} (${n})${extension}`;
+    }
+    taken.add(name.toLowerCase());
+    return name;
+};
+
+// The .torrent or .nzb contents behind a result's download URL
+const fetchReleaseFile = async (result) => {
+    if (!result.downloadUrl) {
+        throw new Error('No download URL');
+    }
+    if (result.protocol === 'usenet') {
+        try {
+            const response = await axios.get(result.downloadUrl, { responseType: 'arraybuffer', timeout: REQUEST_TIMEOUT });
+            return Buffer.from(response.data);
+        } catch (error) {
+            throw wrapHttpError(error, 'The indexer', result.downloadUrl);
+        }
+    }
+    const source = await fetchTorrentFile(result.downloadUrl);
+    if (!source.metainfo) {
+        throw new Error('The indexer only gives a magnet link for this release');
+    }
+    return source.metainfo;
+};
+
+// Save a result's .torrent/.nzb into dir and resolve to the file path. taken holds the lower-cased
+// names already used in this run, existing files in dir are never overwritten.
+const saveReleaseFile = async (result, dir, taken = new Set()) => {
+    const contents = await fetchReleaseFile(result);
+    fs.readdirSync(dir).forEach(name => taken.add(name.toLowerCase()));
+    const filePath = path.join(dir, releaseFileName(result, taken));
+    fs.writeFileSync(filePath, contents, { flag: 'wx' });
+    return filePath;
+};
+
+module.exports = {
+    runBulk,
+    summarizeBulk,
+    releaseFileName,
+    fetchReleaseFile,
+    saveReleaseFile
+};
@@ -0,0 +1,58 @@
+// Category tree built from the capabilities Prowlarr reports for each indexer
+
+// Standard Newznab categories are below 100000, higher ids are indexer specific and map onto these
+const CUSTOM_CATEGORY_START = 100000;
+const ADULT_CATEGORY = 6000;
+
+// Parent category of a standard id, e.g. 2040 -> 2000
+const parentOf = (id) => Math.floor(id / 1000) * 1000;
+
+// Union of the categories supported by the enabled indexers:
+// [{ id, name, subCategories: [{ id, name }] }] sorted by id
+const buildCategoryTree = (indexers, { includeAdult = true } = {}) => {
+    const parents = new Map();
+
+    indexers
+        .filter(indexer => indexer.enable !== false)
+        .forEach(indexer => {
+            (indexer.capabilities?.categories || []).forEach(category => {
+                if (category.id >= CUSTOM_CATEGORY_START) {
+                    return;
+                }
+                if (!includeAdult && parentOf(category.id) === ADULT_CATEGORY) {
+                    return;
+                }
+
+                const parent = parents.get(category.id) || { id: category.id, name: category.name, subCategories: new Map() };
+                parents.set(category.id, parent);
+
+                (category.subCategories || []).forEach(sub => {
+                    if (sub.id < CUSTOM_CATEGORY_START) {
+                        parent.subCategories.set(sub.id, { id: sub.id, name: sub.name });
+                    }
+                });
+            });
+        });
+
+    return [...parents.values()]
+        .sort((a, b) => a.id - b.id)
+        .map(parent => ({
+            ...parent,
+            subCategories: [...parent.subCategories.values()].sort((a, b) => a.id - b.id)
+        }));
+};
+
+// Names for a list of category ids, e.g. [2040, 5000] -> ['Movies/HD', 'TV']
+const describeCategories = (ids, tree) => ids.map(id => {
+    for (const parent of tree) {
+        if (parent.id === id) return parent.name;
+        const sub = parent.subCategories.find(category => category.id === id);
+        if (sub) return sub.name;
+    }
+    return String(id);
+});
+
+module.exports = {
+    buildCategoryTree,
+    describeCategories
+};
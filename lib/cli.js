@@ -0,0 +1,572 @@
+// Non-interactive command-line mode (prowling search|grab|indexers ...)
+
+const fs = require('fs');
+const path = require('path');
+const { formatSize, formatAge, renderTable } = require('./format');
+const { getIndexerHealth, resolveGroup } = require('./indexers');
+const { FilterSyntaxError, parseFilter, applyFilters, FILTER_HELP } = require('./filters');
+const { getRelease, formatReleaseTags } = require('./release-parser');
+const { compileProfile } = require('./quality-profiles');
+const { SEARCH_MODES, detectSearchInput, prepareSearch, describeSearch } = require('./search-modes');
+const { EXPORT_FORMATS, formatFromPath, exportResults } = require('./export');
+
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,     // Prowlarr unreachable, request rejected, grab failed...
+    usage: 2,       // Bad arguments or missing configuration
+    noResults: 3    // Search ran fine but found nothing
+};
+
+const SORT_KEYS = [
+    'title_asc', 'title_desc',
+    'seeders_desc', 'seeders_asc',
+    'size_desc', 'size_asc',
+    'date_desc', 'date_asc',
+    'protocol',
+    'indexer_priority_desc', 'indexer_priority_asc',
+    'quality_desc', 'quality_asc',
+    'best_match'
+];
+
+// Options that take a value, the ones marked repeatable collect every occurrence
+const VALUE_OPTIONS = {
+    category: { repeatable: true },
+    indexer: { repeatable: true },
+    group: {},
+    filter: {},
+    preset: {},
+    profile: {},
+    sort: {},
+    limit: {},
+    client: {},
+    type: {},
+    imdb: {},
+    tmdb: {},
+    tvdb: {},
+    season: {},
+    episode: {},
+    artist: {},
+    album: {},
+    author: {},
+    title: {},
+    interval: {},
+    export: {},
+    format: {}
+};
+
+// --type values -> Prowlarr search types
+const SEARCH_TYPES = { general: 'search', tv: 'tvsearch', movie: 'movie', music: 'music', book: 'book' };
+
+// Search parameter options and the mode they imply when --type isn't given
+const PARAM_OPTIONS = {
+    imdb: { param: 'imdbId', mode: 'movie' },
+    tmdb: { param: 'tmdbId', mode: 'movie', numeric: true },
+    tvdb: { param: 'tvdbId', mode: 'tvsearch', numeric: true },
+    season: { param: 'season', mode: 'tvsearch', numeric: true },
+    episode: { param: 'ep', mode: 'tvsearch', numeric: true },
+    artist: { param: 'artist', mode: 'music' },
+    album: { param: 'album', mode: 'music' },
+    author: { param: 'author', mode: 'book' },
+    title: { param: 'title', mode: 'book' }
+};
+const FLAG_OPTIONS = ['json', 'ndjson', 'help', 'once'];
+
+const USAGE = `Usage:
+  prowling                              Start the interactive menus
+  prowling search [query] [options]     Search across indexers
+  prowling grab <guid> --indexer <id>   Grab a release from a recent search
+    [--client <id|name>]                with one of Prowlarr's download clients (default: Prowlarr's choice)
+  prowling indexers [--json]            List the indexers configured in Prowlarr and their status
+  prowling watch [name...] [options]    Keep re-running the watchlist saved in the menus and report new releases
+
+Search options:
+  --category <id>     Category id, repeat or comma separate for several (e.g. 2000,5000)
+  --type <type>       general, tv, movie, music or book (default: guessed from the query and options,
+                      e.g. "tt0111161" searches movies and "Severance S02E05" searches TV)
+  --imdb <id>         IMDb ID (tt0111161) for TV and movie searches
+  --tmdb <id>         TMDb ID for TV and movie searches
+  --tvdb <id>         TVDb ID for TV searches
+  --season <n>        Season number for TV searches
+  --episode <n>       Episode number for TV searches
+  --artist <name>     Artist for music searches
+  --album <name>      Album for music searches
+  --author <name>     Author for book searches
+  --title <name>      Title for book searches
+  --indexer <id|name> Only search these indexers, repeat or comma separate for several
+  --group <name>      Only search the indexers of a saved indexer group
+  --filter <expr>     Filter the results, ${FILTER_HELP}
+  --preset <name>     Filter the results with a saved filter preset
+  --profile <name>    Score results with this quality profile instead of the active one
+  --sort <key>        ${SORT_KEYS.join(', ')}
+  --limit <n>         Only output the first n results
+  --json              Output a JSON array
+  --ndjson            Output one JSON object per line
+  --export <file>     Also write the results to a file, "-" writes it to stdout instead of the table
+  --format <format>   Export format: ${Object.keys(EXPORT_FORMATS).join(', ')} (default: from the file extension,
+                      json for "-")
+
+Watch options:
+  --interval <min>    Minutes between checks (default: the Watchlist Check Interval setting)
+  --once              Check once and exit, e.g. from cron
+  --json, --ndjson    Output one JSON object per new release
+
+The server URL and API key come from config.json, or from the
+PROWLARR_URL and PROWLARR_API_KEY environment variables.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 no results`;
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+    const [command, ...rest] = argv;
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS[name]) {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+        if (value === undefined) {
+            value = rest[++i];
+            if (value === undefined) {
+                throw new UsageError(`Option --${name} needs a value`);
+            }
+        }
+        if (VALUE_OPTIONS[name].repeatable) {
+            options[name] = [...(options[name] || []), ...value.split(',').filter(Boolean)];
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { command, positional, options };
+};
+
+// Point the client at Prowlarr without any prompts
+const configureClient = (client) => {
+    const config = client.loadConfig();
+    const serverUrl = process.env.PROWLARR_URL || config.serverUrl;
+    const apiKey = process.env.PROWLARR_API_KEY || config.apiKey;
+
+    if (!serverUrl || !apiKey) {
+        throw new UsageError('No Prowlarr server configured. Run `prowling` once or set PROWLARR_URL and PROWLARR_API_KEY.');
+    }
+
+    client.setConnection(serverUrl, apiKey);
+    client.qbittorrentUrl = config.qbittorrentUrl || '';
+};
+
+const fetchIndexers = (client) => client.refreshIndexers();
+
+// Accept indexer ids or (case-insensitive) names
+const resolveIndexerIds = (indexers, values) => values.map(value => {
+    const indexer = indexers.find(i =>
+        String(i.id) === value || i.name.toLowerCase() === value.toLowerCase()
+    );
+    if (!indexer) {
+        throw new UsageError(`Unknown indexer "${value}"`);
+    }
+    return indexer.id;
+});
+
+// Filter syntax errors are usage errors
+const parseCliFilter = (expression) => {
+    try {
+        return parseFilter(expression);
+    } catch (error) {
+        if (error instanceof FilterSyntaxError) {
+            throw new UsageError(error.message);
+        }
+        throw error;
+    }
+};
+
+const writeJson = (items, options) => {
+    if (options.ndjson) {
+        items.forEach(item => process.stdout.write(JSON.stringify(item) + '\n'));
+    } else {
+        process.stdout.write(JSON.stringify(items, null, 2) + '\n');
+    }
+};
+
+// Work out the search mode, query and parameters from --type, the parameter options and the query itself
+const resolveSearch = (text, options) => {
+    let mode = null;
+    if (options.type !== undefined) {
+        mode = SEARCH_TYPES[options.type.toLowerCase()];
+        if (!mode) {
+            throw new UsageError(`Unknown search type "${options.type}", use ${Object.keys(SEARCH_TYPES).join(', ')}`);
+        }
+    }
+
+    const params = {};
+    Object.entries(PARAM_OPTIONS).forEach(([name, option]) => {
+        const value = options[name];
+        if (value === undefined) {
+            return;
+        }
+        if (option.numeric && !/^\d+$/.test(value)) {
+            throw new UsageError(`--${name} must be a number`);
+        }
+        if (name === 'imdb' && !/^tt\d{7,8}$/i.test(value)) {
+            throw new UsageError('--imdb must look like tt0111161');
+        }
+        params[option.param] = option.numeric ? parseInt(value) : (name === 'imdb' ? value.toLowerCase() : value);
+        mode = mode || option.mode;
+    });
+
+    // Quotes ask for a literal search
+    const detected = text.includes('"') ? { mode: null, query: text, params: {} } : detectSearchInput(text);
+    mode = mode || detected.mode || 'search';
+    if (mode === 'search') {
+        if (Object.keys(params).length > 0) {
+            throw new UsageError('Search parameters like --imdb or --season need a --type other than general');
+        }
+        return { mode, query: text, params };
+    }
+
+    Object.keys(params).forEach(param => {
+        if (!SEARCH_MODES[mode].params.includes(param)) {
+            const name = Object.keys(PARAM_OPTIONS).find(key => PARAM_OPTIONS[key].param === param);
+            throw new UsageError(`--${name} doesn't apply to ${SEARCH_MODES[mode].label.toLowerCase()} searches`);
+        }
+    });
+    // A movie search for "Alien S01" keeps the text as typed
+    if (Object.keys(detected.params).some(param => !SEARCH_MODES[mode].params.includes(param))) {
+        return { mode, query: text, params };
+    }
+    return { mode, query: detected.query, params: { ...detected.params, ...params } };
+};
+
+const searchCommand = async (client, positional, options) => {
+    const search = resolveSearch(positional.join(' ').trim(), options);
+    if (!search.query && Object.keys(search.params).length === 0) {
+        throw new UsageError('Missing search query');
+    }
+
+    const sortBy = options.sort || client.settings.defaultSortOrder;
+    if (!SORT_KEYS.includes(sortBy)) {
+        throw new UsageError(`Unknown sort key "${sortBy}"`);
+    }
+
+    let limit = null;
+    if (options.limit !== undefined) {
+        limit = parseInt(options.limit);
+        if (!(limit > 0)) {
+            throw new UsageError('--limit must be a positive number');
+        }
+    }
+
+    let exportFormat = null;
+    if (options.format !== undefined && !EXPORT_FORMATS[options.format]) {
+        throw new UsageError(`Unknown export format "${options.format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (options.export !== undefined) {
+        exportFormat = options.format || (options.export === '-' ? 'json' : formatFromPath(options.export));
+        if (!exportFormat) {
+            throw new UsageError(`Can't tell the export format from "${options.export}", add --format ${Object.keys(EXPORT_FORMATS).join('|')}`);
+        }
+    } else if (options.format !== undefined) {
+        throw new UsageError('--format needs --export');
+    }
+
+    const categories = (options.category || []).map(value => {
+        const category = parseInt(value);
+        if (isNaN(category)) {
+            throw new UsageError(`Invalid category "${value}"`);
+        }
+        return category;
+    });
+
+    configureClient(client);
+
+    const filters = [];
+    if (options.preset) {
+        if (!client.filterPresets[options.preset]) {
+            throw new UsageError(`Unknown filter preset "${options.preset}"`);
+        }
+        filters.push(parseCliFilter(client.filterPresets[options.preset]));
+    }
+    if (options.filter) {
+        filters.push(parseCliFilter(options.filter));
+    }
+
+    if (options.profile !== undefined) {
+        if (options.profile && !client.qualityProfiles[options.profile]) {
+            throw new UsageError(`Unknown quality profile "${options.profile}"`);
+        }
+        client.settings.activeQualityProfile = options.profile;
+    }
+    const profile = client.qualityProfiles[client.settings.activeQualityProfile];
+    if (profile) {
+        try {
+            compileProfile(profile);
+        } catch (error) {
+            throw new UsageError(`Quality profile "${client.settings.activeQualityProfile}" is invalid: ${error.message}`);
+        }
+    }
+    const scorer = client.getScorer();
+
+    const indexers = await fetchIndexers(client);
+
+    if (options.indexer && options.group) {
+        throw new UsageError('Use either --indexer or --group, not both');
+    }
+    let indexerIds = [];
+    if (options.indexer) {
+        indexerIds = resolveIndexerIds(indexers, options.indexer);
+    } else if (options.group) {
+        const groupIds = client.indexerGroups[options.group];
+        if (!groupIds) {
+            throw new UsageError(`Unknown indexer group "${options.group}"`);
+        }
+        indexerIds = resolveGroup(groupIds, indexers);
+        if (indexerIds.length === 0) {
+            throw new UsageError(`None of the indexers in group "${options.group}" are enabled`);
+        }
+    }
+
+    const { searchParams, skipped } = prepareSearch({ ...search, categories, indexerIds }, indexers);
+    if (skipped.length > 0) {
+        const kind = SEARCH_MODES[search.mode].label.toLowerCase();
+        console.error(client.colors.warning(`Skipping indexers without ${kind} search support: ${skipped.map(indexer => indexer.name).join(', ')}`));
+        if (searchParams.indexerIds.length === 0) {
+            throw new UsageError(`None of the selected indexers support this ${kind} search`);
+        }
+    }
+
+    let results = client.sortResults(applyFilters(await client.api.search(searchParams), filters), sortBy);
+    if (limit) {
+        results = results.slice(0, limit);
+    }
+
+    if (exportFormat) {
+        const text = exportResults(results, exportFormat, { title: `Prowling: ${describeSearch(search)}` });
+        if (options.export === '-') {
+            process.stdout.write(text);
+        } else {
+            const filePath = path.resolve(options.export);
+            fs.writeFileSync(filePath, text);
+            console.error(client.colors.success(`Exported ${results.length} results to ${filePath}`));
+        }
+    }
+
+    if (options.export === '-') {
+        // The export took stdout
+    } else if (options.json || options.ndjson) {
+        writeJson(scorer ? results.map(result => ({ ...result, score: scorer(result) })) : results, options);
+    } else if (results.length > 0) {
+        const scoreColumn = { header: 'SCORE', value: result => scorer(result).rejected ? 'rejected' : scorer(result).score, align: 'right' };
+        console.log(renderTable(results, [
+            ...(scorer ? [scoreColumn] : []),
+            { header: 'TITLE', value: result => result.title },
+            { header: 'QUALITY', value: result => formatReleaseTags(getRelease(result)).join(' ') },
+            { header: 'INDEXER', value: result => result.indexer },
+            { header: 'SIZE', value: result => formatSize(result.size), align: 'right' },
+            { header: 'SEEDERS', value: result => result.protocol === client.protocols.usenet ? 'NZB' : (result.seeders ?? '?'), align: 'right' },
+            { header: 'AGE', value: result => formatAge(result.publishDate), align: 'right' },
+            { header: 'INDEXER ID', value: result => result.indexerId, align: 'right' },
+            { header: 'GUID', value: result => result.guid }
+        ]));
+    }
+
+    if (results.length === 0) {
+        console.error(client.colors.warning('No results found'));
+        return EXIT_CODES.noResults;
+    }
+    return EXIT_CODES.success;
+};
+
+const grabCommand = async (client, positional, options) => {
+    const [guid] = positional;
+    if (!guid) {
+        throw new UsageError('Missing release guid');
+    }
+    if (!options.indexer || options.indexer.length !== 1) {
+        throw new UsageError('grab needs exactly one --indexer (the indexerId from the search output)');
+    }
+
+    configureClient(client);
+    const [indexerId] = resolveIndexerIds(await fetchIndexers(client), options.indexer);
+
+    let downloadClientId;
+    if (options.client) {
+        const downloadClients = await client.api.getDownloadClients();
+        const downloadClient = downloadClients.find(c =>
+            String(c.id) === options.client || c.name.toLowerCase() === options.client.toLowerCase()
+        );
+        if (!downloadClient) {
+            throw new UsageError(`Unknown download client "${options.client}"`);
+        }
+        downloadClientId = downloadClient.id;
+    }
+
+    const release = await client.api.grab(guid, indexerId, downloadClientId);
+    await client.notify('grab_sent', 'Grab sent', release?.title || guid, { guid, indexerId });
+    if (options.json || options.ndjson) {
+        writeJson(options.ndjson ? [release] : release, options);
+    } else {
+        console.log(client.colors.success(`✓ Grabbed ${release?.title || guid}`));
+    }
+    return EXIT_CODES.success;
+};
+
+const indexersCommand = async (client, positional, options) => {
+    configureClient(client);
+    const indexers = await fetchIndexers(client);
+
+    const describeStatus = (indexer) => {
+        const health = getIndexerHealth(indexer, client.indexerStatuses);
+        if (health.disabled) return 'disabled';
+        if (health.failing) return `failing until ${health.disabledTill.toLocaleString()}`;
+        return 'ok';
+    };
+
+    if (options.json || options.ndjson) {
+        writeJson(indexers.map(indexer => ({ ...indexer, status: describeStatus(indexer).split(' ')[0] })), options);
+    } else {
+        console.log(renderTable(indexers, [
+            { header: 'ID', value: indexer => indexer.id, align: 'right' },
+            { header: 'NAME', value: indexer => indexer.name },
+            { header: 'PROTOCOL', value: indexer => indexer.protocol },
+            { header: 'PRIORITY', value: indexer => indexer.priority, align: 'right' },
+            { header: 'ENABLED', value: indexer => indexer.enable ? 'yes' : 'no' },
+            { header: 'STATUS', value: describeStatus }
+        ]));
+    }
+    return EXIT_CODES.success;
+};
+
+// Re-run the saved watches on an interval until interrupted. Seen releases are kept in watch-state.json,
+// so a restart picks up where the last run stopped.
+const watchCommand = async (client, positional, options) => {
+    const interval = options.interval !== undefined ? parseFloat(options.interval) : null;
+    if (interval !== null && !(interval > 0)) {
+        throw new UsageError('--interval must be a positive number of minutes');
+    }
+
+    configureClient(client);
+
+    positional.forEach(name => {
+        if (!client.watchlist[name]) {
+            throw new UsageError(`Unknown watch "${name}"`);
+        }
+    });
+    const names = positional.length > 0
+        ? positional
+        : Object.keys(client.watchlist).filter(name => client.watchlist[name].enabled !== false);
+    if (names.length === 0) {
+        throw new UsageError('No watches to check, add some under Watchlist in the menus');
+    }
+
+    const json = options.json || options.ndjson;
+    const stamp = () => client.colors.muted(`[${new Date().toLocaleString()}]`);
+    // Progress goes to stderr in JSON mode so stdout stays parseable
+    const log = (message) => (json ? console.error : console.log)(`${stamp()} ${message}`);
+
+    const checkAll = async () => {
+        try {
+            await fetchIndexers(client);
+        } catch (error) {
+            console.error(`${stamp()} ${client.colors.error(`Could not load indexers: ${error.message}`)}`);
+            return false;
+        }
+
+        let ok = true;
+        for (const name of names) {
+            try {
+                const outcome = await client.checkWatch(name);
+                if (outcome.baseline) {
+                    log(`${name}: first check, ${outcome.matches.length} current matches noted as seen`);
+                    continue;
+                }
+                if (json) {
+                    outcome.fresh.forEach(row => writeJson([{
+                        watch: name,
+                        ...row.best,
+                        ...(outcome.scorer ? { score: outcome.scorer(row.best) } : {}),
+                        grabbed: outcome.grabbed === row.best
+                    }], { ndjson: true }));
+                } else if (outcome.fresh.length > 0) {
+                    log(client.colors.success(`${name}: ${outcome.fresh.length} new`));
+                    outcome.fresh.forEach(row => {
+                        const result = row.best;
+                        const score = outcome.scorer ? `${outcome.scorer(result).score} ` : '';
+                        console.log(`  + ${score}${result.title} | ${row.indexerCount > 1 ? `${row.indexerCount} indexers` : result.indexer} | ${formatSize(result.size)} | indexer ${result.indexerId} guid ${result.guid}`);
+                    });
+                } else {
+                    log(`${name}: nothing new`);
+                }
+                if (outcome.grabbed) {
+                    log(client.colors.success(`${name}: grabbed ${outcome.grabbed.title}`));
+                } else if (outcome.grabError) {
+                    ok = false;
+                    console.error(`${stamp()} ${client.colors.error(`${name}: auto-grab failed: ${outcome.grabError}`)}`);
+                }
+            } catch (error) {
+                ok = false;
+                console.error(`${stamp()} ${client.colors.error(`${name}: ${error.message}`)}`);
+            }
+        }
+        return ok;
+    };
+
+    if (options.once) {
+        return (await checkAll()) ? EXIT_CODES.success : EXIT_CODES.failure;
+    }
+
+    const minutes = interval ?? client.settings.watchInterval;
+    log(`Watching ${names.length} ${names.length === 1 ? 'search' : 'searches'} every ${minutes} minutes (Ctrl+C to stop)`);
+    while (true) {
+        await checkAll();
+        await new Promise(resolve => setTimeout(resolve, minutes * 60000));
+    }
+};
+
+const COMMANDS = {
+    search: searchCommand,
+    grab: grabCommand,
+    indexers: indexersCommand,
+    watch: watchCommand
+};
+
+const runCli = async (client, argv) => {
+    try {
+        const { command, positional, options } = parseArgs(argv);
+
+        if (command === 'help' || command === '--help' || command === '-h' || options.help) {
+            console.log(USAGE);
+            return EXIT_CODES.success;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        return await COMMANDS[command](client, positional, options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(client.colors.error(error.message));
+            console.error(USAGE);
+            return EXIT_CODES.usage;
+        }
+        console.error(client.colors.error(`Error: ${error.message}`));
+        return EXIT_CODES.failure;
+    }
+};
+
+module.exports = {
+    runCli,
+    parseArgs,
+    EXIT_CODES
+};
@@ -0,0 +1,70 @@
+// Grouping of identical releases carried by several indexers
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Magnet links carry the info hash either as 40 hex characters or as 32 base32 characters
+const base32ToHex = (text) => {
+    let bits = '';
+    for (const char of text.toLowerCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+};
+
+const getInfoHash = (result) => {
+    if (result.infoHash && /^[a-f0-9]{40}$/i.test(result.infoHash)) {
+        return result.infoHash.toLowerCase();
+    }
+    const match = /xt=urn:btih:([a-z0-9]+)/i.exec(result.magnetUrl || '');
+    if (match && /^[a-f0-9]{40}$/i.test(match[1])) {
+        return match[1].toLowerCase();
+    }
+    if (match && /^[a-z2-7]{32}$/i.test(match[1])) {
+        return base32ToHex(match[1]);
+    }
+    return null;
+};
+
+// Same info hash, or else the same title (ignoring case and separators), protocol and size to the MB
+const releaseKey = (result) => {
+    const infoHash = getInfoHash(result);
+    if (infoHash) {
+        return `btih:${infoHash}`;
+    }
+    const title = String(result.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+    return `${result.protocol}:${title}:${Math.round((result.size || 0) / 1048576)}`;
+};
+
+// Best source first: most seeders, then highest indexer priority (usenet results only have the latter)
+const compareSources = (getPriority) => (a, b) =>
+    (b.seeders || 0) - (a.seeders || 0) || getPriority(b) - getPriority(a);
+
+// Returns [{ key, results, best, indexerCount, maxSeeders }] in the order the releases first appear,
+// so the current sort carries over to the groups
+const groupResults = (results, getPriority = () => 0) => {
+    const groups = new Map();
+    results.forEach(result => {
+        const key = releaseKey(result);
+        if (!groups.has(key)) {
+            groups.set(key, { key, results: [] });
+        }
+        groups.get(key).results.push(result);
+    });
+
+    return [...groups.values()].map(group => {
+        const sources = [...group.results].sort(compareSources(getPriority));
+        return {
+            key: group.key,
+            results: sources,
+            best: sources[0],
+            indexerCount: new Set(sources.map(result => result.indexerId)).size,
+            maxSeeders: Math.max(0, ...sources.map(result => result.seeders || 0))
+        };
+    });
+};
+
+module.exports = {
+    getInfoHash,
+    releaseKey,
+    groupResults
+};
@@ -0,0 +1,39 @@
+// Errors shared by the direct download client integrations (qBittorrent, Transmission...)
+
+class DownloadClientError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = options.status;
+        this.cause = options.cause;
+    }
+}
+
+// Wrong or missing credentials
+class DownloadClientAuthError extends DownloadClientError {}
+
+// The client could not be reached at all
+class DownloadClientConnectionError extends DownloadClientError {}
+
+// Turn an axios error into one of the errors above, clientName is used in messages
+const wrapHttpError = (error, clientName, url) => {
+    if (error instanceof DownloadClientError) {
+        return error;
+    }
+    if (!error.response) {
+        return new DownloadClientConnectionError(`Could not reach ${clientName} at ${url}: ${error.message}`, { cause: error });
+    }
+    const { status, data } = error.response;
+    if (status === 401 || status === 403) {
+        return new DownloadClientAuthError(`${clientName} rejected the credentials`, { status, cause: error });
+    }
+    const detail = typeof data === 'string' && data.trim() ? data.trim() : `status ${status}`;
+    return new DownloadClientError(`${clientName} responded with ${detail}`, { status, cause: error });
+};
+
+module.exports = {
+    DownloadClientError,
+    DownloadClientAuthError,
+    DownloadClientConnectionError,
+    wrapHttpError
+};
@@ -0,0 +1,84 @@
+// NZBGet JSON-RPC client, authenticated with the control username/password
+
+const axios = require('axios');
+const { DownloadClientError, wrapHttpError } = require('./errors');
+
+// NZBGet's priority scale, the API has no call to list them
+const PRIORITIES = [
+    { name: 'Very Low', value: -100 },
+    { name: 'Low', value: -50 },
+    { name: 'Normal', value: 0 },
+    { name: 'High', value: 50 },
+    { name: 'Very High', value: 100 },
+    { name: 'Force', value: 900 }
+];
+
+class NzbgetClient {
+    constructor({ url, username = '', password = '' } = {}) {
+        this.url = (url || '').replace(/\/+$/, '').replace(/\/jsonrpc$/, '');
+        this.http = axios.create({
+            auth: username ? { username, password } : undefined
+        });
+        this.requestId = 0;
+    }
+
+    async rpc(method, params = []) {
+        let data;
+        try {
+            ({ data } = await this.http.post(`${this.url}/jsonrpc`, {
+                version: '1.1',
+                id: ++this.requestId,
+                method,
+                params
+            }));
+        } catch (error) {
+            throw wrapHttpError(error, 'NZBGet', this.url);
+        }
+
+        if (data.error) {
+            throw new DownloadClientError(`NZBGet ${method} failed: ${data.error.message || data.error}`);
+        }
+        return data.result;
+    }
+
+    getVersion() {
+        return this.rpc('version');
+    }
+
+    // Categories live in the config as Category1.Name, Category2.Name...
+    async getCategories() {
+        const config = await this.rpc('config');
+        return config
+            .filter(option => /^Category\d+\.Name$/i.test(option.Name) && option.Value)
+            .map(option => option.Value);
+    }
+
+    async getPriorities() {
+        return PRIORITIES;
+    }
+
+    // options: name (job name), category, priority, paused
+    async addUrl(url, options = {}) {
+        const name = options.name ? `${options.name}.nzb` : '';
+        // append(NZBFilename, NZBContent, Category, Priority, AddToTop, AddPaused, DupeKey, DupeScore, DupeMode, PPParameters)
+        const id = await this.rpc('append', [
+            name,
+            url,
+            options.category || '',
+            options.priority || 0,
+            false,
+            Boolean(options.paused),
+            '',
+            0,
+            'SCORE',
+            []
+        ]);
+
+        if (!(id > 0)) {
+            throw new DownloadClientError('NZBGet refused to add the NZB');
+        }
+        return { id };
+    }
+}
+
+module.exports = { NzbgetClient };
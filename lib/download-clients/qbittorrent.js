@@ -0,0 +1,93 @@
+// qBittorrent WebUI API (v2) client with a cookie session
+
+const axios = require('axios');
+const { DownloadClientError, DownloadClientAuthError, wrapHttpError } = require('./errors');
+
+class QBittorrentClient {
+    constructor({ url, username = '', password = '' } = {}) {
+        this.url = (url || '').replace(/\/+$/, '');
+        this.username = username;
+        this.password = password;
+        this.cookie = null;
+        // Referer has to match the WebUI host when its CSRF protection is enabled
+        this.http = axios.create({
+            headers: { Referer: this.url, Origin: this.url }
+        });
+    }
+
+    async login() {
+        const form = new URLSearchParams({ username: this.username, password: this.password });
+
+        let response;
+        try {
+            response = await this.http.post(`${this.url}/api/v2/auth/login`, form);
+        } catch (error) {
+            throw wrapHttpError(error, 'qBittorrent', this.url);
+        }
+
+        // qBittorrent answers 200 with "Fails." for bad credentials
+        if (String(response.data).trim() !== 'Ok.') {
+            throw new DownloadClientAuthError('qBittorrent rejected the username or password');
+        }
+
+        const sid = (response.headers['set-cookie'] || [])
+            .map(cookie => cookie.split(';')[0])
+            .find(cookie => cookie.startsWith('SID='));
+        // No cookie is sent back when auth is bypassed (e.g. for localhost)
+        this.cookie = sid || null;
+    }
+
+    // Run a request with the session cookie, logging in first and again when the session expired (403)
+    async request(method, path, data, retry = true) {
+        if (this.cookie === null && this.username) {
+            await this.login();
+        }
+
+        try {
+            const { data: body } = await this.http.request({
+                method,
+                url: `${this.url}${path}`,
+                data,
+                headers: this.cookie ? { Cookie: this.cookie } : {}
+            });
+            return body;
+        } catch (error) {
+            if (error.response?.status === 403 && retry) {
+                await this.login();
+                return this.request(method, path, data, false);
+            }
+            throw wrapHttpError(error, 'qBittorrent', this.url);
+        }
+    }
+
+    getVersion() {
+        return this.request('get', '/api/v2/app/version');
+    }
+
+    // Returns an object keyed by category name: { name, savePath }
+    async getCategories() {
+        return (await this.request('get', '/api/v2/torrents/categories')) || {};
+    }
+
+    // urls can be magnet links or .torrent URLs, options: savePath, category, tags, paused, sequentialDownload
+    async addTorrent(urls, options = {}) {
+        const form = new URLSearchParams();
+        form.append('urls', [].concat(urls).join('\n'));
+        if (options.savePath) form.append('savepath', options.savePath);
+        if (options.category) form.append('category', options.category);
+        if (options.tags && options.tags.length > 0) form.append('tags', [].concat(options.tags).join(','));
+        if (options.paused) {
+            // qBittorrent 5 renamed paused to stopped
+            form.append('paused', 'true');
+            form.append('stopped', 'true');
+        }
+        if (options.sequentialDownload) form.append('sequentialDownload', 'true');
+
+        const result = await this.request('post', '/api/v2/torrents/add', form);
+        if (String(result).trim() === 'Fails.') {
+            throw new DownloadClientError('qBittorrent refused to add the torrent');
+        }
+    }
+}
+
+module.exports = { QBittorrentClient };
@@ -0,0 +1,69 @@
+// SABnzbd API client (mode=addurl and friends), authenticated with the SABnzbd API key
+
+const axios = require('axios');
+const { DownloadClientError, DownloadClientAuthError, wrapHttpError } = require('./errors');
+
+// SABnzbd has no API to list priorities, these are the values it documents
+const PRIORITIES = [
+    { name: 'Default', value: -100 },
+    { name: 'Paused', value: -2 },
+    { name: 'Low', value: -1 },
+    { name: 'Normal', value: 0 },
+    { name: 'High', value: 1 },
+    { name: 'Force', value: 2 }
+];
+
+class SabnzbdClient {
+    constructor({ url, apiKey = '' } = {}) {
+        this.url = (url || '').replace(/\/+$/, '').replace(/\/api$/, '');
+        this.apiKey = apiKey;
+    }
+
+    async request(mode, params = {}) {
+        let data;
+        try {
+            ({ data } = await axios.get(`${this.url}/api`, {
+                params: { mode, apikey: this.apiKey, output: 'json', ...params }
+            }));
+        } catch (error) {
+            throw wrapHttpError(error, 'SABnzbd', this.url);
+        }
+
+        // Errors come back as 200 with { status: false, error }
+        if (data && data.status === false) {
+            const message = data.error || 'unknown error';
+            if (/api key/i.test(message)) {
+                throw new DownloadClientAuthError(`SABnzbd: ${message}`);
+            }
+            throw new DownloadClientError(`SABnzbd: ${message}`);
+        }
+        return data;
+    }
+
+    async getVersion() {
+        return (await this.request('version')).version;
+    }
+
+    // "*" is SABnzbd's default category, leave it to the "None" choice
+    async getCategories() {
+        const { categories = [] } = await this.request('get_cats');
+        return categories.filter(category => category !== '*');
+    }
+
+    async getPriorities() {
+        return PRIORITIES;
+    }
+
+    // options: name (job name), category, priority
+    async addUrl(url, options = {}) {
+        const params = { name: url };
+        if (options.name) params.nzbname = options.name;
+        if (options.category) params.cat = options.category;
+        if (options.priority !== undefined && options.priority !== null) params.priority = options.priority;
+
+        const { nzo_ids: ids = [] } = await this.request('addurl', params);
+        return { id: ids[0] };
+    }
+}
+
+module.exports = { SabnzbdClient };
@@ -0,0 +1,43 @@
+// Resolve a release download URL into something a torrent client can take without reaching Prowlarr itself
+
+const axios = require('axios');
+const { DownloadClientError, wrapHttpError } = require('./errors');
+
+// Redirects followed before giving up, indexers normally use one or two
+const MAX_REDIRECTS = 5;
+
+// How long to wait for the indexer, in milliseconds
+const REQUEST_TIMEOUT = 30000;
+
+// Returns { magnet } when the URL redirects to a magnet link, otherwise { metainfo } with the .torrent contents
+const fetchTorrentFile = async (url, redirects = 0) => {
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            maxRedirects: 0,
+            timeout: REQUEST_TIMEOUT,
+            validateStatus: status => status >= 200 && status < 400
+        });
+    } catch (error) {
+        throw wrapHttpError(error, 'The indexer', url);
+    }
+
+    if (response.status >= 300) {
+        const location = response.headers.location || '';
+        if (response.status === 304 || !location) {
+            throw new DownloadClientError(`The indexer responded with status ${response.status} and no file to download`, { status: response.status });
+        }
+        if (location.startsWith('magnet:')) {
+            return { magnet: location };
+        }
+        if (redirects >= MAX_REDIRECTS) {
+            throw new DownloadClientError(`The indexer redirected more than ${MAX_REDIRECTS} times, last to ${location}`, { status: response.status });
+        }
+        return fetchTorrentFile(new URL(location, url).toString(), redirects + 1);
+    }
+
+    return { metainfo: Buffer.from(response.data) };
+};
+
+module.exports = { fetchTorrentFile, REQUEST_TIMEOUT };
@@ -0,0 +1,64 @@
+// Transmission RPC client, handles the X-Transmission-Session-Id (409) handshake and basic auth
+
+const axios = require('axios');
+const { DownloadClientError, wrapHttpError } = require('./errors');
+
+const SESSION_HEADER = 'x-transmission-session-id';
+
+class TransmissionClient {
+    constructor({ url, username = '', password = '' } = {}) {
+        // Accept the bare WebUI address as well as the full RPC endpoint
+        const trimmed = (url || '').replace(/\/+$/, '');
+        this.url = /\/rpc$/.test(trimmed) ? trimmed : `${trimmed}/transmission/rpc`;
+        this.sessionId = null;
+        this.http = axios.create({
+            auth: username ? { username, password } : undefined
+        });
+    }
+
+    async rpc(method, args = {}, retry = true) {
+        let response;
+        try {
+            response = await this.http.post(this.url, { method, arguments: args }, {
+                headers: this.sessionId ? { 'X-Transmission-Session-Id': this.sessionId } : {}
+            });
+        } catch (error) {
+            // Transmission answers 409 with the session id to use for the next request
+            if (error.response?.status === 409 && retry) {
+                this.sessionId = error.response.headers[SESSION_HEADER];
+                return this.rpc(method, args, false);
+            }
+            throw wrapHttpError(error, 'Transmission', this.url);
+        }
+
+        const { result, arguments: data } = response.data || {};
+        if (result !== 'success') {
+            throw new DownloadClientError(`Transmission ${method} failed: ${result || 'unknown error'}`);
+        }
+        return data;
+    }
+
+    getSession() {
+        return this.rpc('session-get', { fields: ['version', 'download-dir'] });
+    }
+
+    // source is { magnet } / { url } or { metainfo } (Buffer of a .torrent file), options: downloadDir, paused
+    async addTorrent(source, options = {}) {
+        const args = {};
+        if (source.metainfo) {
+            args.metainfo = Buffer.from(source.metainfo).toString('base64');
+        } else {
+            args.filename = source.magnet || source.url;
+        }
+        if (options.downloadDir) args['download-dir'] = options.downloadDir;
+        if (options.paused !== undefined) args.paused = Boolean(options.paused);
+
+        const data = await this.rpc('torrent-add', args);
+        if (data['torrent-duplicate']) {
+            return { ...data['torrent-duplicate'], duplicate: true };
+        }
+        return { ...data['torrent-added'], duplicate: false };
+    }
+}
+
+module.exports = { TransmissionClient };
@@ -0,0 +1,144 @@
+// Export of a result list as JSON, CSV, a Markdown table or an RSS feed with Torznab attributes
+
+const { formatSize } = require('./format');
+const { getInfoHash } = require('./dedupe');
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: '.json' },
+    csv: { label: 'CSV', extension: '.csv' },
+    markdown: { label: 'Markdown table', extension: '.md' },
+    rss: { label: 'RSS feed (Torznab attributes)', extension: '.xml' }
+};
+
+const FIELDS = ['title', 'indexer', 'indexerId', 'protocol', 'size', 'seeders', 'leechers', 'publishDate', 'downloadUrl', 'magnetUrl', 'infoUrl', 'guid'];
+
+// The fields worth keeping from a result, missing ones become null so every record has the same shape
+const toExportRecord = (result) => Object.fromEntries(FIELDS.map(field => [field, result[field] ?? null]));
+
+// "results.csv" -> csv, "feed.rss" -> rss
+const formatFromPath = (filePath) => {
+    const extension = String(filePath).toLowerCase().match(/\.([a-z]+)$/)?.[1];
+    if (extension === 'rss') {
+        return 'rss';
+    }
+    return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extension === `.${extension}`) || null;
+};
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => [
+    FIELDS.join(','),
+    ...records.map(record => FIELDS.map(field => csvField(record[field])).join(','))
+].join('\r\n') + '\r\n';
+
+const markdownCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+
+const toMarkdown = (records, title) => {
+    const link = (record) => [
+        record.magnetUrl ? `[magnet](<${record.magnetUrl}>)` : null,
+        record.downloadUrl ? `[${record.protocol === 'usenet' ? 'nzb' : 'download'}](<${record.downloadUrl}>)` : null
+    ].filter(Boolean).join(' ');
+    const rows = records.map(record => [
+        markdownCell(record.title),
+        markdownCell(record.indexer),
+        formatSize(record.size),
+        record.protocol === 'usenet' ? '' : (record.seeders ?? ''),
+        record.protocol === 'usenet' ? '' : (record.leechers ?? ''),
+        record.publishDate ? new Date(record.publishDate).toISOString().slice(0, 10) : '',
+        link(record)
+    ]);
+    return [
+        ...(title ? [`## ${markdownCell(title)}`, ''] : []),
+        '| Title | Indexer | Size | Seeders | Leechers | Published | Links |',
+        '| --- | --- | ---: | ---: | ---: | --- | --- |',
+        ...rows.map(cells => `| ${cells.join(' | ')} |`)
+    ].join('\n') + '\n';
+};
+
+const xmlEscape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// RSS 2.0 the way Torznab feeds look, so tools that read indexer feeds can take it
+const toRss = (results, title, now) => {
+    const items = results.map(result => {
+        const record = toExportRecord(result);
+        const link = record.downloadUrl || record.magnetUrl || '';
+        const type = record.protocol === 'usenet' ? 'application/x-nzb' : 'application/x-bittorrent';
+        const published = new Date(record.publishDate);
+        const attributes = [
+            ['size', record.size],
+            ['seeders', record.seeders],
+            ['peers', record.seeders !== null || record.leechers !== null ? (record.seeders || 0) + (record.leechers || 0) : null],
+            ['grabs', result.grabs],
+            ['infohash', getInfoHash(result)],
+            ['magneturl', record.magnetUrl],
+            ...(result.categories || []).map(category => ['category', typeof category === 'object' ? category.id : category])
+        ].filter(([, value]) => value !== null && value !== undefined);
+
+        return [
+            '    <item>',
+            `      <title>${xmlEscape(record.title)}</title>`,
+            `      <guid isPermaLink="false">${xmlEscape(record.guid)}</guid>`,
+            `      <prowlarrindexer id="${xmlEscape(record.indexerId)}">${xmlEscape(record.indexer)}</prowlarrindexer>`,
+            ...(record.infoUrl ? [`      <comments>${xmlEscape(record.infoUrl)}</comments>`] : []),
+            ...(isNaN(published) ? [] : [`      <pubDate>${published.toUTCString()}</pubDate>`]),
+            ...(record.size ? [`      <size>${record.size}</size>`] : []),
+            ...(link ? [`      <link>${xmlEscape(link)}</link>`] : []),
+            ...(link ? [`      <enclosure url="${xmlEscape(link)}" length="${record.size || 0}" type="${type}" />`] : []),
+            ...attributes.map(([name, value]) => `      <torznab:attr name="${name}" value="${xmlEscape(value)}" />`),
+            '    </item>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">',
+        '  <channel>',
+        `    <title>${xmlEscape(title || 'Prowling results')}</title>`,
+        '    <description>Search results exported from Prowling</description>',
+        `    <lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>'
+    ].join('\n') + '\n';
+};
+
+// The results as text in one of EXPORT_FORMATS, title names the result set (e.g. the search)
+const exportResults = (results, format, { title = '', now = new Date() } = {}) => {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(results.map(toExportRecord), null, 2) + '\n';
+        case 'csv':
+            return toCsv(results.map(toExportRecord));
+        case 'markdown':
+            return toMarkdown(results.map(toExportRecord), title);
+        case 'rss':
+            return toRss(results, title, now);
+        default:
+            throw new Error(`Unknown export format "${format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+};
+
+// prowling-big-buck-bunny-20261018-1412.csv
+const defaultExportName = (query, format, now = new Date()) => {
+    const slug = String(query || 'results').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'results';
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    return `prowling-${slug}-${stamp}${EXPORT_FORMATS[format].extension}`;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    toExportRecord,
+    formatFromPath,
+    exportResults,
+    defaultExportName
+};
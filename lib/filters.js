@@ -0,0 +1,206 @@
+// Filter expressions for narrowing down search results, e.g.
+//   size>2GB seeders>=10 indexer:rarbg -cam /x26[45]/ age<7d protocol:torrent freeleech
+// Terms are separated by spaces and all of them have to match, a leading "-" negates a term.
+
+const { getRelease } = require('./release-parser');
+
+class FilterSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterSyntaxError';
+    }
+}
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+const AGE_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000, y: 31536000000 };
+
+// 2GB, 1.5 g, 700mb, 1024 (bytes)
+const parseSize = (text) => {
+    const match = /^(\d+(?:\.\d+)?)\s*([bkmgt])?(?:i?b)?$/i.exec(text);
+    if (!match) {
+        throw new FilterSyntaxError(`Invalid size "${text}", use e.g. 700MB or 2GB`);
+    }
+    return parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+};
+
+// 30m, 12h, 7d, 2w, 1y (same units as the age shown in the results)
+const parseAge = (text) => {
+    const match = /^(\d+(?:\.\d+)?)([mhdwy])$/i.exec(text);
+    if (!match) {
+        throw new FilterSyntaxError(`Invalid age "${text}", use e.g. 12h or 7d`);
+    }
+    return parseFloat(match[1]) * AGE_UNITS[match[2].toLowerCase()];
+};
+
+// 1080p, 1080, 4k
+const parseResolution = (text) => {
+    if (/^(?:4k|uhd)$/i.test(text)) {
+        return 2160;
+    }
+    const match = /^(\d{3,4})[pi]?$/i.exec(text);
+    if (!match) {
+        throw new FilterSyntaxError(`Invalid resolution "${text}", use e.g. 720p or 1080p`);
+    }
+    return parseInt(match[1]);
+};
+
+const parseCount = (text) => {
+    if (!/^\d+$/.test(text)) {
+        throw new FilterSyntaxError(`Invalid number "${text}"`);
+    }
+    return parseInt(text);
+};
+
+// Fields compared with > >= < <= = !=
+const NUMERIC_FIELDS = {
+    size: { parse: parseSize, get: (result) => result.size },
+    seeders: { parse: parseCount, get: (result) => result.seeders },
+    leechers: { parse: parseCount, get: (result) => result.leechers },
+    grabs: { parse: parseCount, get: (result) => result.grabs },
+    resolution: { parse: parseResolution, get: (result) => getRelease(result).height ?? undefined },
+    season: { parse: parseCount, get: (result) => getRelease(result).season ?? undefined },
+    episode: { parse: parseCount, get: (result) => getRelease(result).episodes[0] },
+    age: {
+        parse: parseAge,
+        get: (result, now) => {
+            const published = new Date(result.publishDate).getTime();
+            return isNaN(published) ? undefined : now - published;
+        }
+    }
+};
+
+const includesText = (text, value) => String(text || '').toLowerCase().includes(value);
+
+// "web-dl", "WEBDL" and "web dl" all mean WEB-DL, and the codec family names mean the normalized ones
+const CODEC_ALIASES = { hevc: 'h265', avc: 'h264' };
+const normalizeTag = (text) => {
+    const normalized = String(text || '').toLowerCase().replace(/[^a-z0-9+]/g, '');
+    return CODEC_ALIASES[normalized] || normalized;
+};
+const includesTag = (tags, value) => tags.some(tag => normalizeTag(tag).includes(normalizeTag(value)));
+
+// Fields matched with field:value
+const TEXT_FIELDS = {
+    title: (result, value) => includesText(result.title, value),
+    indexer: (result, value) => includesText(result.indexer, value),
+    protocol: (result, value) => String(result.protocol || '').toLowerCase() === value,
+    flag: (result, value) => (result.indexerFlags || []).some(flag => String(flag).toLowerCase() === value),
+    // Attributes parsed from the release title
+    source: (result, value) => normalizeTag(getRelease(result).source) === normalizeTag(value),
+    codec: (result, value) => includesTag([getRelease(result).videoCodec].filter(Boolean), value),
+    hdr: (result, value) => includesTag(getRelease(result).hdr, value),
+    audio: (result, value) => includesTag([getRelease(result).audioCodec].filter(Boolean), value),
+    group: (result, value) => normalizeTag(getRelease(result).group) === normalizeTag(value),
+    lang: (result, value) => includesTag(getRelease(result).languages, value),
+    // A category id also matches its subcategories (category:2000 matches 2040), anything else matches names
+    category: (result, value) => (result.categories || []).some(category => {
+        const id = typeof category === 'object' ? category.id : category;
+        if (/^\d+$/.test(value)) {
+            const wanted = parseInt(value);
+            return id === wanted || (wanted % 1000 === 0 && Math.floor(id / 1000) * 1000 === wanted);
+        }
+        return includesText(category?.name, value);
+    })
+};
+
+// Bare words that mean an indexer flag rather than a word in the title
+const FLAG_KEYWORDS = ['freeleech', 'halfleech', 'doubleupload', 'internal', 'scene', 'nuked'];
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// Quoted phrases (optionally after field:) and /regexes/ may contain spaces
+const TOKEN_PATTERN = /-?(?:\w+:)?"[^"]*"|-?\/(?:\\.|[^/\\])+\/[a-z]*|\S+/g;
+
+const unquote = (text) => text.replace(/^"(.*)"$/, '$1');
+
+const parseTerm = (token) => {
+    const negate = token.length > 1 && token.startsWith('-');
+    const body = negate ? token.slice(1) : token;
+    const term = (test) => ({ source: token, negate, test });
+
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(body);
+    if (regex) {
+        let pattern;
+        try {
+            pattern = new RegExp(regex[1], regex[2].includes('i') ? regex[2] : regex[2] + 'i');
+        } catch (error) {
+            throw new FilterSyntaxError(`Invalid regular expression ${body}: ${error.message}`);
+        }
+        return term((result) => pattern.test(result.title || ''));
+    }
+
+    const comparison = /^(\w+)(>=|<=|!=|>|<|=)(.+)$/.exec(body);
+    if (comparison && !TEXT_FIELDS[comparison[1].toLowerCase()]) {
+        const [, name, operator, value] = comparison;
+        const field = NUMERIC_FIELDS[name.toLowerCase()];
+        if (!field) {
+            throw new FilterSyntaxError(`Unknown filter field "${name}"`);
+        }
+        const wanted = field.parse(value);
+        const compare = COMPARATORS[operator];
+        return term((result, now) => {
+            const actual = field.get(result, now);
+            return typeof actual === 'number' && compare(actual, wanted);
+        });
+    }
+
+    const fieldMatch = /^(\w+)[:=](.+)$/.exec(body);
+    if (fieldMatch) {
+        const name = fieldMatch[1].toLowerCase();
+        const value = unquote(fieldMatch[2]).toLowerCase();
+        if (TEXT_FIELDS[name]) {
+            return term((result) => TEXT_FIELDS[name](result, value));
+        }
+        if (NUMERIC_FIELDS[name]) {
+            // size:2GB reads as size=2GB
+            return parseTerm(`${negate ? '-' : ''}${name}=${fieldMatch[2]}`);
+        }
+        throw new FilterSyntaxError(`Unknown filter field "${fieldMatch[1]}"`);
+    }
+
+    const word = unquote(body).toLowerCase();
+    if (!word) {
+        throw new FilterSyntaxError('Empty quoted phrase');
+    }
+    if (FLAG_KEYWORDS.includes(word) && !body.startsWith('"')) {
+        return term((result) => TEXT_FIELDS.flag(result, word));
+    }
+    return term((result) => includesText(result.title, word));
+};
+
+// Returns { expression, terms }, throws FilterSyntaxError pointing at the offending term
+const parseFilter = (expression) => {
+    const tokens = String(expression).match(TOKEN_PATTERN) || [];
+    if (tokens.length === 0) {
+        throw new FilterSyntaxError('Empty filter');
+    }
+    return {
+        expression: tokens.join(' '),
+        terms: tokens.map(parseTerm)
+    };
+};
+
+const matchesFilter = (result, filter, now = Date.now()) =>
+    filter.terms.every(term => term.test(result, now) !== term.negate);
+
+// Stacked filters all have to match
+const applyFilters = (results, filters, now = Date.now()) =>
+    results.filter(result => filters.every(filter => matchesFilter(result, filter, now)));
+
+const FILTER_HELP = 'e.g. size>2GB seeders>=10 resolution>=1080p source:web-dl codec:x265 hdr:dv audio:atmos lang:french group:name indexer:name protocol:torrent age<7d -cam /x26[45]/ freeleech';
+
+module.exports = {
+    FilterSyntaxError,
+    parseSize,
+    parseFilter,
+    matchesFilter,
+    applyFilters,
+    FILTER_HELP
+};
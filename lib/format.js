@@ -0,0 +1,41 @@
+// Formatting helpers shared by the interactive menus and the command-line mode
+
+// Format file sizes nicely
+const formatSize = (bytes) => {
+    if (!bytes) return 'Unknown';
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+};
+
+// Human readable age of a publish date (e.g. "3d", "5h")
+const formatAge = (date) => {
+    const time = new Date(date).getTime();
+    if (!date || isNaN(time)) return 'Unknown';
+    const minutes = Math.max(0, Math.floor((Date.now() - time) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+    if (minutes < 60 * 24 * 365) return `${Math.floor(minutes / (60 * 24))}d`;
+    return `${Math.floor(minutes / (60 * 24 * 365))}y`;
+};
+
+// Render rows as a plain text table, columns are { header, value(row), align }
+const renderTable = (rows, columns) => {
+    const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+    const widths = columns.map((column, i) =>
+        Math.max(column.header.length, ...cells.map(rowCells => rowCells[i].length))
+    );
+    const pad = (text, i) => columns[i].align === 'right' ? text.padStart(widths[i]) : text.padEnd(widths[i]);
+    const line = (rowCells) => rowCells.map(pad).join('  ').trimEnd();
+
+    return [
+        line(columns.map(column => column.header)),
+        ...cells.map(line)
+    ].join('\n');
+};
+
+module.exports = {
+    formatSize,
+    formatAge,
+    renderTable
+};
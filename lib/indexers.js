@@ -0,0 +1,29 @@
+// Indexer health and saved indexer groups
+
+// Prowlarr backs off from failing indexers until disabledTill (GET /api/v1/indexerstatus)
+const getIndexerHealth = (indexer, statuses = [], now = Date.now()) => {
+    const status = statuses.find(s => s.indexerId === indexer.id);
+    const disabledTill = status?.disabledTill ? new Date(status.disabledTill) : null;
+
+    return {
+        disabled: indexer.enable === false,
+        failing: Boolean(disabledTill && disabledTill.getTime() > now),
+        disabledTill,
+        mostRecentFailure: status?.mostRecentFailure ? new Date(status.mostRecentFailure) : null
+    };
+};
+
+// Indexers a search can use: everything the user has not disabled in Prowlarr
+const getSearchableIndexers = (indexers) => indexers.filter(indexer => indexer.enable !== false);
+
+// Ids of a saved group that still exist and are enabled
+const resolveGroup = (groupIds, indexers) => {
+    const searchable = getSearchableIndexers(indexers);
+    return groupIds.filter(id => searchable.some(indexer => indexer.id === id));
+};
+
+module.exports = {
+    getIndexerHealth,
+    getSearchableIndexers,
+    resolveGroup
+};
@@ -0,0 +1,163 @@
+// Keyboard shortcuts on top of inquirer list prompts. Bindings are stored as key names like
+// "ctrl+s", "alt+g", "f5" or a single character, one per action, in the "shortcuts" config section.
+
+const SHORTCUT_ACTIONS = {
+    quickSearch: 'Quick search',
+    grab: 'Grab selected',
+    refresh: 'Refresh results',
+    history: 'Search history',
+    filter: 'Filter results'
+};
+
+const DEFAULT_SHORTCUTS = {
+    quickSearch: 'ctrl+s',
+    grab: 'ctrl+d',
+    refresh: 'ctrl+r',
+    history: 'ctrl+h',
+    filter: 'ctrl+f'
+};
+
+// Always shows the shortcut help, so it can't be bound to anything else
+const HELP_KEY = '?';
+
+// Keys the terminal or the prompts already use
+const RESERVED_KEYS = {
+    'ctrl+c': 'goes back or quits',
+    'ctrl+i': 'is the same as Tab',
+    'ctrl+j': 'is the same as Enter',
+    'ctrl+m': 'is the same as Enter',
+    'ctrl+n': 'moves down in lists',
+    'ctrl+p': 'moves up in lists',
+    'j': 'moves down in lists',
+    'k': 'moves up in lists',
+    [HELP_KEY]: 'shows the shortcut help'
+};
+
+const FUNCTION_KEY = /^f([1-9]|1[0-2])$/;
+
+// "Ctrl+S", "ctrl-s", "^S", "Control+S" -> "ctrl+s", "F5" -> "f5"; single characters keep their case.
+// Returns null for anything that isn't a key we can bind.
+const normalizeKey = (text) => {
+    const raw = String(text ?? '').trim();
+    if (/^[\x21-\x7e]$/.test(raw)) {
+        return raw;
+    }
+    const key = raw.toLowerCase()
+        .replace(/\s+/g, '')
+        .replace(/^control(?=[+-])/, 'ctrl')
+        .replace(/^(ctrl|alt|meta)-/, '$1+')
+        .replace(/^meta\+/, 'alt+')
+        .replace(/^\^(?=[a-z]$)/, 'ctrl+');
+    return /^(ctrl|alt)\+[a-z]$/.test(key) || FUNCTION_KEY.test(key) ? key : null;
+};
+
+// "ctrl+s" -> "Ctrl+S" for display
+const formatKey = (key) => {
+    if (!key) {
+        return 'unbound';
+    }
+    if (key.length === 1) {
+        return key;
+    }
+    return key.split('+').map(part => part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)).join('+');
+};
+
+// The key name for a readline keypress event, in the form normalizeKey returns
+const keyFromKeypress = (str, key = {}) => {
+    // Ctrl+H arrives as a backspace, terminals whose Backspace key sends DEL still tell them apart
+    if (key.sequence === '\b') {
+        return 'ctrl+h';
+    }
+    if (/^[a-z]$/.test(key.name || '') && (key.ctrl || key.meta)) {
+        return `${key.ctrl ? 'ctrl' : 'alt'}+${key.name}`;
+    }
+    if (FUNCTION_KEY.test(key.name || '')) {
+        return key.name;
+    }
+    return typeof str === 'string' && /^[\x21-\x7e]$/.test(str) ? str : null;
+};
+
+// Why key can't be used for action with these bindings, or null when it can
+const checkBinding = (action, key, bindings) => {
+    if (!key) {
+        return 'Not a key that can be bound, use e.g. Ctrl+S, Alt+G, F5 or a single character';
+    }
+    if (RESERVED_KEYS[key]) {
+        return `${formatKey(key)} ${RESERVED_KEYS[key]}`;
+    }
+    if (/^[0-9]$/.test(key)) {
+        return `${key} picks a list item by number`;
+    }
+    const other = Object.keys(bindings).find(name => name !== action && bindings[name] === key);
+    return other ? `${formatKey(key)} is already bound to ${SHORTCUT_ACTIONS[other] || other}` : null;
+};
+
+// Problems with a whole set of bindings, e.g. from a hand-edited config: [{ action, key, problem }]
+const findConflicts = (bindings) => Object.entries(bindings)
+    .filter(([, key]) => key)
+    .map(([action, key]) => ({ action, key, problem: checkBinding(action, key, bindings) }))
+    .filter(conflict => conflict.problem);
+
+// Ask a single list question with the shortcuts active. A bound key (or HELP_KEY) closes the prompt and
+// answers it with { shortcut, highlighted }: the action and the value of the choice under the cursor.
+// Keys bound to more than one action are ignored, see findConflicts. With bindings null no key does anything.
+// Given an output stream, resizing the terminal answers { shortcut: 'resize', highlighted } so the caller
+// can draw the question again for the new width.
+const promptWithShortcuts = (prompt, question, bindings, { input = process.stdin, output = null } = {}) => {
+    const conflicted = new Set(findConflicts(bindings || {}).map(conflict => conflict.key));
+    const actions = new Map(Object.entries(bindings || {}).filter(([, key]) => key && !conflicted.has(key)).map(([action, key]) => [key, action]));
+    if (bindings) {
+        actions.set(HELP_KEY, 'help');
+    }
+
+    const run = prompt([question]);
+    return new Promise((resolve, reject) => {
+        const stop = () => {
+            input.removeListener('keypress', onKeypress);
+            output?.removeListener('resize', onResize);
+        };
+        const interrupt = (action) => {
+            const active = run.ui.activePrompt;
+            if (!active) {
+                return;
+            }
+            const highlighted = active.opt.choices?.getChoice?.(active.selected)?.value;
+            stop();
+            // Leave the screen the way answering would: cursor shown and on a fresh line
+            active.screen.done();
+            run.ui.rl.output.write('\x1b[?25h');
+            run.ui.close();
+            resolve({ [question.name]: { shortcut: action, highlighted } });
+        };
+        const onKeypress = (str, key) => {
+            const action = actions.get(keyFromKeypress(str, key));
+            if (action) {
+                interrupt(action);
+            }
+        };
+        const onResize = () => interrupt('resize');
+
+        // Ahead of readline's own handler, so keys like Ctrl+D never reach the closed prompt
+        input.prependListener('keypress', onKeypress);
+        output?.on('resize', onResize);
+        run.then(answers => {
+            stop();
+            resolve(answers);
+        }, error => {
+            stop();
+            reject(error);
+        });
+    });
+};
+
+module.exports = {
+    SHORTCUT_ACTIONS,
+    DEFAULT_SHORTCUTS,
+    HELP_KEY,
+    normalizeKey,
+    formatKey,
+    keyFromKeypress,
+    checkBinding,
+    findConflicts,
+    promptWithShortcuts
+};
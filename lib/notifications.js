@@ -0,0 +1,186 @@
+// Notifications for things that happen while you look elsewhere: a terminal bell, desktop
+// notifications through notify-send, and webhooks (generic JSON, Discord, ntfy or Gotify)
+
+const axios = require('axios');
+const { spawn } = require('child_process');
+
+const NOTIFICATION_EVENTS = {
+    search_complete: 'Search complete',
+    grab_sent: 'Grab sent',
+    download_finished: 'Download finished',
+    error: 'Error',
+    watch_match: 'New watch match'
+};
+
+const ALL_EVENTS = Object.keys(NOTIFICATION_EVENTS);
+
+const WEBHOOK_TEMPLATES = {
+    generic: 'Generic JSON',
+    discord: 'Discord',
+    ntfy: 'ntfy',
+    gotify: 'Gotify'
+};
+
+// Sinks and the events each one gets, stored as the "notifications" section of the config
+const DEFAULT_NOTIFICATIONS = {
+    bell: { events: ['download_finished', 'error', 'watch_match'] },
+    desktop: { enabled: false, events: ALL_EVENTS.filter(type => type !== 'search_complete') },
+    webhooks: [] // [{ name, template, url, token, events }]
+};
+
+const DISCORD_COLORS = { error: 0xe74c3c, watch_match: 0x2ecc71, grab_sent: 0x3498db, download_finished: 0x2ecc71 };
+const PRIORITIES = { error: 5, watch_match: 4, grab_sent: 3, download_finished: 3, search_complete: 2 };
+
+// HTTP headers only take latin1, anything else goes in an RFC 2047 encoded word (ntfy decodes those)
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// Method, URL, headers and body for a webhook, shaped the way each service expects it
+const buildWebhookRequest = (webhook, event) => {
+    const template = webhook.template || 'generic';
+    const headers = {};
+
+    if (template === 'discord') {
+        return {
+            url: webhook.url,
+            headers,
+            data: {
+                username: 'Prowling',
+                embeds: [{
+                    title: event.title,
+                    description: event.message,
+                    color: DISCORD_COLORS[event.type] ?? 0x95a5a6,
+                    timestamp: event.timestamp
+                }]
+            }
+        };
+    }
+
+    if (template === 'ntfy') {
+        // Publishing to a topic URL takes the message as the body and the rest as headers
+        headers['Title'] = encodeHeader(event.title);
+        headers['Tags'] = event.type === 'error' ? 'warning' : 'mag';
+        headers['Priority'] = String(PRIORITIES[event.type] ?? 3);
+        headers['Content-Type'] = 'text/plain; charset=utf-8';
+        if (webhook.token) {
+            headers['Authorization'] = `Bearer ${webhook.token}`;
+        }
+        return { url: webhook.url, headers, data: event.message };
+    }
+
+    if (template === 'gotify') {
+        if (webhook.token) {
+            headers['X-Gotify-Key'] = webhook.token;
+        }
+        return {
+            url: /\/message\/?$/.test(webhook.url) ? webhook.url : webhook.url.replace(/\/+$/, '') + '/message',
+            headers,
+            data: { title: event.title, message: event.message, priority: PRIORITIES[event.type] ?? 3 }
+        };
+    }
+
+    if (webhook.token) {
+        headers['Authorization'] = `Bearer ${webhook.token}`;
+    }
+    return {
+        url: webhook.url,
+        headers,
+        data: {
+            event: event.type,
+            title: event.title,
+            message: event.message,
+            timestamp: event.timestamp,
+            data: event.data
+        }
+    };
+};
+
+// Sends events to the sinks that want them. getConfig returns { enabled, sound, bell, desktop, webhooks }
+// and is read on every event, so settings changes apply right away. Delivery problems are returned,
+// never thrown: a broken webhook must not break a search or a download.
+class Notifier {
+    constructor(getConfig, { post = axios.post, run = spawn, bell = () => process.stderr.write('\x07'), platform = process.platform } = {}) {
+        this.getConfig = getConfig;
+        this.post = post;
+        this.run = run;
+        this.ringBell = bell;
+        this.platform = platform;
+    }
+
+    // Resolves to [{ sink, ok, error }] for every sink the event went to
+    async notify(type, title, message, data = {}) {
+        const config = this.getConfig();
+        if (!config.enabled) {
+            return [];
+        }
+        const event = { type, title, message, data, timestamp: new Date().toISOString() };
+        const wants = (sink) => (sink?.events || []).includes(type);
+        const deliveries = [];
+
+        if (config.sound && wants(config.bell)) {
+            deliveries.push(this.deliver('bell', () => this.ringBell()));
+        }
+        if (config.desktop?.enabled && wants(config.desktop)) {
+            deliveries.push(this.deliver('desktop', () => this.sendDesktop(event)));
+        }
+        (config.webhooks || []).filter(wants).forEach(webhook => {
+            deliveries.push(this.deliver(webhook.name, () => this.sendWebhook(webhook, event)));
+        });
+
+        return Promise.all(deliveries);
+    }
+
+    testEvent() {
+        return { type: 'search_complete', title: 'Prowling test', message: 'Notifications are working', data: {}, timestamp: new Date().toISOString() };
+    }
+
+    // Send a test to every sink that is switched on, whatever events it is set up for
+    async test() {
+        const config = this.getConfig();
+        if (!config.enabled) {
+            return [];
+        }
+        const event = this.testEvent();
+        return Promise.all([
+            ...(config.sound ? [this.deliver('bell', () => this.ringBell())] : []),
+            ...(config.desktop?.enabled ? [this.deliver('desktop', () => this.sendDesktop(event))] : []),
+            ...(config.webhooks || []).map(webhook => this.deliver(webhook.name, () => this.sendWebhook(webhook, event)))
+        ]);
+    }
+
+    async deliver(sink, send) {
+        try {
+            await send();
+            return { sink, ok: true };
+        } catch (error) {
+            return { sink, ok: false, error: error.message };
+        }
+    }
+
+    sendWebhook(webhook, event) {
+        const request = buildWebhookRequest(webhook, event);
+        return this.post(request.url, request.data, { headers: request.headers, timeout: 10000 });
+    }
+
+    // notify-send ships with libnotify on most Linux desktops
+    sendDesktop(event) {
+        if (this.platform !== 'linux') {
+            return Promise.reject(new Error('Desktop notifications need notify-send (Linux)'));
+        }
+        return new Promise((resolve, reject) => {
+            const urgency = event.type === 'error' ? 'critical' : 'normal';
+            const child = this.run('notify-send', ['--app-name=Prowling', `--urgency=${urgency}`, event.title, event.message], { stdio: 'ignore' });
+            child.on('error', (error) => reject(error.code === 'ENOENT' ? new Error('notify-send is not installed') : error));
+            child.on('exit', (code) => code === 0 ? resolve() : reject(new Error(`notify-send exited with code ${code}`)));
+        });
+    }
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    WEBHOOK_TEMPLATES,
+    DEFAULT_NOTIFICATIONS,
+    buildWebhookRequest,
+    Notifier
+};
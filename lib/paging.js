@@ -0,0 +1,37 @@
+// Paging of the result list and incremental fetching with Prowlarr's limit/offset
+
+// Slice out one page, the page number is clamped so it stays valid when the list shrinks
+const paginate = (items, page, perPage) => {
+    const pageCount = Math.max(1, Math.ceil(items.length / perPage));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = current * perPage;
+
+    return {
+        items: items.slice(start, start + perPage),
+        page: current,
+        pageCount,
+        start
+    };
+};
+
+// Prowlarr applies limit per indexer, so there may be more as long as any indexer filled its batch
+const mightHaveMore = (batch, limit) => {
+    const counts = {};
+    batch.forEach(result => {
+        counts[result.indexerId] = (counts[result.indexerId] || 0) + 1;
+    });
+    return Object.values(counts).some(count => count >= limit);
+};
+
+// Append a newly fetched batch, indexers that ignore offset would otherwise repeat releases
+const mergeResults = (results, batch) => {
+    const seen = new Set(results.map(result => `${result.indexerId}:${result.guid}`));
+    const added = batch.filter(result => !seen.has(`${result.indexerId}:${result.guid}`));
+    return { results: [...results, ...added], added: added.length };
+};
+
+module.exports = {
+    paginate,
+    mightHaveMore,
+    mergeResults
+};
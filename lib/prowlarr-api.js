@@ -0,0 +1,129 @@
+// Thin client for the Prowlarr v1 API, shared by the interactive menus and the CLI
+
+const axios = require('axios');
+
+class ProwlarrError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = options.status;
+        this.data = options.data;
+        this.cause = options.cause;
+    }
+}
+
+// Prowlarr could not be reached at all (bad URL, server down, timeout...)
+class ProwlarrConnectionError extends ProwlarrError {}
+
+// The API key was rejected
+class ProwlarrAuthError extends ProwlarrError {}
+
+// Prowlarr answered with any other error status
+class ProwlarrApiError extends ProwlarrError {}
+
+// Prowlarr expects repeated keys for arrays (categories=2000&categories=5000)
+const serializeParams = (params) => {
+    const parts = [];
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach(v => parts.push(`${key}=${encodeURIComponent(v)}`));
+        } else {
+            parts.push(`${key}=${encodeURIComponent(value)}`);
+        }
+    });
+    return parts.join('&');
+};
+
+// Prowlarr puts its reason either in message or in a list of validation failures
+const describeResponse = (data) => {
+    if (Array.isArray(data) && data[0]?.errorMessage) {
+        return data.map(failure => failure.errorMessage).join(', ');
+    }
+    if (typeof data === 'string' && data.trim()) {
+        return data.trim();
+    }
+    return data?.message || data?.error;
+};
+
+class ProwlarrApi {
+    constructor({ baseUrl, apiKey, timeout = 0 } = {}) {
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey || '';
+        this.http = axios.create({
+            timeout,
+            paramsSerializer: serializeParams
+        });
+    }
+
+    async request(method, path, options = {}) {
+        try {
+            const { data } = await this.http.request({
+                method,
+                url: `${this.baseUrl}${path}`,
+                headers: { 'X-Api-Key': this.apiKey },
+                ...options
+            });
+            return data;
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    wrapError(error) {
+        if (!error.response) {
+            return new ProwlarrConnectionError(`Could not reach Prowlarr at ${this.baseUrl}: ${error.message}`, { cause: error });
+        }
+
+        const { status, data } = error.response;
+        if (status === 401 || status === 403) {
+            return new ProwlarrAuthError('Prowlarr rejected the API key', { status, data, cause: error });
+        }
+        return new ProwlarrApiError(describeResponse(data) || `Prowlarr responded with status ${status}`, { status, data, cause: error });
+    }
+
+    getSystemStatus() {
+        return this.request('get', '/api/v1/system/status');
+    }
+
+    getIndexers() {
+        return this.request('get', '/api/v1/indexer');
+    }
+
+    // Failure/back-off state per indexer: [{ indexerId, disabledTill, mostRecentFailure, ... }]
+    getIndexerStatuses() {
+        return this.request('get', '/api/v1/indexerstatus');
+    }
+
+    // params: { query, type, categories, indexerIds, ... } as accepted by /api/v1/search
+    search(params) {
+        return this.request('get', '/api/v1/search', { params });
+    }
+
+    // Download clients configured in Prowlarr (Settings > Download Clients)
+    getDownloadClients() {
+        return this.request('get', '/api/v1/downloadclient');
+    }
+
+    // Grab a release through Prowlarr, it has to be in Prowlarr's release cache (i.e. from a recent search).
+    // Without a downloadClientId Prowlarr picks its default client for the protocol.
+    grab(guid, indexerId, downloadClientId) {
+        const data = { guid, indexerId };
+        if (downloadClientId !== undefined && downloadClientId !== null) {
+            data.downloadClientId = downloadClientId;
+        }
+        return this.request('post', '/api/v1/search', { data });
+    }
+}
+
+module.exports = {
+    ProwlarrApi,
+    ProwlarrError,
+    ProwlarrConnectionError,
+    ProwlarrAuthError,
+    ProwlarrApiError,
+    serializeParams
+};
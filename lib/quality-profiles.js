@@ -0,0 +1,156 @@
+// Quality profiles: score results against user preferences, similar to custom formats in Sonarr/Radarr.
+// Terms are filter expressions (see filters.js), so "codec:x265", "-source:cam" or "/\bHC\b/" all work.
+//
+// {
+//     required: 'resolution>=720p',                     // every term has to match
+//     rejected: ['source:cam', '/\\bHC\\b/'],           // any match rejects the result
+//     preferred: [{ filter: 'codec:x265', score: 10 }], // added to the score when matched
+//     preferredIndexers: [{ indexer: 'Foo', score: 20 }],
+//     sizeLimits: [{ category: 2000, min: 1073741824, max: 21474836480 }],
+//     minSeeders: 1,                                    // torrents only
+//     seedersWeight: 5                                  // points per factor of ten seeders
+// }
+
+const { FilterSyntaxError, parseSize, parseFilter, matchesFilter } = require('./filters');
+const { formatSize } = require('./format');
+
+const EMPTY_PROFILE = {
+    required: '',
+    rejected: [],
+    preferred: [],
+    preferredIndexers: [],
+    sizeLimits: [],
+    minSeeders: 0,
+    seedersWeight: 0
+};
+
+// Parse every expression up front, so a broken profile fails once instead of on every result
+const compileProfile = (profile) => {
+    const complete = { ...EMPTY_PROFILE, ...profile };
+    return {
+        ...complete,
+        requiredFilter: complete.required.trim() ? parseFilter(complete.required) : null,
+        rejectedFilters: complete.rejected.map(expression => parseFilter(expression)),
+        preferredFilters: complete.preferred.map(({ filter, score }) => ({ filter: parseFilter(filter), score })),
+        sizeFilters: complete.sizeLimits.map(limit => ({ ...limit, filter: parseFilter(`category:${limit.category}`) }))
+    };
+};
+
+// Returns { score, rejected, breakdown: [{ label, points }], rejections: [reason] }
+const scoreResult = (result, compiled, now = Date.now()) => {
+    const breakdown = [];
+    const rejections = [];
+
+    if (compiled.requiredFilter && !matchesFilter(result, compiled.requiredFilter, now)) {
+        rejections.push(`does not match required ${compiled.requiredFilter.expression}`);
+    }
+    compiled.rejectedFilters.forEach(filter => {
+        if (matchesFilter(result, filter, now)) {
+            rejections.push(`matches rejected ${filter.expression}`);
+        }
+    });
+    compiled.sizeFilters.forEach(limit => {
+        if (!matchesFilter(result, limit.filter, now) || !result.size) {
+            return;
+        }
+        if (limit.min && result.size < limit.min) {
+            rejections.push(`${formatSize(result.size)} is below ${formatSize(limit.min)} for category ${limit.category}`);
+        }
+        if (limit.max && result.size > limit.max) {
+            rejections.push(`${formatSize(result.size)} is above ${formatSize(limit.max)} for category ${limit.category}`);
+        }
+    });
+
+    const isTorrent = result.protocol === 'torrent';
+    if (isTorrent && compiled.minSeeders > 0 && (result.seeders || 0) < compiled.minSeeders) {
+        rejections.push(`${result.seeders || 0} seeders, at least ${compiled.minSeeders} wanted`);
+    }
+
+    compiled.preferredFilters.forEach(({ filter, score }) => {
+        if (matchesFilter(result, filter, now)) {
+            breakdown.push({ label: filter.expression, points: score });
+        }
+    });
+    compiled.preferredIndexers.forEach(({ indexer, score }) => {
+        if (String(result.indexer).toLowerCase() === String(indexer).toLowerCase() || result.indexerId === indexer) {
+            breakdown.push({ label: `indexer ${result.indexer}`, points: score });
+        }
+    });
+    if (isTorrent && compiled.seedersWeight && result.seeders > 0) {
+        breakdown.push({ label: `${result.seeders} seeders`, points: Math.round(compiled.seedersWeight * Math.log10(result.seeders + 1)) });
+    }
+
+    return {
+        score: breakdown.reduce((sum, item) => sum + item.points, 0),
+        rejected: rejections.length > 0,
+        breakdown,
+        rejections
+    };
+};
+
+// Scores are cached per result, a new scorer is made whenever the profile changes
+const createScorer = (profile) => {
+    const compiled = compileProfile(profile);
+    const scores = new WeakMap();
+    return (result) => {
+        if (!scores.has(result)) {
+            scores.set(result, scoreResult(result, compiled));
+        }
+        return scores.get(result);
+    };
+};
+
+// Best match first: accepted before rejected, then by score
+const compareScores = (a, b) => (a.rejected - b.rejected) || (b.score - a.score);
+
+// "+10 codec:x265; -5 source:webrip" <-> [{ filter: 'codec:x265', score: 10 }, ...]
+const parseWeightedList = (text, key = 'filter') => String(text).split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = /^([+-]?\d+)\s+(.+)$/.exec(part);
+    if (!match) {
+        throw new FilterSyntaxError(`"${part}" needs a score first, e.g. +10 ${part}`);
+    }
+    if (key === 'filter') {
+        parseFilter(match[2]);
+    }
+    return { [key]: match[2].trim(), score: parseInt(match[1]) };
+});
+
+const formatWeightedList = (list, key = 'filter') =>
+    list.map(item => `${item.score >= 0 ? '+' : ''}${item.score} ${item[key]}`).join('; ');
+
+// "2000 1GB-20GB; 5000 -5GB" <-> [{ category: 2000, min, max }, ...], either bound may be left out
+const parseSizeLimits = (text) => String(text).split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = /^(\d+)\s+([^\s-]*)\s*-\s*([^\s-]*)$/.exec(part);
+    if (!match || (!match[2] && !match[3])) {
+        throw new FilterSyntaxError(`"${part}" should look like "2000 1GB-20GB"`);
+    }
+    return {
+        category: parseInt(match[1]),
+        min: match[2] ? parseSize(match[2]) : null,
+        max: match[3] ? parseSize(match[3]) : null
+    };
+});
+
+// 1.00 GB -> 1GB, 5.50 GB -> 5.5GB
+const compactSize = (bytes) => bytes ? formatSize(bytes).replace(/\.?0* /, '') : '';
+
+const formatSizeLimits = (limits) => limits.map(limit =>
+    `${limit.category} ${compactSize(limit.min)}-${compactSize(limit.max)}`
+).join('; ');
+
+const formatSplit = (list) => list.join('; ');
+const parseSplit = (text) => String(text).split(';').map(part => part.trim()).filter(Boolean).map(expression => parseFilter(expression).expression);
+
+module.exports = {
+    EMPTY_PROFILE,
+    compileProfile,
+    scoreResult,
+    createScorer,
+    compareScores,
+    parseWeightedList,
+    formatWeightedList,
+    parseSizeLimits,
+    formatSizeLimits,
+    parseSplit,
+    formatSplit
+};
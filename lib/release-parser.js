@@ -0,0 +1,264 @@
+// Pulls quality information out of scene/p2p style release titles, e.g.
+//   The.Mandalorian.S02E05.1080p.DSNP.WEB-DL.DDP5.1.Atmos.H.264-MZABI
+
+// Tokens are delimited by the usual separators, \b would split "WEB-DL" and "H.264"
+const token = (pattern, flags = 'i') =>
+    new RegExp(`(?<=^|[\\s._\\-\\[\\](){}+])(?:${pattern})(?=$|[\\s._\\-\\[\\](){}+,])`, flags);
+
+const RESOLUTIONS = [
+    { name: '2160p', height: 2160, pattern: token('2160p|4k|uhd') },
+    { name: '1080p', height: 1080, pattern: token('1080[pi]|1920x1080|fhd') },
+    { name: '720p', height: 720, pattern: token('720p|1280x720') },
+    { name: '576p', height: 576, pattern: token('576[pi]') },
+    { name: '480p', height: 480, pattern: token('480[pi]|640x480|848x480') }
+];
+
+// Checked in order, so the more specific sources come first
+const SOURCES = [
+    { name: 'Remux', pattern: token('remux|bdremux') },
+    { name: 'BluRay', pattern: token('blu-?ray|bluray|bdrip|brrip|bd(?:25|50)?|uhd-?bd') },
+    { name: 'WEBRip', pattern: token('web-?rip|webrip|web-?cap') },
+    { name: 'WEB-DL', pattern: token('web-?dl|webdl|web|amzn|nf|dsnp|hmax|atvp') },
+    { name: 'HDTV', pattern: token('hdtv|hdtvrip') },
+    { name: 'SDTV', pattern: token('sdtv|pdtv|tvrip|dsr|dsrip') },
+    { name: 'Screener', pattern: token('dvdscr|scr|screener|bdscr|webscreener') },
+    { name: 'DVD', pattern: token('dvd-?rip|dvdrip|dvd(?:5|9)?|dvdr|ntsc|pal') },
+    { name: 'Telecine', pattern: token('telecine|tc|hdtc') },
+    { name: 'Telesync', pattern: token('telesync|ts|hdts|pdvd') },
+    { name: 'CAM', pattern: token('cam|hdcam|camrip') }
+];
+
+const VIDEO_CODECS = [
+    { name: 'x265', pattern: token('x265') },
+    { name: 'x264', pattern: token('x264') },
+    { name: 'H.265', pattern: token('h\\.?265|hevc') },
+    { name: 'H.264', pattern: token('h\\.?264|avc') },
+    { name: 'AV1', pattern: token('av1') },
+    { name: 'VP9', pattern: token('vp9') },
+    { name: 'XviD', pattern: token('xvid') },
+    { name: 'DivX', pattern: token('divx') },
+    { name: 'MPEG-2', pattern: token('mpeg-?2') }
+];
+
+const HDR_FORMATS = [
+    { name: 'DV', pattern: token('dv|dovi|dolby[ .]?vision') },
+    { name: 'HDR10+', pattern: token('hdr10(?:\\+|plus)') },
+    { name: 'HDR10', pattern: token('hdr10(?!\\+|plus)') },
+    { name: 'HDR', pattern: token('hdr') },
+    { name: 'HLG', pattern: token('hlg') }
+];
+
+const AUDIO_CODECS = [
+    { name: 'TrueHD', pattern: token('true-?hd') },
+    { name: 'DTS-HD MA', pattern: token('dts-?hd[ .-]?ma|dts-?ma') },
+    { name: 'DTS:X', pattern: token('dts[-:]?x') },
+    { name: 'DTS-HD', pattern: token('dts-?hd') },
+    { name: 'DTS', pattern: token('dts') },
+    { name: 'DDP', pattern: token('ddp(?:[1-7][. ]?[01])?|dd\\+(?:[1-7][. ]?[01])?|e-?ac-?3|eac3') },
+    { name: 'DD', pattern: token('dd(?:[1-7][. ]?[01])?|ac-?3') },
+    { name: 'AAC', pattern: token('aac(?:[1-7][. ]?[01])?|he-?aac') },
+    { name: 'FLAC', pattern: token('flac') },
+    { name: 'Opus', pattern: token('opus') },
+    { name: 'LPCM', pattern: token('l?pcm') },
+    { name: 'MP3', pattern: token('mp3') }
+];
+
+// Channel layouts, glued to the codec (DDP5.1) or on their own (TrueHD.7.1)
+const CHANNELS_PATTERN = /(?:^|[\s._\-\[(+]|dd|ddp|aac|dts|hd|ma)([1-7])[. ]([01])(?=$|[\s._\-\])])/i;
+
+const LANGUAGES = {
+    multi: 'Multi', french: 'French', truefrench: 'French', vff: 'French', vfq: 'French', vostfr: 'French subs',
+    german: 'German', ger: 'German', deutsch: 'German', spanish: 'Spanish', esp: 'Spanish', castellano: 'Spanish',
+    latino: 'Spanish (Latin America)', italian: 'Italian', ita: 'Italian', dutch: 'Dutch', nl: 'Dutch',
+    russian: 'Russian', rus: 'Russian', polish: 'Polish', pl: 'Polish', portuguese: 'Portuguese', 'pt-br': 'Portuguese (Brazil)',
+    swedish: 'Swedish', swe: 'Swedish', danish: 'Danish', norwegian: 'Norwegian', finnish: 'Finnish', nordic: 'Nordic',
+    japanese: 'Japanese', jpn: 'Japanese', korean: 'Korean', kor: 'Korean', chinese: 'Chinese', hindi: 'Hindi',
+    turkish: 'Turkish', czech: 'Czech', hungarian: 'Hungarian', greek: 'Greek', hebrew: 'Hebrew', arabic: 'Arabic'
+};
+const LANGUAGE_PATTERN = token(Object.keys(LANGUAGES).join('|'), 'gi');
+
+// Tags that can end up after the last dash without being a release group
+const NOT_GROUPS = ['dl', 'hd', 'ma', 'x', 'rip', 'web', 'dts', 'hdr', 'ac3', '264', '265'];
+
+// The part of the title after the name, where quality tags live. Words like "French" or "Cam"
+// are only tags there, in "The.French.Dispatch" or "Cam.2018" they are part of the name.
+const findTagsStart = (title) => {
+    const markers = [
+        /[\s._(\[](?:19|20)\d{2}(?=$|[\s._)\]])/,
+        /(?:^|[\s._\-])s\d{1,2}(?:e\d{1,3}|[\s._\-]|$)/i,
+        /(?:^|[\s._\-])\d{1,2}x\d{2,3}(?=$|[\s._\-])/i,
+        /[\s._]-[\s._]\d{2,4}(?=$|[\s._\[(v])/,
+        /(?:^|[\s._\-\[(])(?:2160p|1080[pi]|720p|576[pi]|480[pi])/i
+    ];
+    const positions = markers
+        .map(pattern => title.search(pattern))
+        .filter(position => position > 0);
+    return positions.length ? Math.min(...positions) : 0;
+};
+
+const first = (list, text) => list.find(entry => entry.pattern.test(text))?.name || null;
+
+const parseEpisodes = (title) => {
+    // S01E01, S01E01E02, S01E01-E03, S01E01-03
+    let match = /(?:^|[\s._\-\[(])s(\d{1,2})[\s._]?e(\d{1,3})((?:-?e\d{1,3}|-\d{1,3})*)(?=$|[\s._\-\])])/i.exec(title);
+    if (match) {
+        const season = parseInt(match[1]);
+        const episodes = [parseInt(match[2])];
+        const rest = match[3].match(/\d{1,3}/g) || [];
+        const isRange = /-/.test(match[3]) && rest.length === 1;
+        if (isRange) {
+            for (let episode = episodes[0] + 1; episode <= parseInt(rest[0]); episode++) {
+                episodes.push(episode);
+            }
+        } else {
+            rest.forEach(episode => episodes.push(parseInt(episode)));
+        }
+        return { season, episodes };
+    }
+
+    // 1x05
+    match = /(?:^|[\s._\-])(\d{1,2})x(\d{2,3})(?=$|[\s._\-])/i.exec(title);
+    if (match) {
+        return { season: parseInt(match[1]), episodes: [parseInt(match[2])] };
+    }
+
+    // Season packs: S03, Season 3, S01-S03 (first season only)
+    match = /(?:^|[\s._\-\[(])(?:s(\d{1,2})|season[\s._]?(\d{1,2}))(?=$|[\s._\-\])])/i.exec(title);
+    if (match) {
+        return { season: parseInt(match[1] || match[2]), episodes: [] };
+    }
+
+    // Absolute anime numbering: "Title - 05 (1080p)"
+    match = /[\s._]-[\s._](\d{2,4})(?:v\d)?(?=$|[\s._\[(])/.exec(title);
+    if (match && !/^(?:19|20)\d{2}$/.test(match[1])) {
+        return { season: null, episodes: [parseInt(match[1])] };
+    }
+
+    return { season: null, episodes: [] };
+};
+
+const parseGroup = (title) => {
+    // [SubsPlease] Title - 05
+    let match = /^\[([^\]]+)\]/.exec(title);
+    if (match) {
+        return match[1].trim();
+    }
+
+    const trimmed = title.replace(/\.(?:mkv|mp4|avi|m4v|ts|nzb|torrent)$/i, '').replace(/\s*\[(?:rarbg|eztv|ettv|tgx|rartv)\]$/i, '');
+
+    // Title.1080p.x264-GROUP
+    match = /-([a-z0-9][a-z0-9_]*(?:\.[a-z]{2})?)(?:\[[^\]]*\])?$/i.exec(trimmed);
+    if (match && !NOT_GROUPS.includes(match[1].toLowerCase()) && !/^(?:\d+|[a-z]\d{3}|\d{3,4}[pi])$/i.test(match[1])) {
+        return match[1];
+    }
+
+    // Title (2010) [1080p] [BluRay] [YTS.MX]
+    match = /\[([^\]]+)\]$/.exec(trimmed);
+    if (match && !/^(?:\d{3,4}[pi]|[0-9a-f]{8}|[\d.]+|bluray|web(?:-?dl|rip)?|x26[45])$/i.test(match[1])) {
+        return match[1].trim();
+    }
+
+    return null;
+};
+
+// The name before the year/episode/quality tags, with separators turned into spaces
+const parseName = (title, tagsStart) => {
+    const name = (tagsStart > 0 ? title.slice(0, tagsStart) : title)
+        .replace(/^\[[^\]]+\]\s*/, '')
+        .replace(/[._]/g, ' ')
+        .replace(/[\s\-([]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return name || null;
+};
+
+const parseReleaseTitle = (title) => {
+    title = String(title || '');
+    const tagsStart = findTagsStart(title);
+    const tags = title.slice(tagsStart);
+
+    const yearMatches = [...title.matchAll(/(?<=[\s._(\[])((?:19|20)\d{2})(?=$|[\s._)\]])/g)];
+    const year = yearMatches.length ? parseInt(yearMatches[yearMatches.length - 1][1]) : null;
+
+    const resolution = RESOLUTIONS.find(entry => entry.pattern.test(title));
+    const { season, episodes } = parseEpisodes(title);
+
+    const audioCodec = first(AUDIO_CODECS, tags);
+    const channels = CHANNELS_PATTERN.exec(tags);
+    const atmos = token('atmos').test(tags);
+
+    const languages = [...new Set([...tags.matchAll(LANGUAGE_PATTERN)].map(match => LANGUAGES[match[0].toLowerCase()]))];
+
+    return {
+        name: parseName(title, tagsStart),
+        year,
+        season,
+        episodes,
+        resolution: resolution?.name || null,
+        height: resolution?.height || null,
+        source: first(SOURCES, tags),
+        videoCodec: first(VIDEO_CODECS, tags),
+        hdr: HDR_FORMATS
+            .filter(entry => entry.pattern.test(tags))
+            .map(entry => entry.name)
+            // "HDR10" already says HDR
+            .filter((name, i, names) => !(name === 'HDR' && names.some(other => other.startsWith('HDR10')))),
+        audioCodec: audioCodec ? `${audioCodec}${atmos ? ' Atmos' : ''}` : (atmos ? 'Atmos' : null),
+        audioChannels: channels ? `${channels[1]}.${channels[2]}` : null,
+        atmos,
+        languages,
+        group: parseGroup(title),
+        proper: token('proper').test(tags),
+        repack: token('repack\\d?|rerip').test(tags)
+    };
+};
+
+// Results are parsed once, however often they are sorted, filtered or rendered
+const parsedReleases = new WeakMap();
+const getRelease = (result) => {
+    if (!parsedReleases.has(result)) {
+        parsedReleases.set(result, parseReleaseTitle(result.title));
+    }
+    return parsedReleases.get(result);
+};
+
+const formatEpisode = (release) => {
+    if (release.season === null && release.episodes.length === 0) {
+        return null;
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    const season = release.season !== null ? `S${pad(release.season)}` : '';
+    if (release.episodes.length === 0) {
+        return season;
+    }
+    const episodes = release.episodes.length > 1
+        ? `E${pad(release.episodes[0])}-E${pad(release.episodes[release.episodes.length - 1])}`
+        : `E${pad(release.episodes[0])}`;
+    return release.season !== null ? `${season}${episodes}` : `#${release.episodes[0]}`;
+};
+
+// Compact tags for the result list, e.g. ["1080p", "WEB-DL", "H.264", "DDP 5.1 Atmos", "REPACK"]
+const formatReleaseTags = (release) => [
+    release.resolution,
+    release.source,
+    release.videoCodec,
+    release.hdr.length ? release.hdr.join(' ') : null,
+    // Atmos goes after the channels, as in the titles: "DDP 5.1 Atmos"
+    [release.audioCodec?.replace(/\s*Atmos$/, ''), release.audioChannels, release.atmos ? 'Atmos' : null].filter(Boolean).join(' ') || null,
+    ...release.languages,
+    release.proper ? 'PROPER' : null,
+    release.repack ? 'REPACK' : null
+].filter(Boolean);
+
+// Higher is better: resolution first, then source
+const SOURCE_RANKS = ['CAM', 'Telesync', 'Telecine', 'Screener', 'SDTV', 'DVD', 'HDTV', 'WEBRip', 'WEB-DL', 'BluRay', 'Remux'];
+const qualityRank = (release) =>
+    (release.height || 0) * 100 + SOURCE_RANKS.indexOf(release.source) + 1;
+
+module.exports = {
+    parseReleaseTitle,
+    getRelease,
+    formatEpisode,
+    formatReleaseTags,
+    qualityRank
+};
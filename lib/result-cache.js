@@ -0,0 +1,81 @@
+// On-disk cache of search results, one JSON file per distinct search
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Same query (case/whitespace insensitive), categories and indexers in any order give the same key
+const cacheKey = (searchParams) => {
+    const normalized = {};
+    Object.keys(searchParams).sort().forEach(key => {
+        const value = searchParams[key];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (Array.isArray(value)) {
+            normalized[key] = [...value].map(String).sort();
+        } else if (key === 'query') {
+            normalized[key] = String(value).trim().toLowerCase();
+        } else {
+            normalized[key] = value;
+        }
+    });
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+};
+
+class ResultCache {
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+    }
+
+    filePath(searchParams) {
+        return path.join(this.dirPath, `${cacheKey(searchParams)}.json`);
+    }
+
+    // Returns { results, storedAt } or null when missing or older than maxAgeMinutes (expired entries are removed)
+    get(searchParams, maxAgeMinutes) {
+        const file = this.filePath(searchParams);
+        try {
+            if (!fs.existsSync(file)) {
+                return null;
+            }
+            const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (Date.now() - new Date(entry.storedAt).getTime() > maxAgeMinutes * 60000) {
+                fs.unlinkSync(file);
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            // Treat unreadable entries as a miss
+            return null;
+        }
+    }
+
+    // Caching is best effort, a failed write only means the next search goes to Prowlarr.
+    // extra is stored alongside the results (e.g. paging state) and returned by get()
+    set(searchParams, results, extra = {}) {
+        try {
+            fs.mkdirSync(this.dirPath, { recursive: true });
+            fs.writeFileSync(this.filePath(searchParams), JSON.stringify({
+                ...extra,
+                searchParams,
+                storedAt: new Date().toISOString(),
+                results
+            }));
+        } catch (error) {
+            // Ignored, see above
+        }
+    }
+
+    // Remove every cached search, returns how many were removed
+    clear() {
+        if (!fs.existsSync(this.dirPath)) {
+            return 0;
+        }
+        const files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+        files.forEach(file => fs.unlinkSync(path.join(this.dirPath, file)));
+        return files.length;
+    }
+}
+
+module.exports = { ResultCache, cacheKey };
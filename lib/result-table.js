@@ -0,0 +1,150 @@
+// Search results as a table with fixed, width-aware columns. The title takes the width the other columns
+// leave and is cut with an ellipsis, numbers are right-aligned, and when the terminal is too narrow the
+// least important columns are dropped. Rows are objects of plain text cells keyed by column name.
+
+const RESULT_COLUMNS = {
+    score: { label: 'Quality profile score', header: 'SCORE', align: 'right', keep: 4 },
+    title: { label: 'Title', header: 'TITLE', minWidth: 20 },
+    quality: { label: 'Quality tags', header: 'QUALITY', maxWidth: 24, keep: 3 },
+    indexer: { label: 'Indexer', header: 'INDEXER', maxWidth: 22, keep: 2 },
+    size: { label: 'Size', header: 'SIZE', align: 'right', keep: 6 },
+    seeders: { label: 'Seeders', header: 'SEEDS', align: 'right', keep: 5 },
+    age: { label: 'Age', header: 'AGE', align: 'right', keep: 1 }
+};
+
+const DEFAULT_RESULT_COLUMNS = ['score', 'title', 'quality', 'indexer', 'size', 'seeders', 'age'];
+
+// Space between columns, and whether rows are followed by a blank line
+const DENSITY_SPACING = {
+    compact: { gap: 1, blankLine: false },
+    normal: { gap: 2, blankLine: false },
+    comfortable: { gap: 3, blankLine: true }
+};
+
+// Below this width the table switches to single lines in the "auto" display mode
+const MIN_TABLE_WIDTH = 60;
+
+// Terminal cells a character takes: 0 for combining marks, 2 for wide CJK and emoji, 1 otherwise
+const charWidth = (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x20 || (code >= 0x7f && code < 0xa0) || (code >= 0x300 && code <= 0x36f) || code === 0x200d || (code >= 0xfe00 && code <= 0xfe0f)) {
+        return 0;
+    }
+    const wide = (code >= 0x1100 && code <= 0x115f) ||
+        (code >= 0x2e80 && code <= 0xa4cf && code !== 0x303f) ||
+        (code >= 0xac00 && code <= 0xd7a3) ||
+        (code >= 0xf900 && code <= 0xfaff) ||
+        (code >= 0xfe30 && code <= 0xfe4f) ||
+        (code >= 0xff00 && code <= 0xff60) ||
+        (code >= 0xffe0 && code <= 0xffe6) ||
+        (code >= 0x1f300 && code <= 0x1f64f) ||
+        (code >= 0x1f900 && code <= 0x1f9ff) ||
+        (code >= 0x20000 && code <= 0x3fffd);
+    return wide ? 2 : 1;
+};
+
+const displayWidth = (text) => [...String(text)].reduce((width, char) => width + charWidth(char), 0);
+
+// Cut text to at most width terminal cells, ending in an ellipsis when something was cut
+const truncate = (text, width) => {
+    text = String(text);
+    if (displayWidth(text) <= width) {
+        return text;
+    }
+    if (width <= 0) {
+        return '';
+    }
+    let result = '';
+    let used = 0;
+    for (const char of text) {
+        const size = charWidth(char);
+        if (used + size > width - 1) {
+            break;
+        }
+        result += char;
+        used += size;
+    }
+    return result.trimEnd() + '…';
+};
+
+// Which columns to show and how wide, for rows of cells at a terminal width. Columns nobody has a value
+// for are left out, then the least important ones go until the title has room.
+const layoutColumns = (rows, { columns = DEFAULT_RESULT_COLUMNS, width = 80, density = 'normal' } = {}) => {
+    const { gap } = DENSITY_SPACING[density] || DENSITY_SPACING.normal;
+    let names = ['title', ...columns.filter(name => name !== 'title' && RESULT_COLUMNS[name])]
+        .sort((a, b) => DEFAULT_RESULT_COLUMNS.indexOf(a) - DEFAULT_RESULT_COLUMNS.indexOf(b))
+        .filter(name => name === 'title' || rows.some(row => String(row[name] ?? '') !== ''));
+
+    const natural = Object.fromEntries(names.map(name => {
+        const column = RESULT_COLUMNS[name];
+        const widest = Math.max(column.header.length, ...rows.map(row => displayWidth(row[name] ?? '')));
+        return [name, Math.min(widest, column.maxWidth ?? Infinity)];
+    }));
+    const titleRoom = () => width - names.filter(name => name !== 'title').reduce((sum, name) => sum + natural[name] + gap, 0);
+
+    while (titleRoom() < RESULT_COLUMNS.title.minWidth && names.length > 1) {
+        const drop = names.filter(name => name !== 'title').sort((a, b) => RESULT_COLUMNS[a].keep - RESULT_COLUMNS[b].keep)[0];
+        names = names.filter(name => name !== drop);
+    }
+
+    const widths = { ...natural, title: Math.max(RESULT_COLUMNS.title.header.length, Math.min(natural.title, titleRoom())) };
+    return names.map(name => ({ name, width: widths[name], align: RESULT_COLUMNS[name].align || 'left' }));
+};
+
+// { header, lines, blankLine } for the rows: one line per row in the same order, and whether the density wants
+// an empty line after each. paint(column, text, index) colors a cell, it gets the cut text and padding is
+// added around what it returns. The header is left plain.
+// In the "list" layout each row is one line of its cells joined by " | ", with the title cut to fit.
+const renderResultTable = (rows, { columns, width = 80, density = 'normal', layout = 'table', paint = (column, text) => text } = {}) => {
+    const { gap, blankLine } = DENSITY_SPACING[density] || DENSITY_SPACING.normal;
+    const shown = layoutColumns(rows, { columns, width, density });
+
+    if (layout === 'list') {
+        const lines = rows.map((row, index) => {
+            const others = shown.filter(column => column.name !== 'title' && String(row[column.name] ?? '') !== '');
+            const rest = others.reduce((sum, column) => sum + displayWidth(row[column.name]) + 3, 0);
+            const title = truncate(row.title ?? '', Math.max(RESULT_COLUMNS.title.minWidth, width - rest));
+            const cells = shown.filter(column => column.name === 'title' || others.includes(column))
+                .map(column => paint(column.name, column.name === 'title' ? title : String(row[column.name]), index));
+            return cells.join(paint('separator', ' | ', index));
+        });
+        return { header: null, lines, blankLine };
+    }
+
+    const space = ' '.repeat(gap);
+    const pad = (column, text, painted, last) => {
+        const fill = ' '.repeat(Math.max(0, column.width - displayWidth(text)));
+        if (column.align === 'right') {
+            return fill + painted;
+        }
+        return last ? painted : painted + fill;
+    };
+    const header = shown.map((column, i) => {
+        const text = RESULT_COLUMNS[column.name].header;
+        return pad(column, text, text, i === shown.length - 1);
+    }).join(space);
+    const lines = rows.map((row, index) => shown.map((column, i) => {
+        const text = truncate(row[column.name] ?? '', column.width);
+        return pad(column, text, text === '' ? '' : paint(column.name, text, index), i === shown.length - 1);
+    }).join(space));
+    return { header, lines, blankLine };
+};
+
+// The layout a display mode asks for at a terminal width: "table", "list", or "auto" for a table when it fits
+const pickLayout = (displayMode, width) => {
+    if (displayMode === 'table' || displayMode === 'list') {
+        return displayMode;
+    }
+    return width >= MIN_TABLE_WIDTH ? 'table' : 'list';
+};
+
+module.exports = {
+    RESULT_COLUMNS,
+    DEFAULT_RESULT_COLUMNS,
+    DENSITY_SPACING,
+    displayWidth,
+    truncate,
+    layoutColumns,
+    renderResultTable,
+    pickLayout
+};
@@ -0,0 +1,88 @@
+// Persistent search history with pinned favourites
+
+const fs = require('fs');
+
+// Two searches are the same entry when query, categories, indexers and search mode match
+const searchKey = (search) => JSON.stringify([
+    search.query.trim().toLowerCase(),
+    [...(search.categories || [])].sort(),
+    [...(search.indexerIds || [])].sort(),
+    search.mode || 'search',
+    Object.entries(search.params || {}).sort(([a], [b]) => a.localeCompare(b))
+]);
+
+class SearchHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries || [];
+            }
+        } catch (error) {
+            // A broken history file is not worth failing a search over
+        }
+        return [];
+    }
+
+    save(entries) {
+        fs.writeFileSync(this.filePath, JSON.stringify({ entries }, null, 4));
+    }
+
+    // Pinned entries first, then newest first
+    list() {
+        return this.load().sort((a, b) =>
+            (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || new Date(b.timestamp) - new Date(a.timestamp)
+        );
+    }
+
+    // Add or refresh an entry, keeping at most maxEntries unpinned ones
+    record(search, resultCount, maxEntries) {
+        const key = searchKey(search);
+        const entries = this.load();
+        const existing = entries.find(entry => searchKey(entry) === key);
+
+        const entry = {
+            query: search.query,
+            categories: search.categories || [],
+            indexerIds: search.indexerIds || [],
+            mode: search.mode || 'search',
+            params: search.params || {},
+            timestamp: new Date().toISOString(),
+            resultCount,
+            pinned: existing ? existing.pinned : false
+        };
+
+        const others = entries.filter(e => e !== existing);
+        const pinned = others.filter(e => e.pinned);
+        const recent = others
+            .filter(e => !e.pinned)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        if (entry.pinned) {
+            pinned.push(entry);
+        } else {
+            recent.unshift(entry);
+        }
+        this.save([...pinned, ...recent.slice(0, Math.max(0, maxEntries))]);
+    }
+
+    setPinned(search, pinned) {
+        const key = searchKey(search);
+        this.save(this.load().map(entry => searchKey(entry) === key ? { ...entry, pinned } : entry));
+    }
+
+    remove(search) {
+        const key = searchKey(search);
+        this.save(this.load().filter(entry => searchKey(entry) !== key));
+    }
+
+    // Pinned favourites survive unless includePinned is set
+    clear(includePinned = false) {
+        this.save(includePinned ? [] : this.load().filter(entry => entry.pinned));
+    }
+}
+
+module.exports = { SearchHistory };
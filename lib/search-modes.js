@@ -0,0 +1,149 @@
+// Search modes beyond free text: Prowlarr's tvsearch, movie, music and book searches.
+// Prowlarr takes the structured parameters as {Key:value} tokens inside the query,
+// e.g. "Breaking Bad {Season:5}{Episode:14}" or "{ImdbId:tt0111161}".
+
+const { getSearchableIndexers } = require('./indexers');
+
+const SEARCH_MODES = {
+    search: { label: 'General', capability: 'searchParams', params: [] },
+    tvsearch: { label: 'TV', capability: 'tvSearchParams', params: ['imdbId', 'tvdbId', 'tmdbId', 'season', 'ep'] },
+    movie: { label: 'Movie', capability: 'movieSearchParams', params: ['imdbId', 'tmdbId'] },
+    music: { label: 'Music', capability: 'musicSearchParams', params: ['artist', 'album'] },
+    book: { label: 'Book', capability: 'bookSearchParams', params: ['author', 'title'] }
+};
+
+// Newznab capability names -> Prowlarr query tokens
+const PARAM_TOKENS = {
+    imdbId: 'ImdbId',
+    tvdbId: 'TvdbId',
+    tmdbId: 'TmdbId',
+    season: 'Season',
+    ep: 'Episode',
+    artist: 'Artist',
+    album: 'Album',
+    author: 'Author',
+    title: 'Title'
+};
+
+// Pick IDs and episode numbers out of free text: "tt0111161", "tvdb:121361", "Show S02E05", "Show S03"
+const detectSearchInput = (text) => {
+    const params = {};
+    let query = String(text || '');
+    const take = (pattern, apply) => {
+        const match = pattern.exec(query);
+        if (match) {
+            apply(match);
+            query = query.replace(match[0], ' ');
+        }
+    };
+
+    take(/\b(tt\d{7,8})\b/i, match => { params.imdbId = match[1].toLowerCase(); });
+    take(/\btvdb[:=](\d+)\b/i, match => { params.tvdbId = parseInt(match[1]); });
+    take(/\btmdb[:=](\d+)\b/i, match => { params.tmdbId = parseInt(match[1]); });
+    take(/\bs(\d{1,2})[\s.]?e(\d{1,3})\b/i, match => {
+        params.season = parseInt(match[1]);
+        params.ep = parseInt(match[2]);
+    });
+    if (params.season === undefined) {
+        take(/\b(\d{1,2})x(\d{2,3})\b/i, match => {
+            params.season = parseInt(match[1]);
+            params.ep = parseInt(match[2]);
+        });
+    }
+    if (params.season === undefined) {
+        take(/\bs(\d{1,2})\b/i, match => { params.season = parseInt(match[1]); });
+    }
+
+    query = query.replace(/\s+/g, ' ').trim();
+
+    let mode = null;
+    if (params.season !== undefined || params.tvdbId !== undefined) {
+        mode = 'tvsearch';
+    } else if (params.imdbId || params.tmdbId !== undefined) {
+        mode = 'movie';
+    }
+    return { mode, query, params };
+};
+
+// Free text plus the {Key:value} tokens for the parameters that are set
+const buildSearchQuery = (query, params = {}) => {
+    const tokens = Object.keys(PARAM_TOKENS)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .map(key => `{${PARAM_TOKENS[key]}:${params[key]}}`)
+        .join('');
+    return [String(query || '').trim(), tokens].filter(Boolean).join(' ');
+};
+
+// Whether an indexer can run this kind of search with these parameters. Indexers that don't
+// report their capabilities get the benefit of the doubt and Prowlarr sorts it out.
+const supportsSearch = (indexer, mode, params = {}, hasQuery = true) => {
+    const capabilities = indexer.capabilities;
+    if (!capabilities || mode === 'search') {
+        return true;
+    }
+    const supported = capabilities[SEARCH_MODES[mode].capability];
+    if (!Array.isArray(supported)) {
+        return true;
+    }
+    if (supported.length === 0) {
+        return false;
+    }
+    const needed = [
+        ...(hasQuery ? ['q'] : []),
+        ...Object.keys(params).filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    ];
+    return needed.every(param => supported.some(name => name.toLowerCase() === param.toLowerCase()));
+};
+
+// Prowlarr search parameters for { query, categories, indexerIds, mode, params }, searching all enabled
+// indexers when none are picked. Returns { searchParams, skipped } where skipped are the indexers left out
+// because they can't run this kind of search; if that leaves none, searchParams.indexerIds is an empty list.
+const prepareSearch = (search, indexers) => {
+    const mode = search.mode || 'search';
+    const params = search.params || {};
+    const searchParams = {
+        query: buildSearchQuery(search.query, params),
+        type: mode
+    };
+    if (search.categories?.length > 0) {
+        searchParams.categories = search.categories;
+    }
+
+    let indexerIds = search.indexerIds?.length ? search.indexerIds : getSearchableIndexers(indexers).map(indexer => indexer.id);
+    const hasQuery = String(search.query || '').trim() !== '';
+    const skipped = indexers.filter(indexer => indexerIds.includes(indexer.id) && !supportsSearch(indexer, mode, params, hasQuery));
+    if (skipped.length > 0) {
+        indexerIds = indexerIds.filter(id => !skipped.some(indexer => indexer.id === id));
+    }
+    if (indexerIds.length > 0 || skipped.length > 0) {
+        searchParams.indexerIds = indexerIds;
+    }
+    return { searchParams, skipped };
+};
+
+// "TV: Breaking Bad S05E14", "Movie: tt0111161", or just the query for general searches
+const describeSearch = (search) => {
+    const mode = search.mode || 'search';
+    const params = search.params || {};
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = [search.query];
+    if (params.season !== undefined) {
+        parts.push(`S${pad(params.season)}${params.ep !== undefined ? `E${pad(params.ep)}` : ''}`);
+    }
+    ['artist', 'album', 'author', 'title'].forEach(key => parts.push(params[key]));
+    if (params.imdbId) parts.push(params.imdbId);
+    if (params.tvdbId !== undefined) parts.push(`tvdb:${params.tvdbId}`);
+    if (params.tmdbId !== undefined) parts.push(`tmdb:${params.tmdbId}`);
+
+    const text = parts.filter(part => part !== undefined && part !== null && part !== '').join(' ');
+    return mode === 'search' ? text : `${SEARCH_MODES[mode].label}: ${text}`;
+};
+
+module.exports = {
+    SEARCH_MODES,
+    detectSearchInput,
+    buildSearchQuery,
+    supportsSearch,
+    prepareSearch,
+    describeSearch
+};
@@ -0,0 +1,171 @@
+// Themes: every color on screen comes from a role (primary, success, error...) and the theme says what each
+// role looks like. A style is a chalk color name ("cyan", "greenBright"), a hex color ("#2aa198"), a 256-color
+// palette number ("208"), a modifier ("bold", "dim", "italic", "underline", "inverse") or "none", chained with
+// dots like chalk-pipe does: "bold.#dc322f".
+
+const fs = require('fs');
+const chalk = require('chalk');
+
+const THEME_ROLES = {
+    primary: 'Primary (headers, borders, prompts)',
+    secondary: 'Secondary (subtitles, sizes)',
+    success: 'Success (confirmations, titles, seeders)',
+    error: 'Error (error messages, leechers)',
+    warning: 'Warning (warnings, tips)',
+    info: 'Info (information, indexers)',
+    highlight: 'Highlight (quality tags, selected items)',
+    text: 'Text (titles and values)',
+    muted: 'Muted (hints, separators)'
+};
+
+const THEME_PRESETS = {
+    default: {
+        label: 'Default',
+        colors: { primary: 'cyan', secondary: 'yellow', success: 'green', error: 'red', warning: 'yellow', info: 'blue', highlight: 'magenta', text: 'white', muted: 'gray' }
+    },
+    dark: {
+        label: 'Dark (bright colors for dark backgrounds)',
+        colors: { primary: 'cyanBright', secondary: 'yellowBright', success: 'greenBright', error: 'redBright', warning: 'yellow', info: 'blueBright', highlight: 'magentaBright', text: 'whiteBright', muted: 'gray' }
+    },
+    light: {
+        label: 'Light (dark colors for light backgrounds)',
+        colors: { primary: 'blue', secondary: '#8a6100', success: '#1a7f37', error: '#c21f1f', warning: '#a64d00', info: '#0550ae', highlight: 'magenta', text: 'black', muted: '#6e7781' }
+    },
+    solarized: {
+        label: 'Solarized',
+        colors: { primary: '#2aa198', secondary: '#b58900', success: '#859900', error: '#dc322f', warning: '#cb4b16', info: '#268bd2', highlight: '#d33682', text: '#93a1a1', muted: '#586e75' }
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        colors: { primary: 'bold.whiteBright', secondary: 'yellowBright', success: 'bold.greenBright', error: 'bold.redBright', warning: 'bold.yellowBright', info: 'cyanBright', highlight: 'bold.magentaBright', text: 'whiteBright', muted: 'white' }
+    },
+    monochrome: {
+        label: 'Monochrome (no colors)',
+        colors: { primary: 'bold', secondary: 'none', success: 'none', error: 'bold', warning: 'bold', info: 'none', highlight: 'underline', text: 'none', muted: 'dim' }
+    }
+};
+
+const DEFAULT_THEME = THEME_PRESETS.default.colors;
+
+const NAMED_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray', 'grey'];
+const BRIGHT_COLORS = NAMED_COLORS.filter(color => !['gray', 'grey'].includes(color)).map(color => `${color}Bright`);
+const MODIFIERS = ['bold', 'dim', 'italic', 'underline', 'inverse', 'strikethrough'];
+
+// Why a style can't be used, or null when it can
+const checkStyle = (style) => {
+    const parts = String(style ?? '').trim().split('.');
+    if (parts.some(part => part === '')) {
+        return 'Enter a color, e.g. cyan, greenBright, #2aa198, 208 or bold.red';
+    }
+    const bad = parts.find(part => !(
+        part === 'none' ||
+        NAMED_COLORS.includes(part) ||
+        BRIGHT_COLORS.includes(part) ||
+        MODIFIERS.includes(part) ||
+        /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(part) ||
+        (/^\d{1,3}$/.test(part) && parseInt(part) <= 255)
+    ));
+    return bad ? `"${bad}" is not a color name, #hex value, 256-color number (0-255) or modifier` : null;
+};
+
+// A function that paints text in the style, styles that don't parse fall back to plain text
+const styleFor = (style, painter = chalk) => {
+    if (checkStyle(style)) {
+        return (text) => String(text);
+    }
+    let paint = painter;
+    String(style).trim().split('.').filter(part => part !== 'none').forEach(part => {
+        if (part.startsWith('#')) {
+            paint = paint.hex(part.length === 4 ? `#${[...part.slice(1)].map(digit => digit + digit).join('')}` : part);
+        } else if (/^\d+$/.test(part)) {
+            paint = paint.ansi256(parseInt(part));
+        } else {
+            paint = paint[part];
+        }
+    });
+    return (text) => paint(String(text));
+};
+
+// { primary: fn, success: fn, ... } for a theme, roles the theme lacks or gets wrong use the default style
+const createPalette = (theme = {}, painter = chalk) => Object.fromEntries(Object.keys(THEME_ROLES).map(role => {
+    const style = theme[role] !== undefined && !checkStyle(theme[role]) ? theme[role] : DEFAULT_THEME[role];
+    return [role, styleFor(style, painter)];
+}));
+
+// Color level for output going to stream: FORCE_COLOR wins, then NO_COLOR (https://no-color.org),
+// then no colors when the output isn't a terminal. supportedLevel is what the terminal can show.
+const detectColorLevel = ({ env = process.env, isTTY = process.stdout.isTTY, supportedLevel = chalk.supportsColor ? chalk.supportsColor.level : 0 } = {}) => {
+    if ('FORCE_COLOR' in env) {
+        const force = String(env.FORCE_COLOR).trim().toLowerCase();
+        if (force === '' || force === 'true') {
+            return Math.max(1, supportedLevel);
+        }
+        if (force === 'false') {
+            return 0;
+        }
+        const level = parseInt(force);
+        return isNaN(level) ? Math.max(1, supportedLevel) : Math.min(3, Math.max(0, level));
+    }
+    if (env.NO_COLOR) {
+        return 0;
+    }
+    return isTTY ? supportedLevel : 0;
+};
+
+// Theme files are JSON: { "name": "...", "colors": { "primary": "#2aa198", ... } }
+const exportTheme = (filePath, theme, name = 'custom') => {
+    const colors = Object.fromEntries(Object.keys(THEME_ROLES).map(role => [role, theme[role] ?? DEFAULT_THEME[role]]));
+    fs.writeFileSync(filePath, JSON.stringify({ name, colors }, null, 4) + '\n');
+};
+
+// Read a theme file, throwing on anything that isn't usable so a half-broken theme is never applied.
+// Roles the file leaves out keep their default style.
+const importTheme = (filePath) => {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+    const colors = data?.colors;
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        throw new Error('A theme file needs a "colors" object mapping roles to colors');
+    }
+    const unknown = Object.keys(colors).filter(role => !THEME_ROLES[role]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown theme roles: ${unknown.join(', ')} (use ${Object.keys(THEME_ROLES).join(', ')})`);
+    }
+    Object.entries(colors).forEach(([role, style]) => {
+        const problem = checkStyle(style);
+        if (problem) {
+            throw new Error(`${role}: ${problem}`);
+        }
+    });
+    return { name: typeof data.name === 'string' ? data.name : '', theme: { ...DEFAULT_THEME, ...colors } };
+};
+
+// Name of the preset a theme matches, or null for a custom theme
+const findPreset = (theme) => Object.keys(THEME_PRESETS).find(name =>
+    Object.keys(THEME_ROLES).every(role => (theme[role] ?? DEFAULT_THEME[role]) === THEME_PRESETS[name].colors[role])
+) || null;
+
+// Frames of ora's "dots" spinner, painted in a theme color since ora only takes basic color names
+const spinnerFrames = (paint) => ({
+    interval: 80,
+    frames: ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'].map(frame => paint(frame))
+});
+
+module.exports = {
+    THEME_ROLES,
+    THEME_PRESETS,
+    DEFAULT_THEME,
+    NAMED_COLORS,
+    checkStyle,
+    styleFor,
+    createPalette,
+    detectColorLevel,
+    exportTheme,
+    importTheme,
+    findPreset,
+    spinnerFrames
+};
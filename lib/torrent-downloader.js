@@ -0,0 +1,192 @@
+// Built-in torrent downloads through the bundled webtorrent dependency
+
+const fs = require('fs');
+const { formatSize } = require('./format');
+
+// webtorrent 2 is an ES module, so it has to be loaded with a dynamic import
+let WebTorrent = null;
+const loadWebTorrent = async () => {
+    if (!WebTorrent) {
+        WebTorrent = (await import('webtorrent')).default;
+    }
+    return WebTorrent;
+};
+
+const formatDuration = (seconds) => {
+    if (!isFinite(seconds) || seconds < 0) return '∞';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    if (h > 0) return `${h}h ${m}m`;
+    if (m > 0) return `${m}m ${s}s`;
+    return `${s}s`;
+};
+
+// Progress of the selected files only, torrent.progress also counts the skipped ones
+const getProgress = (torrent, fileIndexes) => {
+    const files = fileIndexes.map(i => torrent.files[i]);
+    const length = files.reduce((sum, file) => sum + file.length, 0);
+    const downloaded = files.reduce((sum, file) => sum + Math.min(file.downloaded, file.length), 0);
+    const speed = torrent.downloadSpeed;
+
+    return {
+        length,
+        downloaded,
+        progress: length ? downloaded / length : 1,
+        speed,
+        peers: torrent.numPeers,
+        eta: speed > 0 ? (length - downloaded) / speed : Infinity,
+        done: downloaded >= length
+    };
+};
+
+// formatSize() reports 0 bytes as Unknown, which reads oddly in a progress line
+const formatBytes = (bytes) => bytes > 0 ? formatSize(bytes) : '0 B';
+
+const formatProgress = ({ progress, downloaded, length, speed, peers, eta }) =>
+    `${(progress * 100).toFixed(1)}% · ${formatBytes(downloaded)} of ${formatBytes(length)} · ` +
+    `⇩ ${formatBytes(speed)}/s · ${peers} peers · ETA ${formatDuration(eta)}`;
+
+class TorrentDownloader {
+    // statePath is a JSON file listing unfinished downloads so they can be resumed after a restart
+    constructor(statePath) {
+        this.statePath = statePath;
+        this.client = null;
+        this.stopCurrent = null;
+    }
+
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            }
+        } catch (error) {
+            // A broken state file only means nothing can be resumed
+        }
+        return { downloads: [] };
+    }
+
+    saveState(state) {
+        fs.writeFileSync(this.statePath, JSON.stringify(state, null, 4));
+    }
+
+    getUnfinished() {
+        return this.loadState().downloads;
+    }
+
+    // Record a download so it can be resumed, keyed by info hash
+    remember(torrent, downloadDir, fileIndexes) {
+        const state = this.loadState();
+        state.downloads = state.downloads.filter(download => download.infoHash !== torrent.infoHash);
+        state.downloads.push({
+            infoHash: torrent.infoHash,
+            name: torrent.name,
+            path: downloadDir,
+            files: fileIndexes,
+            length: fileIndexes.reduce((sum, i) => sum + torrent.files[i].length, 0),
+            torrentFile: Buffer.from(torrent.torrentFile).toString('base64'),
+            addedAt: new Date().toISOString()
+        });
+        this.saveState(state);
+    }
+
+    forget(infoHash) {
+        const state = this.loadState();
+        state.downloads = state.downloads.filter(download => download.infoHash !== infoHash);
+        this.saveState(state);
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const WebTorrentClient = await loadWebTorrent();
+            this.client = new WebTorrentClient();
+        }
+        return this.client;
+    }
+
+    // torrentId is a magnet link or a .torrent Buffer. Resolves once the metadata is known and any
+    // data already in downloadDir has been verified, so partial downloads pick up where they left off.
+    // options.sequential fetches pieces in order, which is what streaming wants.
+    async add(torrentId, downloadDir, options = {}) {
+        const client = await this.getClient();
+        fs.mkdirSync(downloadDir, { recursive: true });
+
+        return new Promise((resolve, reject) => {
+            const torrent = client.add(torrentId, {
+                path: downloadDir,
+                deselect: true,
+                strategy: options.sequential ? 'sequential' : 'rarest'
+            });
+            const onError = (error) => reject(typeof error === 'string' ? new Error(error) : error);
+            torrent.once('error', onError);
+            torrent.once('ready', () => {
+                torrent.removeListener('error', onError);
+                resolve(torrent);
+            });
+        });
+    }
+
+    // Only download the given file indexes
+    selectFiles(torrent, fileIndexes) {
+        torrent.deselect(0, torrent.pieces.length - 1, false);
+        torrent.files.forEach((file, i) => {
+            if (fileIndexes.includes(i)) {
+                file.select();
+            } else {
+                file.deselect();
+            }
+        });
+    }
+
+    // Resolves 'done' when the selected files are complete or 'stopped' when stop() is called first
+    waitUntilDone(torrent, fileIndexes, onProgress) {
+        return new Promise((resolve, reject) => {
+            const finish = (result) => {
+                clearInterval(timer);
+                torrent.removeListener('done', check);
+                torrent.removeListener('error', onError);
+                this.stopCurrent = null;
+                resolve(result);
+            };
+            const check = () => {
+                const progress = getProgress(torrent, fileIndexes);
+                onProgress(progress);
+                if (progress.done) {
+                    finish('done');
+                }
+            };
+            const onError = (error) => {
+                clearInterval(timer);
+                this.stopCurrent = null;
+                reject(typeof error === 'string' ? new Error(error) : error);
+            };
+
+            const timer = setInterval(check, 1000);
+            torrent.on('done', check);
+            torrent.once('error', onError);
+            this.stopCurrent = () => finish('stopped');
+            check();
+        });
+    }
+
+    stop() {
+        if (this.stopCurrent) {
+            this.stopCurrent();
+        }
+    }
+
+    // Files stay on disk, only the peers and sockets are dropped
+    async destroy() {
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            await new Promise(resolve => client.destroy(() => resolve()));
+        }
+    }
+}
+
+module.exports = {
+    TorrentDownloader,
+    formatProgress,
+    formatDuration
+};
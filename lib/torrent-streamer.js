@@ -0,0 +1,105 @@
+// Serve a single torrent file over HTTP (with Range support) so media players can start before it is complete
+
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream');
+
+const VIDEO_EXTENSIONS = ['.mkv', '.mp4', '.m4v', '.avi', '.mov', '.wmv', '.webm', '.mpg', '.mpeg', '.ts', '.m2ts', '.flv'];
+
+const MIME_TYPES = {
+    '.mkv': 'video/x-matroska',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.wmv': 'video/x-ms-wmv',
+    '.webm': 'video/webm',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg',
+    '.ts': 'video/mp2t',
+    '.m2ts': 'video/mp2t',
+    '.flv': 'video/x-flv'
+};
+
+const isVideoFile = (file) => VIDEO_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+
+// Parse a "bytes=start-end" header, returns null when the range is missing or unusable
+const parseRange = (header, length) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range: the last n bytes
+        start = Math.max(0, length - parseInt(match[2]));
+        end = length - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] ? Math.min(parseInt(match[2]), length - 1) : length - 1;
+    }
+    return start <= end && start < length ? { start, end } : null;
+};
+
+// file needs name, length and createReadStream({ start, end }) like a webtorrent file
+const startStreamServer = async (file, { host = '127.0.0.1', port = 0 } = {}) => {
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        const headers = {
+            'Accept-Ranges': 'bytes',
+            'Content-Type': MIME_TYPES[path.extname(file.name).toLowerCase()] || 'application/octet-stream'
+        };
+
+        let start = 0;
+        let end = file.length - 1;
+        let status = 200;
+
+        if (req.headers.range) {
+            const range = parseRange(req.headers.range, file.length);
+            if (!range) {
+                res.writeHead(416, { 'Content-Range': `bytes */${file.length}` });
+                return res.end();
+            }
+            ({ start, end } = range);
+            status = 206;
+            headers['Content-Range'] = `bytes ${start}-${end}/${file.length}`;
+        }
+
+        headers['Content-Length'] = end - start + 1;
+        res.writeHead(status, headers);
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        // Reading prioritizes the pieces for this range, so playback starts before the download finishes
+        pipeline(file.createReadStream({ start, end }), res, () => {});
+    });
+
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        url: `http://${host}:${server.address().port}/${encodeURIComponent(file.name)}`,
+        // Players keep connections open, drop them so close() doesn't hang
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(() => resolve());
+        })
+    };
+};
+
+module.exports = {
+    startStreamServer,
+    isVideoFile,
+    parseRange
+};
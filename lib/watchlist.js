@@ -0,0 +1,93 @@
+// Watchlist: saved searches that are re-run on an interval and report only releases not seen before
+
+const fs = require('fs');
+const { applyFilters } = require('./filters');
+const { groupResults } = require('./dedupe');
+const { compareScores } = require('./quality-profiles');
+
+// Seen releases remembered per watch, the oldest are forgotten first
+const MAX_SEEN = 2000;
+
+const resultKey = (result) => `${result.indexerId}:${result.guid}`;
+
+// What was already reported for each watch, kept apart from the watch definitions in the config
+class WatchState {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).watches || {};
+            }
+        } catch (error) {
+            // Losing the state only means the next check starts over with a baseline
+        }
+        return {};
+    }
+
+    save(watches) {
+        fs.writeFileSync(this.filePath, JSON.stringify({ watches }, null, 4));
+    }
+
+    // { seen, lastCheck, lastNew, lastError }, or null before the first check
+    get(name) {
+        return this.load()[name] || null;
+    }
+
+    // Record a check, newly seen result keys go to the end of the list
+    update(name, { seen = [], newCount = 0, error = null }, now = new Date()) {
+        const watches = this.load();
+        const current = watches[name] || { seen: [] };
+        const known = new Set(current.seen);
+        watches[name] = {
+            seen: [...current.seen, ...seen.filter(key => !known.has(key))].slice(-MAX_SEEN),
+            lastCheck: now.toISOString(),
+            lastNew: newCount,
+            lastError: error
+        };
+        this.save(watches);
+    }
+
+    // Forget a watch, its next check is a baseline again
+    remove(name) {
+        const watches = this.load();
+        delete watches[name];
+        this.save(watches);
+    }
+
+    rename(oldName, newName) {
+        const watches = this.load();
+        if (watches[oldName]) {
+            watches[newName] = watches[oldName];
+            delete watches[oldName];
+            this.save(watches);
+        }
+    }
+}
+
+// Results that pass the watch's filters and score threshold, as one row per release (see groupResults),
+// best first. fresh holds the rows with at least one source that isn't in seen.
+const findNewMatches = (results, { filters = [], scorer = null, minScore = null, seen = [] } = {}) => {
+    let matches = applyFilters(results, filters);
+    if (scorer) {
+        matches = matches.filter(result => {
+            const score = scorer(result);
+            return !score.rejected && (minScore === null || minScore === undefined || score.score >= minScore);
+        });
+    }
+
+    const compare = (a, b) => (scorer ? compareScores(scorer(a), scorer(b)) : 0) || (b.seeders || 0) - (a.seeders || 0);
+    const known = new Set(seen);
+    const fresh = groupResults([...matches].sort(compare))
+        .filter(row => row.results.some(result => !known.has(resultKey(result))));
+
+    return { matches, fresh };
+};
+
+module.exports = {
+    WatchState,
+    resultKey,
+    findNewMatches
+};
@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBulk, summarizeBulk, releaseFileName, saveReleaseFile } = require('../lib/bulk');
+
+describe('runBulk', () => {
+    it('keeps going past failures and reports each item', async () => {
+        const seen = [];
+        const outcomes = await runBulk(['a', 'b', 'c'], async (item) => {
+            if (item === 'b') {
+                throw new Error('rejected');
+            }
+            return item === 'c' ? 'duplicate' : undefined;
+        }, { onItem: (item, index) => seen.push(`${index}:${item}`) });
+
+        assert.deepStrictEqual(seen, ['0:a', '1:b', '2:c']);
+        assert.deepStrictEqual(outcomes, [
+            { item: 'a', ok: true, detail: null, error: null },
+            { item: 'b', ok: false, detail: null, error: 'rejected' },
+            { item: 'c', ok: true, detail: 'duplicate', error: null }
+        ]);
+        assert.deepStrictEqual(summarizeBulk(outcomes), { total: 3, succeeded: 2, failed: 1 });
+    });
+});
+
+describe('releaseFileName', () => {
+    it('uses the title with the extension for the protocol', () => {
+        assert.strictEqual(releaseFileName({ title: 'Show.S01E01.1080p', protocol: 'torrent' }), 'Show.S01E01.1080p.torrent');
+        assert.strictEqual(releaseFileName({ title: 'Show.S01E01.1080p', protocol: 'usenet' }), 'Show.S01E01.1080p.nzb');
+    });
+
+    it('replaces characters that are not allowed in file names', () => {
+        assert.strictEqual(releaseFileName({ title: 'AC/DC: Back in Black?', protocol: 'torrent' }), 'AC DC Back in Black.torrent');
+        assert.strictEqual(releaseFileName({ title: '///', protocol: 'torrent' }), 'release.torrent');
+    });
+
+    it('numbers names that are already taken', () => {
+        const taken = new Set();
+        const result = { title: 'Same', protocol: 'torrent' };
+        assert.strictEqual(releaseFileName(result, taken), 'Same.torrent');
+        assert.strictEqual(releaseFileName(result, taken), 'Same (2).torrent');
+        assert.strictEqual(releaseFileName({ ...result, title: 'SAME' }, taken), 'SAME (3).torrent');
+    });
+});
+
+describe('saveReleaseFile', () => {
+    let server;
+    let baseUrl;
+    let dir;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/file.torrent') {
+                res.writeHead(200, { 'Content-Type': 'application/x-bittorrent' });
+                res.end('d4:infod4:name4:testee');
+            } else if (req.url === '/file.nzb') {
+                res.writeHead(200, { 'Content-Type': 'application/x-nzb' });
+                res.end('<nzb></nzb>');
+            } else if (req.url === '/magnet') {
+                res.writeHead(302, { Location: 'magnet:?xt=urn:btih:abc' });
+                res.end();
+            } else {
+                res.writeHead(404);
+                res.end('Not found');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('writes .torrent and .nzb files next to each other', async () => {
+        const taken = new Set();
+        const torrentPath = await saveReleaseFile({ title: 'Show', protocol: 'torrent', downloadUrl: `${baseUrl}/file.torrent` }, dir, taken);
+        const nzbPath = await saveReleaseFile({ title: 'Show', protocol: 'usenet', downloadUrl: `${baseUrl}/file.nzb` }, dir, taken);
+
+        assert.strictEqual(torrentPath, path.join(dir, 'Show.torrent'));
+        assert.strictEqual(fs.readFileSync(torrentPath, 'utf8'), 'd4:infod4:name4:testee');
+        assert.strictEqual(fs.readFileSync(nzbPath, 'utf8'), '<nzb></nzb>');
+    });
+
+    it('does not overwrite files already in the directory', async () => {
+        fs.writeFileSync(path.join(dir, 'Show.torrent'), 'mine');
+        const filePath = await saveReleaseFile({ title: 'Show', protocol: 'torrent', downloadUrl: `${baseUrl}/file.torrent` }, dir);
+
+        assert.strictEqual(path.basename(filePath), 'Show (2).torrent');
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'Show.torrent'), 'utf8'), 'mine');
+    });
+
+    it('fails for releases without a file to save', async () => {
+        await assert.rejects(saveReleaseFile({ title: 'Show', protocol: 'torrent', downloadUrl: `${baseUrl}/magnet` }, dir), /magnet link/);
+        await assert.rejects(saveReleaseFile({ title: 'Show', protocol: 'usenet', downloadUrl: `${baseUrl}/missing` }, dir), /404|Not found/);
+        await assert.rejects(saveReleaseFile({ title: 'Show', protocol: 'torrent' }, dir), /No download URL/);
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+    });
+});
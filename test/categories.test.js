@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildCategoryTree, describeCategories } = require('../lib/categories');
+
+const indexer = (enable, categories) => ({ enable, capabilities: { categories } });
+
+const indexers = [
+    indexer(true, [
+        { id: 2000, name: 'Movies', subCategories: [{ id: 2040, name: 'Movies/HD' }, { id: 2030, name: 'Movies/SD' }] },
+        { id: 6000, name: 'XXX', subCategories: [{ id: 6010, name: 'XXX/DVD' }] },
+        { id: 100051, name: 'Custom', subCategories: [] }
+    ]),
+    indexer(true, [
+        { id: 5000, name: 'TV', subCategories: [{ id: 5070, name: 'TV/Anime' }] },
+        { id: 2000, name: 'Movies', subCategories: [{ id: 2040, name: 'Movies/HD' }, { id: 2045, name: 'Movies/UHD' }] }
+    ]),
+    indexer(false, [
+        { id: 7000, name: 'Books', subCategories: [] }
+    ])
+];
+
+describe('buildCategoryTree', () => {
+    it('merges the categories of enabled indexers', () => {
+        const tree = buildCategoryTree(indexers);
+
+        assert.deepStrictEqual(tree.map(category => category.id), [2000, 5000, 6000]);
+        assert.deepStrictEqual(tree[0].subCategories.map(category => category.id), [2030, 2040, 2045]);
+    });
+
+    it('can leave out adult categories', () => {
+        const tree = buildCategoryTree(indexers, { includeAdult: false });
+        assert.deepStrictEqual(tree.map(category => category.id), [2000, 5000]);
+    });
+
+    it('handles indexers without capabilities', () => {
+        assert.deepStrictEqual(buildCategoryTree([{ enable: true }]), []);
+    });
+});
+
+describe('describeCategories', () => {
+    it('names parents and subcategories', () => {
+        const tree = buildCategoryTree(indexers);
+        assert.deepStrictEqual(describeCategories([2040, 5000, 1234], tree), ['Movies/HD', 'TV', '1234']);
+    });
+});
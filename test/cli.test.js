@@ -0,0 +1,283 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCli, parseArgs, EXIT_CODES } = require('../lib/cli');
+const { ProwlarrApi } = require('../lib/prowlarr-api');
+const { createPalette } = require('../lib/theme');
+const { startFakeProwlarr } = require('./fake-prowlarr');
+
+const indexers = [
+    { id: 1, name: 'Foo', protocol: 'torrent', priority: 25, enable: true },
+    { id: 2, name: 'Bar', protocol: 'usenet', priority: 10, enable: true }
+];
+
+const results = [
+    { guid: 'g1', indexerId: 1, indexer: 'Foo', title: 'Some.Movie.2020.1080p.WEB-DL', size: 2e9, seeders: 5, protocol: 'torrent', publishDate: '2024-01-01T00:00:00Z' },
+    { guid: 'g2', indexerId: 2, indexer: 'Bar', title: 'Some.Movie.2020.720p', size: 1e9, protocol: 'usenet', publishDate: '2024-01-02T00:00:00Z' }
+];
+
+// The parts of the interactive client the command-line mode uses, without the menus or config.json
+const createClient = (server, overrides = {}) => ({
+    settings: { defaultSortOrder: 'seeders_desc', activeQualityProfile: '', watchInterval: 30 },
+    filterPresets: {},
+    qualityProfiles: {},
+    indexerGroups: {},
+    watchlist: {},
+    indexerStatuses: [],
+    protocols: { torrent: 'torrent', usenet: 'usenet' },
+    colors: createPalette({}),
+    notified: [],
+    loadConfig() {
+        return { serverUrl: server.url, apiKey: 'test-key' };
+    },
+    setConnection(serverUrl, apiKey) {
+        this.api = new ProwlarrApi({ baseUrl: serverUrl, apiKey });
+    },
+    async refreshIndexers() {
+        this.indexers = await this.api.getIndexers();
+        return this.indexers;
+    },
+    getScorer() {
+        return null;
+    },
+    sortResults(items, sortBy) {
+        return sortBy === 'seeders_desc' ? [...items].sort((a, b) => (b.seeders || 0) - (a.seeders || 0)) : [...items];
+    },
+    async notify(event, title, message) {
+        this.notified.push({ event, title, message });
+    },
+    ...overrides
+});
+
+// Run the command line and collect what it printed. The test runner reports to its parent through stdout
+// in binary chunks, those still go through.
+const run = async (client, argv) => {
+    const output = { stdout: '', stderr: '' };
+    const write = process.stdout.write;
+    const { log, error } = console;
+    process.stdout.write = (chunk, ...rest) => {
+        if (typeof chunk !== 'string') {
+            return write.call(process.stdout, chunk, ...rest);
+        }
+        output.stdout += chunk;
+        return true;
+    };
+    console.log = (...args) => { output.stdout += args.join(' ') + '\n'; };
+    console.error = (...args) => { output.stderr += args.join(' ') + '\n'; };
+    try {
+        output.code = await runCli(client, argv);
+    } finally {
+        process.stdout.write = write;
+        Object.assign(console, { log, error });
+    }
+    return output;
+};
+
+describe('parseArgs', () => {
+    it('collects repeated and comma separated options', () => {
+        const { command, positional, options } = parseArgs(['search', 'some', '--category', '2000,5000', '--category=8000', 'movie', '--indexer', 'Foo']);
+        assert.strictEqual(command, 'search');
+        assert.deepStrictEqual(positional, ['some', 'movie']);
+        assert.deepStrictEqual(options, { category: ['2000', '5000', '8000'], indexer: ['Foo'] });
+    });
+
+    it('reads flags and keeps the last value of single options', () => {
+        const { options } = parseArgs(['search', 'x', '--json', '--sort', 'size_asc', '--sort=title_asc', '--filter', 'size>1GB=ok']);
+        assert.deepStrictEqual(options, { json: true, sort: 'title_asc', filter: 'size>1GB=ok' });
+    });
+
+    it('rejects unknown options and missing values', () => {
+        assert.throws(() => parseArgs(['search', '--nope']), /Unknown option --nope/);
+        assert.throws(() => parseArgs(['search', '--limit']), /--limit needs a value/);
+    });
+});
+
+describe('runCli', () => {
+    let server;
+    let client;
+
+    before(async () => {
+        server = await startFakeProwlarr({ indexers, results, grab: (body) => [200, { ...body, title: 'Some.Movie.2020.1080p.WEB-DL' }] });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        client = createClient(server);
+    });
+
+    it('prints the usage for help', async () => {
+        const { code, stdout } = await run(client, ['help']);
+        assert.strictEqual(code, EXIT_CODES.success);
+        assert.match(stdout, /^Usage:/);
+    });
+
+    it('exits with the usage code for bad arguments', async () => {
+        for (const argv of [['nope'], ['search'], ['search', 'x', '--limit', '0'], ['search', 'x', '--sort', 'random'], ['search', 'x', '--type', 'game']]) {
+            const { code, stderr } = await run(client, argv);
+            assert.strictEqual(code, EXIT_CODES.usage, argv.join(' '));
+            assert.match(stderr, /Usage:/);
+        }
+    });
+
+    it('exits with the usage code without a configured server', async () => {
+        const { code, stderr } = await run(createClient(server, { loadConfig: () => ({}) }), ['indexers']);
+        assert.strictEqual(code, EXIT_CODES.usage);
+        assert.match(stderr, /No Prowlarr server configured/);
+    });
+
+    it('searches with the options given', async () => {
+        const { code, stdout } = await run(client, ['search', 'some', 'movie', '--category', '2000', '--indexer', 'foo']);
+        assert.strictEqual(code, EXIT_CODES.success);
+        assert.match(stdout, /TITLE/);
+        assert.match(stdout, /Some\.Movie\.2020\.1080p\.WEB-DL/);
+        const search = server.requests.find(request => request.path === '/api/v1/search');
+        assert.strictEqual(search.query.get('query'), 'some movie');
+        assert.deepStrictEqual(search.query.getAll('categories'), ['2000']);
+        assert.deepStrictEqual(search.query.getAll('indexerIds'), ['1']);
+    });
+
+    it('outputs JSON and NDJSON that parse', async () => {
+        const json = await run(client, ['search', 'some', '--json']);
+        assert.deepStrictEqual(JSON.parse(json.stdout).map(result => result.guid), ['g1', 'g2']);
+
+        const ndjson = await run(client, ['search', 'some', '--ndjson', '--limit', '1']);
+        const lines = ndjson.stdout.trim().split('\n');
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).guid, 'g1');
+
+        const listed = await run(client, ['indexers', '--json']);
+        assert.deepStrictEqual(JSON.parse(listed.stdout).map(indexer => [indexer.name, indexer.status]), [['Foo', 'ok'], ['Bar', 'ok']]);
+    });
+
+    it('exits with the no results code when the filter leaves nothing', async () => {
+        const { code, stderr } = await run(client, ['search', 'some', '--filter', 'seeders>100']);
+        assert.strictEqual(code, EXIT_CODES.noResults);
+        assert.match(stderr, /No results found/);
+    });
+
+    it('treats filter syntax errors as usage errors', async () => {
+        const { code, stderr } = await run(client, ['search', 'some', '--filter', 'size>>']);
+        assert.strictEqual(code, EXIT_CODES.usage);
+        assert.doesNotMatch(stderr, /^Error:/);
+    });
+
+    it('exits with the failure code when Prowlarr rejects the request', async () => {
+        const rejected = createClient(server, { loadConfig: () => ({ serverUrl: server.url, apiKey: 'wrong' }) });
+        const { code, stderr } = await run(rejected, ['search', 'some']);
+        assert.strictEqual(code, EXIT_CODES.failure);
+        assert.match(stderr, /Error:/);
+    });
+
+    it('grabs a release', async () => {
+        const { code, stdout } = await run(client, ['grab', 'g1', '--indexer', '1']);
+        assert.strictEqual(code, EXIT_CODES.success);
+        assert.match(stdout, /Grabbed Some\.Movie\.2020\.1080p\.WEB-DL/);
+        assert.deepStrictEqual(server.requests.find(request => request.method === 'POST').body, { guid: 'g1', indexerId: 1 });
+        assert.strictEqual(client.notified[0].event, 'grab_sent');
+
+        assert.strictEqual((await run(client, ['grab', 'g1'])).code, EXIT_CODES.usage);
+        assert.strictEqual((await run(client, ['grab', 'g1', '--indexer', '1', '--indexer', '2'])).code, EXIT_CODES.usage);
+    });
+
+    describe('export', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+        });
+
+        afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        it('writes the results to a file in the format of its extension', async () => {
+            const filePath = path.join(dir, 'results.csv');
+            const { code, stdout, stderr } = await run(client, ['search', 'some', '--export', filePath]);
+            assert.strictEqual(code, EXIT_CODES.success);
+            assert.match(stdout, /TITLE/);
+            assert.match(stderr, /Exported 2 results/);
+            assert.match(fs.readFileSync(filePath, 'utf8'), /^title,indexer,/);
+        });
+
+        it('writes to stdout instead of the table for "-"', async () => {
+            const { code, stdout } = await run(client, ['search', 'some', '--export', '-', '--format', 'json']);
+            assert.strictEqual(code, EXIT_CODES.success);
+            assert.deepStrictEqual(JSON.parse(stdout).map(result => result.guid), ['g1', 'g2']);
+        });
+
+        it('writes JSON to stdout for "-" without --format', async () => {
+            const { code, stdout } = await run(client, ['search', 'some', '--export', '-']);
+            assert.strictEqual(code, EXIT_CODES.success);
+            assert.deepStrictEqual(JSON.parse(stdout).map(result => result.guid), ['g1', 'g2']);
+
+            const csv = await run(client, ['search', 'some', '--export=-', '--format', 'csv']);
+            assert.match(csv.stdout, /^title,indexer,/);
+        });
+
+        it('rejects formats it cannot tell or does not know', async () => {
+            const unknown = await run(client, ['search', 'some', '--export', path.join(dir, 'results'), '--format', 'xml']);
+            assert.strictEqual(unknown.code, EXIT_CODES.usage);
+            assert.match(unknown.stderr, /Unknown export format "xml"/);
+
+            const noExtension = await run(client, ['search', 'some', '--export', path.join(dir, 'results')]);
+            assert.strictEqual(noExtension.code, EXIT_CODES.usage);
+            assert.match(noExtension.stderr, /Can't tell the export format/);
+
+            const noExport = await run(client, ['search', 'some', '--format', 'csv']);
+            assert.strictEqual(noExport.code, EXIT_CODES.usage);
+            assert.match(noExport.stderr, /--format needs --export/);
+            assert.strictEqual(server.requests.length, 0);
+        });
+    });
+
+    describe('watch', () => {
+        const watching = (checkWatch) => createClient(server, {
+            watchlist: { movies: { query: 'some movie' }, paused: { query: 'old', enabled: false } },
+            checkWatch
+        });
+
+        it('rejects bad intervals and unknown watches', async () => {
+            const checked = [];
+            const watchClient = watching(async (name) => { checked.push(name); });
+            for (const interval of ['0', '-5', 'soon']) {
+                const { code, stderr } = await run(watchClient, ['watch', '--interval', interval]);
+                assert.strictEqual(code, EXIT_CODES.usage);
+                assert.match(stderr, /--interval must be a positive number/);
+            }
+            const unknown = await run(watchClient, ['watch', 'movies', 'shows', '--once']);
+            assert.strictEqual(unknown.code, EXIT_CODES.usage);
+            assert.match(unknown.stderr, /Unknown watch "shows"/);
+            assert.deepStrictEqual(checked, []);
+
+            const empty = await run(createClient(server), ['watch', '--once']);
+            assert.strictEqual(empty.code, EXIT_CODES.usage);
+            assert.match(empty.stderr, /No watches to check/);
+        });
+
+        it('checks the enabled watches once and reports new releases', async () => {
+            const checked = [];
+            const watchClient = watching(async (name) => {
+                checked.push(name);
+                return { baseline: false, matches: [], fresh: [{ best: results[0], indexerCount: 1 }], grabbed: null, grabError: null, scorer: null };
+            });
+            const { code, stdout } = await run(watchClient, ['watch', '--once', '--ndjson']);
+            assert.strictEqual(code, EXIT_CODES.success);
+            assert.deepStrictEqual(checked, ['movies']);
+            assert.deepStrictEqual(stdout.trim().split('\n').map(line => JSON.parse(line)).map(line => [line.watch, line.guid, line.grabbed]), [['movies', 'g1', false]]);
+        });
+
+        it('exits with the failure code when a check fails', async () => {
+            const failing = watching(async () => { throw new Error('Prowlarr timed out'); });
+            const { code, stderr } = await run(failing, ['watch', 'movies', '--once']);
+            assert.strictEqual(code, EXIT_CODES.failure);
+            assert.match(stderr, /movies: Prowlarr timed out/);
+
+            const grabFailed = watching(async () => ({ baseline: false, matches: [], fresh: [], grabbed: null, grabError: 'rejected', scorer: null }));
+            const failedGrab = await run(grabFailed, ['watch', 'movies', '--once']);
+            assert.strictEqual(failedGrab.code, EXIT_CODES.failure);
+            assert.match(failedGrab.stderr, /auto-grab failed: rejected/);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getInfoHash, releaseKey, groupResults } = require('../lib/dedupe');
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const MB = 1048576;
+
+describe('getInfoHash', () => {
+    it('reads the infoHash field or hex and base32 magnet links', () => {
+        assert.strictEqual(getInfoHash({ infoHash: HASH.toUpperCase() }), HASH);
+        assert.strictEqual(getInfoHash({ magnetUrl: `magnet:?xt=urn:btih:${HASH}&dn=x` }), HASH);
+        assert.strictEqual(getInfoHash({ magnetUrl: 'magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK&tr=udp' }), HASH);
+    });
+
+    it('is null without a usable hash', () => {
+        assert.strictEqual(getInfoHash({ downloadUrl: 'http://example.com/file.torrent' }), null);
+        assert.strictEqual(getInfoHash({ magnetUrl: 'magnet:?xt=urn:btih:nothex' }), null);
+    });
+});
+
+describe('releaseKey', () => {
+    it('matches titles regardless of case and separators when sizes agree to the MB', () => {
+        const a = { title: 'Some.Movie.2020.1080p-GRP', size: 2000 * MB, protocol: 'torrent' };
+        const b = { title: 'some movie 2020 1080p GRP', size: 2000 * MB + 1000, protocol: 'torrent' };
+        assert.strictEqual(releaseKey(a), releaseKey(b));
+        assert.notStrictEqual(releaseKey(a), releaseKey({ ...b, size: 1500 * MB }));
+        assert.notStrictEqual(releaseKey(a), releaseKey({ ...b, protocol: 'usenet' }));
+    });
+
+    it('prefers the info hash over the title', () => {
+        const a = { title: 'Name on one tracker', size: 1, magnetUrl: `magnet:?xt=urn:btih:${HASH}` };
+        const b = { title: 'Other name', size: 2, infoHash: HASH };
+        assert.strictEqual(releaseKey(a), releaseKey(b));
+    });
+});
+
+describe('groupResults', () => {
+    const priorities = { A: 25, B: 10, C: 50 };
+    const getPriority = (result) => priorities[result.indexer];
+    const results = [
+        { guid: '1', indexerId: 1, indexer: 'A', title: 'Release.One', size: 100 * MB, protocol: 'torrent', seeders: 5, infoHash: HASH },
+        { guid: '2', indexerId: 2, indexer: 'B', title: 'Release.Two', size: 300 * MB, protocol: 'torrent', seeders: 1 },
+        { guid: '3', indexerId: 2, indexer: 'B', title: 'Release One', size: 100 * MB, protocol: 'torrent', seeders: 120, infoHash: HASH },
+        { guid: '4', indexerId: 3, indexer: 'C', title: 'Release.One', size: 100 * MB, protocol: 'torrent', seeders: 120, infoHash: HASH },
+        { guid: '5', indexerId: 1, indexer: 'A', title: 'Usenet.Release', size: 50 * MB, protocol: 'usenet' },
+        { guid: '6', indexerId: 3, indexer: 'C', title: 'Usenet.Release', size: 50 * MB, protocol: 'usenet' }
+    ];
+
+    it('keeps the order of first appearance', () => {
+        const groups = groupResults(results, getPriority);
+        assert.deepStrictEqual(groups.map(group => group.results.map(result => result.guid)), [['4', '3', '1'], ['2'], ['6', '5']]);
+    });
+
+    it('picks the best source by seeders, then indexer priority', () => {
+        const [release, single, usenet] = groupResults(results, getPriority);
+        assert.strictEqual(release.best.guid, '4');
+        assert.strictEqual(release.indexerCount, 3);
+        assert.strictEqual(release.maxSeeders, 120);
+        assert.strictEqual(single.indexerCount, 1);
+        assert.strictEqual(usenet.best.indexer, 'C');
+        assert.strictEqual(usenet.maxSeeders, 0);
+    });
+});
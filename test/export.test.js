@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { exportResults, formatFromPath, toExportRecord, defaultExportName } = require('../lib/export');
+
+const HASH = '0123456789abcdef0123456789abcdef01234567';
+
+const results = [
+    {
+        guid: 'https://tracker.example/t/1',
+        indexerId: 1,
+        indexer: 'Foo',
+        title: 'Big Buck Bunny, "Director\'s Cut" 1080p',
+        size: 2147483648,
+        seeders: 12,
+        leechers: 3,
+        grabs: 40,
+        protocol: 'torrent',
+        publishDate: '2026-10-01T12:00:00Z',
+        downloadUrl: 'https://prowlarr.local/1/download?link=abc&file=Big+Buck+Bunny',
+        magnetUrl: `magnet:?xt=urn:btih:${HASH}&dn=Big+Buck+Bunny`,
+        infoUrl: 'https://tracker.example/t/1',
+        categories: [{ id: 2040, name: 'Movies/HD' }],
+        extraField: 'dropped'
+    },
+    {
+        guid: 'nzb-2',
+        indexerId: 2,
+        indexer: 'Bar | Usenet',
+        title: 'Big.Buck.Bunny.2008.720p',
+        size: 734003200,
+        protocol: 'usenet',
+        publishDate: '2026-09-20T08:30:00Z',
+        downloadUrl: 'https://prowlarr.local/2/download?nzb'
+    }
+];
+
+describe('toExportRecord', () => {
+    it('keeps the shared fields and fills missing ones with null', () => {
+        const record = toExportRecord(results[1]);
+        assert.strictEqual(record.seeders, null);
+        assert.strictEqual(record.magnetUrl, null);
+        assert.strictEqual(record.guid, 'nzb-2');
+        assert.strictEqual('extraField' in toExportRecord(results[0]), false);
+    });
+});
+
+describe('exportResults', () => {
+    it('writes JSON records', () => {
+        const records = JSON.parse(exportResults(results, 'json'));
+        assert.strictEqual(records.length, 2);
+        assert.strictEqual(records[0].title, results[0].title);
+        assert.strictEqual(records[0].leechers, 3);
+        assert.strictEqual(records[1].protocol, 'usenet');
+    });
+
+    it('quotes CSV fields with commas and quotes', () => {
+        const lines = exportResults(results, 'csv').split('\r\n');
+        assert.strictEqual(lines[0], 'title,indexer,indexerId,protocol,size,seeders,leechers,publishDate,downloadUrl,magnetUrl,infoUrl,guid');
+        assert.ok(lines[1].startsWith('"Big Buck Bunny, ""Director\'s Cut"" 1080p",Foo,1,torrent,2147483648,12,3,2026-10-01T12:00:00Z,'));
+        assert.strictEqual(lines[2], 'Big.Buck.Bunny.2008.720p,Bar | Usenet,2,usenet,734003200,,,2026-09-20T08:30:00Z,https://prowlarr.local/2/download?nzb,,,nzb-2');
+        assert.strictEqual(lines[3], '');
+    });
+
+    it('renders a Markdown table with escaped pipes and links', () => {
+        const text = exportResults(results, 'markdown', { title: 'Prowling: big buck bunny' });
+        const lines = text.trim().split('\n');
+        assert.strictEqual(lines[0], '## Prowling: big buck bunny');
+        assert.strictEqual(lines[2], '| Title | Indexer | Size | Seeders | Leechers | Published | Links |');
+        assert.match(lines[4], /^\| Big Buck Bunny, "Director's Cut" 1080p \| Foo \| 2\.00 GB \| 12 \| 3 \| 2026-10-01 \| \[magnet\]\(<magnet:\?xt=urn:btih:/);
+        assert.match(lines[5], /^\| Big\.Buck\.Bunny\.2008\.720p \| Bar \\\| Usenet \| 700\.00 MB \| {2}\| {2}\| 2026-09-20 \| \[nzb\]\(<https:\/\/prowlarr\.local\/2\/download\?nzb>\) \|$/);
+    });
+
+    it('builds an RSS feed with Torznab attributes and escaped XML', () => {
+        const text = exportResults(results, 'rss', { title: 'Prowling: <bunny>', now: new Date('2026-10-18T12:00:00Z') });
+        assert.ok(text.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">'));
+        assert.ok(text.includes('<title>Prowling: &lt;bunny&gt;</title>'));
+        assert.ok(text.includes('<lastBuildDate>Sun, 18 Oct 2026 12:00:00 GMT</lastBuildDate>'));
+        assert.ok(text.includes('<title>Big Buck Bunny, &quot;Director&apos;s Cut&quot; 1080p</title>'));
+        assert.ok(text.includes('<link>https://prowlarr.local/1/download?link=abc&amp;file=Big+Buck+Bunny</link>'));
+        assert.ok(text.includes('<enclosure url="https://prowlarr.local/1/download?link=abc&amp;file=Big+Buck+Bunny" length="2147483648" type="application/x-bittorrent" />'));
+        assert.ok(text.includes('<torznab:attr name="peers" value="15" />'));
+        assert.ok(text.includes(`<torznab:attr name="infohash" value="${HASH}" />`));
+        assert.ok(text.includes('<torznab:attr name="category" value="2040" />'));
+        assert.ok(text.includes('type="application/x-nzb"'));
+        assert.strictEqual((text.match(/<item>/g) || []).length, 2);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => exportResults(results, 'yaml'), /Unknown export format "yaml"/);
+    });
+});
+
+describe('formatFromPath', () => {
+    it('guesses the format from the extension', () => {
+        assert.strictEqual(formatFromPath('out/results.JSON'), 'json');
+        assert.strictEqual(formatFromPath('results.csv'), 'csv');
+        assert.strictEqual(formatFromPath('results.md'), 'markdown');
+        assert.strictEqual(formatFromPath('feed.xml'), 'rss');
+        assert.strictEqual(formatFromPath('feed.rss'), 'rss');
+        assert.strictEqual(formatFromPath('results.txt'), null);
+        assert.strictEqual(formatFromPath('-'), null);
+    });
+});
+
+describe('defaultExportName', () => {
+    it('names the file after the search and the time', () => {
+        assert.strictEqual(
+            defaultExportName('TV: Big Buck Bunny S01E02', 'csv', new Date(2026, 9, 18, 9, 5)),
+            'prowling-tv-big-buck-bunny-s01e02-20261018-0905.csv'
+        );
+        assert.strictEqual(defaultExportName('', 'rss', new Date(2026, 0, 2, 3, 4)), 'prowling-results-20260102-0304.xml');
+    });
+});
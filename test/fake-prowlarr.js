@@ -0,0 +1,63 @@
+// Minimal stand-in for a Prowlarr server, records every request it receives
+
+const http = require('http');
+
+const startFakeProwlarr = async ({ apiKey = 'test-key', indexers = [], indexerStatuses = [], results = [], downloadClients = [], grab } = {}) => {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: url.searchParams,
+                headers: req.headers,
+                body: body ? JSON.parse(body) : undefined
+            };
+            requests.push(request);
+
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (req.headers['x-api-key'] !== apiKey) {
+                return send(401, { message: 'Unauthorized' });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/api/v1/system/status') {
+                return send(200, { appName: 'Prowlarr', version: '1.0.0' });
+            }
+            if (req.method === 'GET' && url.pathname === '/api/v1/indexer') {
+                return send(200, indexers);
+            }
+            if (req.method === 'GET' && url.pathname === '/api/v1/indexerstatus') {
+                return send(200, indexerStatuses);
+            }
+            if (req.method === 'GET' && url.pathname === '/api/v1/downloadclient') {
+                return send(200, downloadClients);
+            }
+            if (req.method === 'GET' && url.pathname === '/api/v1/search') {
+                return send(200, results);
+            }
+            if (req.method === 'POST' && url.pathname === '/api/v1/search') {
+                const [status, data] = grab ? grab(request.body) : [200, request.body];
+                return send(status, data);
+            }
+            send(404, { message: `No route for ${req.method} ${url.pathname}` });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { startFakeProwlarr };
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { FilterSyntaxError, parseFilter, applyFilters } = require('../lib/filters');
+
+const GB = 1024 ** 3;
+const now = Date.parse('2025-01-10T00:00:00Z');
+const daysAgo = (days) => new Date(now - days * 86400000).toISOString();
+
+const results = [
+    { guid: 'a', title: 'Movie.2024.1080p.x264-GRP', size: 3 * GB, seeders: 50, indexer: 'RARBG', protocol: 'torrent', publishDate: daysAgo(2), indexerFlags: ['freeleech'], categories: [{ id: 2040, name: 'Movies/HD' }] },
+    { guid: 'b', title: 'Movie.2024.CAM.x265', size: 1.5 * GB, seeders: 5, indexer: 'Other', protocol: 'torrent', publishDate: daysAgo(1), categories: [{ id: 2030, name: 'Movies/SD' }] },
+    { guid: 'c', title: 'Movie 2024 2160p HEVC', size: 20 * GB, indexer: 'NZBGeek', protocol: 'usenet', publishDate: daysAgo(30), grabs: 12, categories: [{ id: 2045, name: 'Movies/UHD' }] },
+    { guid: 'd', title: 'Show.S01E01.720p', size: 700 * 1024 ** 2, seeders: 10, leechers: 3, indexer: 'rarbg-mirror', protocol: 'torrent', publishDate: daysAgo(9), indexerFlags: ['Internal'], categories: [{ id: 5040, name: 'TV/HD' }] }
+];
+
+const matching = (expression) => applyFilters(results, [parseFilter(expression)], now).map(result => result.guid).join('');
+
+describe('parseFilter', () => {
+    const cases = [
+        ['movie', 'abc'],
+        ['MOVIE 2024', 'abc'],
+        ['-cam', 'acd'],
+        ['"2024 2160p"', 'c'],
+        ['size>2GB', 'ac'],
+        ['size>=1.5g', 'abc'],
+        ['size<1gb', 'd'],
+        ['size:700MB', 'd'],
+        ['seeders>=10', 'ad'],
+        ['seeders<10', 'b'],
+        ['-seeders>=10', 'bc'],
+        ['leechers=3', 'd'],
+        ['grabs>10', 'c'],
+        ['age<7d', 'ab'],
+        ['age>1w', 'cd'],
+        ['age<36h', 'b'],
+        ['indexer:rarbg', 'ad'],
+        ['-indexer:rarbg', 'bc'],
+        ['indexer:"rarbg-mirror"', 'd'],
+        ['protocol:usenet', 'c'],
+        ['protocol:TORRENT seeders>20', 'a'],
+        ['/x26[45]/', 'ab'],
+        ['-/x26[45]/', 'cd'],
+        ['/^show/', 'd'],
+        ['/S\\d+E\\d+/', 'd'],
+        ['freeleech', 'a'],
+        ['internal', 'd'],
+        ['flag:freeleech', 'a'],
+        ['"internal"', ''],
+        ['category:2000', 'abc'],
+        ['category:2045', 'c'],
+        ['category:tv', 'd'],
+        ['title:cam', 'b'],
+        ['resolution>=1080p', 'ac'],
+        ['resolution:720', 'd'],
+        ['resolution>=4k', 'c'],
+        ['season:1', 'd'],
+        ['episode=1 season=1', 'd'],
+        ['source:cam', 'b'],
+        ['codec:x26', 'ab'],
+        ['codec:hevc', 'c'],
+        ['-codec:x264', 'bcd'],
+        ['group:grp', 'a'],
+        ['size>2GB seeders>=10 indexer:rarbg -cam /x26[45]/ age<7d protocol:torrent freeleech', 'a']
+    ];
+
+    cases.forEach(([expression, expected]) => {
+        it(`${expression} -> ${expected || 'nothing'}`, () => {
+            assert.strictEqual(matching(expression), expected);
+        });
+    });
+
+    it('normalizes whitespace in the expression', () => {
+        assert.strictEqual(parseFilter('  size>2GB    -cam ').expression, 'size>2GB -cam');
+    });
+
+    const errors = [
+        ['', /Empty filter/],
+        ['size>huge', /Invalid size/],
+        ['age<7', /Invalid age/],
+        ['resolution>hd', /Invalid resolution/],
+        ['seeders>lots', /Invalid number/],
+        ['bogus>3', /Unknown filter field "bogus"/],
+        ['colour:red', /Unknown filter field "colour"/],
+        ['/[unclosed/', /Invalid regular expression/]
+    ];
+
+    errors.forEach(([expression, message]) => {
+        it(`rejects ${JSON.stringify(expression)}`, () => {
+            assert.throws(() => parseFilter(expression), (error) => error instanceof FilterSyntaxError && message.test(error.message));
+        });
+    });
+});
+
+describe('applyFilters', () => {
+    it('stacks filters', () => {
+        const filters = [parseFilter('protocol:torrent'), parseFilter('seeders>=10')];
+        assert.deepStrictEqual(applyFilters(results, filters, now).map(result => result.guid), ['a', 'd']);
+    });
+
+    it('keeps the order it is given', () => {
+        const reversed = [...results].reverse();
+        assert.deepStrictEqual(applyFilters(reversed, [parseFilter('movie')], now).map(result => result.guid), ['c', 'b', 'a']);
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getIndexerHealth, getSearchableIndexers, resolveGroup } = require('../lib/indexers');
+
+const indexers = [
+    { id: 1, name: 'Healthy', enable: true },
+    { id: 2, name: 'Failing', enable: true },
+    { id: 3, name: 'Disabled', enable: false }
+];
+
+const now = Date.parse('2025-01-01T12:00:00Z');
+const statuses = [
+    { indexerId: 1, disabledTill: '2025-01-01T11:00:00Z' },
+    { indexerId: 2, disabledTill: '2025-01-01T13:00:00Z', mostRecentFailure: '2025-01-01T11:55:00Z' }
+];
+
+describe('getIndexerHealth', () => {
+    it('flags indexers Prowlarr is still backing off from', () => {
+        const health = getIndexerHealth(indexers[1], statuses, now);
+        assert.strictEqual(health.failing, true);
+        assert.strictEqual(health.disabled, false);
+        assert.strictEqual(health.disabledTill.toISOString(), '2025-01-01T13:00:00.000Z');
+        assert.strictEqual(health.mostRecentFailure.toISOString(), '2025-01-01T11:55:00.000Z');
+    });
+
+    it('ignores back-offs that have expired', () => {
+        assert.strictEqual(getIndexerHealth(indexers[0], statuses, now).failing, false);
+    });
+
+    it('reports disabled indexers without a status', () => {
+        assert.deepStrictEqual(getIndexerHealth(indexers[2], [], now), {
+            disabled: true,
+            failing: false,
+            disabledTill: null,
+            mostRecentFailure: null
+        });
+    });
+});
+
+describe('indexer groups', () => {
+    it('only searches enabled indexers', () => {
+        assert.deepStrictEqual(getSearchableIndexers(indexers).map(indexer => indexer.id), [1, 2]);
+    });
+
+    it('drops group members that were disabled or removed', () => {
+        assert.deepStrictEqual(resolveGroup([2, 3, 4], indexers), [2]);
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const {
+    DEFAULT_SHORTCUTS,
+    normalizeKey,
+    formatKey,
+    keyFromKeypress,
+    checkBinding,
+    findConflicts,
+    promptWithShortcuts
+} = require('../lib/keyboard');
+
+describe('normalizeKey', () => {
+    const cases = [
+        ['Ctrl+S', 'ctrl+s'],
+        ['ctrl-s', 'ctrl+s'],
+        ['^R', 'ctrl+r'],
+        ['Control+F', 'ctrl+f'],
+        ['Meta+G', 'alt+g'],
+        ['alt + g', 'alt+g'],
+        ['F5', 'f5'],
+        ['G', 'G'],
+        ['/', '/'],
+        ['Ctrl+Shift+S', null],
+        ['F13', null],
+        ['ctrl+1', null],
+        ['', null]
+    ];
+
+    cases.forEach(([input, expected]) => {
+        it(`reads "${input}"`, () => {
+            assert.strictEqual(normalizeKey(input), expected);
+        });
+    });
+});
+
+describe('formatKey', () => {
+    it('capitalizes modifiers and letters', () => {
+        assert.strictEqual(formatKey('ctrl+s'), 'Ctrl+S');
+        assert.strictEqual(formatKey('alt+g'), 'Alt+G');
+        assert.strictEqual(formatKey('f5'), 'F5');
+        assert.strictEqual(formatKey('g'), 'g');
+        assert.strictEqual(formatKey(''), 'unbound');
+    });
+});
+
+describe('keyFromKeypress', () => {
+    it('names readline keypress events', () => {
+        assert.strictEqual(keyFromKeypress('\x13', { name: 's', ctrl: true, sequence: '\x13' }), 'ctrl+s');
+        assert.strictEqual(keyFromKeypress('g', { name: 'g', meta: true, sequence: '\x1bg' }), 'alt+g');
+        assert.strictEqual(keyFromKeypress(undefined, { name: 'f5', sequence: '\x1b[15~' }), 'f5');
+        assert.strictEqual(keyFromKeypress('?', { name: undefined, sequence: '?' }), '?');
+        assert.strictEqual(keyFromKeypress('G', { name: 'g', shift: true, sequence: 'G' }), 'G');
+    });
+
+    it('tells Ctrl+H apart from a Backspace that sends DEL', () => {
+        assert.strictEqual(keyFromKeypress('\b', { name: 'backspace', sequence: '\b' }), 'ctrl+h');
+        assert.strictEqual(keyFromKeypress('\x7f', { name: 'backspace', sequence: '\x7f' }), null);
+    });
+
+    it('ignores Enter, arrows and spaces', () => {
+        assert.strictEqual(keyFromKeypress('\r', { name: 'return', sequence: '\r' }), null);
+        assert.strictEqual(keyFromKeypress(undefined, { name: 'down', sequence: '\x1b[B' }), null);
+        assert.strictEqual(keyFromKeypress(' ', { name: 'space', sequence: ' ' }), null);
+    });
+});
+
+describe('checkBinding', () => {
+    it('accepts free keys and the current binding', () => {
+        assert.strictEqual(checkBinding('grab', 'ctrl+g', DEFAULT_SHORTCUTS), null);
+        assert.strictEqual(checkBinding('grab', 'ctrl+d', DEFAULT_SHORTCUTS), null);
+    });
+
+    it('rejects keys bound to another action', () => {
+        assert.strictEqual(checkBinding('grab', 'ctrl+r', DEFAULT_SHORTCUTS), 'Ctrl+R is already bound to Refresh results');
+    });
+
+    it('rejects keys the terminal or the prompts use', () => {
+        assert.match(checkBinding('grab', 'ctrl+c', DEFAULT_SHORTCUTS), /quits/);
+        assert.match(checkBinding('grab', 'j', DEFAULT_SHORTCUTS), /moves down/);
+        assert.match(checkBinding('grab', '3', DEFAULT_SHORTCUTS), /by number/);
+        assert.match(checkBinding('grab', '?', DEFAULT_SHORTCUTS), /help/);
+        assert.match(checkBinding('grab', null, DEFAULT_SHORTCUTS), /can be bound/);
+    });
+});
+
+describe('findConflicts', () => {
+    it('has none for the defaults', () => {
+        assert.deepStrictEqual(findConflicts(DEFAULT_SHORTCUTS), []);
+    });
+
+    it('reports both sides of a duplicate and reserved keys', () => {
+        const bindings = { ...DEFAULT_SHORTCUTS, grab: 'ctrl+r', filter: 'k', history: '' };
+        assert.deepStrictEqual(findConflicts(bindings).map(conflict => conflict.action), ['grab', 'refresh', 'filter']);
+    });
+});
+
+describe('promptWithShortcuts', () => {
+    // Stands in for inquirer.prompt: answers when told to, and exposes the ui the way inquirer does
+    const fakePrompt = (highlighted) => {
+        const calls = { closed: false, done: false, output: '' };
+        let answer;
+        const prompt = () => {
+            const promise = new Promise(resolve => { answer = resolve; });
+            promise.ui = {
+                activePrompt: {
+                    selected: 1,
+                    opt: { choices: { getChoice: (index) => index === 1 ? { value: highlighted } : null } },
+                    screen: { done: () => { calls.done = true; } }
+                },
+                rl: { output: { write: (text) => { calls.output += text; } } },
+                close: () => { calls.closed = true; }
+            };
+            return promise;
+        };
+        return { prompt, calls, answer: (value) => answer(value) };
+    };
+
+    const question = { type: 'list', name: 'selected', choices: [] };
+
+    it('answers with the shortcut and the highlighted choice', async () => {
+        const input = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, DEFAULT_SHORTCUTS, { input });
+
+        input.emit('keypress', '\x04', { name: 'd', ctrl: true, sequence: '\x04' });
+
+        assert.deepStrictEqual(await pending, { selected: { shortcut: 'grab', highlighted: 'row-2' } });
+        assert.strictEqual(fake.calls.closed, true);
+        assert.strictEqual(fake.calls.done, true);
+        assert.strictEqual(input.listenerCount('keypress'), 0);
+    });
+
+    it('opens the help with ? and passes other keys through to the prompt', async () => {
+        const input = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, DEFAULT_SHORTCUTS, { input });
+
+        input.emit('keypress', 'x', { name: 'x', sequence: 'x' });
+        assert.strictEqual(fake.calls.closed, false);
+        input.emit('keypress', '?', { sequence: '?' });
+
+        assert.deepStrictEqual(await pending, { selected: { shortcut: 'help', highlighted: 'row-2' } });
+    });
+
+    it('resolves with the answers when the prompt is answered normally', async () => {
+        const input = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, DEFAULT_SHORTCUTS, { input });
+
+        fake.answer({ selected: 'next_page' });
+
+        assert.deepStrictEqual(await pending, { selected: 'next_page' });
+        assert.strictEqual(input.listenerCount('keypress'), 0);
+    });
+
+    it('ignores keys bound to two actions', async () => {
+        const input = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, { ...DEFAULT_SHORTCUTS, grab: 'ctrl+r' }, { input });
+
+        input.emit('keypress', '\x12', { name: 'r', ctrl: true, sequence: '\x12' });
+        assert.strictEqual(fake.calls.closed, false);
+        fake.answer({ selected: null });
+        assert.deepStrictEqual(await pending, { selected: null });
+    });
+
+    it('answers with resize when the terminal is resized', async () => {
+        const input = new EventEmitter();
+        const output = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, DEFAULT_SHORTCUTS, { input, output });
+
+        output.emit('resize');
+
+        assert.deepStrictEqual(await pending, { selected: { shortcut: 'resize', highlighted: 'row-2' } });
+        assert.strictEqual(output.listenerCount('resize'), 0);
+        assert.strictEqual(input.listenerCount('keypress'), 0);
+    });
+
+    it('leaves every key to the prompt without bindings', async () => {
+        const input = new EventEmitter();
+        const output = new EventEmitter();
+        const fake = fakePrompt('row-2');
+        const pending = promptWithShortcuts(fake.prompt, question, null, { input, output });
+
+        input.emit('keypress', '?', { sequence: '?' });
+        input.emit('keypress', '\x04', { name: 'd', ctrl: true, sequence: '\x04' });
+        assert.strictEqual(fake.calls.closed, false);
+        output.emit('resize');
+
+        assert.deepStrictEqual(await pending, { selected: { shortcut: 'resize', highlighted: 'row-2' } });
+    });
+});
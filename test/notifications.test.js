@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Notifier, buildWebhookRequest, DEFAULT_NOTIFICATIONS } = require('../lib/notifications');
+
+// Local receiver standing in for Discord, ntfy, Gotify or any other webhook endpoint
+const startReceiver = async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+            res.writeHead(req.url.startsWith('/broken') ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const event = {
+    type: 'watch_match',
+    title: '2 new for "Severance"',
+    message: 'Severance.S02E05.1080p.WEB.h264-GRP',
+    data: { watch: 'Severance' },
+    timestamp: '2026-10-18T12:00:00.000Z'
+};
+
+describe('buildWebhookRequest', () => {
+    it('posts generic JSON with a bearer token', () => {
+        const request = buildWebhookRequest({ template: 'generic', url: 'http://example.com/hook', token: 'secret' }, event);
+        assert.strictEqual(request.url, 'http://example.com/hook');
+        assert.strictEqual(request.headers.Authorization, 'Bearer secret');
+        assert.deepStrictEqual(request.data, {
+            event: 'watch_match',
+            title: event.title,
+            message: event.message,
+            timestamp: event.timestamp,
+            data: { watch: 'Severance' }
+        });
+    });
+
+    it('shapes Discord embeds', () => {
+        const request = buildWebhookRequest({ template: 'discord', url: 'https://discord.com/api/webhooks/1/abc' }, event);
+        assert.strictEqual(request.data.embeds[0].title, event.title);
+        assert.strictEqual(request.data.embeds[0].description, event.message);
+        assert.strictEqual(request.data.embeds[0].timestamp, event.timestamp);
+    });
+
+    it('puts ntfy fields in headers and the message in the body', () => {
+        const request = buildWebhookRequest({ template: 'ntfy', url: 'https://ntfy.sh/prowling' }, event);
+        assert.strictEqual(request.url, 'https://ntfy.sh/prowling');
+        assert.strictEqual(request.headers.Title, event.title);
+        assert.strictEqual(request.headers.Priority, '4');
+        assert.strictEqual(request.data, event.message);
+        assert.strictEqual(request.headers.Authorization, undefined);
+    });
+
+    it('encodes ntfy titles that are not plain ASCII', () => {
+        const request = buildWebhookRequest({ template: 'ntfy', url: 'https://ntfy.sh/prowling' }, { ...event, title: '1 new for "進撃の巨人"' });
+        assert.strictEqual(request.headers.Title, `=?UTF-8?B?${Buffer.from('1 new for "進撃の巨人"').toString('base64')}?=`);
+    });
+
+    it('sends Gotify messages to /message with the app token', () => {
+        const request = buildWebhookRequest({ template: 'gotify', url: 'https://gotify.local/', token: 'AbC' }, event);
+        assert.strictEqual(request.url, 'https://gotify.local/message');
+        assert.strictEqual(request.headers['X-Gotify-Key'], 'AbC');
+        assert.deepStrictEqual(request.data, { title: event.title, message: event.message, priority: 4 });
+    });
+});
+
+describe('Notifier', () => {
+    let receiver;
+    let config;
+    let rings;
+    let notifier;
+
+    before(async () => {
+        receiver = await startReceiver();
+    });
+
+    after(() => receiver.close());
+
+    beforeEach(() => {
+        receiver.requests.length = 0;
+        rings = 0;
+        config = {
+            enabled: true,
+            sound: true,
+            ...JSON.parse(JSON.stringify(DEFAULT_NOTIFICATIONS))
+        };
+        notifier = new Notifier(() => config, { bell: () => rings++, platform: 'linux' });
+    });
+
+    it('delivers webhooks to a local receiver in each format', async () => {
+        config.webhooks = [
+            { name: 'generic', template: 'generic', url: `${receiver.url}/generic`, token: 't0k', events: ['watch_match'] },
+            { name: 'discord', template: 'discord', url: `${receiver.url}/discord`, events: ['watch_match'] },
+            { name: 'ntfy', template: 'ntfy', url: `${receiver.url}/prowling`, events: ['watch_match'] },
+            { name: 'gotify', template: 'gotify', url: receiver.url, token: 'app', events: ['watch_match'] }
+        ];
+
+        const deliveries = await notifier.notify('watch_match', event.title, event.message, event.data);
+        assert.deepStrictEqual(deliveries.map(delivery => [delivery.sink, delivery.ok]), [
+            ['bell', true], ['generic', true], ['discord', true], ['ntfy', true], ['gotify', true]
+        ]);
+        assert.strictEqual(rings, 1);
+
+        const byPath = Object.fromEntries(receiver.requests.map(request => [request.path, request]));
+        assert.strictEqual(JSON.parse(byPath['/generic'].body).event, 'watch_match');
+        assert.strictEqual(byPath['/generic'].headers.authorization, 'Bearer t0k');
+        assert.strictEqual(JSON.parse(byPath['/discord'].body).embeds[0].description, event.message);
+        assert.strictEqual(byPath['/prowling'].body, event.message);
+        assert.strictEqual(byPath['/prowling'].headers.title, event.title);
+        assert.strictEqual(byPath['/message'].headers['x-gotify-key'], 'app');
+        assert.strictEqual(JSON.parse(byPath['/message'].body).priority, 4);
+    });
+
+    it('only sends an event to the sinks that have it switched on', async () => {
+        config.webhooks = [
+            { name: 'errors only', template: 'generic', url: `${receiver.url}/errors`, events: ['error'] }
+        ];
+
+        const deliveries = await notifier.notify('search_complete', 'Search complete', 'ubuntu: 3 results');
+        assert.deepStrictEqual(deliveries, []);
+        assert.strictEqual(rings, 0);
+        assert.strictEqual(receiver.requests.length, 0);
+
+        await notifier.notify('error', 'Search failed', 'timeout');
+        assert.strictEqual(receiver.requests.length, 1);
+        assert.strictEqual(rings, 1);
+    });
+
+    it('stays quiet when notifications are off, and the bell follows the sound setting', async () => {
+        config.webhooks = [{ name: 'all', template: 'generic', url: `${receiver.url}/all`, events: ['error'] }];
+        config.enabled = false;
+        assert.deepStrictEqual(await notifier.notify('error', 'x', 'y'), []);
+
+        config.enabled = true;
+        config.sound = false;
+        const deliveries = await notifier.notify('error', 'x', 'y');
+        assert.deepStrictEqual(deliveries.map(delivery => delivery.sink), ['all']);
+        assert.strictEqual(rings, 0);
+    });
+
+    it('delivers ntfy titles outside latin1', async () => {
+        config.sound = false;
+        config.webhooks = [{ name: 'ntfy', template: 'ntfy', url: `${receiver.url}/unicode`, events: ['watch_match'] }];
+
+        const [delivery] = await notifier.notify('watch_match', '1 new for "Жена 🎬"', event.message);
+        assert.strictEqual(delivery.ok, true);
+        const [, encoded] = receiver.requests[0].headers.title.match(/^=\?UTF-8\?B\?(.*)\?=$/);
+        assert.strictEqual(Buffer.from(encoded, 'base64').toString('utf8'), '1 new for "Жена 🎬"');
+    });
+
+    it('reports failed deliveries instead of throwing', async () => {
+        config.sound = false;
+        config.webhooks = [
+            { name: 'broken', template: 'generic', url: `${receiver.url}/broken`, events: ['error'] },
+            { name: 'fine', template: 'generic', url: `${receiver.url}/fine`, events: ['error'] }
+        ];
+
+        const deliveries = await notifier.notify('error', 'x', 'y');
+        assert.strictEqual(deliveries[0].ok, false);
+        assert.match(deliveries[0].error, /500/);
+        assert.strictEqual(deliveries[1].ok, true);
+    });
+
+    it('runs notify-send for desktop notifications', async () => {
+        const calls = [];
+        notifier = new Notifier(() => config, {
+            bell: () => {},
+            platform: 'linux',
+            run: (command, args) => {
+                calls.push([command, ...args]);
+                const child = new EventEmitter();
+                setImmediate(() => child.emit('exit', 0));
+                return child;
+            }
+        });
+        config.desktop.enabled = true;
+
+        const deliveries = await notifier.notify('error', 'Download failed', 'disk full');
+        assert.deepStrictEqual(deliveries.map(delivery => [delivery.sink, delivery.ok]), [['bell', true], ['desktop', true]]);
+        assert.deepStrictEqual(calls, [['notify-send', '--app-name=Prowling', '--urgency=critical', 'Download failed', 'disk full']]);
+    });
+
+    it('explains a missing notify-send', async () => {
+        notifier = new Notifier(() => config, {
+            bell: () => {},
+            platform: 'linux',
+            run: () => {
+                const child = new EventEmitter();
+                setImmediate(() => child.emit('error', Object.assign(new Error('spawn notify-send ENOENT'), { code: 'ENOENT' })));
+                return child;
+            }
+        });
+        config.desktop.enabled = true;
+        config.sound = false;
+
+        const [delivery] = await notifier.notify('error', 'x', 'y');
+        assert.deepStrictEqual(delivery, { sink: 'desktop', ok: false, error: 'notify-send is not installed' });
+    });
+
+    it('tests every sink that is switched on regardless of its events', async () => {
+        config.webhooks = [{ name: 'hook', template: 'generic', url: `${receiver.url}/test`, events: [] }];
+        const deliveries = await notifier.test();
+        assert.deepStrictEqual(deliveries.map(delivery => delivery.sink), ['bell', 'hook']);
+        assert.strictEqual(JSON.parse(receiver.requests[0].body).title, 'Prowling test');
+    });
+});
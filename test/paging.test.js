@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { paginate, mightHaveMore, mergeResults } = require('../lib/paging');
+
+const items = Array.from({ length: 25 }, (_, i) => i);
+
+describe('paginate', () => {
+    it('slices out the requested page', () => {
+        assert.deepStrictEqual(paginate(items, 1, 10), {
+            items: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+            page: 1,
+            pageCount: 3,
+            start: 10
+        });
+        assert.deepStrictEqual(paginate(items, 2, 10).items, [20, 21, 22, 23, 24]);
+    });
+
+    it('clamps pages that no longer exist', () => {
+        assert.strictEqual(paginate(items, 7, 10).page, 2);
+        assert.strictEqual(paginate(items, -1, 10).page, 0);
+    });
+
+    it('always has one page, even when empty', () => {
+        assert.deepStrictEqual(paginate([], 3, 10), { items: [], page: 0, pageCount: 1, start: 0 });
+    });
+});
+
+describe('mightHaveMore', () => {
+    const batch = (counts) => Object.entries(counts).flatMap(([indexerId, count]) =>
+        Array.from({ length: count }, (_, i) => ({ indexerId: Number(indexerId), guid: `${indexerId}-${i}` }))
+    );
+
+    it('is true while any indexer fills its limit', () => {
+        assert.strictEqual(mightHaveMore(batch({ 1: 3, 2: 10 }), 10), true);
+    });
+
+    it('is false once every indexer came back short', () => {
+        assert.strictEqual(mightHaveMore(batch({ 1: 9, 2: 4 }), 10), false);
+        assert.strictEqual(mightHaveMore([], 10), false);
+    });
+});
+
+describe('mergeResults', () => {
+    it('appends new releases and skips repeats from the same indexer', () => {
+        const existing = [{ indexerId: 1, guid: 'a' }, { indexerId: 2, guid: 'a' }];
+        const merged = mergeResults(existing, [{ indexerId: 1, guid: 'a' }, { indexerId: 1, guid: 'b' }]);
+
+        assert.strictEqual(merged.added, 1);
+        assert.deepStrictEqual(merged.results.map(result => `${result.indexerId}:${result.guid}`), ['1:a', '2:a', '1:b']);
+    });
+});
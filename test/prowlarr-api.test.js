@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+    ProwlarrApi,
+    ProwlarrConnectionError,
+    ProwlarrAuthError,
+    ProwlarrApiError,
+    serializeParams
+} = require('../lib/prowlarr-api');
+const { startFakeProwlarr } = require('./fake-prowlarr');
+
+const indexers = [
+    { id: 1, name: 'Torrent Indexer', protocol: 'torrent', priority: 25, enable: true },
+    { id: 2, name: 'Usenet Indexer', protocol: 'usenet', priority: 10, enable: true }
+];
+
+const indexerStatuses = [
+    { id: 1, indexerId: 2, disabledTill: '2030-01-01T00:00:00Z', mostRecentFailure: '2029-12-31T23:00:00Z' }
+];
+
+const downloadClients = [
+    { id: 7, name: 'qBit', protocol: 'torrent', enable: true, priority: 1 }
+];
+
+const results = [
+    { guid: 'guid-1', indexerId: 1, indexer: 'Torrent Indexer', title: 'Big.Buck.Bunny.2008.1080p', size: 1024, seeders: 12, protocol: 'torrent' }
+];
+
+describe('serializeParams', () => {
+    it('repeats array keys and encodes values', () => {
+        assert.strictEqual(
+            serializeParams({ query: 'big buck&bunny', categories: [2000, 5000], limit: undefined }),
+            'query=big%20buck%26bunny&categories=2000&categories=5000'
+        );
+    });
+});
+
+describe('ProwlarrApi', () => {
+    let server;
+    let api;
+
+    before(async () => {
+        server = await startFakeProwlarr({
+            indexers,
+            indexerStatuses,
+            results,
+            downloadClients,
+            grab: (body) => body.guid === 'guid-1'
+                ? [200, { ...results[0] }]
+                : [404, { message: 'Couldn\'t find requested release in cache, cache timeout probably expired.' }]
+        });
+        api = new ProwlarrApi({ baseUrl: `${server.url}/`, apiKey: 'test-key' });
+    });
+
+    after(() => server.close());
+
+    it('sends the API key per instance', async () => {
+        const status = await api.getSystemStatus();
+        assert.strictEqual(status.appName, 'Prowlarr');
+        assert.strictEqual(server.requests.at(-1).headers['x-api-key'], 'test-key');
+    });
+
+    it('lists indexers', async () => {
+        assert.deepStrictEqual(await api.getIndexers(), indexers);
+    });
+
+    it('lists indexer statuses', async () => {
+        assert.deepStrictEqual(await api.getIndexerStatuses(), indexerStatuses);
+        assert.strictEqual(server.requests.at(-1).path, '/api/v1/indexerstatus');
+    });
+
+    it('searches with repeated array params', async () => {
+        const found = await api.search({ query: 'bunny', type: 'search', categories: [2000, 2040], indexerIds: [1, 2] });
+        assert.deepStrictEqual(found, results);
+
+        const { path, query } = server.requests.at(-1);
+        assert.strictEqual(path, '/api/v1/search');
+        assert.strictEqual(query.get('query'), 'bunny');
+        assert.deepStrictEqual(query.getAll('categories'), ['2000', '2040']);
+        assert.deepStrictEqual(query.getAll('indexerIds'), ['1', '2']);
+    });
+
+    it('grabs a cached release by guid and indexer', async () => {
+        const release = await api.grab('guid-1', 1);
+        assert.strictEqual(release.title, results[0].title);
+        assert.deepStrictEqual(server.requests.at(-1).body, { guid: 'guid-1', indexerId: 1 });
+    });
+
+    it('lists download clients and grabs with a specific one', async () => {
+        assert.deepStrictEqual(await api.getDownloadClients(), downloadClients);
+
+        await api.grab('guid-1', 1, 7);
+        assert.deepStrictEqual(server.requests.at(-1).body, { guid: 'guid-1', indexerId: 1, downloadClientId: 7 });
+    });
+
+    it('surfaces Prowlarr error messages', async () => {
+        await assert.rejects(api.grab('missing', 1), (error) => {
+            assert.ok(error instanceof ProwlarrApiError);
+            assert.strictEqual(error.status, 404);
+            assert.match(error.message, /cache timeout/);
+            return true;
+        });
+    });
+
+    it('throws an auth error for a bad API key', async () => {
+        const badApi = new ProwlarrApi({ baseUrl: server.url, apiKey: 'wrong' });
+        await assert.rejects(badApi.getIndexers(), ProwlarrAuthError);
+    });
+
+    it('throws a connection error when Prowlarr is unreachable', async () => {
+        const offline = new ProwlarrApi({ baseUrl: 'http://127.0.0.1:1', apiKey: 'test-key' });
+        await assert.rejects(offline.getSystemStatus(), ProwlarrConnectionError);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { QBittorrentClient } = require('../lib/download-clients/qbittorrent');
+const { DownloadClientAuthError } = require('../lib/download-clients/errors');
+
+// Fake qBittorrent WebUI: admin/secret, issues a new SID on every login
+const startFakeQBittorrent = async () => {
+    const state = { sessions: new Set(), logins: 0, added: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const form = new URLSearchParams(body);
+            const sid = (req.headers.cookie || '').match(/SID=([^;]+)/)?.[1];
+
+            if (req.url === '/api/v2/auth/login') {
+                if (form.get('username') !== 'admin' || form.get('password') !== 'secret') {
+                    return res.end('Fails.');
+                }
+                const newSid = `sid-${++state.logins}`;
+                state.sessions.add(newSid);
+                res.setHeader('Set-Cookie', `SID=${newSid}; HttpOnly; path=/`);
+                return res.end('Ok.');
+            }
+            if (!state.sessions.has(sid)) {
+                res.statusCode = 403;
+                return res.end('Forbidden');
+            }
+            if (req.url === '/api/v2/torrents/categories') {
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ movies: { name: 'movies', savePath: '/data/movies' } }));
+            }
+            if (req.url === '/api/v2/torrents/add') {
+                state.added.push(Object.fromEntries(form));
+                return res.end('Ok.');
+            }
+            res.statusCode = 404;
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+describe('QBittorrentClient', () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeQBittorrent();
+    });
+
+    beforeEach(() => {
+        server.state.sessions.clear();
+        server.state.added.length = 0;
+    });
+
+    after(() => server.close());
+
+    it('logs in and reuses the session cookie', async () => {
+        const client = new QBittorrentClient({ url: server.url, username: 'admin', password: 'secret' });
+        const logins = server.state.logins;
+
+        assert.deepStrictEqual(Object.keys(await client.getCategories()), ['movies']);
+        await client.getCategories();
+        assert.strictEqual(server.state.logins, logins + 1);
+    });
+
+    it('logs in again when the session expired', async () => {
+        const client = new QBittorrentClient({ url: server.url, username: 'admin', password: 'secret' });
+        await client.getCategories();
+
+        server.state.sessions.clear();
+        await client.getCategories();
+        assert.strictEqual(client.cookie, `SID=sid-${server.state.logins}`);
+    });
+
+    it('rejects bad credentials', async () => {
+        const client = new QBittorrentClient({ url: server.url, username: 'admin', password: 'wrong' });
+        await assert.rejects(client.getCategories(), DownloadClientAuthError);
+    });
+
+    it('sends the add options', async () => {
+        const client = new QBittorrentClient({ url: server.url, username: 'admin', password: 'secret' });
+        await client.addTorrent('magnet:?xt=urn:btih:abc', {
+            savePath: '/downloads',
+            category: 'movies',
+            tags: ['prowling', 'hd'],
+            paused: true,
+            sequentialDownload: true
+        });
+
+        assert.deepStrictEqual(server.state.added, [{
+            urls: 'magnet:?xt=urn:btih:abc',
+            savepath: '/downloads',
+            category: 'movies',
+            tags: 'prowling,hd',
+            paused: 'true',
+            stopped: 'true',
+            sequentialDownload: 'true'
+        }]);
+    });
+});
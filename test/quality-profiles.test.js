@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    scoreResult,
+    compileProfile,
+    createScorer,
+    compareScores,
+    parseWeightedList,
+    formatWeightedList,
+    parseSizeLimits,
+    formatSizeLimits,
+    parseSplit
+} = require('../lib/quality-profiles');
+const { FilterSyntaxError } = require('../lib/filters');
+
+const GB = 1024 ** 3;
+
+const profile = {
+    required: 'resolution>=720p',
+    rejected: ['source:cam', '/\\bHC\\b/'],
+    preferred: [{ filter: 'codec:x265', score: 10 }, { filter: 'source:webrip', score: -5 }],
+    preferredIndexers: [{ indexer: 'Good', score: 20 }],
+    sizeLimits: [{ category: 2000, min: 1 * GB, max: 20 * GB }],
+    minSeeders: 2,
+    seedersWeight: 10
+};
+
+const movie = (title, fields = {}) => ({
+    title,
+    size: 4 * GB,
+    protocol: 'torrent',
+    seeders: 99,
+    indexer: 'Other',
+    categories: [{ id: 2040, name: 'Movies/HD' }],
+    ...fields
+});
+
+describe('scoreResult', () => {
+    const compiled = compileProfile(profile);
+
+    it('adds up preferred terms, indexers and seeders', () => {
+        const result = scoreResult(movie('Movie.2020.1080p.WEBRip.x265-GRP', { indexer: 'good' }), compiled);
+        assert.deepStrictEqual(result, {
+            score: 45,
+            rejected: false,
+            breakdown: [
+                { label: 'codec:x265', points: 10 },
+                { label: 'source:webrip', points: -5 },
+                { label: 'indexer good', points: 20 },
+                { label: '99 seeders', points: 20 }
+            ],
+            rejections: []
+        });
+    });
+
+    const rejections = [
+        ['Movie.2020.480p.BluRay.x264', {}, /does not match required resolution>=720p/],
+        ['Movie.2020.1080p.CAM', {}, /matches rejected source:cam/],
+        ['Movie.2020.1080p.HC.WEB', {}, /matches rejected \/\\bHC\\b\//],
+        ['Movie.2020.1080p.BluRay', { size: 25 * GB }, /25\.00 GB is above 20\.00 GB for category 2000/],
+        ['Movie.2020.1080p.BluRay', { size: 0.5 * GB }, /below 1\.00 GB/],
+        ['Movie.2020.1080p.BluRay', { seeders: 1 }, /1 seeders, at least 2 wanted/]
+    ];
+    rejections.forEach(([title, fields, reason]) => {
+        it(`rejects ${title} ${JSON.stringify(fields)}`, () => {
+            const result = scoreResult(movie(title, fields), compiled);
+            assert.strictEqual(result.rejected, true);
+            assert.ok(result.rejections.some(rejection => reason.test(rejection)), result.rejections.join(', '));
+        });
+    });
+
+    it('only applies size limits to their category and seeders to torrents', () => {
+        const tv = movie('Show.S01E01.1080p.WEB', { size: 50 * GB, categories: [{ id: 5040 }] });
+        assert.strictEqual(scoreResult(tv, compiled).rejected, false);
+        const nzb = movie('Movie.2020.1080p.WEB', { protocol: 'usenet', seeders: undefined });
+        assert.deepStrictEqual(scoreResult(nzb, compiled), { score: 0, rejected: false, breakdown: [], rejections: [] });
+    });
+
+    it('works with an empty profile', () => {
+        assert.deepStrictEqual(scoreResult(movie('Anything'), compileProfile({})).score, 0);
+    });
+});
+
+describe('createScorer', () => {
+    it('ranks accepted results by score, rejected ones last', () => {
+        const score = createScorer(profile);
+        const results = [
+            movie('Movie.2020.1080p.CAM.x265'),
+            movie('Movie.2020.1080p.BluRay.x264'),
+            movie('Movie.2020.1080p.BluRay.x265')
+        ];
+        const ranked = [...results].sort((a, b) => compareScores(score(a), score(b)));
+        assert.deepStrictEqual(ranked.map(result => result.title), [
+            'Movie.2020.1080p.BluRay.x265',
+            'Movie.2020.1080p.BluRay.x264',
+            'Movie.2020.1080p.CAM.x265'
+        ]);
+        assert.strictEqual(score(results[0]), score(results[0]));
+    });
+
+    it('fails early on broken expressions', () => {
+        assert.throws(() => createScorer({ rejected: ['size>huge'] }), FilterSyntaxError);
+    });
+});
+
+describe('profile editing helpers', () => {
+    it('round-trips weighted lists', () => {
+        const list = parseWeightedList('+10 codec:x265; -5  source:webrip ;');
+        assert.deepStrictEqual(list, [{ filter: 'codec:x265', score: 10 }, { filter: 'source:webrip', score: -5 }]);
+        assert.strictEqual(formatWeightedList(list), '+10 codec:x265; -5 source:webrip');
+        assert.deepStrictEqual(parseWeightedList('+20 My Indexer', 'indexer'), [{ indexer: 'My Indexer', score: 20 }]);
+    });
+
+    it('needs a score for every weighted entry', () => {
+        assert.throws(() => parseWeightedList('codec:x265'), /needs a score first/);
+        assert.throws(() => parseWeightedList('+5 size>huge'), /Invalid size/);
+    });
+
+    it('round-trips size limits with open bounds', () => {
+        const limits = parseSizeLimits('2000 1GB-20GB; 5000 -5.5GB; 3000 700MB-');
+        assert.deepStrictEqual(limits, [
+            { category: 2000, min: GB, max: 20 * GB },
+            { category: 5000, min: null, max: 5.5 * GB },
+            { category: 3000, min: 700 * 1024 ** 2, max: null }
+        ]);
+        assert.strictEqual(formatSizeLimits(limits), '2000 1GB-20GB; 5000 -5.5GB; 3000 700MB-');
+        assert.throws(() => parseSizeLimits('2000 -'), /should look like/);
+    });
+
+    it('normalizes rejected expressions', () => {
+        assert.deepStrictEqual(parseSplit(' source:cam ;  -seeders>1  /x/ '), ['source:cam', '-seeders>1 /x/']);
+    });
+});
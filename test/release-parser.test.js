@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseReleaseTitle, formatEpisode, formatReleaseTags, qualityRank } = require('../lib/release-parser');
+
+// Real-world release names and the attributes expected from them, fields left out are not checked
+const CORPUS = [
+    // Movies, scene style
+    ['Oppenheimer.2023.1080p.BluRay.x264-SPARKS', { name: 'Oppenheimer', year: 2023, resolution: '1080p', source: 'BluRay', videoCodec: 'x264', group: 'SPARKS', season: null, episodes: [] }],
+    ['Dune.Part.Two.2024.2160p.UHD.BluRay.REMUX.DV.HDR10.HEVC.TrueHD.7.1.Atmos-FGT', { name: 'Dune Part Two', year: 2024, resolution: '2160p', source: 'Remux', videoCodec: 'H.265', hdr: ['DV', 'HDR10'], audioCodec: 'TrueHD Atmos', audioChannels: '7.1', group: 'FGT' }],
+    ['The.Batman.2022.2160p.WEB-DL.DDP5.1.Atmos.DV.HDR10Plus.HEVC-CMRG', { resolution: '2160p', source: 'WEB-DL', hdr: ['DV', 'HDR10+'], audioCodec: 'DDP Atmos', audioChannels: '5.1', videoCodec: 'H.265', group: 'CMRG' }],
+    ['Inception.2010.720p.BluRay.DTS.x264-ESiR', { year: 2010, resolution: '720p', source: 'BluRay', audioCodec: 'DTS', videoCodec: 'x264', group: 'ESiR' }],
+    ['Interstellar.2014.1080p.BluRay.DTS-HD.MA.5.1.x264-HiFi', { audioCodec: 'DTS-HD MA', audioChannels: '5.1', group: 'HiFi' }],
+    ['Top.Gun.Maverick.2022.2160p.BluRay.REMUX.HDR.HEVC.DTS-X.7.1-FGT', { source: 'Remux', hdr: ['HDR'], audioCodec: 'DTS:X', audioChannels: '7.1', group: 'FGT' }],
+    ['The.Matrix.1999.REPACK.1080p.BluRay.x264-AMIABLE', { year: 1999, repack: true, proper: false, group: 'AMIABLE' }],
+    ['Heat.1995.PROPER.720p.BluRay.x264-CiNEFiLE', { year: 1995, proper: true, repack: false, resolution: '720p' }],
+    ['Movie.2021.1080p.WEB.H264-GRP', { source: 'WEB-DL', videoCodec: 'H.264', group: 'GRP' }],
+    ['Movie.2021.1080p.AMZN.WEBRip.DDP5.1.x264-NTG', { source: 'WEBRip', audioCodec: 'DDP', audioChannels: '5.1', group: 'NTG' }],
+    ['Movie.2003.DVDRip.XviD.AC3-BiRD', { year: 2003, resolution: null, source: 'DVD', videoCodec: 'XviD', audioCodec: 'DD', group: 'BiRD' }],
+    ['Movie.2018.BDRip.x264-GECKOS', { source: 'BluRay', resolution: null, group: 'GECKOS' }],
+    ['Movie.2022.HDCAM.x264-XYZ', { source: 'CAM', group: 'XYZ' }],
+    ['Movie.2022.HDTS.XviD.MP3-LOW', { source: 'Telesync', audioCodec: 'MP3' }],
+    ['Movie.2022.DVDSCR.XviD-CRiME', { source: 'Screener' }],
+    ['Movie.1998.PAL.DVDR-NOiR', { source: 'DVD', group: 'NOiR' }],
+    ['Movie.2019.FRENCH.1080p.WEB.H264-FRATERNiTY', { languages: ['French'], group: 'FRATERNiTY' }],
+    ['Movie.2020.MULTi.2160p.WEB-DL.DV.HDR.H265.DDP5.1-XYZ', { languages: ['Multi'], hdr: ['DV', 'HDR'], videoCodec: 'H.265' }],
+    ['Movie.2019.GERMAN.DL.1080p.BluRay.x264-DETAiLS', { languages: ['German'], source: 'BluRay', group: 'DETAiLS' }],
+    ['Movie.2017.iTALiAN.MD.720p.HDTS.x264-iSTANCE', { languages: ['Italian'], source: 'Telesync' }],
+    ['The.French.Dispatch.2021.720p.WEBRip.x264.AAC2.0-GRP', { name: 'The French Dispatch', languages: [], audioCodec: 'AAC', audioChannels: '2.0' }],
+    ['Cam.2018.1080p.NF.WEB-DL.DD5.1.x264-NTG', { name: 'Cam', source: 'WEB-DL', audioCodec: 'DD', audioChannels: '5.1' }],
+    ['Blade.Runner.2049.2017.1080p.BluRay.x264-SPARKS', { year: 2017, resolution: '1080p' }],
+    ['2001.A.Space.Odyssey.1968.1080p.BluRay.x264-AMIABLE', { name: '2001 A Space Odyssey', year: 1968 }],
+    ['Spider-Man.2002.1080p.BluRay.x264', { name: 'Spider-Man', year: 2002, group: null }],
+    ['Movie.2019.1080p.WEB-DL', { source: 'WEB-DL', group: null }],
+    ['Movie.2016.1080p.BluRay.x264.DD+5.1-GRP', { audioCodec: 'DDP', audioChannels: '5.1' }],
+    ['Movie.2016.1080p.BluRay.FLAC.2.0.x264-GRP', { audioCodec: 'FLAC', audioChannels: '2.0' }],
+    ['Movie.2021.1080p.WEB-DL.EAC3.5.1.H.264-GRP', { audioCodec: 'DDP', audioChannels: '5.1', videoCodec: 'H.264' }],
+    ['Movie.2021.2160p.WEB-DL.Opus.AV1-GRP', { audioCodec: 'Opus', videoCodec: 'AV1' }],
+    ['Movie.2015.2160p.HLG.WEB.VP9-GRP', { hdr: ['HLG'], videoCodec: 'VP9' }],
+    ['Movie 2019 1080p WEBRip x265 10bit AAC 5.1 [RARBG]', { source: 'WEBRip', videoCodec: 'x265', audioChannels: '5.1', group: null }],
+    ['Movie.2019.1080p.WEBRip.x265-RARBG', { group: 'RARBG' }],
+    ['Movie (2010) [1080p] [BluRay] [5.1] [YTS.MX]', { name: 'Movie', year: 2010, resolution: '1080p', source: 'BluRay', audioChannels: '5.1', group: 'YTS.MX' }],
+    ['Movie (2015) 4K UHD HDR10 2160p', { resolution: '2160p', hdr: ['HDR10'] }],
+    ['Movie.2015.576p.BluRay.DD5.1.x264-HiSD', { resolution: '576p' }],
+    ['Old.Movie.1954.480p.DVDRip.x264-GRP', { resolution: '480p', source: 'DVD' }],
+    ['Movie.2021.1080p.BluRay.Remux.AVC.LPCM.2.0-GRP', { source: 'Remux', videoCodec: 'H.264', audioCodec: 'LPCM', audioChannels: '2.0' }],
+    ['Movie.2019.1080p.BluRay.x264-GRP.mkv', { group: 'GRP' }],
+    ['Movie.2019.1080p.BluRay.x264-GRP[rarbg]', { group: 'GRP' }],
+
+    // Episodes
+    ['The.Mandalorian.S02E05.Chapter.13.1080p.DSNP.WEB-DL.DDP5.1.Atmos.H.264-MZABI', { name: 'The Mandalorian', season: 2, episodes: [5], source: 'WEB-DL', audioCodec: 'DDP Atmos', audioChannels: '5.1', videoCodec: 'H.264', group: 'MZABI' }],
+    ['Breaking Bad S05E14 720p HDTV x264-IMMERSE', { name: 'Breaking Bad', season: 5, episodes: [14], resolution: '720p', source: 'HDTV', group: 'IMMERSE' }],
+    ['Show.S02E03.REPACK.720p.AMZN.WEB-DL.DDP5.1.H.264-NTb', { season: 2, episodes: [3], repack: true, group: 'NTb' }],
+    ['Show.S01E01E02.1080p.WEB.h264-GRP', { season: 1, episodes: [1, 2] }],
+    ['Show.S01E01-E03.1080p.WEB.h264-GRP', { season: 1, episodes: [1, 2, 3] }],
+    ['Show.S01E01-03.720p.HDTV.x264-LOL', { season: 1, episodes: [1, 2, 3] }],
+    ['show.s10e100.hdtv.x264-grp', { season: 10, episodes: [100] }],
+    ['Show.1x05.HDTV.XviD-LOL', { name: 'Show', season: 1, episodes: [5], source: 'HDTV', videoCodec: 'XviD' }],
+    ['The.Office.US.S03.COMPLETE.720p.WEBRip.x265-GalaxyTV', { name: 'The Office US', season: 3, episodes: [], source: 'WEBRip' }],
+    ['Show Season 2 Complete 1080p BluRay x264', { season: 2, episodes: [] }],
+    ['Show.2019.S01E01.PROPER.1080p.WEB.H264-GRP', { name: 'Show', year: 2019, season: 1, episodes: [1], proper: true }],
+    ['The.Real.Housewives.S01E01.720p.HDTV.x264-GRP', { name: 'The Real Housewives', proper: false }],
+    ['Show.S04E09.German.DL.720p.WEB.h264-GRP', { languages: ['German'] }],
+    ['Show.S01E02.VOSTFR.1080p.WEB.x264-GRP', { languages: ['French subs'] }],
+
+    // Anime
+    ['[SubsPlease] Anime Title - 05 (1080p) [ABCD1234].mkv', { name: 'Anime Title', season: null, episodes: [5], resolution: '1080p', group: 'SubsPlease' }],
+    ['[Erai-raws] Another Show - 1071 [720p][Multiple Subtitle].mkv', { episodes: [1071], resolution: '720p', group: 'Erai-raws' }],
+    ['[Judas] Anime Title - S02E03 [1080p][HEVC x265 10bit]', { season: 2, episodes: [3], videoCodec: 'x265', group: 'Judas' }],
+
+    // Not much to go on
+    ['Some Random Upload', { name: 'Some Random Upload', resolution: null, source: null, group: null, year: null }],
+    ['', { name: null, resolution: null, episodes: [] }]
+];
+
+describe('parseReleaseTitle', () => {
+    CORPUS.forEach(([title, expected]) => {
+        it(title || '(empty title)', () => {
+            const release = parseReleaseTitle(title);
+            Object.keys(expected).forEach(key => {
+                assert.deepStrictEqual(release[key], expected[key], `${key} of ${title}`);
+            });
+        });
+    });
+});
+
+describe('formatReleaseTags', () => {
+    it('lists the attributes in a compact form', () => {
+        const release = parseReleaseTitle('Show.S02E03.REPACK.2160p.AMZN.WEB-DL.DDP5.1.Atmos.DV.HDR10.H.265-NTb');
+        assert.deepStrictEqual(formatReleaseTags(release), ['2160p', 'WEB-DL', 'H.265', 'DV HDR10', 'DDP 5.1 Atmos', 'REPACK']);
+    });
+
+    it('puts the codec, then the channels, then Atmos', () => {
+        const tag = (title) => formatReleaseTags(parseReleaseTitle(title)).find(part => /Atmos|DDP|TrueHD/.test(part));
+        assert.strictEqual(tag('The.Mandalorian.S02E05.1080p.DSNP.WEB-DL.DDP5.1.Atmos.H.264-MZABI'), 'DDP 5.1 Atmos');
+        assert.strictEqual(tag('Dune.Part.Two.2024.2160p.UHD.BluRay.REMUX.DV.HDR10.HEVC.TrueHD.7.1.Atmos-FGT'), 'TrueHD 7.1 Atmos');
+        assert.strictEqual(tag('Movie.2021.1080p.WEB-DL.DDP.Atmos.H.264-GRP'), 'DDP Atmos');
+        assert.strictEqual(tag('Movie.2021.1080p.AMZN.WEBRip.DDP5.1.x264-NTG'), 'DDP 5.1');
+    });
+
+    it('is empty when nothing was recognised', () => {
+        assert.deepStrictEqual(formatReleaseTags(parseReleaseTitle('Some Random Upload')), []);
+    });
+});
+
+describe('formatEpisode', () => {
+    const cases = [
+        ['Show.S02E05.720p', 'S02E05'],
+        ['Show.S01E01-03.720p', 'S01E01-E03'],
+        ['Show.S03.720p', 'S03'],
+        ['[Group] Show - 12 [1080p]', '#12'],
+        ['Movie.2020.1080p', null]
+    ];
+    cases.forEach(([title, expected]) => {
+        it(`${title} -> ${expected}`, () => {
+            assert.strictEqual(formatEpisode(parseReleaseTitle(title)), expected);
+        });
+    });
+});
+
+describe('qualityRank', () => {
+    it('orders by resolution, then source', () => {
+        const titles = [
+            'Movie.2020.720p.BluRay.x264',
+            'Movie.2020.1080p.HDTV.x264',
+            'Movie.2020.1080p.BluRay.x264',
+            'Movie.2020.2160p.WEB-DL.x265',
+            'Movie.2020.CAM',
+            'Movie.2020.1080p.BluRay.REMUX.AVC'
+        ];
+        const ranked = [...titles].sort((a, b) => qualityRank(parseReleaseTitle(b)) - qualityRank(parseReleaseTitle(a)));
+        assert.deepStrictEqual(ranked, [
+            'Movie.2020.2160p.WEB-DL.x265',
+            'Movie.2020.1080p.BluRay.REMUX.AVC',
+            'Movie.2020.1080p.BluRay.x264',
+            'Movie.2020.1080p.HDTV.x264',
+            'Movie.2020.720p.BluRay.x264',
+            'Movie.2020.CAM'
+        ]);
+    });
+});
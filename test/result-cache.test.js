@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultCache, cacheKey } = require('../lib/result-cache');
+
+describe('ResultCache', () => {
+    let dir;
+    let cache;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+        cache = new ResultCache(path.join(dir, 'results'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('keys on query, categories and indexers regardless of order and case', () => {
+        const key = cacheKey({ query: 'Ubuntu', type: 'search', categories: [2000, 5000], indexerIds: [1, 2] });
+        assert.strictEqual(cacheKey({ indexerIds: [2, 1], categories: [5000, 2000], type: 'search', query: ' ubuntu ' }), key);
+        assert.notStrictEqual(cacheKey({ query: 'ubuntu', type: 'search', categories: [2000], indexerIds: [1, 2] }), key);
+        assert.notStrictEqual(cacheKey({ query: 'ubuntu', type: 'search', categories: [2000, 5000], indexerIds: [1] }), key);
+    });
+
+    it('returns fresh entries and drops expired ones', () => {
+        const params = { query: 'ubuntu', type: 'search' };
+        cache.set(params, [{ title: 'ubuntu.iso' }]);
+
+        const hit = cache.get(params, 30);
+        assert.deepStrictEqual(hit.results, [{ title: 'ubuntu.iso' }]);
+
+        // Age the entry past the TTL
+        const file = cache.filePath(params);
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        entry.storedAt = new Date(Date.now() - 31 * 60000).toISOString();
+        fs.writeFileSync(file, JSON.stringify(entry));
+
+        assert.strictEqual(cache.get(params, 30), null);
+        assert.ok(!fs.existsSync(file));
+    });
+
+    it('keeps extra paging state with the results', () => {
+        const params = { query: 'ubuntu', type: 'search', limit: 100 };
+        cache.set(params, [{ title: 'ubuntu.iso' }], { nextOffset: 200, hasMore: true });
+
+        const hit = cache.get(params, 30);
+        assert.strictEqual(hit.nextOffset, 200);
+        assert.strictEqual(hit.hasMore, true);
+        assert.deepStrictEqual(hit.searchParams, params);
+    });
+
+    it('clears every entry', () => {
+        cache.set({ query: 'a' }, []);
+        cache.set({ query: 'b' }, []);
+        assert.strictEqual(cache.clear(), 2);
+        assert.strictEqual(cache.get({ query: 'a' }, 30), null);
+    });
+});
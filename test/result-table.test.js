@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_RESULT_COLUMNS,
+    displayWidth,
+    truncate,
+    layoutColumns,
+    renderResultTable,
+    pickLayout
+} = require('../lib/result-table');
+
+const rows = [
+    { score: '120', title: 'Some.Movie.2020.1080p.BluRay.x264-GROUP', quality: '1080p BluRay x264', indexer: 'Foo (25)', size: '2.00 GB', seeders: '51', age: '3d' },
+    { score: '✕', title: 'Other.Show.S01E02.720p.WEB-DL', quality: '720p WEB-DL', indexer: '2 indexers', size: '700.00 MB', seeders: 'NZB', age: '5h' }
+];
+
+describe('displayWidth', () => {
+    it('counts wide characters twice and combining marks not at all', () => {
+        assert.strictEqual(displayWidth('abc'), 3);
+        assert.strictEqual(displayWidth('進撃の巨人'), 10);
+        assert.strictEqual(displayWidth('é'), 1);
+    });
+});
+
+describe('truncate', () => {
+    it('keeps text that fits', () => {
+        assert.strictEqual(truncate('Some.Movie', 10), 'Some.Movie');
+    });
+
+    it('cuts text with an ellipsis', () => {
+        assert.strictEqual(truncate('Some.Movie.2020', 8), 'Some.Mo…');
+        assert.strictEqual(truncate('進撃の巨人', 6), '進撃…');
+        assert.strictEqual(truncate('Some Movie', 6), 'Some…');
+        assert.strictEqual(truncate('Some', 0), '');
+    });
+});
+
+describe('layoutColumns', () => {
+    it('gives the title whatever width the other columns leave', () => {
+        const columns = layoutColumns(rows, { width: 100 });
+        assert.deepStrictEqual(columns.map(column => column.name), DEFAULT_RESULT_COLUMNS);
+        const used = columns.reduce((sum, column) => sum + column.width, 0) + 2 * (columns.length - 1);
+        assert.ok(used <= 100, `${used} columns used`);
+        assert.strictEqual(columns.find(column => column.name === 'size').align, 'right');
+    });
+
+    it('does not stretch short titles', () => {
+        const columns = layoutColumns([{ title: 'Short', size: '1 GB' }], { width: 120, columns: ['title', 'size'] });
+        assert.deepStrictEqual(columns.map(column => [column.name, column.width]), [['title', 5], ['size', 4]]);
+    });
+
+    it('drops the least important columns on narrow terminals', () => {
+        assert.deepStrictEqual(layoutColumns(rows, { width: 60 }).map(column => column.name), ['score', 'title', 'size', 'seeders']);
+        assert.deepStrictEqual(layoutColumns(rows, { width: 20 }).map(column => column.name), ['title']);
+    });
+
+    it('keeps the chosen columns in their usual order, with the title always shown', () => {
+        const names = layoutColumns(rows, { width: 200, columns: ['seeders', 'size', 'indexer'] }).map(column => column.name);
+        assert.deepStrictEqual(names, ['title', 'indexer', 'size', 'seeders']);
+    });
+
+    it('leaves out columns nobody has a value for', () => {
+        const unscored = rows.map(row => ({ ...row, score: '' }));
+        assert.ok(!layoutColumns(unscored, { width: 200 }).some(column => column.name === 'score'));
+    });
+});
+
+describe('renderResultTable', () => {
+    it('lines up columns and right-aligns numbers', () => {
+        const { header, lines, blankLine } = renderResultTable(rows, { width: 200, columns: ['title', 'size', 'seeders'] });
+        assert.strictEqual(header, 'TITLE                                         SIZE  SEEDS');
+        assert.deepStrictEqual(lines, [
+            'Some.Movie.2020.1080p.BluRay.x264-GROUP    2.00 GB     51',
+            'Other.Show.S01E02.720p.WEB-DL            700.00 MB    NZB'
+        ]);
+        assert.strictEqual(blankLine, false);
+    });
+
+    it('fits every line in the width', () => {
+        [40, 60, 80, 120].forEach(width => {
+            const { header, lines } = renderResultTable(rows, { width });
+            [header, ...lines].forEach(line => assert.ok(displayWidth(line) <= width, `${displayWidth(line)} > ${width}: ${line}`));
+        });
+    });
+
+    it('spaces columns by density', () => {
+        const compact = renderResultTable(rows, { width: 200, columns: ['title', 'size'], density: 'compact' });
+        const comfortable = renderResultTable(rows, { width: 200, columns: ['title', 'size'], density: 'comfortable' });
+        assert.strictEqual(compact.header, `${'TITLE'.padEnd(39)} ${'SIZE'.padStart(9)}`);
+        assert.strictEqual(comfortable.header, `${'TITLE'.padEnd(39)}   ${'SIZE'.padStart(9)}`);
+        assert.strictEqual(comfortable.blankLine, true);
+    });
+
+    it('paints the cut text and pads around it', () => {
+        const { lines } = renderResultTable(rows, { width: 200, columns: ['title', 'size'], paint: (column, text) => `<${text}>` });
+        assert.strictEqual(lines[1], '<Other.Show.S01E02.720p.WEB-DL>            <700.00 MB>');
+    });
+
+    it('joins cells on one line in the list layout', () => {
+        const { header, lines } = renderResultTable(rows, { width: 60, layout: 'list', columns: ['title', 'indexer', 'size', 'seeders'] });
+        assert.strictEqual(header, null);
+        assert.strictEqual(lines[0], 'Some.Movie.2020.1080p.BluRay.x264… | Foo (25) | 2.00 GB | 51');
+    });
+});
+
+describe('pickLayout', () => {
+    it('uses a table when it fits in auto mode', () => {
+        assert.strictEqual(pickLayout('auto', 100), 'table');
+        assert.strictEqual(pickLayout('auto', 50), 'list');
+        assert.strictEqual(pickLayout('dark', 100), 'table');
+        assert.strictEqual(pickLayout('list', 100), 'list');
+        assert.strictEqual(pickLayout('table', 50), 'table');
+    });
+});
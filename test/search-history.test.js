@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchHistory } = require('../lib/search-history');
+
+describe('SearchHistory', () => {
+    let dir;
+    let history;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+        history = new SearchHistory(path.join(dir, 'history.json'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('records searches newest first and trims to the maximum', () => {
+        history.record({ query: 'one', categories: [2000] }, 5, 2);
+        history.record({ query: 'two', categories: [] }, 0, 2);
+        history.record({ query: 'three', categories: [5000], indexerIds: [1] }, 12, 2);
+
+        const entries = history.list();
+        assert.deepStrictEqual(entries.map(entry => entry.query), ['three', 'two']);
+        assert.strictEqual(entries[0].resultCount, 12);
+        assert.deepStrictEqual(entries[0].indexerIds, [1]);
+    });
+
+    it('refreshes an existing search instead of duplicating it', () => {
+        history.record({ query: 'Ubuntu', categories: [2000, 5000] }, 1, 10);
+        history.record({ query: 'other', categories: [] }, 1, 10);
+        history.record({ query: 'ubuntu ', categories: [5000, 2000] }, 3, 10);
+
+        const entries = history.list();
+        assert.strictEqual(entries.length, 2);
+        assert.strictEqual(entries[0].resultCount, 3);
+    });
+
+    it('keeps searches in different modes apart', () => {
+        history.record({ query: 'Severance', categories: [] }, 4, 10);
+        history.record({ query: 'Severance', categories: [], mode: 'tvsearch', params: { season: 2, ep: 5 } }, 1, 10);
+        history.record({ query: 'Severance', categories: [], mode: 'tvsearch', params: { ep: 5, season: 2 } }, 2, 10);
+
+        const entries = history.list();
+        assert.strictEqual(entries.length, 2);
+        assert.strictEqual(entries[0].mode, 'tvsearch');
+        assert.deepStrictEqual(entries[0].params, { ep: 5, season: 2 });
+        assert.strictEqual(entries[0].resultCount, 2);
+        assert.strictEqual(entries[1].mode, 'search');
+    });
+
+    it('keeps pinned searches on top and out of trimming and clearing', () => {
+        history.record({ query: 'favourite', categories: [] }, 1, 1);
+        history.setPinned({ query: 'favourite', categories: [] }, true);
+        history.record({ query: 'a', categories: [] }, 1, 1);
+        history.record({ query: 'b', categories: [] }, 1, 1);
+
+        assert.deepStrictEqual(history.list().map(entry => entry.query), ['favourite', 'b']);
+
+        history.clear();
+        assert.deepStrictEqual(history.list().map(entry => entry.query), ['favourite']);
+
+        history.clear(true);
+        assert.deepStrictEqual(history.list(), []);
+    });
+
+    it('removes a single search', () => {
+        history.record({ query: 'gone', categories: [] }, 1, 5);
+        history.remove({ query: 'gone', categories: [] });
+        assert.deepStrictEqual(history.list(), []);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { detectSearchInput, buildSearchQuery, supportsSearch, prepareSearch, describeSearch } = require('../lib/search-modes');
+
+describe('detectSearchInput', () => {
+    const cases = [
+        ['tt0111161', { mode: 'movie', query: '', params: { imdbId: 'tt0111161' } }],
+        ['The Shawshank Redemption TT0111161', { mode: 'movie', query: 'The Shawshank Redemption', params: { imdbId: 'tt0111161' } }],
+        ['tmdb:603', { mode: 'movie', query: '', params: { tmdbId: 603 } }],
+        ['Severance S02E05', { mode: 'tvsearch', query: 'Severance', params: { season: 2, ep: 5 } }],
+        ['severance s2e5', { mode: 'tvsearch', query: 'severance', params: { season: 2, ep: 5 } }],
+        ['Severance 2x05', { mode: 'tvsearch', query: 'Severance', params: { season: 2, ep: 5 } }],
+        ['The Wire S03', { mode: 'tvsearch', query: 'The Wire', params: { season: 3 } }],
+        ['tt0903747 S05E14', { mode: 'tvsearch', query: '', params: { imdbId: 'tt0903747', season: 5, ep: 14 } }],
+        ['tvdb:81189 S01', { mode: 'tvsearch', query: '', params: { tvdbId: 81189, season: 1 } }],
+        ['ubuntu 24.04', { mode: null, query: 'ubuntu 24.04', params: {} }],
+        ['Blade Runner 2049', { mode: null, query: 'Blade Runner 2049', params: {} }],
+        ['Mass Effect 1x2', { mode: null, query: 'Mass Effect 1x2', params: {} }]
+    ];
+
+    cases.forEach(([input, expected]) => {
+        it(`reads "${input}"`, () => {
+            assert.deepStrictEqual(detectSearchInput(input), expected);
+        });
+    });
+});
+
+describe('buildSearchQuery', () => {
+    it('appends Prowlarr tokens for the parameters that are set', () => {
+        assert.strictEqual(buildSearchQuery('Severance', { season: 2, ep: 5 }), 'Severance {Season:2}{Episode:5}');
+        assert.strictEqual(buildSearchQuery('', { imdbId: 'tt0111161' }), '{ImdbId:tt0111161}');
+        assert.strictEqual(buildSearchQuery('', { artist: 'Daft Punk', album: '' }), '{Artist:Daft Punk}');
+        assert.strictEqual(buildSearchQuery('ubuntu', {}), 'ubuntu');
+    });
+});
+
+describe('supportsSearch', () => {
+    const tvIndexer = { capabilities: { tvSearchParams: ['q', 'season', 'ep', 'imdbId'], movieSearchParams: [] } };
+
+    it('checks the capability list for the mode and every parameter used', () => {
+        assert.strictEqual(supportsSearch(tvIndexer, 'tvsearch', { season: 2, ep: 5 }, true), true);
+        assert.strictEqual(supportsSearch(tvIndexer, 'tvsearch', { tvdbId: 81189 }, false), false);
+        assert.strictEqual(supportsSearch(tvIndexer, 'movie', { imdbId: 'tt0111161' }, false), false);
+    });
+
+    it('does not need "q" when there is no query text', () => {
+        const idOnly = { capabilities: { movieSearchParams: ['imdbId'] } };
+        assert.strictEqual(supportsSearch(idOnly, 'movie', { imdbId: 'tt0111161' }, false), true);
+        assert.strictEqual(supportsSearch(idOnly, 'movie', {}, true), false);
+    });
+
+    it('gives indexers without capability information the benefit of the doubt', () => {
+        assert.strictEqual(supportsSearch({}, 'music', { artist: 'Daft Punk' }, false), true);
+        assert.strictEqual(supportsSearch({ capabilities: {} }, 'book', { author: 'Le Guin' }, false), true);
+        assert.strictEqual(supportsSearch(tvIndexer, 'search', {}, true), true);
+    });
+});
+
+describe('prepareSearch', () => {
+    const indexers = [
+        { id: 1, name: 'Foo', enable: true, capabilities: { tvSearchParams: ['q', 'season', 'ep'] } },
+        { id: 2, name: 'Bar', enable: true, capabilities: { tvSearchParams: [] } },
+        { id: 3, name: 'Off', enable: false }
+    ];
+
+    it('searches all enabled indexers when none are picked', () => {
+        const { searchParams, skipped } = prepareSearch({ query: 'ubuntu', categories: [] }, indexers);
+        assert.deepStrictEqual(searchParams, { query: 'ubuntu', type: 'search', indexerIds: [1, 2] });
+        assert.deepStrictEqual(skipped, []);
+    });
+
+    it('leaves out indexers that cannot run the search', () => {
+        const search = { query: 'Severance', categories: [5000], mode: 'tvsearch', params: { season: 2 } };
+        const { searchParams, skipped } = prepareSearch(search, indexers);
+        assert.deepStrictEqual(searchParams, { query: 'Severance {Season:2}', type: 'tvsearch', categories: [5000], indexerIds: [1] });
+        assert.deepStrictEqual(skipped.map(indexer => indexer.name), ['Bar']);
+    });
+
+    it('returns an empty indexer list when every picked indexer was skipped', () => {
+        const search = { query: 'Severance', indexerIds: [2], mode: 'tvsearch', params: {} };
+        assert.deepStrictEqual(prepareSearch(search, indexers).searchParams.indexerIds, []);
+    });
+});
+
+describe('describeSearch', () => {
+    it('labels the mode and formats the parameters', () => {
+        assert.strictEqual(describeSearch({ query: 'ubuntu' }), 'ubuntu');
+        assert.strictEqual(describeSearch({ query: 'Severance', mode: 'tvsearch', params: { season: 2, ep: 5 } }), 'TV: Severance S02E05');
+        assert.strictEqual(describeSearch({ query: '', mode: 'movie', params: { imdbId: 'tt0111161' } }), 'Movie: tt0111161');
+        assert.strictEqual(describeSearch({ query: '', mode: 'music', params: { artist: 'Daft Punk', album: 'Discovery' } }), 'Music: Daft Punk Discovery');
+    });
+});
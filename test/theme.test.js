@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const {
+    THEME_ROLES,
+    THEME_PRESETS,
+    DEFAULT_THEME,
+    checkStyle,
+    styleFor,
+    createPalette,
+    detectColorLevel,
+    exportTheme,
+    importTheme,
+    findPreset
+} = require('../lib/theme');
+
+const truecolor = new chalk.Instance({ level: 3 });
+const noColor = new chalk.Instance({ level: 0 });
+
+describe('checkStyle', () => {
+    it('accepts names, hex values, 256-color numbers and modifiers', () => {
+        ['cyan', 'greenBright', 'gray', '#2aa198', '#fa0', '208', '0', 'bold', 'bold.#dc322f', 'underline.magenta', 'none'].forEach(style => {
+            assert.strictEqual(checkStyle(style), null, style);
+        });
+    });
+
+    it('explains what is wrong', () => {
+        assert.match(checkStyle('purple'), /"purple" is not a color/);
+        assert.match(checkStyle('256'), /"256"/);
+        assert.match(checkStyle('#12345'), /"#12345"/);
+        assert.match(checkStyle('bold.'), /Enter a color/);
+        assert.match(checkStyle(''), /Enter a color/);
+    });
+});
+
+describe('styleFor', () => {
+    it('paints with named, hex and 256 colors', () => {
+        assert.strictEqual(styleFor('cyan', truecolor)('x'), truecolor.cyan('x'));
+        assert.strictEqual(styleFor('#2aa198', truecolor)('x'), truecolor.hex('#2aa198')('x'));
+        assert.strictEqual(styleFor('#fa0', truecolor)('x'), truecolor.hex('#ffaa00')('x'));
+        assert.strictEqual(styleFor('208', truecolor)('x'), truecolor.ansi256(208)('x'));
+        assert.strictEqual(styleFor('bold.red', truecolor)('x'), truecolor.bold.red('x'));
+    });
+
+    it('leaves text plain for "none", bad styles and when colors are off', () => {
+        assert.strictEqual(styleFor('none', truecolor)('x'), 'x');
+        assert.strictEqual(styleFor('purple', truecolor)('x'), 'x');
+        assert.strictEqual(styleFor('#2aa198', noColor)('x'), 'x');
+    });
+});
+
+describe('createPalette', () => {
+    it('has a painter for every role, falling back to the default for missing or broken styles', () => {
+        const palette = createPalette({ primary: '#2aa198', error: 'purple' }, truecolor);
+        assert.deepStrictEqual(Object.keys(palette), Object.keys(THEME_ROLES));
+        assert.strictEqual(palette.primary('x'), truecolor.hex('#2aa198')('x'));
+        assert.strictEqual(palette.error('x'), truecolor.red('x'));
+        assert.strictEqual(palette.muted('x'), truecolor.gray('x'));
+    });
+
+    it('only uses valid styles in the presets', () => {
+        Object.entries(THEME_PRESETS).forEach(([name, preset]) => {
+            Object.keys(THEME_ROLES).forEach(role => {
+                assert.strictEqual(checkStyle(preset.colors[role]), null, `${name}.${role}`);
+            });
+        });
+    });
+});
+
+describe('detectColorLevel', () => {
+    it('follows the terminal when nothing is set', () => {
+        assert.strictEqual(detectColorLevel({ env: {}, isTTY: true, supportedLevel: 2 }), 2);
+        assert.strictEqual(detectColorLevel({ env: {}, isTTY: false, supportedLevel: 2 }), 0);
+    });
+
+    it('turns colors off for NO_COLOR unless it is empty', () => {
+        assert.strictEqual(detectColorLevel({ env: { NO_COLOR: '1' }, isTTY: true, supportedLevel: 3 }), 0);
+        assert.strictEqual(detectColorLevel({ env: { NO_COLOR: '' }, isTTY: true, supportedLevel: 3 }), 3);
+    });
+
+    it('lets FORCE_COLOR win, even without a terminal', () => {
+        assert.strictEqual(detectColorLevel({ env: { FORCE_COLOR: '1', NO_COLOR: '1' }, isTTY: false, supportedLevel: 0 }), 1);
+        assert.strictEqual(detectColorLevel({ env: { FORCE_COLOR: '3' }, isTTY: false, supportedLevel: 0 }), 3);
+        assert.strictEqual(detectColorLevel({ env: { FORCE_COLOR: '' }, isTTY: false, supportedLevel: 2 }), 2);
+        assert.strictEqual(detectColorLevel({ env: { FORCE_COLOR: '0' }, isTTY: true, supportedLevel: 3 }), 0);
+        assert.strictEqual(detectColorLevel({ env: { FORCE_COLOR: 'false' }, isTTY: true, supportedLevel: 3 }), 0);
+    });
+});
+
+describe('findPreset', () => {
+    it('recognizes presets and custom themes', () => {
+        assert.strictEqual(findPreset({ ...THEME_PRESETS.solarized.colors }), 'solarized');
+        assert.strictEqual(findPreset({ primary: 'cyan' }), 'default');
+        assert.strictEqual(findPreset({ ...DEFAULT_THEME, primary: '#123456' }), null);
+    });
+});
+
+describe('theme files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('round trips through export and import', () => {
+        const filePath = path.join(dir, 'theme.json');
+        exportTheme(filePath, THEME_PRESETS.solarized.colors, 'solarized');
+        assert.deepStrictEqual(importTheme(filePath), { name: 'solarized', theme: THEME_PRESETS.solarized.colors });
+    });
+
+    it('fills in missing roles with the defaults', () => {
+        const filePath = path.join(dir, 'theme.json');
+        fs.writeFileSync(filePath, JSON.stringify({ colors: { primary: '#ff8800' } }));
+        assert.deepStrictEqual(importTheme(filePath).theme, { ...DEFAULT_THEME, primary: '#ff8800' });
+    });
+
+    it('rejects files it cannot use', () => {
+        const write = (data) => {
+            const filePath = path.join(dir, 'theme.json');
+            fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+            return filePath;
+        };
+        assert.throws(() => importTheme(path.join(dir, 'missing.json')), /Could not read/);
+        assert.throws(() => importTheme(write('{ not json')), /Could not read/);
+        assert.throws(() => importTheme(write({ primary: 'cyan' })), /"colors" object/);
+        assert.throws(() => importTheme(write({ colors: { background: 'black' } })), /Unknown theme roles: background/);
+        assert.throws(() => importTheme(write({ colors: { error: 'purple' } })), /error: "purple"/);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TorrentDownloader, formatDuration, formatProgress } = require('../lib/torrent-downloader');
+
+// Just enough of a webtorrent torrent for the bookkeeping and progress code
+const fakeTorrent = () => Object.assign(new EventEmitter(), {
+    infoHash: 'abc123',
+    name: 'Big Buck Bunny',
+    torrentFile: Buffer.from('d4:infoe'),
+    downloadSpeed: 1024,
+    numPeers: 3,
+    files: [
+        { path: 'Big Buck Bunny/movie.mkv', length: 4096, downloaded: 1024 },
+        { path: 'Big Buck Bunny/sample.mkv', length: 100, downloaded: 0 }
+    ]
+});
+
+describe('TorrentDownloader', () => {
+    let dir;
+    let downloader;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+        downloader = new TorrentDownloader(path.join(dir, 'downloads.json'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('remembers unfinished downloads with their file selection', () => {
+        downloader.remember(fakeTorrent(), '/downloads', [0]);
+
+        const [download] = downloader.getUnfinished();
+        assert.strictEqual(download.infoHash, 'abc123');
+        assert.deepStrictEqual(download.files, [0]);
+        assert.strictEqual(download.length, 4096);
+        assert.strictEqual(Buffer.from(download.torrentFile, 'base64').toString(), 'd4:infoe');
+
+        downloader.remember(fakeTorrent(), '/downloads', [0, 1]);
+        assert.strictEqual(downloader.getUnfinished().length, 1);
+
+        downloader.forget('abc123');
+        assert.deepStrictEqual(downloader.getUnfinished(), []);
+    });
+
+    it('reports progress of the selected files until they are done', async () => {
+        const torrent = fakeTorrent();
+        const seen = [];
+        const waiting = downloader.waitUntilDone(torrent, [0], progress => seen.push(progress));
+
+        assert.strictEqual(seen[0].progress, 0.25);
+        assert.strictEqual(seen[0].eta, 3);
+
+        torrent.files[0].downloaded = 4096;
+        torrent.emit('done');
+        assert.strictEqual(await waiting, 'done');
+    });
+
+    it('can be stopped', async () => {
+        const waiting = downloader.waitUntilDone(fakeTorrent(), [0, 1], () => {});
+        downloader.stop();
+        assert.strictEqual(await waiting, 'stopped');
+    });
+});
+
+describe('formatProgress', () => {
+    it('formats a progress line', () => {
+        assert.strictEqual(formatDuration(3725), '1h 2m');
+        assert.strictEqual(formatDuration(Infinity), '∞');
+        assert.strictEqual(
+            formatProgress({ progress: 0.5, downloaded: 1024, length: 2048, speed: 0, peers: 2, eta: Infinity }),
+            '50.0% · 1.00 KB of 2.00 KB · ⇩ 0 B/s · 2 peers · ETA ∞'
+        );
+    });
+});
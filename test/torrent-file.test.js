@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchTorrentFile } = require('../lib/download-clients/torrent-file');
+const { DownloadClientError } = require('../lib/download-clients/errors');
+
+describe('fetchTorrentFile', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            const hop = req.url.match(/^\/hop\/(\d+)$/);
+            if (hop) {
+                const next = parseInt(hop[1]) - 1;
+                res.writeHead(302, { Location: next > 0 ? `/hop/${next}` : '/file.torrent' });
+                res.end();
+            } else if (req.url === '/file.torrent') {
+                res.writeHead(200, { 'Content-Type': 'application/x-bittorrent' });
+                res.end('d4:infod4:name4:testee');
+            } else if (req.url === '/magnet') {
+                res.writeHead(301, { Location: 'magnet:?xt=urn:btih:abc' });
+                res.end();
+            } else if (req.url === '/loop') {
+                res.writeHead(302, { Location: '/loop' });
+                res.end();
+            } else if (req.url === '/no-location') {
+                res.writeHead(302);
+                res.end();
+            } else if (req.url === '/not-modified') {
+                res.writeHead(304);
+                res.end();
+            } else {
+                res.writeHead(404);
+                res.end('Not found');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    const fetch = (path) => {
+        requests = [];
+        return fetchTorrentFile(`${baseUrl}${path}`);
+    };
+
+    it('returns the .torrent contents', async () => {
+        const { metainfo } = await fetch('/file.torrent');
+        assert.strictEqual(metainfo.toString(), 'd4:infod4:name4:testee');
+    });
+
+    it('returns a magnet link the indexer redirects to', async () => {
+        assert.deepStrictEqual(await fetch('/magnet'), { magnet: 'magnet:?xt=urn:btih:abc' });
+    });
+
+    it('follows a chain of redirects', async () => {
+        const { metainfo } = await fetch('/hop/3');
+        assert.strictEqual(metainfo.toString(), 'd4:infod4:name4:testee');
+        assert.deepStrictEqual(requests, ['/hop/3', '/hop/2', '/hop/1', '/file.torrent']);
+    });
+
+    it('gives up on a redirect loop', async () => {
+        await assert.rejects(fetch('/loop'), (error) => {
+            assert.ok(error instanceof DownloadClientError);
+            assert.match(error.message, /redirected more than 5 times/);
+            return true;
+        });
+        assert.strictEqual(requests.length, 6);
+    });
+
+    it('fails at once on a redirect without a Location or a 304', async () => {
+        await assert.rejects(fetch('/no-location'), /status 302 and no file/);
+        assert.strictEqual(requests.length, 1);
+        await assert.rejects(fetch('/not-modified'), /status 304 and no file/);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it('reports errors from the indexer', async () => {
+        await assert.rejects(fetch('/missing'), /The indexer responded with status 404/);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Readable } = require('stream');
+const { startStreamServer, parseRange, isVideoFile } = require('../lib/torrent-streamer');
+
+// Stand-in for a webtorrent file backed by a buffer
+const fakeFile = (name, content) => ({
+    name,
+    length: content.length,
+    createReadStream: ({ start, end }) => Readable.from([content.subarray(start, end + 1)])
+});
+
+const get = (url, headers = {}) => new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject);
+});
+
+describe('parseRange', () => {
+    it('handles open, closed and suffix ranges', () => {
+        assert.deepStrictEqual(parseRange('bytes=0-', 100), { start: 0, end: 99 });
+        assert.deepStrictEqual(parseRange('bytes=10-19', 100), { start: 10, end: 19 });
+        assert.deepStrictEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+        assert.deepStrictEqual(parseRange('bytes=90-500', 100), { start: 90, end: 99 });
+        assert.strictEqual(parseRange('bytes=200-', 100), null);
+        assert.strictEqual(parseRange('items=0-1', 100), null);
+    });
+});
+
+describe('startStreamServer', () => {
+    it('serves the whole file and byte ranges', async () => {
+        const stream = await startStreamServer(fakeFile('movie.mkv', Buffer.from('0123456789')));
+        try {
+            const full = await get(stream.url);
+            assert.strictEqual(full.status, 200);
+            assert.strictEqual(full.body, '0123456789');
+            assert.strictEqual(full.headers['content-type'], 'video/x-matroska');
+
+            const partial = await get(stream.url, { Range: 'bytes=2-5' });
+            assert.strictEqual(partial.status, 206);
+            assert.strictEqual(partial.body, '2345');
+            assert.strictEqual(partial.headers['content-range'], 'bytes 2-5/10');
+
+            const invalid = await get(stream.url, { Range: 'bytes=50-' });
+            assert.strictEqual(invalid.status, 416);
+        } finally {
+            await stream.close();
+        }
+    });
+
+    it('recognizes video files', () => {
+        assert.ok(isVideoFile({ name: 'Movie.2020.1080p.MKV' }));
+        assert.ok(!isVideoFile({ name: 'Movie.2020.nfo' }));
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { TransmissionClient } = require('../lib/download-clients/transmission');
+const { DownloadClientAuthError } = require('../lib/download-clients/errors');
+
+// Fake Transmission RPC endpoint with basic auth (admin/secret) and a rotating session id
+const startFakeTransmission = async () => {
+    const state = { sessionId: 'session-1', calls: [], handshakes: 0 };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            if (req.headers.authorization !== `Basic ${Buffer.from('admin:secret').toString('base64')}`) {
+                res.statusCode = 401;
+                return res.end();
+            }
+            if (req.headers['x-transmission-session-id'] !== state.sessionId) {
+                state.handshakes++;
+                res.writeHead(409, { 'X-Transmission-Session-Id': state.sessionId });
+                return res.end();
+            }
+
+            const { method, arguments: args } = JSON.parse(body);
+            state.calls.push({ method, args });
+            res.setHeader('Content-Type', 'application/json');
+
+            if (method === 'session-get') {
+                return res.end(JSON.stringify({ result: 'success', arguments: { version: '4.0.5', 'download-dir': '/downloads' } }));
+            }
+            if (method === 'torrent-add') {
+                const key = args.filename === 'magnet:?xt=urn:btih:dupe' ? 'torrent-duplicate' : 'torrent-added';
+                return res.end(JSON.stringify({ result: 'success', arguments: { [key]: { id: 1, name: 'Big Buck Bunny', hashString: 'abc' } } }));
+            }
+            res.end(JSON.stringify({ result: `method ${method} not recognized` }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+describe('TransmissionClient', () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeTransmission();
+    });
+
+    after(() => server.close());
+
+    it('appends the RPC path to a bare URL', () => {
+        assert.strictEqual(new TransmissionClient({ url: 'http://host:9091/' }).url, 'http://host:9091/transmission/rpc');
+        assert.strictEqual(new TransmissionClient({ url: 'http://host/custom/rpc' }).url, 'http://host/custom/rpc');
+    });
+
+    it('performs the session id handshake and retries on 409', async () => {
+        const client = new TransmissionClient({ url: server.url, username: 'admin', password: 'secret' });
+        const handshakes = server.state.handshakes;
+
+        assert.strictEqual((await client.getSession()).version, '4.0.5');
+        assert.strictEqual(server.state.handshakes, handshakes + 1);
+
+        server.state.sessionId = 'session-2';
+        await client.getSession();
+        assert.strictEqual(client.sessionId, 'session-2');
+    });
+
+    it('adds magnets and .torrent metainfo with options', async () => {
+        const client = new TransmissionClient({ url: server.url, username: 'admin', password: 'secret' });
+
+        await client.addTorrent({ magnet: 'magnet:?xt=urn:btih:abc' }, { downloadDir: '/data', paused: true });
+        assert.deepStrictEqual(server.state.calls.at(-1).args, { filename: 'magnet:?xt=urn:btih:abc', 'download-dir': '/data', paused: true });
+
+        const added = await client.addTorrent({ metainfo: Buffer.from('d4:infoe') });
+        assert.strictEqual(server.state.calls.at(-1).args.metainfo, Buffer.from('d4:infoe').toString('base64'));
+        assert.strictEqual(added.duplicate, false);
+    });
+
+    it('reports duplicates', async () => {
+        const client = new TransmissionClient({ url: server.url, username: 'admin', password: 'secret' });
+        const torrent = await client.addTorrent({ magnet: 'magnet:?xt=urn:btih:dupe' });
+        assert.strictEqual(torrent.duplicate, true);
+    });
+
+    it('rejects bad credentials', async () => {
+        const client = new TransmissionClient({ url: server.url, username: 'admin', password: 'wrong' });
+        await assert.rejects(client.getSession(), DownloadClientAuthError);
+    });
+});
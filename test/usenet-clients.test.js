@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SabnzbdClient } = require('../lib/download-clients/sabnzbd');
+const { NzbgetClient } = require('../lib/download-clients/nzbget');
+const { DownloadClientAuthError, DownloadClientError } = require('../lib/download-clients/errors');
+
+// One fake server speaking both the SABnzbd /api and the NZBGet /jsonrpc protocols
+const startFakeUsenet = async () => {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            res.setHeader('Content-Type', 'application/json');
+
+            if (url.pathname === '/api') {
+                const params = Object.fromEntries(url.searchParams);
+                requests.push(params);
+                if (params.apikey !== 'sab-key') {
+                    return res.end(JSON.stringify({ status: false, error: 'API Key Incorrect' }));
+                }
+                if (params.mode === 'get_cats') {
+                    return res.end(JSON.stringify({ categories: ['*', 'movies', 'tv'] }));
+                }
+                if (params.mode === 'addurl') {
+                    return res.end(JSON.stringify({ status: true, nzo_ids: ['SABnzbd_nzo_1'] }));
+                }
+                return res.end(JSON.stringify({ version: '4.2.0' }));
+            }
+
+            if (url.pathname === '/jsonrpc') {
+                const call = JSON.parse(body);
+                requests.push(call);
+                const reply = (result) => res.end(JSON.stringify({ version: '1.1', id: call.id, result }));
+                if (call.method === 'config') {
+                    return reply([
+                        { Name: 'MainDir', Value: '/data' },
+                        { Name: 'Category1.Name', Value: 'Movies' },
+                        { Name: 'Category1.DestDir', Value: '' },
+                        { Name: 'Category2.Name', Value: 'Series' }
+                    ]);
+                }
+                if (call.method === 'append') {
+                    return reply(call.params[1].includes('broken') ? 0 : 42);
+                }
+                return reply('24.0');
+            }
+
+            res.statusCode = 404;
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+describe('usenet download clients', () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeUsenet();
+    });
+
+    after(() => server.close());
+
+    describe('SabnzbdClient', () => {
+        it('lists categories without the default one', async () => {
+            const client = new SabnzbdClient({ url: server.url, apiKey: 'sab-key' });
+            assert.deepStrictEqual(await client.getCategories(), ['movies', 'tv']);
+        });
+
+        it('adds an NZB URL with category and priority', async () => {
+            const client = new SabnzbdClient({ url: `${server.url}/`, apiKey: 'sab-key' });
+            const job = await client.addUrl('http://prowlarr/nzb/1', { name: 'Some.Release', category: 'movies', priority: 1 });
+
+            assert.strictEqual(job.id, 'SABnzbd_nzo_1');
+            assert.deepStrictEqual(server.requests.at(-1), {
+                mode: 'addurl',
+                apikey: 'sab-key',
+                output: 'json',
+                name: 'http://prowlarr/nzb/1',
+                nzbname: 'Some.Release',
+                cat: 'movies',
+                priority: '1'
+            });
+        });
+
+        it('turns an API key error into an auth error', async () => {
+            const client = new SabnzbdClient({ url: server.url, apiKey: 'wrong' });
+            await assert.rejects(client.getVersion(), DownloadClientAuthError);
+        });
+    });
+
+    describe('NzbgetClient', () => {
+        it('reads categories from the config', async () => {
+            const client = new NzbgetClient({ url: server.url });
+            assert.deepStrictEqual(await client.getCategories(), ['Movies', 'Series']);
+        });
+
+        it('appends an NZB URL', async () => {
+            const client = new NzbgetClient({ url: server.url });
+            const job = await client.addUrl('http://prowlarr/nzb/2', { name: 'Some.Release', category: 'Movies', priority: 50 });
+
+            assert.strictEqual(job.id, 42);
+            const { method, params } = server.requests.at(-1);
+            assert.strictEqual(method, 'append');
+            assert.deepStrictEqual(params.slice(0, 4), ['Some.Release.nzb', 'http://prowlarr/nzb/2', 'Movies', 50]);
+        });
+
+        it('fails when NZBGet does not return a job id', async () => {
+            const client = new NzbgetClient({ url: server.url });
+            await assert.rejects(client.addUrl('http://prowlarr/broken'), DownloadClientError);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchState, resultKey, findNewMatches } = require('../lib/watchlist');
+const { parseFilter } = require('../lib/filters');
+const { createScorer } = require('../lib/quality-profiles');
+
+const GB = 1024 ** 3;
+
+const release = (guid, title, fields = {}) => ({
+    guid,
+    indexerId: 1,
+    indexer: 'Foo',
+    title,
+    size: 4 * GB,
+    protocol: 'torrent',
+    seeders: 10,
+    ...fields
+});
+
+describe('WatchState', () => {
+    let dir;
+    let state;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prowling-'));
+        state = new WatchState(path.join(dir, 'watch-state.json'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('has no state before the first check', () => {
+        assert.strictEqual(state.get('severance'), null);
+    });
+
+    it('accumulates seen keys across checks and survives a reload', () => {
+        const now = new Date('2026-10-18T12:00:00Z');
+        state.update('severance', { seen: ['1:a', '1:b'] }, now);
+        state.update('severance', { seen: ['1:b', '2:c'], newCount: 1 }, now);
+
+        const reloaded = new WatchState(state.filePath).get('severance');
+        assert.deepStrictEqual(reloaded.seen, ['1:a', '1:b', '2:c']);
+        assert.strictEqual(reloaded.lastNew, 1);
+        assert.strictEqual(reloaded.lastCheck, now.toISOString());
+        assert.strictEqual(reloaded.lastError, null);
+    });
+
+    it('keeps what was seen when a check fails', () => {
+        state.update('severance', { seen: ['1:a'] });
+        state.update('severance', { error: 'Prowlarr unreachable' });
+        assert.deepStrictEqual(state.get('severance').seen, ['1:a']);
+        assert.strictEqual(state.get('severance').lastError, 'Prowlarr unreachable');
+    });
+
+    it('forgets the oldest keys first', () => {
+        const keys = Array.from({ length: 2005 }, (_, i) => `1:${i}`);
+        state.update('busy', { seen: keys });
+        const seen = state.get('busy').seen;
+        assert.strictEqual(seen.length, 2000);
+        assert.strictEqual(seen[0], '1:5');
+    });
+
+    it('renames and removes watches', () => {
+        state.update('old', { seen: ['1:a'] });
+        state.rename('old', 'new');
+        assert.strictEqual(state.get('old'), null);
+        assert.deepStrictEqual(state.get('new').seen, ['1:a']);
+
+        state.remove('new');
+        assert.strictEqual(state.get('new'), null);
+    });
+
+    it('treats a broken state file as empty', () => {
+        fs.writeFileSync(state.filePath, '{ broken');
+        assert.strictEqual(state.get('severance'), null);
+    });
+});
+
+describe('findNewMatches', () => {
+    const results = [
+        release('a', 'Severance.S02E05.1080p.WEB.h264-GRP', { seeders: 5 }),
+        release('b', 'Severance.S02E05.720p.HDTV.x264-GRP', { seeders: 50 }),
+        release('c', 'Severance.S02E05.2160p.WEB.h265-GRP', { seeders: 20 }),
+        release('c2', 'Severance.S02E05.2160p.WEB.h265-GRP', { indexerId: 2, indexer: 'Bar', seeders: 30 })
+    ];
+
+    it('reports filtered matches that were not seen, one row per release, most seeders first', () => {
+        const { matches, fresh } = findNewMatches(results, {
+            filters: [parseFilter('resolution>=1080p')],
+            seen: [resultKey(results[0])]
+        });
+        assert.deepStrictEqual(matches.map(result => result.guid), ['a', 'c', 'c2']);
+        assert.strictEqual(fresh.length, 1);
+        assert.strictEqual(fresh[0].best.guid, 'c2');
+        assert.strictEqual(fresh[0].indexerCount, 2);
+    });
+
+    it('drops a release once all of its sources were seen', () => {
+        const { fresh } = findNewMatches(results, {
+            seen: results.map(resultKey)
+        });
+        assert.deepStrictEqual(fresh, []);
+    });
+
+    it('applies the quality threshold and orders by score', () => {
+        const scorer = createScorer({
+            rejected: ['source:hdtv'],
+            preferred: [{ filter: 'resolution>=2160p', score: 50 }, { filter: 'resolution>=1080p', score: 20 }]
+        });
+        const { matches, fresh } = findNewMatches(results, { scorer, minScore: 30 });
+        assert.deepStrictEqual(matches.map(result => result.guid), ['c', 'c2']);
+        assert.deepStrictEqual(fresh.map(row => row.best.guid), ['c2']);
+
+        const all = findNewMatches(results, { scorer, minScore: null });
+        assert.deepStrictEqual(all.fresh.map(row => row.best.guid), ['c2', 'a']);
+    });
+});